@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+// Import saved meeting_*.json history files into another history store.
+//
+//   npm run migrate:history -- [--from <history dir>] [--to sqlite] [--path <store path>]
+//
+// Meetings already in the target store are replaced, so the import can be run again.
+// The JSON files are left in place.
+
+import meetingHistoryManager from '../src/utils/meetingHistory.js';
+
+function parseArgs(argv) {
+  const args = { to: 'sqlite' };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--from' || flag === '--to' || flag === '--path') {
+      args[flag.slice(2)] = value;
+      i++;
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return args;
+}
+
+async function migrate() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.to === 'json' && !args.path) {
+    throw new Error('Importing into a JSON store needs --path');
+  }
+
+  const source = await meetingHistoryManager.openAdapter('json', { path: args.from });
+  const target = await meetingHistoryManager.openAdapter(args.to, { path: args.path || process.env.HISTORY_STORE_PATH });
+
+  console.log(`\n📦 Importing meeting history from ${source.historyDir} into ${args.to}`);
+  const histories = await source.all();
+
+  let imported = 0;
+  for (const history of histories) {
+    if (!history?.meeting?.id || !history.metadata?.savedAt) {
+      console.warn('⚠️ Skipping file without a meeting id or save time');
+      continue;
+    }
+    await target.save(history);
+    imported++;
+  }
+
+  await source.close();
+  await target.close();
+  console.log(`✅ Imported ${imported} of ${histories.length} meetings`);
+  console.log(`\n💡 Start the server with HISTORY_STORE=${args.to}${args.path ? ` HISTORY_STORE_PATH=${args.path}` : ''} to use it\n`);
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -3,6 +3,8 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs';
+import path from 'path';
 // AI features removed - will be reimplemented based on new requirements
 
 // Import LLM Service for AI-Driven Smart Follow-up Question Generation
@@ -20,6 +22,42 @@ import AIHighlightDetector from './src/utils/aiHighlightDetector.js';
 // Import Meeting History Manager for persistent storage
 import meetingHistoryManager from './src/utils/meetingHistory.js';
 
+// Import Auth Service for server-side user accounts
+import authService, { AuthError } from './src/utils/authService.js';
+
+// Import Permission Manager for role-based socket event guards
+import permissionManager, { ROLES } from './src/utils/permissions.js';
+
+// Import State Store for live meeting state snapshots
+import stateStore from './src/utils/stateStore.js';
+
+// Import Shared State so several backend instances can serve the same meetings
+import sharedState from './src/utils/sharedState.js';
+
+// Import Class Scheduler for scheduled and recurring class sessions
+import classScheduler, { ScheduleError } from './src/utils/classScheduler.js';
+
+// Import roster manager
+import rosterManager, { RosterError } from './src/utils/rosterManager.js';
+
+// Import attendance tracker for join/leave intervals and late arrivals
+import attendanceTracker from './src/utils/attendanceTracker.js';
+
+// Import breakout manager for splitting a meeting into breakout rooms
+import breakoutManager, { BreakoutError } from './src/utils/breakoutManager.js';
+
+// Import hand raise queue for ordered speaking turns
+import handRaiseQueue from './src/utils/handRaiseQueue.js';
+
+// Import poll manager for live polls and quizzes
+import pollManager, { PollError } from './src/utils/pollManager.js';
+
+// Import transcript index for questions about past lectures
+import transcriptIndex from './src/utils/transcriptIndex.js';
+
+// Import media job queue so ffmpeg work runs in the background
+import mediaJobQueue, { JobError } from './src/utils/mediaJobQueue.js';
+
 // Load persistent meeting history on server startup
 let persistentMeetings = new Map();
 let persistentHighlights = new Map();
@@ -50,83 +88,1163 @@ const io = new Server(server, {
 });
 
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Middleware
+app.use(cors());
+app.use(express.json());
+
+// Serve static files (highlight reels)
+app.use('/output', express.static('output'));
+
+// Store active meetings (shared between instances, includes pending approvals)
+const activeMeetings = sharedState.createMap('activeMeetings');
+
+// Meeting codes chosen by hosts or carried by imported history
+const MEETING_ID_PATTERN = /^[\w-]{1,100}$/;
+
+// Store sentiment data for each meeting
+const sentimentData = sharedState.createMap('sentimentData');
+
+// Store fatigue detection data for each meeting
+const fatigueData = sharedState.createMap('fatigueData');
+
+// Store highlight timestamps for each meeting
+const highlightData = sharedState.createMap('highlightData');
+
+// Recordings whose highlight reel has been queued, by recording session ID
+const queuedHighlightReels = new Set();
+
+// Initialize AI Highlight Detector for automatic highlight detection
+const aiHighlightDetector = new AIHighlightDetector();
+
+
+// Store transcript data for AI analysis
+const transcriptData = sharedState.createMap('transcriptData');
+
+// Recordings are written to this instance's disk and muxed by its media job queue,
+// so they are turned off when several instances share the meetings (REDIS_URL)
+const RECORDING_NEEDS_ONE_INSTANCE = 'Recording needs a single backend instance and is turned off while several instances share the meetings';
+
+// Host seat reservation - kept out of the meeting object so they are never sent to clients
+const HOST_RECLAIM_GRACE_MS = parseInt(process.env.HOST_RECLAIM_GRACE_MS, 10) || 60000; // 1 minute
+const hostReclaimTokens = sharedState.createMap('hostReclaimTokens'); // meetingId -> token that lets the current host reclaim the seat
+
+// Resumable participant sessions - a dropped participant rejoining within the window
+// with their participant token gets back approval, name, role and media state
+const SESSION_RESUME_WINDOW_MS = parseInt(process.env.SESSION_RESUME_WINDOW_MS, 10) || 120000; // 2 minutes
+const participantSessions = sharedState.createMap('participantSessions'); // participantToken -> { meetingId, userId, participantId, snapshot, expiresAt }
+const participantTokensBySocket = new Map(); // socketId -> participantToken
+
+// Chat history for each meeting, replayed to participants who resume
+const chatHistory = sharedState.createMap('chatHistory');
+const CHAT_HISTORY_LIMIT = 200;
+
+// Attendance log for each meeting - every join/leave interval per participant
+const attendanceData = sharedState.createMap('attendanceData');
+
+// Raise-hand queue and its event log for each meeting
+const handRaiseData = sharedState.createMap('handRaiseData');
+
+// Polls and quizzes run in each meeting, with every answer
+const pollData = sharedState.createMap('pollData');
+
+// Timers that change shared state are kept with it and fired by one instance, the leader
+sharedState.defineTimer('host-reclaim', (meetingId) => expireHostReservation(meetingId));
+sharedState.defineTimer('session-resume', (participantToken) => expireParticipantSession(participantToken));
+sharedState.defineTimer('poll-close', (meetingId, { pollId }) => closePoll(meetingId, pollId, 'timer'));
+sharedState.defineTimer('breakout-close', (meetingId) => closeBreakoutRooms(meetingId, 'timer')); // the rooms themselves live on the meeting object
+sharedState.defineTimer('meeting-expiry', (meetingId, { reason }) => expireEmptyMeeting(meetingId, reason));
+
+// Live state snapshots - replayed on startup so a restarted server keeps running classes
+const STATE_SNAPSHOT_INTERVAL_MS = parseInt(process.env.STATE_SNAPSHOT_INTERVAL_MS, 10) || 10000; // 10 seconds
+const STATE_SNAPSHOT_MAX_AGE_MS = parseInt(process.env.STATE_SNAPSHOT_MAX_AGE_MS, 10) || 30 * 60 * 1000; // 30 minutes
+const RESTORED_MEETING_TTL_MS = 5 * 60 * 1000; // Restored meetings nobody rejoins are dropped after 5 minutes
+
+// Performance monitoring data
+const performanceData = {
+  llmService: null,
+  sentimentAnalysis: {
+    activeParticipants: 0,
+    analysisInterval: 3000,
+    totalAnalyses: 0,
+    successfulAnalyses: 0
+  },
+  fatigueDetection: {
+    currentFatigueLevel: 0,
+    alertsGenerated: 0,
+    activeMeetings: 0
+  },
+  systemResources: {
+    memoryUsage: 'N/A',
+    cpuUsage: 'N/A'
+  },
+  overallStatus: 'good'
+};
+
+/**
+ * Update performance data
+ */
+function updatePerformanceData() {
+  // Update LLM service performance
+  performanceData.llmService = llmService.getPerformanceStats();
+  
+  // Update sentiment analysis data
+  performanceData.sentimentAnalysis.activeParticipants = sentimentData.size;
+  
+  // Update fatigue detection data
+  performanceData.fatigueDetection.activeMeetings = fatigueData.size;
+  
+  // Calculate overall status
+  const llmSuccessRate = parseFloat(performanceData.llmService?.successRate || '0');
+  const sentimentSuccessRate = performanceData.sentimentAnalysis.totalAnalyses > 0 
+    ? (performanceData.sentimentAnalysis.successfulAnalyses / performanceData.sentimentAnalysis.totalAnalyses * 100)
+    : 100;
+  
+  if (llmSuccessRate >= 90 && sentimentSuccessRate >= 90) {
+    performanceData.overallStatus = 'excellent';
+  } else if (llmSuccessRate >= 75 && sentimentSuccessRate >= 75) {
+    performanceData.overallStatus = 'good';
+  } else if (llmSuccessRate >= 50 && sentimentSuccessRate >= 50) {
+    performanceData.overallStatus = 'fair';
+  } else {
+    performanceData.overallStatus = 'poor';
+  }
+}
+
+/**
+ * Emit an event to every participant holding a permission in a meeting
+ * (the host plus any co-hosts for moderation and analytics events)
+ */
+function emitToPermitted(meeting, permission, event, data) {
+  const recipients = meeting.participants.filter(p => permissionManager.can(meeting, p.id, permission));
+  recipients.forEach(recipient => {
+    io.to(recipient.id).emit(event, data);
+  });
+  return recipients.length;
+}
+
+/**
+ * Get (or create) the token that lets the current host of a meeting reclaim the seat
+ */
+function getHostReclaimToken(meetingId) {
+  if (!hostReclaimTokens.has(meetingId)) {
+    hostReclaimTokens.set(meetingId, uuidv4());
+  }
+  return hostReclaimTokens.get(meetingId);
+}
+
+/**
+ * Strip the " (Host)" suffix added to the host's display name
+ */
+function getBaseParticipantName(name) {
+  return (name || '').replace(/ \(Host\)$/, '');
+}
+
+/**
+ * Cancel a pending host seat reservation
+ */
+function clearHostReservation(meetingId, meeting) {
+  sharedState.cancel('host-reclaim', meetingId);
+  if (meeting) {
+    meeting.hostReservation = null;
+  }
+}
+
+/**
+ * Broadcast the current host and participant roles to a meeting
+ */
+function emitHostChanged(meetingId, meeting, reason, previousHostId = null) {
+  io.to(meetingId).emit('host-changed', {
+    meetingId,
+    newHost: meeting.host,
+    newHostId: meeting.hostId,
+    previousHostId,
+    reason,
+    participants: meeting.participants.map(p => ({ id: p.id, name: p.name, isHost: p.isHost, role: p.role }))
+  });
+}
+
+/**
+ * Hand the host seat to a participant. Any previous host still in the meeting
+ * stays on as a co-host. The new host gets a fresh reclaim token.
+ */
+function assignHost(meetingId, meeting, newHost, reason) {
+  const previousHostId = meeting.hostId;
+  
+  meeting.participants.forEach(p => {
+    if (p.isHost && p.id !== newHost.id) {
+      p.isHost = false;
+      p.role = ROLES.CO_HOST;
+      p.name = getBaseParticipantName(p.name);
+    }
+  });
+  
+  newHost.isHost = true;
+  newHost.role = ROLES.HOST;
+  newHost.name = `${getBaseParticipantName(newHost.name)} (Host)`;
+  
+  meeting.host = newHost.name;
+  meeting.hostId = newHost.id;
+  meeting.hostUserId = newHost.userId || null;
+  clearHostReservation(meetingId, meeting);
+  
+  // Rotate the reclaim token so a previous host can no longer claim the seat
+  hostReclaimTokens.delete(meetingId);
+  io.to(newHost.id).emit('host-reclaim-token', {
+    meetingId,
+    reclaimToken: getHostReclaimToken(meetingId)
+  });
+  
+  emitHostChanged(meetingId, meeting, reason, previousHostId);
+  console.log(`👑 Host of meeting ${meetingId} is now ${newHost.name} (${reason})`);
+}
+
+/**
+ * Pick who takes over when a reserved host seat expires:
+ * co-hosts first, then teaching assistants, then the earliest admitted participant
+ */
+function pickFallbackHost(meeting) {
+  const admitted = meeting.participants.filter(p => p.isApproved);
+  return admitted.find(p => p.role === ROLES.CO_HOST) ||
+    admitted.find(p => p.role === ROLES.TEACHING_ASSISTANT) ||
+    admitted.find(p => p.role !== ROLES.OBSERVER) ||
+    admitted[0] ||
+    null;
+}
+
+/**
+ * Handle the host socket leaving a meeting. Instead of handing the seat to
+ * whoever joined first, the seat is reserved for the host to reconnect
+ * (by account or reclaim token) and only falls back after the grace period.
+ */
+function handleHostDeparture(meetingId, meeting, departingHost) {
+  // The host account is still connected from another socket (e.g. lobby -> meeting room)
+  const remainingHost = meeting.participants.find(p => p.isHost);
+  if (remainingHost) {
+    meeting.hostId = remainingHost.id;
+    return;
+  }
+  
+  // Nobody left to hand over to - the host reclaims the seat on rejoin
+  if (meeting.participants.length === 0) {
+    return;
+  }
+  
+  clearHostReservation(meetingId, meeting);
+  meeting.hostId = null;
+  meeting.hostReservation = {
+    name: departingHost.name,
+    userId: departingHost.userId || null,
+    expiresAt: Date.now() + HOST_RECLAIM_GRACE_MS
+  };
+  
+  io.to(meetingId).emit('host-disconnected', {
+    meetingId,
+    hostName: departingHost.name,
+    graceMs: HOST_RECLAIM_GRACE_MS,
+    expiresAt: meeting.hostReservation.expiresAt
+  });
+  console.log(`⏳ Host ${departingHost.name} left meeting ${meetingId} - seat reserved for ${HOST_RECLAIM_GRACE_MS / 1000}s`);
+  
+  sharedState.schedule('host-reclaim', meetingId, HOST_RECLAIM_GRACE_MS);
+}
+
+/**
+ * Hand the host seat to a fallback host once the reservation runs out
+ */
+function expireHostReservation(meetingId) {
+  const meeting = activeMeetings.get(meetingId);
+  if (!meeting || !meeting.hostReservation) {
+    return;
+  }
+  
+  meeting.hostReservation = null;
+  const fallbackHost = pickFallbackHost(meeting);
+  if (!fallbackHost) {
+    console.log(`⌛ Host seat for meeting ${meetingId} expired with no admitted participant to take over`);
+    return;
+  }
+  
+  assignHost(meetingId, meeting, fallbackHost, 'fallback');
+}
+
+/**
+ * Issue a resumable session token for a participant who just joined
+ */
+function issueParticipantSession(meetingId, participant) {
+  const participantToken = uuidv4();
+  participantSessions.set(participantToken, {
+    meetingId,
+    userId: participant.userId || null,
+    participantId: participant.id,
+    snapshot: null,
+    expiresAt: null
+  });
+  participantTokensBySocket.set(participant.id, participantToken);
+  return participantToken;
+}
+
+/**
+ * Find the session a joining socket may resume
+ */
+function getResumableSession(participantToken, meetingId, user) {
+  const session = participantToken ? participantSessions.get(participantToken) : null;
+  if (!session || session.meetingId !== meetingId) {
+    return null;
+  }
+  
+  // Sessions that belong to an account can only be resumed by that account
+  if (session.userId && session.userId !== user?.id) {
+    return null;
+  }
+  
+  return session;
+}
+
+/**
+ * Bind a resumed session to the participant's new socket
+ */
+function attachParticipantSession(participantToken, socketId) {
+  sharedState.cancel('session-resume', participantToken);
+  
+  const session = participantSessions.get(participantToken);
+  participantTokensBySocket.delete(session.participantId);
+  session.participantId = socketId;
+  session.snapshot = null;
+  session.expiresAt = null;
+  participantSessions.set(participantToken, session);
+  participantTokensBySocket.set(socketId, participantToken);
+}
+
+/**
+ * Keep a disconnected participant's state for the resume window
+ */
+function suspendParticipantSession(socketId, participant) {
+  const participantToken = participantTokensBySocket.get(socketId);
+  if (!participantToken) return;
+  
+  participantTokensBySocket.delete(socketId);
+  const session = participantSessions.get(participantToken);
+  if (!session) return;
+  
+  session.snapshot = { ...participant };
+  startResumeWindow(participantToken, session);
+}
+
+/**
+ * Start (or restart) the window in which a suspended session can be resumed
+ */
+function startResumeWindow(participantToken, session) {
+  session.expiresAt = Date.now() + SESSION_RESUME_WINDOW_MS;
+  participantSessions.set(participantToken, session);
+  sharedState.schedule('session-resume', participantToken, SESSION_RESUME_WINDOW_MS);
+}
+
+/**
+ * Drop a suspended session whose resume window ran out
+ */
+function expireParticipantSession(participantToken) {
+  // The session may have been resumed in the meantime
+  const session = participantSessions.get(participantToken);
+  if (!session || !session.expiresAt || session.expiresAt > Date.now()) {
+    return;
+  }
+  
+  participantSessions.delete(participantToken);
+  console.log(`⌛ Resume window expired for ${session.snapshot?.name || participantToken}`);
+}
+
+/**
+ * Drop a participant's session so it can't be resumed (left, removed or rejected)
+ */
+function endParticipantSession(socketId) {
+  const participantToken = participantTokensBySocket.get(socketId);
+  if (!participantToken) return;
+  
+  participantTokensBySocket.delete(socketId);
+  participantSessions.delete(participantToken);
+  sharedState.cancel('session-resume', participantToken);
+}
+
+/**
+ * Record a participant entering the meeting (host, admitted or resumed)
+ */
+function recordAttendanceJoin(meetingId, meeting, participant) {
+  if (!attendanceData.has(meetingId)) {
+    attendanceData.set(meetingId, attendanceTracker.createLog(meeting));
+  }
+  attendanceTracker.recordJoin(attendanceData.get(meetingId), participant);
+}
+
+/**
+ * Record a participant leaving the meeting (left, dropped or removed)
+ */
+function recordAttendanceLeave(meetingId, participantId) {
+  const attendanceLog = attendanceData.get(meetingId);
+  if (attendanceLog) {
+    attendanceTracker.recordLeave(attendanceLog, participantId);
+  }
+}
+
+/**
+ * Build a meeting's attendance report, listing roster members who never joined
+ */
+function buildAttendanceReport(meetingId, meeting) {
+  const attendanceLog = attendanceData.get(meetingId) || attendanceTracker.createLog(meeting);
+  return attendanceTracker.buildReport(attendanceLog, {
+    title: meeting.title || `Meeting ${meetingId}`,
+    endedAt: meeting.endedAt || null,
+    roster: rosterManager.getRosterForMeeting(meeting)
+  });
+}
+
+/**
+ * Send everyone in the meeting the current raise-hand queue
+ */
+function broadcastHandQueue(meetingId) {
+  io.to(meetingId).emit('hand-queue-updated', {
+    meetingId,
+    queue: handRaiseQueue.getQueue(handRaiseData.get(meetingId))
+  });
+}
+
+/**
+ * Take a departing participant's hand out of the queue (left, dropped or removed)
+ */
+function removeRaisedHand(meetingId, participantId) {
+  const handLog = handRaiseData.get(meetingId);
+  if (handLog && handRaiseQueue.lower(handLog, participantId, { reason: 'left' })) {
+    broadcastHandQueue(meetingId);
+  }
+}
+
+/**
+ * Send the host team a poll's live results and answers
+ */
+function sendPollUpdate(meeting, poll) {
+  emitToPermitted(meeting, 'manage_polls', 'poll-updated', {
+    meetingId: meeting.id,
+    poll: pollManager.toHostView(poll)
+  });
+}
+
+/**
+ * Open a draft poll for answers and show it to the class
+ * Throws PollError if it cannot be started.
+ */
+function startPoll(meetingId, meeting, pollId, durationSeconds) {
+  const pollLog = pollData.get(meetingId);
+  const durationMs = pollManager.startPoll(pollLog, pollId, durationSeconds);
+  const poll = pollManager.getPoll(pollLog, pollId);
+  if (durationMs) {
+    schedulePollClose(meetingId, pollId, durationMs);
+  }
+  
+  io.to(meetingId).emit('poll-started', { meetingId, poll: pollManager.toPublic(poll) });
+  sendPollUpdate(meeting, poll);
+  console.log(`📊 Poll ${pollId} started in meeting ${meetingId}${durationMs ? ` for ${durationMs / 1000}s` : ''}`);
+}
+
+/**
+ * Close a running poll (host, time limit or meeting end) and tell everyone
+ */
+function closePoll(meetingId, pollId, reason) {
+  clearPollTimer(meetingId);
+  
+  const meeting = activeMeetings.get(meetingId);
+  const pollLog = pollData.get(meetingId);
+  if (!meeting || !pollLog || !pollManager.endPoll(pollLog, pollId)) return;
+  
+  io.to(meetingId).emit('poll-ended', { meetingId, pollId, reason });
+  sendPollUpdate(meeting, pollManager.getPoll(pollLog, pollId));
+  console.log(`📊 Poll ${pollId} closed in meeting ${meetingId} (${reason})`);
+}
+
+function schedulePollClose(meetingId, pollId, delayMs) {
+  sharedState.schedule('poll-close', meetingId, delayMs, { pollId });
+}
+
+function clearPollTimer(meetingId) {
+  sharedState.cancel('poll-close', meetingId);
+}
+
+/**
+ * Tell whoever sent a poll request why it failed. Anything but a PollError is
+ * logged and answered too, a socket handler that throws would stop the server.
+ */
+function sendPollError(socket, meetingId, error) {
+  if (!(error instanceof PollError)) {
+    console.error('❌ Poll request failed:', error);
+  }
+  socket.emit('poll-error', {
+    meetingId,
+    message: error instanceof PollError ? error.message : 'The poll request failed'
+  });
+}
+
+/**
+ * Write the post-meeting summary from the transcript and add it to the saved history
+ */
+async function summarizeMeeting(meetingId, meeting, transcriptHistory, attendance) {
+  const summary = await llmService.generateMeetingSummary(meetingId, {
+    entries: transcriptHistory.map(entry => ({ speaker: entry.speaker || null, text: entry.transcript })),
+    title: meeting.title,
+    participants: attendance?.attendees.map(attendee => attendee.name) || []
+  });
+  if (!summary) {
+    console.log('📋 Not enough transcript to summarize meeting:', meetingId);
+    return;
+  }
+  
+  await meetingHistoryManager.saveMeetingSummary(meetingId, summary);
+  io.to(meetingId).emit('meeting_summary_ready', { meetingId, summary });
+  console.log(`📋 Meeting ${meetingId} summarized with ${summary.model}`);
+}
+
+/**
+ * Stop a meeting's recording and queue the media job that builds it (see
+ * processMeetingRecording). Without ffmpeg the recording fails straight away.
+ */
+async function finalizeRecording(meetingId) {
+  const recording = await mediaRecorder.stopRecording(meetingId);
+  
+  if (!(await mediaProcessor.isFFmpegAvailable())) {
+    mediaRecorder.failRecording(meetingId, 'FFmpeg is not available');
+    return;
+  }
+  
+  try {
+    const recordingJob = await mediaJobQueue.enqueue('meeting-recording', { recording }, {
+      meetingId,
+      ownerId: activeMeetings.get(meetingId)?.ownerId || null
+    });
+    mediaRecorder.setRecordingJob(meetingId, recordingJob.id);
+  } catch (error) {
+    console.error('❌ Failed to queue meeting recording:', error.message);
+    mediaRecorder.failRecording(meetingId, error.message);
+  }
+}
+
+/**
+ * Save the state of a meeting's recording to its history. Does nothing until
+ * the meeting has ended and been saved there.
+ */
+async function saveRecordingToHistory(meetingId) {
+  const recording = mediaRecorder.getHistoryRecording(meetingId);
+  return recording ? meetingHistoryManager.saveMeetingRecording(meetingId, recording) : false;
+}
+
+/**
+ * Make the highlight reel of a meeting that has ended, once its recording is
+ * done: a ready recording is cut by a media job, a failed one falls back to
+ * the mock reel. Ending the meeting and the recording job both call this,
+ * whichever comes last makes it.
+ */
+async function createHighlightReel(meetingId) {
+  const recordingSession = mediaRecorder.getRecordingSession(meetingId);
+  if (recordingSession?.state !== 'ready' && recordingSession?.state !== 'failed') return;
+  
+  const history = await meetingHistoryManager.getMeetingHistory(meetingId);
+  const highlights = history?.highlights?.data || [];
+  if (highlights.length === 0 || queuedHighlightReels.has(recordingSession.sessionId)) return;
+  queuedHighlightReels.add(recordingSession.sessionId);
+  
+  if (recordingSession.state === 'failed') {
+    const highlightReelPath = await mediaProcessor.generateMockHighlightReel(meetingId, highlights);
+    io.to(meetingId).emit('highlight_reel_generated', {
+      meetingId,
+      status: 'mock',
+      highlightReelPath,
+      highlightCount: highlights.length,
+      message: `Mock highlight reel generated (${recordingSession.error})`
+    });
+    return;
+  }
+  
+  const reelJob = await mediaJobQueue.enqueue('highlight-reel', {
+    meetingId,
+    recordingPath: recordingSession.result.recordingPath,
+    highlights,
+    meetingInfo: {
+      title: history.meeting.title,
+      participants: history.meeting.participants?.length || 0,
+      duration: history.meeting.duration,
+      highlightCount: highlights.length,
+      date: history.meeting.createdAt
+    }
+  }, { meetingId, ownerId: history.meeting.ownerId || null });
+  
+  io.to(meetingId).emit('highlight_reel_status', {
+    meetingId,
+    status: 'processing',
+    jobId: reelJob.id,
+    message: 'The highlight reel is being generated'
+  });
+}
+
+/**
+ * Media job: build a meeting's recording from the participants' uploaded
+ * tracks - the muxed recording, each participant's own track and the
+ * active-speaker composite. Once it is ready it is saved to the meeting
+ * history, and the highlight reel is queued if the meeting has ended.
+ */
+async function processMeetingRecording({ recording }, job) {
+  const { meetingId } = recording;
+  mediaRecorder.restoreRecording(recording);
+  mediaRecorder.setRecordingJob(meetingId, job.jobId);
+  
+  job.setStage('recording');
+  const recordingPath = await mediaRecorder.createRealMeetingRecording(meetingId);
+  job.setStage('participant-tracks');
+  const participantTracks = await mediaRecorder.createParticipantTracks(meetingId);
+  
+  const outputs = { recordingPath, participantTracks };
+  try {
+    job.setStage('speaker-composite');
+    const composite = await mediaRecorder.createSpeakerComposite(meetingId);
+    outputs.compositePath = composite.path;
+    outputs.speakerShots = composite.shots;
+  } catch (error) {
+    job.throwIfCancelled();
+    console.error('❌ Failed to create active-speaker composite:', error.message);
+  }
+  
+  job.throwIfCancelled();
+  mediaRecorder.completeRecording(meetingId, outputs);
+  await saveRecordingToHistory(meetingId);
+  io.to(meetingId).emit('recording_ready', { meetingId, jobId: job.jobId, hasSpeakerComposite: !!outputs.compositePath });
+  await createHighlightReel(meetingId);
+  
+  return { recordingPath, compositePath: outputs.compositePath || null, participantTracks: participantTracks.length };
+}
+
+/**
+ * Media job: cut the highlight reel out of a meeting's recording
+ */
+async function generateMeetingHighlightReel({ meetingId, recordingPath, highlights, meetingInfo }, job) {
+  job.setStage('highlight-reel');
+  const outputPath = `./output/highlight_reel_${meetingId}_${Date.now()}.mp4`;
+  const highlightReelPath = await mediaProcessor.generateHighlightReel(recordingPath, highlights, outputPath, meetingInfo);
+  
+  console.log('✅ Highlight reel generated successfully:', highlightReelPath);
+  io.to(meetingId).emit('highlight_reel_generated', {
+    meetingId,
+    status: 'success',
+    highlightReelPath,
+    highlightCount: highlights.length,
+    message: 'Highlight reel generated successfully'
+  });
+  
+  return { highlightReelPath };
+}
+
+/**
+ * A meeting's media job gave up or was cancelled: a recording still being
+ * processed is marked failed, and the highlight reel falls back to the mock
+ */
+async function handleStoppedMediaJob(job) {
+  const error = job.status === 'cancelled' ? 'Processing was cancelled' : job.error;
+  if (job.type === 'meeting-recording' && mediaRecorder.getRecordingState(job.meetingId) === 'finalizing') {
+    mediaRecorder.failRecording(job.meetingId, error);
+  }
+  
+  const history = await meetingHistoryManager.getMeetingHistory(job.meetingId);
+  if (!history) return;
+  
+  // After a restart the recorder may no longer know a recording whose job was cancelled before it ran
+  if (job.type === 'meeting-recording' && history.recording?.status === 'processing') {
+    await meetingHistoryManager.saveMeetingRecording(job.meetingId, mediaRecorder.getHistoryRecording(job.meetingId) || { status: 'failed', error });
+  }
+  
+  if (job.type === 'meeting-recording') {
+    await createHighlightReel(job.meetingId);
+    return;
+  }
+  
+  const highlights = history.highlights?.data || [];
+  if (job.status !== 'failed' || highlights.length === 0) return;
+  
+  const highlightReelPath = await mediaProcessor.generateMockHighlightReel(job.meetingId, highlights);
+  io.to(job.meetingId).emit('highlight_reel_generated', {
+    meetingId: job.meetingId,
+    status: 'mock',
+    highlightReelPath,
+    highlightCount: highlights.length,
+    message: 'Mock highlight reel generated (FFmpeg error)'
+  });
+}
+
+/**
+ * Ask a participant who is in a meeting while it is recorded for consent to
+ * be recorded. They only start uploading once they agree (see the
+ * recording_consent handler). Someone reconnecting who already answered
+ * isn't asked again, their answer is sent to the new connection instead.
+ */
+function sendRecordingConsentRequest(meetingId, participant) {
+  const recordingSession = mediaRecorder.getRecordingSession(meetingId);
+  if (!recordingSession) return;
+
+  if (!mediaRecorder.requestConsent(meetingId, participant)) {
+    const consent = mediaRecorder.getConsent(meetingId, participant);
+    if (consent && mediaRecorder.isRecording(meetingId)) {
+      io.to(participant.id).emit('recording_state', mediaRecorder.toStateView(recordingSession));
+      io.to(participant.id).emit('recording_consent_recorded', {
+        meetingId,
+        status: consent.status,
+        isPaused: recordingSession.state === 'paused'
+      });
+    }
+    return;
+  }
+
+  io.to(participant.id).emit('recording_consent_request', {
+    meetingId,
+    sessionId: recordingSession.sessionId,
+    isPaused: recordingSession.state === 'paused',
+    hostName: activeMeetings.get(meetingId)?.host || null
+  });
+}
+
+/**
+ * Show the running poll to a participant who arrives while it is open
+ */
+function sendOpenPoll(meetingId, participantId) {
+  const openPoll = pollData.get(meetingId)?.polls.find(poll => poll.status === 'open');
+  if (openPoll) {
+    io.to(participantId).emit('poll-started', { meetingId, poll: pollManager.toPublic(openPoll) });
+  }
+}
+
+/**
+ * Transcript text of a live meeting, limited to the last `minutes`
+ * Falls back to the LLM service's recent context when no transcript was stored.
+ */
+function getLectureTranscript(meetingId, minutes = 15) {
+  const cutoff = Date.now() - minutes * 60 * 1000;
+  const text = (transcriptData.get(meetingId) || [])
+    .filter(entry => !entry.timestamp || new Date(entry.timestamp).getTime() >= cutoff)
+    .map(entry => entry.transcript)
+    .join(' ');
+  return text || llmService.getRecentTranscriptContext(meetingId, minutes);
+}
+
+/**
+ * Ask participants to turn on their camera and microphone. The request expires
+ * after 30 seconds.
+ */
+function sendCameraMicRequest(meeting, participants, data) {
+  participants.forEach(participant => {
+    io.to(participant.id).emit('host-camera-mic-request', {
+      ...data,
+      requestId: data.timestamp,
+      hostName: meeting.host
+    });
+  });
+  
+  // Set timeout to expire the request
+  setTimeout(() => {
+    participants.forEach(participant => {
+      io.to(participant.id).emit('camera-mic-request-expired', {
+        requestId: data.timestamp
+      });
+    });
+  }, 30000); // 30 seconds to respond
+}
+
+/**
+ * Move sockets in or out of the Socket.IO rooms of their breakout rooms and
+ * send everyone in the meeting the new room layout
+ */
+function applyBreakoutChanges(meetingId, meeting, changedParticipants) {
+  const breakoutRooms = (meeting.breakout?.rooms || []).map(room => breakoutManager.socketRoom(meetingId, room.id));
+  
+  changedParticipants.forEach(participant => {
+    if (breakoutRooms.length > 0) {
+      io.in(participant.id).socketsLeave(breakoutRooms);
+    }
+    if (participant.breakoutRoomId) {
+      io.in(participant.id).socketsJoin(breakoutManager.socketRoom(meetingId, participant.breakoutRoomId));
+    }
+  });
+  
+  io.to(meetingId).emit('breakout-updated', {
+    meetingId,
+    breakout: breakoutManager.getState(meeting)
+  });
+}
+
+/**
+ * Close a meeting's breakout rooms and bring everyone back to the main session
+ */
+function closeBreakoutRooms(meetingId, reason) {
+  clearBreakoutTimer(meetingId);
+  
+  const meeting = activeMeetings.get(meetingId);
+  if (!breakoutManager.isOpen(meeting)) return;
+  
+  const returning = breakoutManager.closeRooms(meeting);
+  applyBreakoutChanges(meetingId, meeting, returning);
+  io.to(meetingId).emit('breakout-closed', { meetingId, reason });
+  console.log(`🚪 Breakout rooms closed in meeting ${meetingId} (${reason}) - ${returning.length} participant(s) back in the main session`);
+}
+
+/**
+ * Close the breakout rooms when their countdown runs out
+ */
+function scheduleBreakoutClose(meetingId, delayMs) {
+  sharedState.schedule('breakout-close', meetingId, delayMs);
+}
 
-// Serve static files (highlight reels)
-app.use('/output', express.static('output'));
+function clearBreakoutTimer(meetingId) {
+  sharedState.cancel('breakout-close', meetingId);
+}
 
-// Store active meetings
-const activeMeetings = new Map();
+/**
+ * Tell whoever sent a breakout request why it failed, logging anything that
+ * isn't a BreakoutError instead of letting it escape the socket handler.
+ */
+function sendBreakoutError(socket, meetingId, error) {
+  if (!(error instanceof BreakoutError)) {
+    console.error('❌ Breakout request failed:', error);
+  }
+  socket.emit('breakout-error', {
+    meetingId,
+    message: error instanceof BreakoutError ? error.message : 'The breakout request failed'
+  });
+}
 
-// Store sentiment data for each meeting
-const sentimentData = new Map();
+/**
+ * Drop a meeting that stayed empty until its expiry timer fired
+ */
+function expireEmptyMeeting(meetingId, reason) {
+  const meeting = activeMeetings.get(meetingId);
+  if (!meeting || meeting.participants.length > 0) {
+    return;
+  }
 
-// Store fatigue detection data for each meeting
-const fatigueData = new Map();
+  activeMeetings.delete(meetingId);
+  clearHostReservation(meetingId);
+  hostReclaimTokens.delete(meetingId);
+  chatHistory.delete(meetingId);
+  attendanceData.delete(meetingId);
+  handRaiseData.delete(meetingId);
+  pollData.delete(meetingId);
+  clearPollTimer(meetingId);
+  clearBreakoutTimer(meetingId);
+  console.log(`Meeting ${meetingId} ended - ${reason}`);
+}
 
-// Store highlight timestamps for each meeting
-const highlightData = new Map();
+/**
+ * Socket.IO rooms of a meeting's open breakout rooms (excluded from main session broadcasts)
+ */
+function getBreakoutSocketRooms(meetingId, meeting) {
+  return breakoutManager.isOpen(meeting)
+    ? meeting.breakout.rooms.map(room => breakoutManager.socketRoom(meetingId, room.id))
+    : [];
+}
 
-// Store recording sessions for each meeting
-const recordingSessions = new Map();
+/**
+ * Finish resuming a participant: restore their chat and tell peers to
+ * re-negotiate WebRTC with the new socket id
+ */
+function completeSessionResume(socket, meetingId, participant, previousId) {
+  socket.to(meetingId).emit('participant-resumed', {
+    meetingId,
+    previousId,
+    participant
+  });
+  
+  socket.emit('session-resumed', {
+    meetingId,
+    previousId,
+    participant
+  });
+  
+  // Only the conversation of the room they are in (main session or breakout room)
+  const roomId = participant.breakoutRoomId || null;
+  socket.emit('chat-history', {
+    meetingId,
+    messages: (chatHistory.get(meetingId) || []).filter(message => (message.roomId || null) === roomId)
+  });
+  
+  console.log(`🔁 ${participant.name} resumed session in meeting ${meetingId} (${previousId} -> ${participant.id})`);
+}
 
-// Initialize AI Highlight Detector for automatic highlight detection
-const aiHighlightDetector = new AIHighlightDetector();
+/**
+ * Admit a waiting participant: tell them, tell the room and send them the
+ * participants already in the meeting. `actingSocket` is the approver, or the
+ * participant themselves when they are admitted automatically (roster).
+ */
+function admitParticipant(actingSocket, meetingId, meeting, participant, message) {
+  const participantId = participant.id;
+  participant.isApproved = true;
+  recordAttendanceJoin(meetingId, meeting, participant);
+  
+  // Remove from pending approvals
+  if (meeting.pendingApprovals) {
+    meeting.pendingApprovals = meeting.pendingApprovals.filter(p => p.id !== participantId);
+  }
+  
+  // Notify participant they're approved
+  console.log(`📤 APPROVAL: Sending participant-approved to ${participantId}`);
+  console.log(`📤 APPROVAL: Host name: "${meeting.host}"`);
+  io.to(participantId).emit('participant-approved', { 
+    message,
+    meetingId,
+    hostId: meeting.hostId,
+    hostName: meeting.host
+  });
+  
+  console.log(`📤 Meeting participants before emission:`, meeting.participants.map(p => ({ name: p.name, id: p.id, isHost: p.isHost, isApproved: p.isApproved })));
+  console.log(`📤 Host ID: ${meeting.hostId}`);
+  
+  // Check if host is in the meeting room
+  // (fetchSockets goes through the adapter, so the host may be on another instance)
+  const hostId = meeting.hostId;
+  (hostId ? io.in(hostId).fetchSockets() : Promise.resolve([])).then(([hostSocket]) => {
+    if (hostSocket) {
+      console.log(`📤 Host socket found: ${hostId}, rooms:`, Array.from(hostSocket.rooms));
+      const isHostInMeetingRoom = Array.from(hostSocket.rooms).includes(meetingId);
+      console.log(`📤 Host is in meeting room ${meetingId}:`, isHostInMeetingRoom);
+    } else {
+      console.log(`❌ Host socket not found: ${hostId}`);
+    }
+  }).catch(() => {});
+  
+  // Notify all existing participants (excluding the new participant) about the new participant
+  const existingParticipants = meeting.participants.filter(p => p.id !== participantId);
+  console.log(`📤 MULTI-PARTICIPANT: Existing participants to notify:`, existingParticipants.map(p => ({ id: p.id, name: p.name })));
+  
+  // Emit to the meeting room (everyone but the acting socket)
+  console.log(`📤 MULTI-PARTICIPANT: Emitting participant-joined to meeting room ${meetingId}`);
+  actingSocket.to(meetingId).emit('participant-joined', { participant, meeting });
+  
+  // Also send info about all existing participants to the new participant
+  console.log(`📤 MULTI-PARTICIPANT: Sending existing participants info to new participant: ${participantId}`);
+  existingParticipants.forEach(existingParticipant => {
+    console.log(`📤 MULTI-PARTICIPANT: Sending info about ${existingParticipant.name} (${existingParticipant.id}) to new participant`);
+    io.to(participantId).emit('participant-joined', { participant: existingParticipant, meeting });
+  });
+  
+  console.log(`📤 Participant will emit their own participant-ready event after approval`);
+  console.log(`Participant ${participant.name} approved in meeting ${meetingId}`);
+  
+  // Newcomers start in the main session while breakout rooms are open
+  if (breakoutManager.isOpen(meeting)) {
+    applyBreakoutChanges(meetingId, meeting, []);
+  }
+  if (handRaiseData.has(meetingId)) {
+    broadcastHandQueue(meetingId);
+  }
+  sendOpenPoll(meetingId, participantId);
+  sendRecordingConsentRequest(meetingId, participant);
+}
 
+/**
+ * Approve or reject one waiting participant on behalf of an approver
+ * @returns {boolean} True if a waiting participant was resolved
+ */
+function resolveApproval(approverSocket, meetingId, meeting, participantId, approved) {
+  const participant = meeting.participants.find(p => p.id === participantId);
+  if (!participant) return false;
+  
+  // Another host or co-host may already have handled this request
+  if (participant.isApproved) {
+    console.log(`⚠️ Participant ${participant.name} was already approved in meeting ${meetingId}`);
+    return false;
+  }
+  
+  if (approved) {
+    admitParticipant(approverSocket, meetingId, meeting, participant, 'You have been approved to join the meeting');
+  } else {
+    // Reject participant
+    meeting.participants = meeting.participants.filter(p => p.id !== participantId);
+    endParticipantSession(participantId);
+    
+    // Remove from pending approvals
+    if (meeting.pendingApprovals) {
+      meeting.pendingApprovals = meeting.pendingApprovals.filter(p => p.id !== participantId);
+    }
+    
+    // Notify participant they're rejected
+    io.to(participantId).emit('participant-rejected', { 
+      message: 'Your request to join the meeting was rejected'
+    });
+    
+    // Remove from meeting room
+    io.to(participantId).emit('leave-meeting', { meetingId });
+    
+    console.log(`Participant ${participant.name} rejected from meeting ${meetingId}`);
+  }
+  
+  // Let every host and co-host drop the request from their pending list
+  emitToPermitted(meeting, 'approve_participants', 'approval-resolved', {
+    meetingId,
+    participantId,
+    approved,
+    resolvedBy: approverSocket.id
+  });
+  return true;
+}
 
-// Store transcript data for AI analysis
-const transcriptData = new Map();
+/**
+ * Build the roster view for approvers: each member with whether they are
+ * in the meeting, waiting in the lobby or not here yet
+ */
+function getMeetingRosterView(meeting) {
+  const roster = rosterManager.getRosterForMeeting(meeting);
+  if (!roster) {
+    return { source: null, members: [] };
+  }
+  
+  const members = roster.members.map(member => {
+    const joined = meeting.participants.filter(p => p.rosterMemberId === member.id);
+    const admitted = joined.find(p => p.isApproved);
+    const waiting = joined.find(p => !p.isApproved);
+    return {
+      ...member,
+      status: admitted ? 'present' : waiting ? 'waiting' : 'absent',
+      participantId: (admitted || waiting)?.id || null
+    };
+  });
+  
+  return {
+    source: { type: roster.type, targetId: roster.targetId },
+    members
+  };
+}
 
-// Performance monitoring data
-const performanceData = {
-  llmService: null,
-  sentimentAnalysis: {
-    activeParticipants: 0,
-    analysisInterval: 3000,
-    totalAnalyses: 0,
-    successfulAnalyses: 0
-  },
-  fatigueDetection: {
-    currentFatigueLevel: 0,
-    alertsGenerated: 0,
-    activeMeetings: 0
-  },
-  systemResources: {
-    memoryUsage: 'N/A',
-    cpuUsage: 'N/A'
-  },
-  overallStatus: 'good'
-};
+/**
+ * Collections included in live state snapshots
+ */
+function captureLiveState() {
+  return {
+    activeMeetings,
+    highlightData,
+    transcriptData,
+    sentimentData,
+    fatigueData,
+    chatHistory,
+    participantSessions,
+    hostReclaimTokens,
+    attendanceData,
+    handRaiseData,
+    pollData
+  };
+}
 
 /**
- * Update performance data
+ * Replay a live state snapshot into the (empty) live state maps
  */
-function updatePerformanceData() {
-  // Update LLM service performance
-  performanceData.llmService = llmService.getPerformanceStats();
+function replayLiveState({ savedAt, collections }) {
+  for (const [name, target] of Object.entries(captureLiveState())) {
+    if (collections[name] instanceof Map) {
+      collections[name].forEach((value, key) => target.set(key, value));
+    }
+  }
   
-  // Update sentiment analysis data
-  performanceData.sentimentAnalysis.activeParticipants = sentimentData.size;
+  console.log(`💾 Restored live state from ${new Date(savedAt).toISOString()}:`, {
+    meetings: activeMeetings.size,
+    highlights: highlightData.size,
+    transcripts: transcriptData.size
+  });
+}
+
+/**
+ * Reconcile restored or shared state with the sockets that are actually connected.
+ * Participants whose socket is gone (this process restarted, or another instance
+ * died) become suspended sessions that the client resumes with its participant
+ * token when it reconnects.
+ */
+function suspendDisconnectedParticipants(liveSocketIds) {
+  const tokensByParticipant = new Map();
+  participantSessions.forEach((session, participantToken) => {
+    tokensByParticipant.set(session.participantId, participantToken);
+  });
   
-  // Update fatigue detection data
-  performanceData.fatigueDetection.activeMeetings = fatigueData.size;
+  activeMeetings.forEach((meeting, meetingId) => {
+    const disconnected = meeting.participants.filter(p => !liveSocketIds.has(p.id));
+    if (disconnected.length === 0) {
+      return;
+    }
+    
+    disconnected.forEach(participant => {
+      recordAttendanceLeave(meetingId, participant.id);
+      removeRaisedHand(meetingId, participant.id);
+      const participantToken = tokensByParticipant.get(participant.id);
+      if (participantToken) {
+        participantSessions.get(participantToken).snapshot = { ...participant };
+      }
+    });
+    
+    meeting.participants = meeting.participants.filter(p => liveSocketIds.has(p.id));
+    meeting.pendingApprovals = (meeting.pendingApprovals || []).filter(p => liveSocketIds.has(p.id));
+    if (!liveSocketIds.has(meeting.hostId)) {
+      meeting.hostId = null;
+      meeting.hostReservation = null;
+    }
+    
+    if (meeting.participants.length > 0) {
+      return;
+    }
+    
+    sharedState.schedule('meeting-expiry', meetingId, RESTORED_MEETING_TTL_MS, { reason: 'nobody rejoined after restart' });
+  });
   
-  // Calculate overall status
-  const llmSuccessRate = parseFloat(performanceData.llmService?.successRate || '0');
-  const sentimentSuccessRate = performanceData.sentimentAnalysis.totalAnalyses > 0 
-    ? (performanceData.sentimentAnalysis.successfulAnalyses / performanceData.sentimentAnalysis.totalAnalyses * 100)
-    : 100;
+  // Time spent restarting doesn't count against the resume window
+  participantSessions.forEach((session, participantToken) => {
+    if (!activeMeetings.has(session.meetingId) ||
+        (!session.snapshot && !liveSocketIds.has(session.participantId))) {
+      participantSessions.delete(participantToken);
+      return;
+    }
+    if (session.snapshot) {
+      startResumeWindow(participantToken, session);
+    }
+  });
   
-  if (llmSuccessRate >= 90 && sentimentSuccessRate >= 90) {
-    performanceData.overallStatus = 'excellent';
-  } else if (llmSuccessRate >= 75 && sentimentSuccessRate >= 75) {
-    performanceData.overallStatus = 'good';
-  } else if (llmSuccessRate >= 50 && sentimentSuccessRate >= 50) {
-    performanceData.overallStatus = 'fair';
-  } else {
-    performanceData.overallStatus = 'poor';
+  console.log('💾 Live state reconciled:', {
+    meetings: activeMeetings.size,
+    resumableSessions: Array.from(participantSessions.values()).filter(session => session.snapshot).length
+  });
+}
+
+/**
+ * Open the state store, replay the last snapshot and start periodic snapshots.
+ * When other instances already share live state through Redis, that state wins
+ * over this instance's last snapshot.
+ */
+async function restoreLiveState() {
+  try {
+    await stateStore.init();
+    if (activeMeetings.size === 0) {
+      const snapshot = await stateStore.load({ maxAgeMs: STATE_SNAPSHOT_MAX_AGE_MS });
+      if (snapshot) {
+        replayLiveState(snapshot);
+      }
+    }
+    
+    const liveSockets = await io.fetchSockets();
+    suspendDisconnectedParticipants(new Set(liveSockets.map(liveSocket => liveSocket.id)));
+    activeMeetings.forEach((meeting, meetingId) => sharedState.sync(meetingId));
+    
+    // Breakout countdowns don't survive a restart - re-arm them from the saved end time
+    activeMeetings.forEach((meeting, meetingId) => {
+      if (breakoutManager.isOpen(meeting) && meeting.breakout.endsAt) {
+        scheduleBreakoutClose(meetingId, new Date(meeting.breakout.endsAt).getTime() - Date.now());
+      }
+    });
+    
+    // Same for the time limit of a running poll
+    pollData.forEach((pollLog, meetingId) => {
+      const openPoll = pollLog.polls.find(poll => poll.status === 'open' && poll.endsAt);
+      if (openPoll) {
+        schedulePollClose(meetingId, openPoll.id, new Date(openPoll.endsAt).getTime() - Date.now());
+      }
+    });
+    
+    stateStore.startSnapshots(captureLiveState, STATE_SNAPSHOT_INTERVAL_MS);
+  } catch (error) {
+    console.error('❌ Live state persistence disabled:', error.message);
   }
 }
 
@@ -560,20 +1678,18 @@ function checkFatigue(meetingId) {
     const latestSentimentCounts = recentHistory[recentHistory.length - 1]?.sentimentCounts || {};
     const alertMessage = generateFatigueMessage(avgFatigue, duration, latestSentimentCounts);
     
-    // Send fatigue alert to host only
-    const hostSocketId = meeting.hostId;
-    if (hostSocketId) {
-      io.to(hostSocketId).emit('fatigue_alert', {
-        meetingId,
-        alert: alertMessage,
-        fatiguePercentage: avgFatigue,
-        duration,
-        timestamp: now
-      });
-      
-      console.log('🚨 Fatigue alert sent to host:', {
+    // Send fatigue alert to the host and co-hosts
+    const recipientCount = emitToPermitted(meeting, 'view_analytics', 'fatigue_alert', {
+      meetingId,
+      alert: alertMessage,
+      fatiguePercentage: avgFatigue,
+      duration,
+      timestamp: now
+    });
+    if (recipientCount > 0) {
+      console.log('🚨 Fatigue alert sent to host team:', {
         meetingId,
-        hostId: hostSocketId,
+        recipients: recipientCount,
         fatiguePercentage: Math.round(avgFatigue),
         duration: Math.round(duration / 1000),
         alertType: alertMessage.type
@@ -595,6 +1711,8 @@ function checkFatigue(meetingId) {
  */
 function startFatigueMonitoring() {
   setInterval(() => {
+    // Every instance sees every meeting, so only the leader checks (and alerts each host once)
+    if (!sharedState.isLeader) return;
     console.log('🧠 Fatigue monitoring check - Active meetings:', activeMeetings.size);
     activeMeetings.forEach((meeting, meetingId) => {
       console.log('🧠 Checking fatigue for meeting:', meetingId, 'participants:', meeting.participants.length);
@@ -699,9 +1817,233 @@ function testFatigueDetection(meetingId, participantCount = 1) {
   checkFatigue(meetingId);
 }
 
-// Routes
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'VideoMeet server is running' });
+// Routes
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', message: 'VideoMeet server is running' });
+});
+
+/**
+ * Extract the bearer token from a request
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Require a valid session token - sets req.user and req.token
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const token = getRequestToken(req);
+    const user = await authService.getUserFromToken(token);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    req.token = token;
+    next();
+  } catch (error) {
+    console.error('❌ Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+}
+
+/**
+ * Only the account that created a meeting can read its reports (attendance, quiz, summary),
+ * so nobody can read those of a meeting without an owner.
+ * Sends the 401/403 response and returns false when the request is not allowed.
+ */
+async function checkMeetingOwner(req, res, ownerId, message) {
+  const user = await authService.getUserFromToken(getRequestToken(req));
+  if (!user) {
+    res.status(401).json({ error: 'Authentication required' });
+    return false;
+  }
+  if (user.id !== ownerId) {
+    res.status(403).json({ error: message });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Paging and sorting for the meeting history lists: `sort` (createdAt, endedAt,
+ * duration, title), `order` (asc, desc), `limit` (up to 100) and `offset`.
+ * Without a limit the whole list is returned.
+ */
+function getHistoryPageOptions(query) {
+  const limit = parseInt(query.limit, 10);
+  return {
+    sort: query.sort,
+    order: query.order,
+    limit: Number.isNaN(limit) ? null : Math.min(Math.max(limit, 1), 100),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+  };
+}
+
+/**
+ * Convert a meeting from a browser's local meeting list (durations in minutes,
+ * times as epoch milliseconds) for import into the account's history.
+ * Returns null for entries without a usable id or start time.
+ */
+function toImportedMeeting(meeting) {
+  const id = typeof meeting?.id === 'string' ? meeting.id.trim() : '';
+  const createdAt = new Date(meeting?.createdAt || meeting?.startTime || NaN);
+  if (!MEETING_ID_PATTERN.test(id) || isNaN(createdAt.getTime())) return null;
+  
+  const endedAt = new Date(meeting.endTime || NaN);
+  const names = Array.isArray(meeting.participantList) ? meeting.participantList : [];
+  return {
+    id,
+    title: typeof meeting.title === 'string' && meeting.title.trim() ? meeting.title.trim().slice(0, 200) : `Meeting ${id}`,
+    createdAt: createdAt.toISOString(),
+    // Meetings the browser never saw end are recorded as ending when they started
+    endedAt: isNaN(endedAt.getTime()) ? createdAt.toISOString() : endedAt.toISOString(),
+    duration: Math.max(0, Number(meeting.duration) || 0) * 60 * 1000,
+    status: meeting.status === 'ongoing' ? 'ongoing' : 'completed',
+    participants: names.filter(name => typeof name === 'string').slice(0, 500)
+  };
+}
+
+/**
+ * Whether a user may read a saved meeting's transcript: the account that created
+ * it and signed-in attendees. A meeting without an owner is only open to attendees.
+ */
+function canReadMeetingHistory(user, { ownerId, userIds }) {
+  return !!user && ((!!ownerId && user.id === ownerId) || userIds.includes(user.id));
+}
+
+/**
+ * Who a saved meeting belongs to and which accounts attended it, for canReadMeetingHistory
+ */
+function getHistoryAccess(history) {
+  return {
+    ownerId: history.meeting.ownerId,
+    userIds: (history.attendance?.attendees || []).map(attendee => attendee.userId).filter(Boolean)
+  };
+}
+
+/**
+ * Load a saved meeting's recording for a request. Media elements and download
+ * links cannot send headers, so the session token may also be passed as `?token=`.
+ * Owners and attendees can read it, or only the owner with `ownerOnly`. A
+ * recording still being processed gets a 409 with its job ID.
+ * Sends the error response and returns null when the request is not allowed.
+ */
+async function getReadableRecording(req, res, { ownerOnly = false, message } = {}) {
+  const history = await meetingHistoryManager.getMeetingHistory(req.params.meetingId);
+  if (!history?.recording) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  
+  const user = await authService.getUserFromToken(getRequestToken(req) || req.query.token);
+  const access = getHistoryAccess(history);
+  if (!canReadMeetingHistory(user, ownerOnly ? { ...access, userIds: [] } : access)) {
+    res.status(user ? 403 : 401).json({ error: user ? message : 'Authentication required' });
+    return null;
+  }
+  
+  // The files are written by a media job after the meeting ends
+  if (history.recording.status === 'processing') {
+    res.status(409).json({ error: 'The recording is still being processed', jobId: history.recording.jobId });
+    return null;
+  }
+  if (!history.recording.recordingPath) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  
+  return history.recording;
+}
+
+/**
+ * Send a recording file, or a 404 when it is missing on disk
+ */
+function sendRecordingFile(res, filePath, downloadName) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  if (downloadName) {
+    res.set('Content-Disposition', `attachment; filename="${downloadName}"`);
+  }
+  res.sendFile(path.resolve(filePath));
+}
+
+/**
+ * Answer a question from the transcripts of the given meetings, citing the
+ * passages used with the time they were said and a link into the recording
+ */
+async function askMeetingTranscripts(question, meetingIds) {
+  const passages = await transcriptIndex.search(question, { meetingIds, sources: ['transcript', 'highlight'], limit: 5 });
+  const result = await llmService.answerFromTranscripts(question, passages);
+  
+  return {
+    answer: result.answer,
+    model: result.model,
+    citations: result.citations.map(index => {
+      const passage = passages[index];
+      return {
+        number: index + 1,
+        meetingId: passage.meetingId,
+        title: passage.title,
+        source: passage.source,
+        speakers: passage.speakers,
+        text: passage.text,
+        timestamp: passage.timestamp,
+        offsetSeconds: passage.offsetSeconds,
+        link: passage.hasRecording && passage.offsetSeconds !== null
+          ? `/api/meetings/${encodeURIComponent(passage.meetingId)}/recording#t=${passage.offsetSeconds}`
+          : null
+      };
+    })
+  };
+}
+
+// Auth API Endpoints
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body || {};
+    const { user, token } = await authService.register({ email, password, name });
+    res.status(201).json({ user, token });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register user' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const { user, token } = await authService.login({ email, password });
+    res.json({ user, token });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await authService.logout(req.token);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('❌ Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
 });
 
 // Test endpoint for fatigue detection
@@ -931,16 +2273,51 @@ app.post('/api/test-socket/:meetingId', (req, res) => {
   }
 });
 
-app.post('/api/meetings', (req, res) => {
-  const { hostName } = req.body;
-  const meetingId = uuidv4().substring(0, 8).toUpperCase();
+// How a meeting normally gets an owner, apart from a scheduled class and the first
+// signed-in account to join one nobody owns (see join-meeting). A host may pick the
+// code: a meeting a guest opened under it by joining is claimed, one owned by another
+// account or a scheduled class is refused.
+app.post('/api/meetings', requireAuth, (req, res) => {
+  const { hostName, meetingId: requestedId, title } = req.body || {};
+  if (requestedId !== undefined && (typeof requestedId !== 'string' || !MEETING_ID_PATTERN.test(requestedId))) {
+    return res.status(400).json({ error: 'Meeting codes are letters, digits, - and _ (at most 100)' });
+  }
+  
+  const meetingId = requestedId || uuidv4().substring(0, 8).toUpperCase();
+  const scheduledSession = requestedId ? classScheduler.findSession(meetingId) : null;
+  const existing = activeMeetings.get(meetingId);
+  if ((scheduledSession && scheduledSession.ownerId !== req.user.id) ||
+      (existing?.ownerId && existing.ownerId !== req.user.id)) {
+    return res.status(409).json({ error: 'This meeting code is already in use' });
+  }
+  
+  if (existing) {
+    if (!existing.ownerId) {
+      existing.ownerId = req.user.id;
+      existing.hostUserId = req.user.id;
+      existing.title = typeof title === 'string' && title.trim() ? title.trim() : existing.title;
+      activeMeetings.set(meetingId, existing);
+      console.log(`🔐 Meeting ${meetingId} claimed by account ${req.user.id}`);
+    }
+    return res.json({ meetingId, message: 'Meeting created successfully', meeting: existing });
+  }
   
   activeMeetings.set(meetingId, {
     id: meetingId,
-    host: hostName,
+    title: scheduledSession?.title || (typeof title === 'string' && title.trim() ? title.trim() : `Meeting ${meetingId}`),
+    ownerId: req.user.id,
+    hostUserId: req.user.id,
+    hostReservation: null,
+    host: hostName || req.user.name,
     participants: [],
+    pendingApprovals: [],
     createdAt: new Date(),
-    status: 'waiting'
+    status: 'waiting',
+    schedule: scheduledSession ? {
+      classId: scheduledSession.classId,
+      startTime: scheduledSession.startTime,
+      endTime: scheduledSession.endTime
+    } : null
   });
   
   res.json({ 
@@ -950,19 +2327,212 @@ app.post('/api/meetings', (req, res) => {
   });
 });
 
-app.get('/api/meetings/:meetingId', (req, res) => {
-  const { meetingId } = req.params;
-  const meeting = activeMeetings.get(meetingId);
+/**
+ * What anyone may know about a meeting before joining it. Everyone but the host
+ * waits to be admitted, unless their account is on the roster.
+ */
+function toPublicMeeting(meeting, user) {
+  const admittedDirectly = !!user && (meeting.hostUserId === user.id ||
+    rosterManager.matchMember(meeting, user, user.name)?.match === 'account');
+  return {
+    id: meeting.id,
+    title: meeting.title,
+    status: meeting.status,
+    schedule: meeting.schedule || null,
+    requiresApproval: !admittedDirectly
+  };
+}
+
+// Who is in a meeting is only shown to its owner, everyone else gets the public details
+app.get('/api/meetings/:meetingId', async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const meeting = activeMeetings.get(meetingId);
+    
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+    
+    const user = await authService.getUserFromToken(getRequestToken(req));
+    if (user && (user.id === meeting.ownerId || authService.isAdmin(user))) {
+      return res.json({ meeting });
+    }
+    res.json({ meeting: toPublicMeeting(meeting, user) });
+  } catch (error) {
+    console.error('❌ Error getting meeting:', error);
+    res.status(500).json({ error: 'Failed to get meeting' });
+  }
+});
+
+// Class Schedule API Endpoints
+app.get('/api/classes', requireAuth, async (req, res) => {
+  try {
+    const classes = await classScheduler.getClassesForOwner(req.user.id);
+    res.json({ classes });
+  } catch (error) {
+    console.error('❌ Error getting classes:', error);
+    res.status(500).json({ error: 'Failed to get classes' });
+  }
+});
+
+app.post('/api/classes', requireAuth, async (req, res) => {
+  try {
+    const scheduledClass = await classScheduler.createClass(req.user, req.body);
+    res.status(201).json({ class: scheduledClass });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error scheduling class:', error);
+    res.status(500).json({ error: 'Failed to schedule class' });
+  }
+});
+
+app.patch('/api/classes/:classId', requireAuth, async (req, res) => {
+  try {
+    const scheduledClass = await classScheduler.updateClass(req.params.classId, req.user.id, req.body);
+    res.json({ class: scheduledClass });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error updating class:', error);
+    res.status(500).json({ error: 'Failed to update class' });
+  }
+});
+
+app.delete('/api/classes/:classId', requireAuth, async (req, res) => {
+  try {
+    await classScheduler.deleteClass(req.params.classId, req.user.id);
+    await rosterManager.deleteRoster('class', req.params.classId);
+    res.json({ message: 'Class deleted successfully' });
+  } catch (error) {
+    if (error instanceof ScheduleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error deleting class:', error);
+    res.status(500).json({ error: 'Failed to delete class' });
+  }
+});
+
+app.get('/api/calendar/upcoming', requireAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+    const sessions = await classScheduler.getUpcomingSessions(req.user.id, { days });
+    res.json({ sessions });
+  } catch (error) {
+    console.error('❌ Error getting upcoming sessions:', error);
+    res.status(500).json({ error: 'Failed to get upcoming sessions' });
+  }
+});
+
+app.get('/api/calendar/sessions/:meetingCode', (req, res) => {
+  const session = classScheduler.findSession(req.params.meetingCode);
   
-  if (!meeting) {
-    return res.status(404).json({ error: 'Meeting not found' });
+  if (!session) {
+    return res.status(404).json({ error: 'Scheduled session not found' });
+  }
+  
+  res.json({ session, lobbyOpen: classScheduler.isLobbyOpen(session) });
+});
+
+app.get('/api/calendar/sessions/:meetingCode/ics', (req, res) => {
+  const session = classScheduler.findSession(req.params.meetingCode);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Scheduled session not found' });
+  }
+  
+  // Link back to the lobby of the frontend that asked for the file
+  const origin = req.get('origin');
+  const joinUrl = origin ? `${origin}/lobby/${session.meetingCode}` : null;
+  
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${session.meetingCode}.ics"`);
+  res.send(classScheduler.toICS(session, { joinUrl }));
+});
+
+// Roster API Endpoints - rosters attach to a class or to a live meeting code
+const ROSTER_TARGETS = { classes: 'class', meetings: 'meeting' };
+
+/**
+ * Resolve the roster a request refers to and check the user owns its class or meeting
+ * @returns {Promise<Object>} { type, targetId }
+ */
+async function getOwnedRosterTarget(req) {
+  const type = ROSTER_TARGETS[req.params.targetType];
+  const { targetId } = req.params;
+  
+  if (type === 'class') {
+    await classScheduler.getOwnedClass(targetId, req.user.id);
+  } else {
+    const meeting = activeMeetings.get(targetId);
+    if (!meeting) {
+      throw new RosterError('Meeting not found', 404);
+    }
+    if (meeting.ownerId !== req.user.id) {
+      throw new RosterError('Only the meeting owner can manage its roster', 403);
+    }
   }
   
-  res.json({ meeting });
+  return { type, targetId };
+}
+
+/**
+ * Send the response for a failed roster request
+ */
+function sendRosterError(res, error, action) {
+  if (error instanceof RosterError || error instanceof ScheduleError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+app.get('/api/:targetType(classes|meetings)/:targetId/roster', requireAuth, async (req, res) => {
+  try {
+    const { type, targetId } = await getOwnedRosterTarget(req);
+    const roster = await rosterManager.getRoster(type, targetId);
+    res.json({ roster: roster || { type, targetId, members: [] } });
+  } catch (error) {
+    sendRosterError(res, error, 'getting roster');
+  }
+});
+
+// Replace the whole roster with { members } and/or { csv }
+app.put('/api/:targetType(classes|meetings)/:targetId/roster', requireAuth, async (req, res) => {
+  try {
+    const { type, targetId } = await getOwnedRosterTarget(req);
+    const roster = await rosterManager.saveMembers(type, targetId, req.user.id, req.body, { replace: true });
+    res.json({ roster });
+  } catch (error) {
+    sendRosterError(res, error, 'saving roster');
+  }
+});
+
+// Add members to the roster, updating entries with the same email
+app.post('/api/:targetType(classes|meetings)/:targetId/roster/members', requireAuth, async (req, res) => {
+  try {
+    const { type, targetId } = await getOwnedRosterTarget(req);
+    const roster = await rosterManager.saveMembers(type, targetId, req.user.id, req.body);
+    res.json({ roster });
+  } catch (error) {
+    sendRosterError(res, error, 'adding roster members');
+  }
+});
+
+app.delete('/api/:targetType(classes|meetings)/:targetId/roster/members/:memberId', requireAuth, async (req, res) => {
+  try {
+    const { type, targetId } = await getOwnedRosterTarget(req);
+    const roster = await rosterManager.removeMember(type, targetId, req.params.memberId);
+    res.json({ roster });
+  } catch (error) {
+    sendRosterError(res, error, 'removing roster member');
+  }
 });
 
 // Meeting History API Endpoints
-app.get('/api/meetings/:meetingId/history', async (req, res) => {
+app.get('/api/meetings/:meetingId/history', requireAuth, async (req, res) => {
   try {
     const { meetingId } = req.params;
     const history = await meetingHistoryManager.getMeetingHistory(meetingId);
@@ -970,6 +2540,9 @@ app.get('/api/meetings/:meetingId/history', async (req, res) => {
     if (!history) {
       return res.status(404).json({ error: 'Meeting history not found' });
     }
+    if (!canReadMeetingHistory(req.user, getHistoryAccess(history)) && !authService.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only the owner and attendees can read this meeting' });
+    }
     
     res.json({ meetingHistory: history });
   } catch (error) {
@@ -978,13 +2551,324 @@ app.get('/api/meetings/:meetingId/history', async (req, res) => {
   }
 });
 
-app.get('/api/meetings/history/all', async (req, res) => {
+// Attendance for a live or ended meeting, as JSON (default) or CSV (?format=csv).
+// Meetings created by an account are only visible to that account.
+app.get('/api/meetings/:meetingId/attendance', async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const meeting = activeMeetings.get(meetingId);
+    
+    // Live meetings report on the fly; ended meetings come from history
+    let report = null;
+    let ownerId = null;
+    if (meeting && meeting.status !== 'completed') {
+      report = buildAttendanceReport(meetingId, meeting);
+      ownerId = meeting.ownerId;
+    } else {
+      const history = await meetingHistoryManager.getMeetingHistory(meetingId);
+      if (history?.attendance) {
+        report = history.attendance;
+        ownerId = history.meeting.ownerId;
+      } else if (meeting) {
+        report = buildAttendanceReport(meetingId, meeting);
+        ownerId = meeting.ownerId;
+      }
+    }
+    
+    if (!report) {
+      return res.status(404).json({ error: 'Attendance not found for this meeting' });
+    }
+    
+    if (!(await checkMeetingOwner(req, res, ownerId, 'Only the meeting owner can see its attendance'))) return;
+    
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="attendance_${meetingId}.csv"`);
+      return res.send(attendanceTracker.toCSV(report));
+    }
+    
+    res.json({ attendance: report });
+  } catch (error) {
+    console.error('❌ Error getting attendance:', error);
+    res.status(500).json({ error: 'Failed to get attendance' });
+  }
+});
+
+// Quiz questions written from a meeting's transcript, as JSON (default) or CSV (?format=csv).
+// Ended meetings use their whole saved transcript, so a quiz can be exported after class.
+app.get('/api/meetings/:meetingId/quiz', async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const { count, difficulty } = req.query;
+    const meeting = activeMeetings.get(meetingId);
+    
+    let transcript = null;
+    let ownerId = null;
+    if (meeting && meeting.status !== 'completed') {
+      transcript = getLectureTranscript(meetingId, 24 * 60);
+      ownerId = meeting.ownerId;
+    } else {
+      const history = await meetingHistoryManager.getMeetingHistory(meetingId);
+      if (history) {
+        transcript = history.transcript?.fullTranscript || '';
+        ownerId = history.meeting.ownerId;
+      }
+    }
+    
+    if (transcript === null) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+    
+    if (!(await checkMeetingOwner(req, res, ownerId, 'Only the meeting owner can export its quiz'))) return;
+    
+    const quiz = await llmService.generateQuizFromTranscript(meetingId, { count, difficulty, transcript });
+    if (quiz.items.length === 0) {
+      return res.status(422).json({ error: 'This meeting does not have enough transcript to write quiz questions' });
+    }
+    
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="quiz_${meetingId}.csv"`);
+      return res.send(llmService.quizToCSV(quiz.items));
+    }
+    
+    res.json({ quiz });
+  } catch (error) {
+    console.error('❌ Error generating quiz:', error);
+    res.status(500).json({ error: 'Failed to generate quiz' });
+  }
+});
+
+// Post-meeting summary (TL;DR, key concepts, decisions, action items, open questions)
+app.get('/api/meetings/:meetingId/summary', async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const history = await meetingHistoryManager.getMeetingHistory(meetingId);
+    
+    if (!history) {
+      return res.status(404).json({ error: 'Meeting history not found' });
+    }
+    if (!(await checkMeetingOwner(req, res, history.meeting.ownerId, 'Only the meeting owner can see its summary'))) return;
+    
+    res.json({ summary: history.summary || null });
+  } catch (error) {
+    console.error('❌ Error getting meeting summary:', error);
+    res.status(500).json({ error: 'Failed to get meeting summary' });
+  }
+});
+
+// Ask the lecture - answer a question from every saved meeting the user can read
+app.post('/api/meetings/ask', async (req, res) => {
+  try {
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+    if (!question || question.length > 500) {
+      return res.status(400).json({ error: 'Ask a question of up to 500 characters' });
+    }
+    
+    const user = await authService.getUserFromToken(getRequestToken(req));
+    const meetingIds = (await transcriptIndex.listMeetings())
+      .filter(meeting => canReadMeetingHistory(user, meeting))
+      .map(meeting => meeting.meetingId);
+    
+    res.json(await askMeetingTranscripts(question, meetingIds));
+  } catch (error) {
+    console.error('❌ Error answering question:', error);
+    res.status(500).json({ error: 'Failed to answer question' });
+  }
+});
+
+// Ask the lecture - answer a question from one saved meeting
+app.post('/api/meetings/:meetingId/ask', async (req, res) => {
+  try {
+    const { meetingId } = req.params;
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+    if (!question || question.length > 500) {
+      return res.status(400).json({ error: 'Ask a question of up to 500 characters' });
+    }
+    
+    const meeting = (await transcriptIndex.listMeetings()).find(m => m.meetingId === meetingId);
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting history not found' });
+    }
+    
+    const user = await authService.getUserFromToken(getRequestToken(req));
+    if (!canReadMeetingHistory(user, meeting)) {
+      return res.status(user ? 403 : 401).json({ error: user ? 'Only the owner and attendees can ask about this meeting' : 'Authentication required' });
+    }
+    
+    res.json(await askMeetingTranscripts(question, [meetingId]));
+  } catch (error) {
+    console.error('❌ Error answering question:', error);
+    res.status(500).json({ error: 'Failed to answer question' });
+  }
+});
+
+// Meeting recording, for citation links (`#t=` seconds). Media elements cannot
+// send headers, so the session token may also be passed as `?token=`.
+app.get('/api/meetings/:meetingId/recording', async (req, res) => {
+  try {
+    const recording = await getReadableRecording(req, res, { message: 'Only the owner and attendees can watch this recording' });
+    if (!recording) return;
+    
+    sendRecordingFile(res, recording.recordingPath);
+  } catch (error) {
+    console.error('❌ Error sending recording:', error);
+    res.status(500).json({ error: 'Failed to send recording' });
+  }
+});
+
+// The recording as a video that cuts to whoever is speaking
+app.get('/api/meetings/:meetingId/recording/speaker', async (req, res) => {
+  try {
+    const recording = await getReadableRecording(req, res, { message: 'Only the owner and attendees can watch this recording' });
+    if (!recording) return;
+    
+    sendRecordingFile(res, recording.compositePath);
+  } catch (error) {
+    console.error('❌ Error sending active-speaker recording:', error);
+    res.status(500).json({ error: 'Failed to send recording' });
+  }
+});
+
+// Each participant's own recording, for the meeting owner, with the pauses and who agreed
+// to be recorded. Offsets and durations are in ms from the start of the recording.
+app.get('/api/meetings/:meetingId/recording/tracks', async (req, res) => {
+  try {
+    const recording = await getReadableRecording(req, res, { ownerOnly: true, message: 'Only the meeting owner can download participant tracks' });
+    if (!recording) return;
+    
+    const base = `/api/meetings/${encodeURIComponent(req.params.meetingId)}/recording`;
+    res.json({
+      recording: base,
+      speaker: recording.compositePath ? `${base}/speaker` : null,
+      tracks: (recording.participantTracks || []).map(({ path: trackPath, ...track }) => ({
+        ...track,
+        link: `${base}/tracks/${encodeURIComponent(track.participantId)}`
+      })),
+      pauses: recording.pauses || [],
+      consent: recording.consent || null
+    });
+  } catch (error) {
+    console.error('❌ Error listing recording tracks:', error);
+    res.status(500).json({ error: 'Failed to list recording tracks' });
+  }
+});
+
+app.get('/api/meetings/:meetingId/recording/tracks/:participantId', async (req, res) => {
+  try {
+    const recording = await getReadableRecording(req, res, { ownerOnly: true, message: 'Only the meeting owner can download participant tracks' });
+    if (!recording) return;
+    
+    const track = (recording.participantTracks || []).find(candidate => candidate.participantId === req.params.participantId);
+    if (!track) {
+      return res.status(404).json({ error: 'Track not found' });
+    }
+    
+    const name = `${req.params.meetingId}_${track.participantName}`.replace(/[^\w-]+/g, '_');
+    sendRecordingFile(res, track.path, `${name}${path.extname(track.path)}`);
+  } catch (error) {
+    console.error('❌ Error sending recording track:', error);
+    res.status(500).json({ error: 'Failed to send recording track' });
+  }
+});
+
+// Media jobs (see mediaJobQueue). The meeting owner can follow a job,
+// administrators (ADMIN_EMAILS) can list and cancel any of them.
+app.get('/api/jobs', requireAuth, (req, res) => {
+  if (!authService.isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only administrators can list media jobs' });
+  }
+  
+  res.json({ jobs: mediaJobQueue.listJobs({ status: req.query.status, meetingId: req.query.meetingId }) });
+});
+
+app.get('/api/jobs/:jobId', requireAuth, (req, res) => {
+  const job = mediaJobQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.ownerId !== req.user.id && !authService.isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only the meeting owner can follow this job' });
+  }
+  
+  res.json({ job });
+});
+
+app.post('/api/jobs/:jobId/cancel', requireAuth, async (req, res) => {
+  try {
+    if (!authService.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only administrators can cancel media jobs' });
+    }
+    
+    res.json({ job: await mediaJobQueue.cancel(req.params.jobId, req.user.id) });
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Error cancelling media job:', error);
+    res.status(500).json({ error: 'Failed to cancel media job' });
+  }
+});
+
+// Every saved meeting - administrators (ADMIN_EMAILS) only
+app.get('/api/meetings/history/all', requireAuth, async (req, res) => {
+  try {
+    if (!authService.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only administrators can list every saved meeting' });
+    }
+    
+    const page = await meetingHistoryManager.listMeetingHistories(getHistoryPageOptions(req.query));
+    const histories = await Promise.all(page.meetings.map(meeting => meetingHistoryManager.getMeetingHistory(meeting.id)));
+    const { meetings, ...paging } = page;
+    res.json({ meetingHistories: histories.filter(Boolean), ...paging });
+  } catch (error) {
+    console.error('❌ Error getting all meeting histories:', error);
+    res.status(500).json({ error: 'Failed to get meeting histories' });
+  }
+});
+
+// Meetings the signed-in account hosted or attended, with paging, sorting and
+// `status` / `role` (host, attendee) filters
+app.get('/api/meetings/history/mine', requireAuth, async (req, res) => {
+  try {
+    const page = await meetingHistoryManager.listMeetingHistories({
+      ...getHistoryPageOptions(req.query),
+      userId: req.user.id,
+      role: req.query.role,
+      status: req.query.status
+    });
+    
+    res.json({
+      ...page,
+      meetings: page.meetings.map(({ ownerId, userIds, ...meeting }) => ({
+        ...meeting,
+        role: ownerId === req.user.id ? 'host' : 'attendee'
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error getting meeting history:', error);
+    res.status(500).json({ error: 'Failed to get meeting history' });
+  }
+});
+
+// One-time import of the meeting list a browser kept before history moved to the server
+app.post('/api/meetings/history/import', requireAuth, async (req, res) => {
   try {
-    const histories = await meetingHistoryManager.getAllMeetingHistories();
-    res.json({ meetingHistories: histories });
+    const { meetings } = req.body;
+    if (!Array.isArray(meetings) || meetings.length > 500) {
+      return res.status(400).json({ error: 'meetings must be a list of up to 500 meetings' });
+    }
+    
+    const valid = meetings.map(toImportedMeeting).filter(Boolean);
+    const result = await meetingHistoryManager.importMeetings(valid, req.user);
+    for (const meetingId of result.imported) {
+      transcriptIndex.indexMeeting(await meetingHistoryManager.getMeetingHistory(meetingId));
+    }
+    
+    res.json({ ...result, invalid: meetings.length - valid.length });
   } catch (error) {
-    console.error('❌ Error getting all meeting histories:', error);
-    res.status(500).json({ error: 'Failed to get meeting histories' });
+    console.error('❌ Error importing meeting history:', error);
+    res.status(500).json({ error: 'Failed to import meeting history' });
   }
 });
 
@@ -998,6 +2882,46 @@ app.get('/api/meetings/history/statistics', async (req, res) => {
   }
 });
 
+// Search saved meetings the user can read: titles, transcripts, chat and highlight
+// descriptions, narrowed by date, host, participant, highlight type and recording
+app.get('/api/meetings/history/search', async (req, res) => {
+  try {
+    const { q = '', from, to, host, participant, highlightType, hasRecording } = req.query;
+    if (String(q).length > 200) {
+      return res.status(400).json({ error: 'Search for up to 200 characters' });
+    }
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+
+    const user = await authService.getUserFromToken(getRequestToken(req));
+    const meetingIds = (await transcriptIndex.listMeetings())
+      .filter(meeting => canReadMeetingHistory(user, meeting))
+      .map(meeting => meeting.meetingId);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await transcriptIndex.searchHistory(String(q), {
+      filters: {
+        from,
+        to,
+        host,
+        participant,
+        highlightType,
+        hasRecording: hasRecording === undefined || hasRecording === '' ? null : hasRecording === 'true'
+      },
+      meetingIds,
+      limit,
+      offset
+    });
+
+    res.json({ query: String(q), limit, offset, ...result });
+  } catch (error) {
+    console.error('❌ Error searching meeting history:', error);
+    res.status(500).json({ error: 'Failed to search meeting history' });
+  }
+});
+
 // API endpoint to check AI status
 app.get('/api/ai/status', async (req, res) => {
   try {
@@ -1017,17 +2941,25 @@ app.get('/api/ai/status', async (req, res) => {
   }
 });
 
-app.delete('/api/meetings/:meetingId/history', async (req, res) => {
+// Only the meeting owner (or an administrator) can delete a saved meeting
+app.delete('/api/meetings/:meetingId/history', requireAuth, async (req, res) => {
   try {
     const { meetingId } = req.params;
+    const history = await meetingHistoryManager.getMeetingHistory(meetingId);
+    if (!history) {
+      return res.status(404).json({ error: 'Meeting history not found' });
+    }
+    if (history.meeting.ownerId !== req.user.id && !authService.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only the meeting owner can delete this meeting' });
+    }
+    
     const success = await meetingHistoryManager.deleteMeetingHistory(meetingId);
     
     if (!success) {
       return res.status(404).json({ error: 'Meeting history not found' });
     }
     
-    // Also remove from active meetings index
-    await meetingHistoryManager.removeFromActiveMeetings(meetingId);
+    transcriptIndex.removeMeeting(meetingId);
     
     res.json({ message: 'Meeting history deleted successfully' });
   } catch (error) {
@@ -1036,10 +2968,18 @@ app.delete('/api/meetings/:meetingId/history', async (req, res) => {
   }
 });
 
-app.post('/api/meetings/history/cleanup', async (req, res) => {
+// Cleanup spans every account's meetings - administrators only
+app.post('/api/meetings/history/cleanup', requireAuth, async (req, res) => {
   try {
+    if (!authService.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Only administrators can clean up meeting history' });
+    }
+    
     const { daysToKeep = 30 } = req.body;
     const deletedCount = await meetingHistoryManager.cleanupOldHistories(daysToKeep);
+    if (deletedCount > 0) {
+      transcriptIndex.reset();
+    }
     
     res.json({ 
       message: `Cleanup completed: ${deletedCount} old meeting histories deleted`,
@@ -1088,10 +3028,46 @@ app.get('/api/meetings/persistent/statistics', async (req, res) => {
   }
 });
 
+// Socket.IO handshake authentication
+// Sockets may connect as guests (no token), but a token that is present must be valid
+io.use(async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    socket.data.user = null;
+
+    if (!token) {
+      return next();
+    }
+
+    const user = await authService.getUserFromToken(token);
+    if (!user) {
+      console.log('🔐 Rejected socket with invalid session token:', socket.id);
+      return next(new Error('Invalid or expired session token'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Socket authentication failed:', error);
+    next(new Error('Authentication failed'));
+  }
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
   
+  // Enforce role permissions before any privileged event reaches its handler
+  socket.use(permissionManager.createSocketGuard(socket, (meetingId) => activeMeetings.get(meetingId)));
+  
+  // Share the meeting changes an event made with the other instances once its handler has run
+  socket.use(([event, payload], next) => {
+    next();
+    if (payload?.meetingId) {
+      setImmediate(() => sharedState.sync(payload.meetingId));
+    }
+  });
+  
   // Handle ping for connection testing
   socket.on('ping', (data) => {
     console.log('Ping received from:', socket.id, data);
@@ -1099,12 +3075,12 @@ io.on('connection', (socket) => {
   });
 
   // Join meeting room
-  socket.on('join-meeting', ({ meetingId, userName, meetingTitle, isHost }) => {
+  socket.on('join-meeting', ({ meetingId, userName, meetingTitle, reclaimToken, resumeToken }) => {
+    const user = socket.data.user;
     console.log(`👤 ${userName} (${socket.id}) joining meeting ${meetingId}`);
-    console.log(`🔍 Join data:`, { meetingId, userName, meetingTitle, isHost });
+    console.log(`🔍 Join data:`, { meetingId, userName, meetingTitle, userId: user?.id || null });
     console.log('🔍 userName type:', typeof userName, 'length:', userName?.length);
     console.log('🔍 meetingTitle type:', typeof meetingTitle, 'value:', meetingTitle);
-    console.log('🔍 isHost type:', typeof isHost, 'value:', isHost);
     console.log('🔍 Current meeting state before join:', {
       meetingExists: !!activeMeetings.get(meetingId),
       hostId: activeMeetings.get(meetingId)?.hostId,
@@ -1117,9 +3093,47 @@ io.on('connection', (socket) => {
       console.log('⚠️ Empty userName detected, using default name');
       userName = 'Guest';
     }
+    
+    // Scheduled classes only open shortly before they start, unless the class owner
+    // allows early joins. The owner can always open the room.
+    const scheduledSession = classScheduler.findSession(meetingId);
+    if (scheduledSession && scheduledSession.ownerId !== user?.id && !classScheduler.isLobbyOpen(scheduledSession)) {
+      console.log(`⏰ ${userName} tried to join scheduled class ${meetingId} before it opens`);
+      socket.emit('meeting-not-started', {
+        meetingId,
+        title: scheduledSession.title,
+        startTime: scheduledSession.startTime,
+        opensAt: scheduledSession.opensAt
+      });
+      return;
+    }
 
     let meeting = activeMeetings.get(meetingId);
     
+    // Resume a previous session for this participant (dropped connection, page reload
+    // or the lobby handing over to the meeting room)
+    const resumedSession = meeting ? getResumableSession(resumeToken, meetingId, user) : null;
+    let previousParticipant = null;
+    if (resumedSession && resumedSession.participantId !== socket.id) {
+      const liveParticipant = meeting.participants.find(p => p.id === resumedSession.participantId);
+      previousParticipant = liveParticipant ? { ...liveParticipant } : resumedSession.snapshot;
+      
+      // The old socket may still be connected - hand the session over to this one
+      if (liveParticipant) {
+        meeting.participants = meeting.participants.filter(p => p.id !== liveParticipant.id);
+        io.in(liveParticipant.id).socketsLeave(meetingId);
+        io.to(liveParticipant.id).emit('session-replaced', { meetingId });
+      }
+      
+      if (previousParticipant) {
+        meeting.pendingApprovals = (meeting.pendingApprovals || []).filter(p => p.id !== previousParticipant.id);
+        userName = getBaseParticipantName(previousParticipant.name);
+        attachParticipantSession(resumeToken, socket.id);
+      } else {
+        participantSessions.delete(resumeToken);
+      }
+    }
+    
     // Check if participant already exists in this meeting (by socket ID)
     if (meeting) {
       const existingParticipant = meeting.participants.find(p => p.id === socket.id);
@@ -1149,7 +3163,7 @@ io.on('connection', (socket) => {
       
       // Check if same user name already exists (for multi-tab scenarios)
       const existingUser = meeting.participants.find(p => p.name === userName && p.id !== socket.id);
-      if (existingUser) {
+      if (existingUser && !previousParticipant) {
         console.log(`⚠️ User ${userName} already exists in meeting ${meetingId} with different socket ID`);
         console.log(`⚠️ Existing: ${existingUser.id}, New: ${socket.id}`);
         
@@ -1169,58 +3183,119 @@ io.on('connection', (socket) => {
       
       meeting = {
         id: meetingId,
-        title: finalTitle, // Use provided title or default
+        title: scheduledSession?.title || finalTitle, // Use provided title or default
+        // Only a scheduled class has an owner when it is opened by joining, others get
+        // theirs from POST /api/meetings or the first signed-in account to join (see below)
+        ownerId: scheduledSession?.ownerId || null, // Account that created the meeting
+        hostUserId: scheduledSession?.ownerId || null, // Account currently holding the host seat
+        hostReservation: null, // Set while the host seat is reserved for a reconnecting host
         host: null, // Will be set later if user becomes host
         hostId: null, // Will be set later if user becomes host
         participants: [],
         createdAt: new Date(),
         status: 'active',
-        pendingApprovals: []
+        pendingApprovals: [],
+        schedule: scheduledSession ? {
+          classId: scheduledSession.classId,
+          startTime: scheduledSession.startTime,
+          endTime: scheduledSession.endTime
+        } : null
       };
       activeMeetings.set(meetingId, meeting);
     } else {
       console.log(`♻️ Using existing meeting ${meetingId} with ${meeting.participants.length} participants`);
     }
     
-    // Use the isHost parameter from frontend, with fallback logic
-    const isFirstParticipant = meeting.participants.length === 0 && !meeting.hostId;
+    // A meeting nobody owns would leave its waiting room without anyone to admit
+    // people, so the first signed-in account to join claims it like POST /api/meetings
+    if (user && !meeting.ownerId && !meeting.hostUserId) {
+      meeting.ownerId = user.id;
+      meeting.hostUserId = user.id;
+      console.log(`🔐 Meeting ${meetingId} claimed by account ${user.id} on joining`);
+    }
     
-    // Check if this user is the original host reconnecting (by username)
-    const isOriginalHostReconnecting = meeting.hostId && 
-      meeting.host && 
-      meeting.host.includes(userName) && 
-      meeting.host.includes('(Host)');
+    // Host status comes from the account holding the host seat or the reclaim token
+    // issued to the current host - never from a client-supplied flag
+    const becomesHost = (!!user && meeting.hostUserId === user.id) ||
+      (!!reclaimToken && hostReclaimTokens.get(meetingId) === reclaimToken);
     
-    // Use frontend isHost parameter, or fallback to first participant logic
-    const becomesHost = isHost === true || isFirstParticipant || isOriginalHostReconnecting;
+    console.log('🔍 Host detection:', {
+      userId: user?.id || null,
+      ownerId: meeting.ownerId,
+      hostUserId: meeting.hostUserId,
+      hostId: meeting.hostId,
+      hostReserved: !!meeting.hostReservation,
+      becomesHost,
+      participantsBeforeJoin: meeting.participants.map(p => ({ name: p.name, id: p.id, isHost: p.isHost }))
+    });
     
-    console.log('🔍 SIMPLE Host detection logic:');
-    console.log('  - isHost parameter:', isHost);
-    console.log('  - isFirstParticipant:', isFirstParticipant, '(participants.length:', meeting.participants.length, ')');
-    console.log('  - meeting.hostId:', meeting.hostId);
-    console.log('  - meeting.host:', meeting.host);
-    console.log('  - userName:', userName);
-    console.log('  - isOriginalHostReconnecting:', isOriginalHostReconnecting);
-    console.log('  - Final becomesHost:', becomesHost);
-    console.log('  - Meeting exists:', !!meeting);
-    console.log('  - Meeting participants before adding:', meeting.participants.map(p => ({ name: p.name, id: p.id, isHost: p.isHost })));
+    // A resumed host who lost the seat in the meantime stays on as a co-host
+    let restoredRole = previousParticipant?.role || ROLES.STUDENT;
+    if (restoredRole === ROLES.HOST) {
+      restoredRole = ROLES.CO_HOST;
+    }
     
     // Add participant to meeting
     const participant = {
       id: socket.id,
+      userId: user?.id || previousParticipant?.userId || null,
       name: becomesHost ? `${userName} (Host)` : userName,
-      joinedAt: new Date(),
+      joinedAt: previousParticipant?.joinedAt || new Date(),
       isHost: becomesHost,
-      isApproved: becomesHost // Host is auto-approved
+      role: becomesHost ? ROLES.HOST : restoredRole,
+      isApproved: becomesHost || !!previousParticipant?.isApproved // Host is auto-approved
     };
     
+    if (previousParticipant) {
+      participant.audioEnabled = previousParticipant.audioEnabled;
+      participant.videoEnabled = previousParticipant.videoEnabled;
+      
+      // Back into their breakout room if it is still open
+      if (breakoutManager.getRoom(meeting, previousParticipant.breakoutRoomId)) {
+        participant.breakoutRoomId = previousParticipant.breakoutRoomId;
+      }
+    }
+    
+    // Check the joiner against the class or meeting roster. Only a signed-in
+    // account match is trusted to skip the waiting room; a display name match
+    // is shown to approvers as a hint.
+    const rosterMatch = previousParticipant || becomesHost ? null : rosterManager.matchMember(meeting, user, userName);
+    if (rosterMatch) {
+      participant.rosterMemberId = rosterMatch.member.id;
+      participant.rosterMatch = rosterMatch.match;
+    } else if (previousParticipant?.rosterMemberId) {
+      participant.rosterMemberId = previousParticipant.rosterMemberId;
+      participant.rosterMatch = previousParticipant.rosterMatch;
+    }
+    
     meeting.participants.push(participant);
     
+    // Issue (or keep) the token this participant uses to resume after a drop
+    const participantToken = previousParticipant ? resumeToken : issueParticipantSession(meetingId, participant);
+    socket.emit('participant-session', { meetingId, participantToken });
+    
+    
+    // A host returning within the grace period takes the reserved seat back
+    const reclaimedHostSeat = becomesHost && !!meeting.hostReservation;
+    
+    // The host account joining again from another tab or device takes the seat,
+    // the connection it had stays on as a co-host so the meeting keeps one host
+    const previousHostId = meeting.hostId;
+    const replacedHosts = becomesHost
+      ? meeting.participants.filter(p => p.isHost && p.id !== socket.id)
+      : [];
+    replacedHosts.forEach(p => {
+      p.isHost = false;
+      p.role = ROLES.CO_HOST;
+      p.name = getBaseParticipantName(p.name);
+    });
     
     // If this user is the host, set them as host
     if (becomesHost) {
       meeting.host = `${userName} (Host)`;
       meeting.hostId = socket.id;
+      clearHostReservation(meetingId, meeting);
+      recordAttendanceJoin(meetingId, meeting, participant);
       console.log(`👑 ${userName} is now the host of meeting ${meetingId} with socket ID: ${socket.id}`);
       console.log(`👑 Host name set to: "${meeting.host}"`);
       
@@ -1255,26 +3330,58 @@ io.on('connection', (socket) => {
     }
     
     socket.join(meetingId);
+    if (participant.breakoutRoomId) {
+      socket.join(breakoutManager.socketRoom(meetingId, participant.breakoutRoomId));
+    }
+    
+    // A resumed participant who was already admitted skips the approval queue
+    if (!becomesHost && participant.isApproved) {
+      meeting.participants
+        .filter(p => p.id !== socket.id && p.isApproved)
+        .forEach(existingParticipant => {
+          socket.emit('participant-joined', { participant: existingParticipant, meeting });
+        });
+      
+      socket.emit('participant-approved', {
+        message: 'Your session has been restored',
+        meetingId,
+        hostId: meeting.hostId,
+        hostName: meeting.host
+      });
+      
+      recordAttendanceJoin(meetingId, meeting, participant);
+      completeSessionResume(socket, meetingId, participant, previousParticipant.id);
+      if (breakoutManager.isOpen(meeting)) {
+        applyBreakoutChanges(meetingId, meeting, []);
+      }
+      if (handRaiseData.has(meetingId)) {
+        broadcastHandQueue(meetingId);
+      }
+      sendOpenPoll(meetingId, participant.id);
+      sendRecordingConsentRequest(meetingId, participant);
+      return;
+    }
+    
+    // Roster members signed in with their listed account are admitted straight away
+    if (!becomesHost && rosterMatch?.match === 'account') {
+      admitParticipant(socket, meetingId, meeting, participant, 'You are on the class roster - welcome in');
+      console.log(`📋 ${userName} admitted from the roster of meeting ${meetingId}`);
+      return;
+    }
     
     // If user is not the host, add to pending approval list
     if (!becomesHost) {
       meeting.pendingApprovals = meeting.pendingApprovals || [];
       meeting.pendingApprovals.push(participant);
       
-      // Notify host about pending approval
-      console.log(`📤 Emitting pending-approval to host ${meeting.hostId} for participant ${participant.name}`);
-      
-      // Check if host is still connected
-      const hostSocket = io.sockets.sockets.get(meeting.hostId);
-      console.log(`🔍 Debug: Looking for host socket ID: ${meeting.hostId}`);
-      console.log(`🔍 Debug: Available socket IDs:`, Array.from(io.sockets.sockets.keys()));
+      // Notify host and co-hosts about pending approval
+      console.log(`📤 Emitting pending-approval to host team for participant ${participant.name}`);
       
-      if (hostSocket) {
-        hostSocket.emit('pending-approval', participant);
-        console.log(`✅ Host ${meeting.hostId} is connected, sent pending-approval`);
+      const approverCount = emitToPermitted(meeting, 'approve_participants', 'pending-approval', participant);
+      if (approverCount > 0) {
+        console.log(`✅ Sent pending-approval to ${approverCount} approver(s)`);
       } else {
-        console.log(`❌ Host ${meeting.hostId} is not connected, pending approval stored for when host reconnects`);
-        console.log(`🔍 Debug: Host socket not found in active sockets`);
+        console.log(`❌ No host or co-host connected, pending approval stored for when host reconnects`);
         console.log(`📝 Pending approval stored: ${participant.name} (${participant.id})`);
       }
       
@@ -1293,7 +3400,9 @@ io.on('connection', (socket) => {
     
     // Notify others in the meeting with updated participant list (only if there are other participants)
     console.log(`📊 Host joined - participants count: ${updatedMeeting.participants.length}`);
-    if (updatedMeeting.participants.length > 1) {
+    if (previousParticipant) {
+      console.log(`📤 Host resumed - peers will re-negotiate with the new socket`);
+    } else if (updatedMeeting.participants.length > 1) {
       console.log(`📤 Emitting participant-joined for host joining`);
       socket.to(meetingId).emit('participant-joined', { participant, meeting: updatedMeeting });
     } else {
@@ -1309,8 +3418,29 @@ io.on('connection', (socket) => {
     socket.emit('meeting-joined', { 
       meeting: meetingForClient, 
       participantId: socket.id,
-      isHost: participant.isHost
+      isHost: participant.isHost,
+      hostReclaimToken: participant.isHost ? getHostReclaimToken(meetingId) : null
     });
+    
+    if (previousParticipant) {
+      completeSessionResume(socket, meetingId, participant, previousParticipant.id);
+    }
+    
+    if (breakoutManager.isOpen(meeting)) {
+      applyBreakoutChanges(meetingId, meeting, []);
+    }
+    if (handRaiseData.has(meetingId)) {
+      broadcastHandQueue(meetingId);
+    }
+    sendRecordingConsentRequest(meetingId, participant);
+    
+    if (reclaimedHostSeat) {
+      emitHostChanged(meetingId, meeting, 'reclaimed');
+      console.log(`👑 ${userName} reclaimed the host seat of meeting ${meetingId}`);
+    } else if (replacedHosts.length > 0) {
+      emitHostChanged(meetingId, meeting, 'rejoined', previousHostId);
+      console.log(`👑 ${userName} took the host seat of meeting ${meetingId} from another connection, which stays on as a co-host`);
+    }
 
     // If this is the host, update the hostId in case they reconnected
     if (participant.isHost) {
@@ -1330,7 +3460,7 @@ io.on('connection', (socket) => {
       }
     }
     
-    console.log(`${userName} joined meeting ${meetingId}${isFirstParticipant ? ' as HOST' : ''}`);
+    console.log(`${userName} joined meeting ${meetingId}${participant.isHost ? ' as HOST' : ''}`);
     console.log(`📊 Meeting ${meetingId} now has ${meeting.participants.length} participants`);
     console.log(`👥 Participants:`, meeting.participants.map(p => ({ name: p.name, id: p.id, isHost: p.isHost })));
   });
@@ -1394,7 +3524,11 @@ io.on('connection', (socket) => {
           console.log(`📊 Meeting participants:`, meeting.participants.map(p => ({ name: p.name, id: p.id, isApproved: p.isApproved })));
           
           // Forward the event to ALL other participants (multi-participant support)
-          const otherParticipants = meeting.participants.filter(p => p.id !== participantId && p.isApproved);
+          // Peers only connect within the same breakout room (or the main session)
+          const otherParticipants = meeting.participants.filter(p =>
+            p.id !== participantId && p.isApproved &&
+            (p.breakoutRoomId || null) === (participant.breakoutRoomId || null)
+          );
           console.log(`📤 MULTI-PARTICIPANT: Participant ${participant.name} is ready, notifying ${otherParticipants.length} other participants`);
           console.log(`📤 MULTI-PARTICIPANT: Other participants:`, otherParticipants.map(p => ({ id: p.id, name: p.name })));
           
@@ -1434,12 +3568,6 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Check if the requester is the host
-    if (meeting.hostId !== socket.id) {
-      console.log(`❌ Only host can remove participants. Requester: ${socket.id}, Host: ${meeting.hostId}`);
-      return;
-    }
-    
     // Find the participant to remove
     const participantIndex = meeting.participants.findIndex(p => p.id === participantId);
     if (participantIndex === -1) {
@@ -1449,10 +3577,26 @@ io.on('connection', (socket) => {
     }
     
     const participant = meeting.participants[participantIndex];
+    
+    // Co-hosts moderate students - the host can never be removed
+    if (participant.isHost) {
+      socket.emit('permission-denied', {
+        event: 'remove-participant',
+        meetingId,
+        permission: 'remove_participants',
+        role: permissionManager.getRole(meeting, socket.id),
+        message: 'The host cannot be removed from the meeting'
+      });
+      return;
+    }
+    
     console.log(`🗑️ Removing participant: ${participant.name} (${participantId})`);
     
-    // Remove participant from meeting
+    // Remove participant from meeting - a removed participant can't resume their session
     meeting.participants.splice(participantIndex, 1);
+    endParticipantSession(participantId);
+    recordAttendanceLeave(meetingId, participantId);
+    removeRaisedHand(meetingId, participantId);
     
     // Remove from pending approvals if exists
     if (meeting.pendingApprovals) {
@@ -1464,7 +3608,8 @@ io.on('connection', (socket) => {
     socket.to(participantId).emit('participant-removed', {
       message: 'You have been removed from the meeting by the host',
       meetingId,
-      hostName: meeting.host
+      hostName: meeting.host,
+      removedBy: meeting.participants.find(p => p.id === socket.id)?.name || meeting.host
     });
     
     // Notify all remaining participants (including the host who initiated the removal)
@@ -1506,32 +3651,98 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Check if the requester is the host
-    if (meeting.hostId !== socket.id) {
-      console.log(`❌ Only host can request camera/mic access. Requester: ${socket.id}, Host: ${meeting.hostId}`);
+    // Send request to all participants except the host team, or to one participant
+    const participants = meeting.participants.filter(p => (
+      p.id !== socket.id && p.isApproved && !permissionManager.can(meeting, p.id, 'request_media') &&
+      (!data.participantId || p.id === data.participantId)
+    ));
+    console.log(`📤 Sending camera/mic request to ${participants.length} participants`);
+    
+    sendCameraMicRequest(meeting, participants, data);
+  });
+
+  // Raise-hand queue - students queue up to speak, first come first served
+  socket.on('raise-hand', ({ meetingId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    const participant = meeting?.participants.find(p => p.id === socket.id);
+    if (!participant) return;
+    
+    if (!handRaiseData.has(meetingId)) {
+      handRaiseData.set(meetingId, handRaiseQueue.createLog(meeting));
+    }
+    if (handRaiseQueue.raise(handRaiseData.get(meetingId), participant)) {
+      console.log(`✋ ${participant.name} raised their hand in meeting ${meetingId}`);
+      broadcastHandQueue(meetingId);
+    }
+  });
+
+  // Lower your own hand, or (host and co-hosts) someone else's
+  socket.on('lower-hand', ({ meetingId, participantId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    const handLog = handRaiseData.get(meetingId);
+    if (!meeting || !handLog) return;
+    
+    const targetId = participantId || socket.id;
+    if (targetId !== socket.id && !permissionManager.can(meeting, socket.id, 'manage_hands')) {
+      socket.emit('permission-denied', {
+        event: 'lower-hand',
+        meetingId,
+        permission: 'manage_hands',
+        role: permissionManager.getRole(meeting, socket.id),
+        message: 'Only the host or a co-host can lower someone else\'s hand'
+      });
       return;
     }
     
-    // Send request to all participants except host
-    const participants = meeting.participants.filter(p => p.id !== meeting.hostId && p.isApproved);
-    console.log(`📤 Sending camera/mic request to ${participants.length} participants`);
+    const lowerer = meeting.participants.find(p => p.id === socket.id);
+    const reason = targetId === socket.id ? 'lowered' : 'host';
+    if (handRaiseQueue.lower(handLog, targetId, { by: lowerer?.name || null, reason })) {
+      broadcastHandQueue(meetingId);
+    }
+  });
+
+  // Call on the student at the front of the queue, optionally asking them to turn on camera/mic
+  socket.on('hand-call-next', ({ meetingId, requestMedia }) => {
+    const meeting = activeMeetings.get(meetingId);
+    const handLog = handRaiseData.get(meetingId);
+    if (!meeting || !handLog) return;
     
-    participants.forEach(participant => {
-      socket.to(participant.id).emit('host-camera-mic-request', {
-        ...data,
-        requestId: data.timestamp,
-        hostName: meeting.host
-      });
+    const caller = meeting.participants.find(p => p.id === socket.id);
+    const entry = handRaiseQueue.callNext(handLog, caller?.name || null);
+    if (!entry) return;
+    
+    io.to(meetingId).emit('hand-called', {
+      meetingId,
+      participantId: entry.participantId,
+      name: entry.name,
+      calledBy: caller?.name || null
     });
+    broadcastHandQueue(meetingId);
+    console.log(`🎤 ${caller?.name} called on ${entry.name} in meeting ${meetingId}`);
     
-    // Set timeout to expire the request
-    setTimeout(() => {
-      participants.forEach(participant => {
-        socket.to(participant.id).emit('camera-mic-request-expired', {
-          requestId: data.timestamp
-        });
+    const student = meeting.participants.find(p => p.id === entry.participantId);
+    if (requestMedia && student) {
+      sendCameraMicRequest(meeting, [student], {
+        meetingId,
+        duration: 5 * 60,
+        requestType: 'mic',
+        message: `${caller?.name || 'The host'} called on you - please turn on your microphone to speak.`,
+        timestamp: Date.now()
       });
-    }, 30000); // 30 seconds to respond
+    }
+  });
+
+  socket.on('hand-clear-queue', ({ meetingId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    const handLog = handRaiseData.get(meetingId);
+    if (!meeting || !handLog) return;
+    
+    const clearer = meeting.participants.find(p => p.id === socket.id);
+    const cleared = handRaiseQueue.clear(handLog, clearer?.name || null);
+    if (cleared.length > 0) {
+      broadcastHandQueue(meetingId);
+      console.log(`✋ Cleared ${cleared.length} raised hand(s) in meeting ${meetingId}`);
+    }
   });
 
   // Handle media state changes (camera/audio toggle) with intelligent recording
@@ -1605,154 +3816,319 @@ io.on('connection', (socket) => {
   socket.on('camera-mic-request-approved', (data) => {
     console.log(`✅ Participant ${data.participantId} approved camera/mic request:`, data);
     
-    const meeting = activeMeetings.get(data.meetingId);
-    if (!meeting) {
-      console.log(`❌ Meeting ${data.meetingId} not found`);
+    const meeting = activeMeetings.get(data.meetingId);
+    if (!meeting) {
+      console.log(`❌ Meeting ${data.meetingId} not found`);
+      return;
+    }
+    
+    // Notify host and co-hosts about approval
+    emitToPermitted(meeting, 'request_media', 'participant-camera-mic-approved', {
+      participantId: data.participantId,
+      requestId: data.requestId,
+      streamId: data.streamId
+    });
+    
+    // Set timeout to automatically end the session
+    setTimeout(() => {
+      emitToPermitted(meeting, 'request_media', 'participant-camera-mic-session-ended', {
+        participantId: data.participantId,
+        requestId: data.requestId
+      });
+      
+      socket.to(data.participantId).emit('camera-mic-session-ended', {
+        requestId: data.requestId
+      });
+    }, data.duration * 1000); // Convert seconds to milliseconds
+  });
+
+  // Handle participant denial of camera/mic request
+  socket.on('camera-mic-request-denied', (data) => {
+    console.log(`❌ Participant ${data.participantId} denied camera/mic request:`, data);
+    
+    const meeting = activeMeetings.get(data.meetingId);
+    if (!meeting) {
+      console.log(`❌ Meeting ${data.meetingId} not found`);
+      return;
+    }
+    
+    // Notify host and co-hosts about denial
+    emitToPermitted(meeting, 'request_media', 'participant-camera-mic-denied', {
+      participantId: data.participantId,
+      requestId: data.requestId
+    });
+  });
+
+  // Handle camera/mic session ended
+  socket.on('camera-mic-session-ended', (data) => {
+    console.log(`⏰ Camera/mic session ended for participant ${data.participantId}:`, data);
+    
+    const meeting = activeMeetings.get(data.meetingId);
+    if (!meeting) {
+      console.log(`❌ Meeting ${data.meetingId} not found`);
+      return;
+    }
+    
+    // Notify host and co-hosts that session ended
+    emitToPermitted(meeting, 'request_media', 'participant-camera-mic-session-ended', {
+      participantId: data.participantId,
+      requestId: data.requestId
+    });
+  });
+
+  // Handle host approval of participants
+  socket.on('approve-participant', ({ meetingId, participantId, approved }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    resolveApproval(socket, meetingId, meeting, participantId, approved);
+  });
+
+  // Approve or reject several waiting participants at once
+  socket.on('approve-participants', ({ meetingId, participantIds, approved }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting || !Array.isArray(participantIds)) return;
+    
+    const resolved = participantIds.filter(participantId =>
+      resolveApproval(socket, meetingId, meeting, participantId, approved)
+    );
+    console.log(`${approved ? '✅' : '❌'} Bulk ${approved ? 'approved' : 'rejected'} ${resolved.length} participant(s) in meeting ${meetingId}`);
+  });
+
+  // Send approvers the roster with who is present, waiting or absent
+  socket.on('get-meeting-roster', ({ meetingId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    const { source, members } = getMeetingRosterView(meeting);
+    socket.emit('meeting-roster', {
+      meetingId,
+      source,
+      members,
+      // Waiting participants that didn't match anyone on the roster
+      unlisted: (meeting.pendingApprovals || []).filter(p => !p.rosterMemberId)
+    });
+  });
+
+  // Polls and quizzes - the host team drafts a question, runs it and can share the results
+  // `launch` starts the new poll straight away, e.g. a reviewed question generated from the transcript
+  socket.on('poll-create', ({ meetingId, question, options, correctOption, explanation, launch, durationSeconds }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    try {
+      if (!pollData.has(meetingId)) {
+        pollData.set(meetingId, pollManager.createLog(meeting));
+      }
+      const creator = meeting.participants.find(p => p.id === socket.id);
+      const poll = pollManager.createPoll(pollData.get(meetingId), { question, options, correctOption, explanation }, creator);
+      sendPollUpdate(meeting, poll);
+      console.log(`📊 ${poll.type === 'quiz' ? 'Quiz' : 'Poll'} created in meeting ${meetingId}: "${poll.question}"`);
+      if (launch) {
+        startPoll(meetingId, meeting, poll.id, durationSeconds);
+      }
+    } catch (error) {
+      sendPollError(socket, meetingId, error);
+    }
+  });
+
+  socket.on('poll-start', ({ meetingId, pollId, durationSeconds }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    try {
+      startPoll(meetingId, meeting, pollId, durationSeconds);
+    } catch (error) {
+      sendPollError(socket, meetingId, error);
+    }
+  });
+
+  socket.on('poll-answer', ({ meetingId, pollId, optionId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    const participant = meeting?.participants.find(p => p.id === socket.id);
+    if (!participant) return;
+    
+    try {
+      const poll = pollManager.answer(pollData.get(meetingId), pollId, participant, optionId);
+      socket.emit('poll-answer-received', { meetingId, pollId, optionId });
+      sendPollUpdate(meeting, poll);
+    } catch (error) {
+      sendPollError(socket, meetingId, error);
+    }
+  });
+
+  socket.on('poll-end', ({ meetingId, pollId }) => {
+    try {
+      closePoll(meetingId, pollId, 'host');
+    } catch (error) {
+      sendPollError(socket, meetingId, error);
+    }
+  });
+
+  // Show a poll's results (and the correct answer of a quiz) to the whole class
+  socket.on('poll-share-results', ({ meetingId, pollId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    try {
+      const poll = pollManager.getPoll(pollData.get(meetingId), pollId);
+      poll.resultsShared = true;
+      io.to(meetingId).emit('poll-results', { meetingId, poll: pollManager.toResults(poll) });
+      sendPollUpdate(meeting, poll);
+    } catch (error) {
+      sendPollError(socket, meetingId, error);
+    }
+  });
+
+  socket.on('get-polls', ({ meetingId }) => {
+    socket.emit('polls', {
+      meetingId,
+      polls: (pollData.get(meetingId)?.polls || []).map(poll => pollManager.toHostView(poll))
+    });
+  });
+
+  // Quiz questions drafted from the lecture transcript, for the host to review before running them
+  socket.on('quiz-generate', async ({ meetingId, count, difficulty, minutes }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    const windowMinutes = Math.min(Math.max(parseInt(minutes, 10) || 15, 1), 240);
+    const quiz = await llmService.generateQuizFromTranscript(meetingId, {
+      count,
+      difficulty,
+      transcript: getLectureTranscript(meetingId, windowMinutes)
+    });
+    
+    if (quiz.items.length === 0) {
+      socket.emit('poll-error', { meetingId, message: 'Not enough transcript yet to write quiz questions - turn on transcription and try again later' });
       return;
     }
     
-    // Notify host about approval
-    socket.to(meeting.hostId).emit('participant-camera-mic-approved', {
-      participantId: data.participantId,
-      requestId: data.requestId,
-      streamId: data.streamId
-    });
+    socket.emit('quiz-generated', { meetingId, ...quiz });
+    console.log(`📝 Generated ${quiz.items.length} quiz question(s) for meeting ${meetingId} with ${quiz.model}`);
+  });
+
+  // Breakout rooms - open rooms and assign participants manually, randomly or by roster group
+  socket.on('breakout-create', ({ meetingId, count, names, mode }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
     
-    // Set timeout to automatically end the session
-    setTimeout(() => {
-      socket.to(meeting.hostId).emit('participant-camera-mic-session-ended', {
-        participantId: data.participantId,
-        requestId: data.requestId
-      });
-      
-      socket.to(data.participantId).emit('camera-mic-session-ended', {
-        requestId: data.requestId
-      });
-    }, data.duration * 1000); // Convert seconds to milliseconds
+    try {
+      const roster = mode === 'roster' ? rosterManager.getRosterForMeeting(meeting) : null;
+      const moved = breakoutManager.createRooms(meeting, { count, names, mode, roster });
+      applyBreakoutChanges(meetingId, meeting, moved);
+      console.log(`🚪 Opened ${meeting.breakout.rooms.length} breakout room(s) in meeting ${meetingId} (${mode || 'manual'}), ${moved.length} participant(s) assigned`);
+    } catch (error) {
+      sendBreakoutError(socket, meetingId, error);
+    }
   });
 
-  // Handle participant denial of camera/mic request
-  socket.on('camera-mic-request-denied', (data) => {
-    console.log(`❌ Participant ${data.participantId} denied camera/mic request:`, data);
+  // Move a participant to another breakout room, or back to the main session (roomId null)
+  socket.on('breakout-move', ({ meetingId, participantId, roomId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
     
-    const meeting = activeMeetings.get(data.meetingId);
-    if (!meeting) {
-      console.log(`❌ Meeting ${data.meetingId} not found`);
-      return;
+    try {
+      const participant = breakoutManager.moveParticipant(meeting, participantId, roomId);
+      applyBreakoutChanges(meetingId, meeting, [participant]);
+      console.log(`🚪 Moved ${participant.name} to ${roomId ? breakoutManager.getRoom(meeting, roomId).name : 'the main session'} in meeting ${meetingId}`);
+    } catch (error) {
+      sendBreakoutError(socket, meetingId, error);
     }
+  });
+
+  // Send a message to every room, including the main session
+  socket.on('breakout-broadcast', ({ meetingId, message }) => {
+    const meeting = activeMeetings.get(meetingId);
+    const text = typeof message === 'string' ? message.trim().slice(0, 500) : '';
+    if (!meeting || !text) return;
     
-    // Notify host about denial
-    socket.to(meeting.hostId).emit('participant-camera-mic-denied', {
-      participantId: data.participantId,
-      requestId: data.requestId
+    const sender = meeting.participants.find(p => p.id === socket.id);
+    io.to(meetingId).emit('breakout-message', {
+      meetingId,
+      message: text,
+      from: sender?.name || 'Host',
+      timestamp: new Date()
     });
   });
 
-  // Handle camera/mic session ended
-  socket.on('camera-mic-session-ended', (data) => {
-    console.log(`⏰ Camera/mic session ended for participant ${data.participantId}:`, data);
+  // Start a countdown after which every breakout room closes
+  socket.on('breakout-timer', ({ meetingId, minutes }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
     
-    const meeting = activeMeetings.get(data.meetingId);
-    if (!meeting) {
-      console.log(`❌ Meeting ${data.meetingId} not found`);
+    try {
+      const durationMs = breakoutManager.startTimer(meeting, minutes);
+      scheduleBreakoutClose(meetingId, durationMs);
+      applyBreakoutChanges(meetingId, meeting, []);
+      console.log(`⏱️ Breakout rooms in meeting ${meetingId} close in ${Math.round(durationMs / 1000)}s`);
+    } catch (error) {
+      sendBreakoutError(socket, meetingId, error);
+    }
+  });
+
+  socket.on('breakout-close', ({ meetingId }) => {
+    closeBreakoutRooms(meetingId, 'host');
+  });
+
+  // Handle explicit host transfer to a chosen participant
+  socket.on('transfer-host', ({ meetingId, participantId }) => {
+    const meeting = activeMeetings.get(meetingId);
+    if (!meeting) return;
+    
+    const newHost = meeting.participants.find(p => p.id === participantId);
+    if (!newHost || !newHost.isApproved || newHost.isHost) {
+      socket.emit('permission-denied', {
+        event: 'transfer-host',
+        meetingId,
+        permission: 'transfer_host',
+        role: permissionManager.getRole(meeting, socket.id),
+        message: 'Host can only be transferred to an admitted participant'
+      });
       return;
     }
     
-    // Notify host that session ended
-    socket.to(meeting.hostId).emit('participant-camera-mic-session-ended', {
-      participantId: data.participantId,
-      requestId: data.requestId
-    });
+    assignHost(meetingId, meeting, newHost, 'transferred');
   });
 
-  // Handle host approval of participants
-  socket.on('approve-participant', ({ meetingId, participantId, approved }) => {
+  // Handle role assignment by host
+  socket.on('set-participant-role', ({ meetingId, participantId, role }) => {
     const meeting = activeMeetings.get(meetingId);
     if (!meeting) return;
     
     const participant = meeting.participants.find(p => p.id === participantId);
-    if (!participant) return;
+    if (!participant || !participant.isApproved) {
+      console.log(`❌ Participant ${participantId} not found or not admitted in meeting ${meetingId}`);
+      return;
+    }
     
-    if (approved) {
-      // Approve participant
-      participant.isApproved = true;
-      
-      // Remove from pending approvals
-      if (meeting.pendingApprovals) {
-        meeting.pendingApprovals = meeting.pendingApprovals.filter(p => p.id !== participantId);
-      }
-      
-      // Notify participant they're approved
-      console.log(`📤 APPROVAL: Sending participant-approved to ${participantId}`);
-      console.log(`📤 APPROVAL: Host name: "${meeting.host}"`);
-      socket.to(participantId).emit('participant-approved', { 
-        message: 'You have been approved to join the meeting',
+    // Host role only changes through host transfer
+    if (!permissionManager.isValidRole(role) || role === ROLES.HOST || participant.isHost) {
+      socket.emit('permission-denied', {
+        event: 'set-participant-role',
         meetingId,
-        hostId: meeting.hostId,
-        hostName: meeting.host
-      });
-      
-      // Notify all participants about new approved participant (excluding the approved participant themselves)
-      console.log(`📤 Emitting participant-joined to meeting room ${meetingId} for participant ${participant.name}`);
-      console.log(`📤 Socket rooms for current socket:`, Array.from(socket.rooms));
-      
-      // Emit to all participants in the meeting room (including host) but exclude the approved participant
-      console.log(`📤 Emitting participant-joined to meeting room ${meetingId} (excluding participant ${participantId})`);
-      console.log(`📤 Meeting participants before emission:`, meeting.participants.map(p => ({ name: p.name, id: p.id, isHost: p.isHost, isApproved: p.isApproved })));
-      console.log(`📤 Host ID: ${meeting.hostId}`);
-      
-      // Check if host is in the meeting room
-      const hostSocket = io.sockets.sockets.get(meeting.hostId);
-      if (hostSocket) {
-        console.log(`📤 Host socket found: ${meeting.hostId}, rooms:`, Array.from(hostSocket.rooms));
-        const isHostInMeetingRoom = Array.from(hostSocket.rooms).includes(meetingId);
-        console.log(`📤 Host is in meeting room ${meetingId}:`, isHostInMeetingRoom);
-      } else {
-        console.log(`❌ Host socket not found: ${meeting.hostId}`);
-      }
-      
-      // Emit to ALL existing participants about the new participant
-      console.log(`📤 MULTI-PARTICIPANT: Notifying all participants about new participant: ${participant.name}`);
-      console.log(`📤 MULTI-PARTICIPANT: Participant data:`, { id: participant.id, name: participant.name, isApproved: participant.isApproved });
-      
-      // Notify all existing participants (excluding the new participant) about the new participant
-      const existingParticipants = meeting.participants.filter(p => p.id !== participantId);
-      console.log(`📤 MULTI-PARTICIPANT: Existing participants to notify:`, existingParticipants.map(p => ({ id: p.id, name: p.name })));
-      
-      // Emit to the meeting room (all participants except the new one)
-      console.log(`📤 MULTI-PARTICIPANT: Emitting participant-joined to meeting room ${meetingId} (excluding ${participantId})`);
-      socket.to(meetingId).emit('participant-joined', { participant, meeting });
-      
-      // Also send info about all existing participants to the new participant
-      console.log(`📤 MULTI-PARTICIPANT: Sending existing participants info to new participant: ${participantId}`);
-      existingParticipants.forEach(existingParticipant => {
-        console.log(`📤 MULTI-PARTICIPANT: Sending info about ${existingParticipant.name} (${existingParticipant.id}) to new participant`);
-        socket.to(participantId).emit('participant-joined', { participant: existingParticipant, meeting });
+        permission: 'manage_roles',
+        role: permissionManager.getRole(meeting, socket.id),
+        message: `Cannot assign role "${role}" to ${participant.name}`
       });
-      
-      console.log(`📤 Participant-joined event sent to meeting room ${meetingId}`);
-      console.log(`📤 Participant will emit their own participant-ready event after approval`);
-      
-      console.log(`Participant ${participant.name} approved in meeting ${meetingId}`);
-    } else {
-      // Reject participant
-      meeting.participants = meeting.participants.filter(p => p.id !== participantId);
-      
-      // Remove from pending approvals
-      if (meeting.pendingApprovals) {
-        meeting.pendingApprovals = meeting.pendingApprovals.filter(p => p.id !== participantId);
-      }
-      
-      // Notify participant they're rejected
-      socket.to(participantId).emit('participant-rejected', { 
-        message: 'Your request to join the meeting was rejected'
+      return;
+    }
+    
+    participant.role = role;
+    io.to(meetingId).emit('participant-role-changed', {
+      participantId,
+      participantName: participant.name,
+      role
+    });
+    
+    // A newly promoted co-host picks up the requests that are already waiting
+    if (permissionManager.hasPermission(role, 'approve_participants')) {
+      (meeting.pendingApprovals || []).forEach(pendingParticipant => {
+        io.to(participantId).emit('pending-approval', pendingParticipant);
       });
-      
-      // Remove from meeting room
-      socket.to(participantId).emit('leave-meeting', { meetingId });
-      
-      console.log(`Participant ${participant.name} rejected from meeting ${meetingId}`);
     }
+    
+    console.log(`🎭 ${participant.name} is now ${role} in meeting ${meetingId}`);
   });
 
   // Handle screen sharing
@@ -1782,15 +4158,30 @@ io.on('connection', (socket) => {
     const userName = message.userName || 'Unknown User';
     const messageText = message.message || message;
     
+    // Chat stays inside the sender's breakout room, or the main session
+    const meeting = activeMeetings.get(meetingId);
+    const roomId = meeting?.participants.find(p => p.id === socket.id)?.breakoutRoomId || null;
+    
     const chatMessage = {
+      id: uuidv4(),
       from: socket.id,
       userName,
       message: messageText,
-      timestamp: new Date()
+      timestamp: new Date(),
+      roomId
     };
     
+    // Keep recent chat so resumed participants get it back
+    const meetingChat = chatHistory.get(meetingId) || [];
+    meetingChat.push(chatMessage);
+    chatHistory.set(meetingId, meetingChat.slice(-CHAT_HISTORY_LIMIT));
+    
     console.log('💬 Backend broadcasting chat message:', chatMessage);
-    io.to(meetingId).emit('chat-message', chatMessage);
+    if (roomId) {
+      io.to(breakoutManager.socketRoom(meetingId, roomId)).emit('chat-message', chatMessage);
+    } else {
+      io.to(meetingId).except(getBreakoutSocketRooms(meetingId, meeting)).emit('chat-message', chatMessage);
+    }
   });
 
   // Handle sentiment updates from participants
@@ -1879,14 +4270,11 @@ io.on('connection', (socket) => {
       fatigueEmotions: ['sad', 'disgusted', 'angry', 'fearful'].map(e => ({ emotion: e, count: sentimentCounts[e] || 0 }))
     });
     
-    // Send aggregated data to host only
+    // Send aggregated data to the host and co-hosts
     const meeting = activeMeetings.get(meetingId);
-    if (meeting && meeting.hostId) {
-      const hostSocket = io.sockets.sockets.get(meeting.hostId);
-      if (hostSocket) {
-        hostSocket.emit('sentiment_dashboard_update', aggregatedData);
-        console.log('📤 Sent sentiment dashboard update to host:', meeting.hostId);
-      }
+    if (meeting) {
+      const recipientCount = emitToPermitted(meeting, 'view_analytics', 'sentiment_dashboard_update', aggregatedData);
+      console.log('📤 Sent sentiment dashboard update to host team:', recipientCount, 'recipients');
     }
     
     // Check for fatigue after updating sentiment data
@@ -1901,20 +4289,14 @@ io.on('connection', (socket) => {
       const leavingParticipant = meeting.participants.find(p => p.id === socket.id);
       meeting.participants = meeting.participants.filter(p => p.id !== socket.id);
       
-      // If host is leaving and there are other participants, transfer host role
-      if (leavingParticipant && leavingParticipant.isHost && meeting.participants.length > 0) {
-        const newHost = meeting.participants[0];
-        newHost.isHost = true;
-        meeting.host = newHost.name;
-        meeting.hostId = newHost.id;
-        
-        // Notify all participants about host change
-        io.to(meetingId).emit('host-changed', {
-          newHost: newHost.name,
-          newHostId: newHost.id
-        });
-        
-        console.log(`Host transferred from ${userName} to ${newHost.name} in meeting ${meetingId}`);
+      // Leaving on purpose ends the session - rejoining goes through approval again
+      endParticipantSession(socket.id);
+      recordAttendanceLeave(meetingId, socket.id);
+      removeRaisedHand(meetingId, socket.id);
+      
+      // If the host is leaving, reserve the seat for them before any fallback
+      if (leavingParticipant && leavingParticipant.isHost) {
+        handleHostDeparture(meetingId, meeting, leavingParticipant);
       }
       
       if (meeting.participants.length === 0) {
@@ -1925,13 +4307,7 @@ io.on('connection', (socket) => {
           
           // Keep meeting alive for 5 minutes to allow participants to join
           console.log(`Meeting ${meetingId} will be deleted in 5 minutes - no participants and no pending approvals`);
-          setTimeout(() => {
-            const currentMeeting = activeMeetings.get(meetingId);
-            if (currentMeeting && currentMeeting.participants.length === 0) {
-              activeMeetings.delete(meetingId);
-              console.log(`Meeting ${meetingId} ended after 5 minutes - no participants and no pending approvals`);
-            }
-          }, 300000); // 5 minutes instead of 30 seconds
+          sharedState.schedule('meeting-expiry', meetingId, 300000, { reason: 'no participants and no pending approvals for 5 minutes' });
         } else {
           console.log(`Meeting ${meetingId} kept alive - has ${meeting.pendingApprovals.length} pending approvals`);
         }
@@ -1953,7 +4329,11 @@ io.on('connection', (socket) => {
       console.log('🎤 Received audio data:', { meetingId: data.meetingId, chunkIndex: data.chunkIndex });
       
       // Process audio with intelligent stream handling
-      mediaRecorder.processAudioChunk(data.meetingId, socket.id, data.audioChunk, data.timestamp);
+      mediaRecorder.processAudioChunk(data.meetingId, socket.id, data.audioChunk, data.timestamp, {
+        participantName: activeMeetings.get(data.meetingId)?.participants.find(p => p.id === socket.id)?.name,
+        sequence: data.chunkIndex,
+        startedAt: data.startedAt
+      });
       
       // Process audio for transcription
       const transcriptionResult = await llmService.getTranscription(data.audioChunk, data.meetingId);
@@ -2066,6 +4446,9 @@ io.on('connection', (socket) => {
     try {
       const { meetingId, options } = data;
       console.log('🎬 Starting recording for meeting:', meetingId);
+      if (sharedState.isDistributed) {
+        throw new Error(RECORDING_NEEDS_ONE_INSTANCE);
+      }
       
       const sessionId = await mediaRecorder.startRecording(meetingId, options);
       
@@ -2076,12 +4459,22 @@ io.on('connection', (socket) => {
         timestamp: Date.now()
       });
       
+      // Starting the recording is the starter's consent, everyone else is asked
+      const meeting = activeMeetings.get(meetingId);
+      const starter = meeting?.participants.find(p => p.id === socket.id) || { id: socket.id, name: socket.id };
+      const consent = mediaRecorder.recordConsent(meetingId, starter, true);
+      socket.emit('recording_consent_recorded', { meetingId, status: consent.status, isPaused: false });
+      (meeting?.participants || [])
+        .filter(p => p.id !== socket.id && (p.isApproved || p.isHost))
+        .forEach(p => sendRecordingConsentRequest(meetingId, p));
+      
       console.log('✅ Recording started successfully:', sessionId);
       
     } catch (error) {
       console.error('❌ Failed to start recording:', error);
       socket.emit('recording_error', {
         meetingId: data.meetingId,
+        state: mediaRecorder.getRecordingState(data.meetingId),
         error: error.message
       });
     }
@@ -2093,34 +4486,122 @@ io.on('connection', (socket) => {
       const { meetingId } = data;
       console.log('🛑 Stopping recording for meeting:', meetingId);
       
-      const recordingPath = await mediaRecorder.stopRecording(meetingId);
+      // The recording is finalizing until its media job has built it
+      await finalizeRecording(meetingId);
       
       // Notify all participants that recording has stopped
       io.to(meetingId).emit('recording_stopped', {
         meetingId,
-        recordingPath,
+        duration: mediaRecorder.getRecordingSession(meetingId).duration,
         timestamp: Date.now()
       });
       
-      console.log('✅ Recording stopped successfully:', recordingPath);
+      console.log('✅ Recording stopped successfully:', meetingId);
       
     } catch (error) {
       console.error('❌ Failed to stop recording:', error);
       socket.emit('recording_error', {
         meetingId: data.meetingId,
+        state: mediaRecorder.getRecordingState(data.meetingId),
+        error: error.message
+      });
+    }
+  });
+
+  // Real-Time Meeting Recording - Pause/Resume
+  // Participants stop their recorders while paused and start new ones on resume
+  socket.on('pause_recording', (data) => {
+    try {
+      const { meetingId } = data;
+      const offset = mediaRecorder.pauseRecording(meetingId);
+      
+      io.to(meetingId).emit('recording_paused', {
+        meetingId,
+        offset,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('❌ Failed to pause recording:', error.message);
+      socket.emit('recording_error', {
+        meetingId: data.meetingId,
+        state: mediaRecorder.getRecordingState(data.meetingId),
+        error: error.message
+      });
+    }
+  });
+
+  socket.on('resume_recording', (data) => {
+    try {
+      const { meetingId } = data;
+      const offset = mediaRecorder.resumeRecording(meetingId);
+      
+      io.to(meetingId).emit('recording_resumed', {
+        meetingId,
+        offset,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.error('❌ Failed to resume recording:', error.message);
+      socket.emit('recording_error', {
+        meetingId: data.meetingId,
+        state: mediaRecorder.getRecordingState(data.meetingId),
+        error: error.message
+      });
+    }
+  });
+
+  // Real-Time Meeting Recording - Consent
+  // A participant's answer to recording_consent_request. They can change it while the
+  // meeting is recorded; withdrawing leaves them out of the whole recording.
+  socket.on('recording_consent', (data) => {
+    try {
+      const { meetingId, consent } = data;
+      const participant = activeMeetings.get(meetingId)?.participants.find(p => p.id === socket.id);
+      if (!participant || !socket.rooms.has(meetingId)) {
+        throw new Error('You are not in this meeting');
+      }
+      
+      const result = mediaRecorder.recordConsent(meetingId, participant, consent === true);
+      socket.emit('recording_consent_recorded', {
+        meetingId,
+        status: result.status,
+        isPaused: mediaRecorder.getRecordingState(meetingId) === 'paused'
+      });
+      
+      // The host team sees who is and isn't being recorded
+      emitToPermitted(activeMeetings.get(meetingId), 'manage_recording', 'recording_consent_updated', {
+        meetingId,
+        participantId: result.participantId,
+        participantName: result.participantName,
+        status: result.status
+      });
+    } catch (error) {
+      console.error('❌ Failed to record recording consent:', error.message);
+      socket.emit('recording_error', {
+        meetingId: data.meetingId,
+        state: mediaRecorder.getRecordingState(data.meetingId),
         error: error.message
       });
     }
   });
 
   // Real-Time Meeting Recording - Add Audio Chunk
+  // Each participant uploads their own WebM stream while the meeting is recorded
   socket.on('audio_chunk', async (data) => {
     try {
-      const { meetingId, audioChunk } = data;
+      const { meetingId, audioChunk, sequence, startedAt, timestamp } = data;
       
       // Add to media recorder if recording is active
-      if (mediaRecorder.isRecording(meetingId)) {
-        await mediaRecorder.addAudioChunk(meetingId, Buffer.from(audioChunk));
+      if (mediaRecorder.isRecording(meetingId) && socket.rooms.has(meetingId)) {
+        const participant = activeMeetings.get(meetingId)?.participants.find(p => p.id === socket.id);
+        await mediaRecorder.addAudioChunk(meetingId, Buffer.from(audioChunk), {
+          participantId: socket.id,
+          participantName: participant?.name,
+          userId: participant?.userId,
+          sequence,
+          startedAt,
+          timestamp
+        });
       }
       
     } catch (error) {
@@ -2200,9 +4681,11 @@ io.on('connection', (socket) => {
       }
       
       // Store transcript entry
+      const speaker = activeMeetings.get(meetingId)?.participants.find(p => p.id === participantId);
       const transcriptEntry = {
         timestamp,
         participantId,
+        speaker: speaker ? attendanceTracker.displayName(speaker) : null,
         transcript,
         language,
         confidence,
@@ -2264,69 +4747,6 @@ io.on('connection', (socket) => {
     }
   });
 
-  // AI-Generated Meeting Highlights - Start Recording Event
-  socket.on('start_recording', (data) => {
-    try {
-      const { meetingId } = data;
-      console.log('🎥 Starting recording for meeting:', meetingId);
-      
-      // Initialize recording session
-      const recordingSession = {
-        meetingId,
-        startTime: Date.now(),
-        isRecording: true,
-        filePath: null
-      };
-      
-      recordingSessions.set(meetingId, recordingSession);
-      
-      // Emit recording started event
-      io.to(meetingId).emit('recording_started', {
-        meetingId,
-        startTime: recordingSession.startTime
-      });
-      
-      console.log('🎥 Recording session started for meeting:', meetingId);
-      
-    } catch (error) {
-      console.error('❌ Error starting recording:', error);
-      socket.emit('recording_error', {
-        meetingId: data.meetingId,
-        error: error.message
-      });
-    }
-  });
-
-  // AI-Generated Meeting Highlights - Stop Recording Event
-  socket.on('stop_recording', (data) => {
-    try {
-      const { meetingId } = data;
-      console.log('🛑 Stopping recording for meeting:', meetingId);
-      
-      const recordingSession = recordingSessions.get(meetingId);
-      if (recordingSession) {
-        recordingSession.isRecording = false;
-        recordingSession.endTime = Date.now();
-        
-        // Emit recording stopped event
-        io.to(meetingId).emit('recording_stopped', {
-          meetingId,
-          endTime: recordingSession.endTime,
-          duration: recordingSession.endTime - recordingSession.startTime
-        });
-        
-        console.log('🛑 Recording session stopped for meeting:', meetingId);
-      }
-      
-    } catch (error) {
-      console.error('❌ Error stopping recording:', error);
-      socket.emit('recording_error', {
-        meetingId: data.meetingId,
-        error: error.message
-      });
-    }
-  });
-
   // AI-Generated Meeting Highlights - End Meeting Event
   socket.on('end_meeting', async (data) => {
     try {
@@ -2342,13 +4762,12 @@ io.on('connection', (socket) => {
       
       // Get highlight timestamps for this meeting
       let highlights = highlightData.get(meetingId) || [];
-      const recordingSession = recordingSessions.get(meetingId);
       
-      // Get transcript history
-      const transcriptHistory = llmService.getTranscriptHistory(meetingId) || [];
+      // Get the whole transcript (the LLM service only keeps the latest entries)
+      const transcriptHistory = transcriptData.get(meetingId) || llmService.getTranscriptHistory(meetingId) || [];
       
       // Get sentiment data
-      const sentimentData = sentimentData.get(meetingId);
+      const meetingSentiment = sentimentData.get(meetingId);
       
       // Auto-detect additional important moments if few highlights were marked
       if (highlights.length < 3) {
@@ -2359,23 +4778,47 @@ io.on('connection', (socket) => {
       }
       
       // Calculate meeting duration
-      const meetingDuration = recordingSession ? 
-        (recordingSession.endTime - recordingSession.startTime) : 
-        (Date.now() - new Date(meeting.createdAt).getTime());
+      const meetingDuration = Date.now() - new Date(meeting.createdAt).getTime();
       
       // Update meeting data with duration
       meeting.duration = meetingDuration;
       meeting.endedAt = new Date().toISOString();
       meeting.status = 'completed';
       
+      // Everyone still in the meeting leaves when it ends
+      const attendanceLog = attendanceData.get(meetingId);
+      if (attendanceLog) {
+        attendanceTracker.closeAll(attendanceLog, new Date(meeting.endedAt));
+      }
+      const attendance = buildAttendanceReport(meetingId, meeting);
+      
+      // A poll still running is closed with the meeting
+      (pollData.get(meetingId)?.polls || [])
+        .filter(poll => poll.status === 'open')
+        .forEach(poll => closePoll(meetingId, poll.id, 'meeting-ended'));
+      
+      // A recording still running stops with the meeting. The participants' uploaded tracks
+      // are muxed by a media job (see processMeetingRecording), so ending a meeting doesn't wait for ffmpeg
+      if (mediaRecorder.isRecording(meetingId)) {
+        await finalizeRecording(meetingId);
+      }
+      const recording = mediaRecorder.getRecordingState(meetingId) === 'idle' ? null : {
+        ...(await mediaRecorder.exportRecording(meetingId)),
+        ...mediaRecorder.getHistoryRecording(meetingId)
+      };
+      
       // Save meeting to history
       try {
         const historyPath = await meetingHistoryManager.saveMeetingToHistory(
           meeting,
           highlights,
-          recordingSession,
+          recording,
           transcriptHistory,
-          sentimentData
+          meetingSentiment,
+          attendance,
+          handRaiseData.has(meetingId) ? handRaiseQueue.buildSummary(handRaiseData.get(meetingId)) : null,
+          pollData.has(meetingId) ? pollManager.buildHistory(pollData.get(meetingId)) : [],
+          (chatHistory.get(meetingId) || []).map(({ userName, message, timestamp, roomId }) => ({ userName, message, timestamp, roomId: roomId || null }))
         );
         console.log('💾 Meeting saved to history:', historyPath);
         
@@ -2385,8 +4828,20 @@ io.on('connection', (socket) => {
           historyPath,
           highlights: highlights.length,
           transcriptEntries: transcriptHistory.length,
-          hasRecording: !!recordingSession
+          hasRecording: !!recording
         });
+        
+        // The recording job may have finished while the meeting was being saved
+        if (recording) {
+          await saveRecordingToHistory(meetingId);
+        }
+        
+        // Make the transcript searchable for questions about past lectures
+        transcriptIndex.indexMeeting(await meetingHistoryManager.getMeetingHistory(meetingId));
+        
+        // The summary is added once written, a local model can take a while
+        summarizeMeeting(meetingId, meeting, transcriptHistory, attendance)
+          .catch(error => console.error('❌ Failed to summarize meeting:', error));
       } catch (historyError) {
         console.error('❌ Failed to save meeting to history:', historyError);
       }
@@ -2401,6 +4856,8 @@ io.on('connection', (socket) => {
         return;
       }
       
+      // The highlight reel is cut from the recording once it is ready
+      const recordingSession = mediaRecorder.getRecordingSession(meetingId);
       if (!recordingSession) {
         console.log('📹 No recording session found for meeting:', meetingId);
         io.to(meetingId).emit('highlight_reel_status', {
@@ -2411,84 +4868,19 @@ io.on('connection', (socket) => {
         return;
       }
       
-      // Check if FFmpeg is available
-      const ffmpegAvailable = await mediaProcessor.isFFmpegAvailable();
-      
-      let highlightReelPath;
-      
-      if (ffmpegAvailable) {
-        // Generate actual highlight reel
-        const outputPath = `./output/highlight_reel_${meetingId}_${Date.now()}.mp4`;
-        
-        try {
-          // Try to use real meeting recording if available
-          const recordingSession = mediaRecorder.getRecordingSession(meetingId);
-          let recordingPath;
-          
-          if (recordingSession && recordingSession.recordingPath) {
-            // Use real meeting recording
-            recordingPath = recordingSession.recordingPath;
-            console.log('🎬 Using real meeting recording:', recordingPath);
-          } else {
-            // Create real meeting recording from collected data
-            console.log('🎬 Creating real meeting recording from collected data');
-            recordingPath = await mediaRecorder.createRealMeetingRecording(meetingId);
-            console.log('🎬 Real meeting recording created:', recordingPath);
-          }
-          
-          // Prepare meeting information for intelligent highlight reel
-          const meetingInfo = {
-            title: meeting.title || `Meeting ${meetingId}`,
-            participants: meeting.participants?.length || 0,
-            duration: meetingDuration,
-            highlightCount: highlights.length,
-            date: meeting.createdAt
-          };
-          
-          highlightReelPath = await mediaProcessor.generateHighlightReel(
-            recordingPath,
-            highlights,
-            outputPath,
-            meetingInfo
-          );
-          
-          console.log('✅ Highlight reel generated successfully:', highlightReelPath);
-          
-          io.to(meetingId).emit('highlight_reel_generated', {
-            meetingId,
-            status: 'success',
-            highlightReelPath,
-            highlightCount: highlights.length,
-            message: 'Highlight reel generated successfully'
-          });
-          
-        } catch (error) {
-          console.error('❌ Error generating highlight reel:', error);
-          
-          // Fallback to mock generation
-          highlightReelPath = await mediaProcessor.generateMockHighlightReel(meetingId, highlights);
-          
-          io.to(meetingId).emit('highlight_reel_generated', {
-            meetingId,
-            status: 'mock',
-            highlightReelPath,
-            highlightCount: highlights.length,
-            message: 'Mock highlight reel generated (FFmpeg error)'
-          });
-        }
-      } else {
-        // Generate mock highlight reel
-        highlightReelPath = await mediaProcessor.generateMockHighlightReel(meetingId, highlights);
-        
-        io.to(meetingId).emit('highlight_reel_generated', {
+      if (recordingSession.state === 'finalizing') {
+        io.to(meetingId).emit('highlight_reel_status', {
           meetingId,
-          status: 'mock',
-          highlightReelPath,
-          highlightCount: highlights.length,
-          message: 'Mock highlight reel generated (FFmpeg not available)'
+          status: 'processing',
+          jobId: recordingSession.jobId,
+          message: 'The highlight reel will be generated once the recording is processed'
         });
+        return;
       }
       
+      // Cut from a ready recording, or the mock for a failed one (no ffmpeg, or nothing could be muxed)
+      await createHighlightReel(meetingId);
+      
       console.log('🎬 Highlight reel processing completed for meeting:', meetingId);
       
     } catch (error) {
@@ -2519,9 +4911,15 @@ io.on('connection', (socket) => {
     activeMeetings.forEach((meeting, meetingId) => {
       const participantIndex = meeting.participants.findIndex(p => p.id === socket.id);
       if (participantIndex !== -1) {
+        setImmediate(() => sharedState.sync(meetingId));
         const participant = meeting.participants[participantIndex];
         meeting.participants.splice(participantIndex, 1);
         
+        // Keep their state so they can resume if they reconnect in time
+        suspendParticipantSession(socket.id, participant);
+        recordAttendanceLeave(meetingId, socket.id);
+        removeRaisedHand(meetingId, socket.id);
+        
         // Remove participant from sentiment data
         if (sentimentData.has(meetingId)) {
           const meetingSentimentData = sentimentData.get(meetingId);
@@ -2554,20 +4952,9 @@ io.on('connection', (socket) => {
           }
         }
         
-        // If host disconnected and there are other participants, transfer host role
-        if (participant.isHost && meeting.participants.length > 0) {
-          const newHost = meeting.participants[0];
-          newHost.isHost = true;
-          meeting.host = newHost.name;
-          meeting.hostId = newHost.id;
-          
-          // Notify all participants about host change
-          io.to(meetingId).emit('host-changed', {
-            newHost: newHost.name,
-            newHostId: newHost.id
-          });
-          
-          console.log(`Host transferred from ${participant.name} to ${newHost.name} in meeting ${meetingId} (disconnect)`);
+        // If the host disconnected, reserve the seat for them to reconnect
+        if (participant.isHost) {
+          handleHostDeparture(meetingId, meeting, participant);
         }
         
         socket.to(meetingId).emit('participant-left', { 
@@ -2590,9 +4977,9 @@ io.on('connection', (socket) => {
             console.log('🧹 Cleaned up highlight data for meeting:', meetingId);
           }
           
-          if (recordingSessions.has(meetingId)) {
-            recordingSessions.delete(meetingId);
-            console.log('🧹 Cleaned up recording session for meeting:', meetingId);
+          // A recording still running or being built carries on, it is only dropped once done
+          if (meeting.status === 'completed' && ['ready', 'failed'].includes(mediaRecorder.getRecordingState(meetingId))) {
+            mediaRecorder.cleanupRecording(meetingId);
           }
           
           if (transcriptData.has(meetingId)) {
@@ -2606,13 +4993,7 @@ io.on('connection', (socket) => {
           if (!hasPendingApprovals) {
             // Keep meeting alive for 5 minutes to allow participants to join
             console.log(`Meeting ${meetingId} will be deleted in 5 minutes - no participants and no pending approvals`);
-            setTimeout(() => {
-              const currentMeeting = activeMeetings.get(meetingId);
-              if (currentMeeting && currentMeeting.participants.length === 0) {
-                activeMeetings.delete(meetingId);
-                console.log(`Meeting ${meetingId} ended after 5 minutes - no participants and no pending approvals`);
-              }
-            }, 300000); // 5 minutes instead of 30 seconds
+            sharedState.schedule('meeting-expiry', meetingId, 300000, { reason: 'no participants and no pending approvals for 5 minutes' });
           } else {
             console.log(`Meeting ${meetingId} kept alive - has ${meeting.pendingApprovals.length} pending approvals`);
           }
@@ -2630,6 +5011,59 @@ setInterval(() => {
   io.emit('ai_performance_update', performanceData);
 }, 30000); // Update every 30 seconds
 
+// Save a final snapshot so a restart picks up exactly where we stopped
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received - saving live state`);
+  try {
+    await stateStore.save(captureLiveState());
+    await stateStore.close();
+    await sharedState.close();
+    await mediaJobQueue.close();
+    await meetingHistoryManager.close();
+  } catch (error) {
+    console.error('❌ Failed to save live state on shutdown:', error.message);
+  }
+  process.exit(0);
+};
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+await sharedState.init();
+if (sharedState.isDistributed) {
+  io.adapter(await sharedState.createSocketAdapter());
+  console.log('🔗 Socket.IO Redis adapter enabled');
+}
+
+await restoreLiveState();
+await classScheduler.load();
+await rosterManager.load();
+
+// Every change of a meeting's recording is broadcast to it
+mediaRecorder.on('state', change => io.to(change.meetingId).emit('recording_state', change));
+
+// Recordings and highlight reels are built by media jobs, which report to the meeting's room
+mediaJobQueue.registerHandler('meeting-recording', processMeetingRecording);
+mediaJobQueue.registerHandler('highlight-reel', generateMeetingHighlightReel);
+const sendJobProgress = (job) => {
+  if (job.meetingId) {
+    io.to(job.meetingId).emit('job_progress', job);
+  }
+};
+mediaJobQueue.on('progress', sendJobProgress);
+mediaJobQueue.on('update', job => {
+  sendJobProgress(job);
+  if (job.status === 'failed' || job.status === 'cancelled') {
+    handleStoppedMediaJob(job).catch(error => console.error('❌ Failed to handle stopped media job:', error));
+  }
+});
+// Each instance would run the same saved jobs, and none of them can record (see start_recording)
+if (sharedState.isDistributed) {
+  console.log('⚠️ Recording and media jobs are off - they need a single backend instance');
+} else {
+  await mediaJobQueue.start();
+}
+
 const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, '0.0.0.0', () => {
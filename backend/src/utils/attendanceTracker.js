@@ -0,0 +1,267 @@
+/**
+ * Attendance Tracker
+ * Records every join/leave interval of a meeting's participants and turns the
+ * log into an attendance report (minutes present, late arrivals, absences).
+ *
+ * A log is a plain object so it can live in shared state and snapshots:
+ * { meetingId, startedAt, scheduledStart, attendees: { key -> attendee } }
+ * Attendees are keyed by account, or by display name for guests, so a
+ * participant who drops and rejoins keeps a single row.
+ */
+
+const LATE_GRACE_MINUTES = parseInt(process.env.ATTENDANCE_LATE_GRACE_MINUTES, 10) || 5;
+
+const CSV_COLUMNS = [
+  ['name', 'Name'],
+  ['email', 'Email'],
+  ['studentId', 'Student ID'],
+  ['role', 'Role'],
+  ['status', 'Status'],
+  ['firstJoinedAt', 'First Joined'],
+  ['lastLeftAt', 'Last Left'],
+  ['minutesPresent', 'Minutes Present'],
+  ['lateMinutes', 'Minutes Late'],
+  ['sessions', 'Sessions'],
+  ['intervals', 'Intervals']
+];
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Milliseconds covered by a set of intervals, counting overlaps once
+ * (e.g. the same student in two tabs)
+ */
+function coveredMs(intervals, endTime) {
+  const ranges = intervals
+    .map(interval => [
+      new Date(interval.joinedAt).getTime(),
+      interval.leftAt ? new Date(interval.leftAt).getTime() : endTime
+    ])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let currentStart = null;
+  let currentEnd = null;
+  ranges.forEach(([start, end]) => {
+    if (currentEnd === null || start > currentEnd) {
+      if (currentEnd !== null) {
+        total += currentEnd - currentStart;
+      }
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  });
+  if (currentEnd !== null) {
+    total += currentEnd - currentStart;
+  }
+
+  return total;
+}
+
+class AttendanceTracker {
+  constructor() {
+    this.lateGraceMinutes = LATE_GRACE_MINUTES;
+  }
+
+  /**
+   * Create an empty attendance log for a meeting
+   * @param {Object} meeting - Active meeting
+   * @returns {Object} Attendance log
+   */
+  createLog(meeting) {
+    return {
+      meetingId: meeting.id,
+      startedAt: new Date(meeting.createdAt || Date.now()).toISOString(),
+      scheduledStart: meeting.schedule?.startTime || null,
+      attendees: {}
+    };
+  }
+
+  /**
+   * Key that identifies the same person across reconnects
+   */
+  attendeeKey(participant) {
+    if (participant.userId) {
+      return `user:${participant.userId}`;
+    }
+    return `guest:${this.displayName(participant).toLowerCase()}`;
+  }
+
+  /**
+   * Participant name without the "(Host)" suffix added for the host seat
+   */
+  displayName(participant) {
+    return (participant.name || 'Unknown').replace(/ \(Host\)$/, '').trim();
+  }
+
+  /**
+   * Record a participant entering the meeting (after approval, for students)
+   * @param {Object} log - Attendance log
+   * @param {Object} participant - Participant that joined
+   * @param {Date} at - Join time
+   */
+  recordJoin(log, participant, at = new Date()) {
+    const key = this.attendeeKey(participant);
+    const attendee = log.attendees[key] || {
+      key,
+      userId: participant.userId || null,
+      name: this.displayName(participant),
+      rosterMemberId: null,
+      role: null,
+      intervals: []
+    };
+
+    attendee.role = participant.role || attendee.role;
+    attendee.rosterMemberId = participant.rosterMemberId || attendee.rosterMemberId;
+
+    // Joining twice on the same socket (e.g. a repeated join-meeting) isn't a new interval
+    const alreadyOpen = attendee.intervals.some(interval => interval.participantId === participant.id && !interval.leftAt);
+    if (!alreadyOpen) {
+      attendee.intervals.push({
+        participantId: participant.id,
+        joinedAt: at.toISOString(),
+        leftAt: null
+      });
+    }
+
+    log.attendees[key] = attendee;
+  }
+
+  /**
+   * Record a participant leaving (left, dropped or removed)
+   * @param {Object} log - Attendance log
+   * @param {string} participantId - Socket ID of the participant
+   * @param {Date} at - Leave time
+   * @returns {boolean} True if an open interval was closed
+   */
+  recordLeave(log, participantId, at = new Date()) {
+    for (const attendee of Object.values(log.attendees)) {
+      const interval = attendee.intervals.find(i => i.participantId === participantId && !i.leftAt);
+      if (interval) {
+        interval.leftAt = at.toISOString();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Close every open interval (the meeting ended)
+   */
+  closeAll(log, at = new Date()) {
+    Object.values(log.attendees).forEach(attendee => {
+      attendee.intervals
+        .filter(interval => !interval.leftAt)
+        .forEach(interval => {
+          interval.leftAt = at.toISOString();
+        });
+    });
+  }
+
+  /**
+   * Build the attendance report for a meeting
+   * @param {Object} log - Attendance log
+   * @param {Object} options - { title, endedAt, roster } - roster members that
+   *   never joined are listed as absent
+   * @returns {Object} Attendance report
+   */
+  buildReport(log, { title = null, endedAt = null, roster = null } = {}) {
+    const endTime = endedAt ? new Date(endedAt).getTime() : Date.now();
+    const expectedStart = new Date(log.scheduledStart || log.startedAt).getTime();
+    const rosterMembers = new Map((roster?.members || []).map(member => [member.id, member]));
+
+    const attendees = Object.values(log.attendees).map(attendee => {
+      const joins = attendee.intervals.map(interval => new Date(interval.joinedAt).getTime());
+      const firstJoin = Math.min(...joins);
+      const leaves = attendee.intervals.map(interval => interval.leftAt ? new Date(interval.leftAt).getTime() : null);
+      const stillHere = leaves.includes(null);
+      const lateMinutes = Math.max(0, Math.round((firstJoin - expectedStart) / 60000));
+      const member = rosterMembers.get(attendee.rosterMemberId);
+
+      return {
+        name: attendee.name,
+        userId: attendee.userId,
+        rosterMemberId: attendee.rosterMemberId,
+        email: member?.email || '',
+        studentId: member?.studentId || '',
+        role: attendee.role,
+        status: lateMinutes > this.lateGraceMinutes ? 'late' : 'present',
+        firstJoinedAt: new Date(firstJoin).toISOString(),
+        lastLeftAt: stillHere ? null : new Date(Math.max(...leaves)).toISOString(),
+        minutesPresent: Math.round(coveredMs(attendee.intervals, endTime) / 6000) / 10,
+        lateMinutes,
+        sessions: attendee.intervals.length,
+        intervals: attendee.intervals.map(({ joinedAt, leftAt }) => ({ joinedAt, leftAt }))
+      };
+    });
+
+    // Roster members who never showed up
+    const attended = new Set(attendees.map(attendee => attendee.rosterMemberId).filter(Boolean));
+    rosterMembers.forEach(member => {
+      if (attended.has(member.id)) return;
+      attendees.push({
+        name: member.name,
+        userId: null,
+        rosterMemberId: member.id,
+        email: member.email,
+        studentId: member.studentId,
+        role: null,
+        status: 'absent',
+        firstJoinedAt: null,
+        lastLeftAt: null,
+        minutesPresent: 0,
+        lateMinutes: 0,
+        sessions: 0,
+        intervals: []
+      });
+    });
+
+    attendees.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      meetingId: log.meetingId,
+      title,
+      startedAt: log.startedAt,
+      scheduledStart: log.scheduledStart,
+      endedAt: endedAt ? new Date(endedAt).toISOString() : null,
+      lateGraceMinutes: this.lateGraceMinutes,
+      summary: {
+        present: attendees.filter(a => a.status === 'present').length,
+        late: attendees.filter(a => a.status === 'late').length,
+        absent: attendees.filter(a => a.status === 'absent').length
+      },
+      attendees
+    };
+  }
+
+  /**
+   * Render an attendance report as CSV, one row per attendee
+   * @param {Object} report - Attendance report
+   * @returns {string} CSV text
+   */
+  toCSV(report) {
+    const rows = report.attendees.map(attendee => CSV_COLUMNS.map(([field]) => {
+      if (field === 'intervals') {
+        return attendee.intervals.map(i => `${i.joinedAt}/${i.leftAt || ''}`).join('; ');
+      }
+      return attendee[field];
+    }));
+
+    return [CSV_COLUMNS.map(([, label]) => label), ...rows]
+      .map(row => row.map(escapeCSV).join(','))
+      .join('\r\n') + '\r\n';
+  }
+}
+
+// Create and export singleton instance
+const attendanceTracker = new AttendanceTracker();
+export default attendanceTracker;
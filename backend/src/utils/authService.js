@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import userStore from './userStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+const MIN_PASSWORD_LENGTH = 6;
+
+// Accounts allowed to manage server-wide work such as media jobs, comma separated
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Error raised for invalid credentials or registration data.
+ * Carries the HTTP status the route should respond with.
+ */
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Auth Service
+ * Password hashing, signed session tokens and account registration/login
+ */
+class AuthService {
+  constructor() {
+    this.secretPath = path.join(__dirname, '../../data/auth_secret');
+    this.secret = null;
+  }
+
+  /**
+   * Get the token signing secret. Uses AUTH_SECRET when set, otherwise a
+   * random secret persisted next to the user store so tokens survive restarts.
+   * @returns {Promise<string>} Signing secret
+   */
+  async getSecret() {
+    if (this.secret) {
+      return this.secret;
+    }
+
+    if (process.env.AUTH_SECRET) {
+      this.secret = process.env.AUTH_SECRET;
+      return this.secret;
+    }
+
+    try {
+      this.secret = (await fs.readFile(this.secretPath, 'utf8')).trim();
+    } catch (error) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      await fs.mkdir(path.dirname(this.secretPath), { recursive: true });
+      await fs.writeFile(this.secretPath, this.secret, { mode: 0o600 });
+      console.log('🔐 Generated new auth signing secret');
+    }
+
+    return this.secret;
+  }
+
+  /**
+   * Hash a password with a random salt
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} Encoded hash (scrypt$salt$hash)
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+  }
+
+  /**
+   * Verify a password against a stored hash
+   * @param {string} password - Plain text password
+   * @param {string} passwordHash - Encoded hash from hashPassword
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const derivedKey = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, derivedKey);
+  }
+
+  /**
+   * Sign a token payload
+   * @param {Object} payload - Token payload
+   * @returns {Promise<string>} Signed token
+   */
+  async signToken(payload) {
+    const secret = await this.getSecret();
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Verify a token signature and expiry
+   * @param {string} token - Signed token
+   * @returns {Promise<Object|null>} Payload or null if invalid
+   */
+  async verifyToken(token) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) {
+      return null;
+    }
+
+    const secret = await this.getSecret();
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+
+    if (expectedBuffer.length !== signatureBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (!payload.exp || payload.exp <= Date.now()) {
+        return null;
+      }
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a session for a user and issue its token
+   * @param {Object} user - User record
+   * @returns {Promise<string>} Signed session token
+   */
+  async createSession(user) {
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      userId: user.id,
+      createdAt: now,
+      expiresAt: now + SESSION_TTL
+    };
+
+    await userStore.createSession(session);
+
+    return this.signToken({
+      sub: user.id,
+      sid: session.id,
+      iat: now,
+      exp: session.expiresAt
+    });
+  }
+
+  /**
+   * Register a new account
+   * @param {Object} details - { email, password, name }
+   * @returns {Promise<Object>} { user, token }
+   */
+  async register({ email, password, name } = {}) {
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw new AuthError('A valid email address is required');
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      throw new AuthError('Name must be text');
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await userStore.getUserByEmail(normalizedEmail)) {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+
+    // Checked again when the user is stored, another registration may have taken the email while hashing
+    const user = await userStore.createUser({
+      id: uuidv4(),
+      email: normalizedEmail,
+      name: (name && name.trim()) || normalizedEmail.split('@')[0],
+      passwordHash: await this.hashPassword(password),
+      createdAt: new Date().toISOString()
+    });
+    if (!user) {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+
+    console.log('👤 Registered new account:', user.email);
+
+    const token = await this.createSession(user);
+    return { user: this.toPublicUser(user), token };
+  }
+
+  /**
+   * Log in with email and password
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} { user, token }
+   */
+  async login({ email, password } = {}) {
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      throw new AuthError('Email and password are required');
+    }
+
+    const user = await userStore.getUserByEmail(email);
+    if (!user || !(await this.verifyPassword(password, user.passwordHash))) {
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    const token = await this.createSession(user);
+    return { user: this.toPublicUser(user), token };
+  }
+
+  /**
+   * Revoke the session behind a token
+   * @param {string} token - Signed session token
+   * @returns {Promise<boolean>} True if a session was revoked
+   */
+  async logout(token) {
+    const payload = await this.verifyToken(token);
+    if (!payload) {
+      return false;
+    }
+
+    return userStore.deleteSession(payload.sid);
+  }
+
+  /**
+   * Resolve the user behind a session token
+   * @param {string} token - Signed session token
+   * @returns {Promise<Object|null>} Public user or null if the token is invalid or revoked
+   */
+  async getUserFromToken(token) {
+    const payload = await this.verifyToken(token);
+    if (!payload) {
+      return null;
+    }
+
+    const session = await userStore.getSession(payload.sid);
+    if (!session || session.userId !== payload.sub || session.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    const user = await userStore.getUserById(payload.sub);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * Whether a user is a server administrator (listed in ADMIN_EMAILS)
+   * @param {Object} user - Public user
+   * @returns {boolean} True for administrators
+   */
+  isAdmin(user) {
+    return !!user?.email && ADMIN_EMAILS.includes(user.email.toLowerCase());
+  }
+
+  /**
+   * Strip private fields from a user record
+   * @param {Object} user - User record
+   * @returns {Object} Public user
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+// Create and export singleton instance
+const authService = new AuthService();
+export default authService;
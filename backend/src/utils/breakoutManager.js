@@ -0,0 +1,225 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ROLES } from './permissions.js';
+
+const MAX_BREAKOUT_ROOMS = 50;
+const MAX_BREAKOUT_MINUTES = 240;
+const BREAKOUT_MODES = ['manual', 'random', 'roster'];
+
+/**
+ * Error raised for invalid breakout room requests.
+ * Sent back to the requester as `breakout-error`.
+ */
+export class BreakoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BreakoutError';
+  }
+}
+
+/**
+ * Breakout Manager
+ * Splits a meeting into breakout rooms. Room state lives on the meeting
+ * (`meeting.breakout`) and each participant's room on `participant.breakoutRoomId`
+ * (null for the main session), so it is shared and snapshotted with the meeting.
+ */
+class BreakoutManager {
+  /**
+   * Socket.IO room used for a breakout room's signaling and chat
+   */
+  socketRoom(meetingId, roomId) {
+    return `${meetingId}:breakout:${roomId}`;
+  }
+
+  isOpen(meeting) {
+    return meeting?.breakout?.status === 'open';
+  }
+
+  getRoom(meeting, roomId) {
+    return this.isOpen(meeting) ? meeting.breakout.rooms.find(room => room.id === roomId) || null : null;
+  }
+
+  /**
+   * Participants who are sent to rooms by random and roster assignment.
+   * Hosts and co-hosts stay in the main session and visit rooms as they like.
+   */
+  getAssignableParticipants(meeting) {
+    return meeting.participants.filter(p =>
+      p.isApproved && !p.isHost && p.role !== ROLES.CO_HOST
+    );
+  }
+
+  /**
+   * Open breakout rooms
+   * @param {Object} meeting - Active meeting
+   * @param {Object} options - { count, names, mode: 'manual' | 'random' | 'roster', roster }. Names that aren't strings are ignored.
+   * @returns {Array} Participants whose room changed
+   */
+  createRooms(meeting, { count, names, mode = 'manual', roster = null } = {}) {
+    if (this.isOpen(meeting)) {
+      throw new BreakoutError('Breakout rooms are already open - close them first');
+    }
+    if (!BREAKOUT_MODES.includes(mode)) {
+      throw new BreakoutError('Choose manual, random or roster assignment');
+    }
+
+    let roomNames;
+    if (mode === 'roster') {
+      const groups = (roster?.members || []).map(member => member.group).filter(Boolean);
+      roomNames = Array.from(new Set(groups)).sort();
+      if (roomNames.length === 0) {
+        throw new BreakoutError('The roster has no groups - add a "group" column to assign from it');
+      }
+    } else {
+      const roomCount = parseInt(count, 10);
+      if (!roomCount || roomCount < 1) {
+        throw new BreakoutError('Choose at least one breakout room');
+      }
+      const givenNames = Array.isArray(names) ? names : [];
+      roomNames = Array.from({ length: roomCount }, (_, index) =>
+        (typeof givenNames[index] === 'string' && givenNames[index].trim()) || `Room ${index + 1}`
+      );
+    }
+
+    if (roomNames.length > MAX_BREAKOUT_ROOMS) {
+      throw new BreakoutError(`A meeting can have at most ${MAX_BREAKOUT_ROOMS} breakout rooms`);
+    }
+
+    meeting.breakout = {
+      status: 'open',
+      mode,
+      rooms: roomNames.map(name => ({ id: uuidv4(), name })),
+      openedAt: new Date().toISOString(),
+      endsAt: null
+    };
+
+    if (mode === 'random') {
+      return this.assignRandomly(meeting);
+    }
+    if (mode === 'roster') {
+      return this.assignFromRoster(meeting, roster);
+    }
+    return [];
+  }
+
+  /**
+   * Spread the assignable participants evenly over the rooms in random order
+   */
+  assignRandomly(meeting) {
+    const participants = [...this.getAssignableParticipants(meeting)];
+    for (let i = participants.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [participants[i], participants[j]] = [participants[j], participants[i]];
+    }
+
+    const { rooms } = meeting.breakout;
+    return participants.filter((participant, index) =>
+      this.setRoom(participant, rooms[index % rooms.length].id)
+    );
+  }
+
+  /**
+   * Put each participant matched to the roster in the room named after their group.
+   * Participants without a group stay in the main session.
+   */
+  assignFromRoster(meeting, roster) {
+    const groupsByMember = new Map((roster?.members || []).map(member => [member.id, member.group]));
+    const roomsByName = new Map(meeting.breakout.rooms.map(room => [room.name, room.id]));
+
+    return this.getAssignableParticipants(meeting).filter(participant => {
+      const roomId = roomsByName.get(groupsByMember.get(participant.rosterMemberId));
+      return roomId ? this.setRoom(participant, roomId) : false;
+    });
+  }
+
+  /**
+   * Move one participant to a room, or back to the main session (roomId null)
+   * @returns {Object} The moved participant
+   */
+  moveParticipant(meeting, participantId, roomId) {
+    if (!this.isOpen(meeting)) {
+      throw new BreakoutError('Breakout rooms are not open');
+    }
+
+    const participant = meeting.participants.find(p => p.id === participantId && p.isApproved);
+    if (!participant) {
+      throw new BreakoutError('Participant not found');
+    }
+    if (roomId && !this.getRoom(meeting, roomId)) {
+      throw new BreakoutError('Breakout room not found');
+    }
+
+    this.setRoom(participant, roomId || null);
+    return participant;
+  }
+
+  /**
+   * Start (or restart) the countdown after which all rooms close
+   * @returns {number} Milliseconds until the rooms close
+   */
+  startTimer(meeting, minutes) {
+    if (!this.isOpen(meeting)) {
+      throw new BreakoutError('Breakout rooms are not open');
+    }
+
+    const duration = Number(minutes);
+    if (!duration || duration <= 0 || duration > MAX_BREAKOUT_MINUTES) {
+      throw new BreakoutError(`The countdown must be between 1 and ${MAX_BREAKOUT_MINUTES} minutes`);
+    }
+
+    const durationMs = Math.round(duration * 60000);
+    meeting.breakout.endsAt = new Date(Date.now() + durationMs).toISOString();
+    return durationMs;
+  }
+
+  /**
+   * Close every room and bring everyone back to the main session
+   * @returns {Array} Participants who were in a room
+   */
+  closeRooms(meeting) {
+    const returning = meeting.participants.filter(p => p.breakoutRoomId);
+    returning.forEach(participant => {
+      participant.breakoutRoomId = null;
+    });
+
+    if (meeting.breakout) {
+      meeting.breakout = {
+        ...meeting.breakout,
+        status: 'closed',
+        endsAt: null,
+        closedAt: new Date().toISOString()
+      };
+    }
+    return returning;
+  }
+
+  /**
+   * @returns {boolean} True if the participant's room changed
+   */
+  setRoom(participant, roomId) {
+    const previousRoomId = participant.breakoutRoomId || null;
+    participant.breakoutRoomId = roomId;
+    return previousRoomId !== roomId;
+  }
+
+  /**
+   * Room state sent to clients: the rooms and who is in each one
+   */
+  getState(meeting) {
+    const breakout = meeting.breakout || { status: 'closed', rooms: [], endsAt: null };
+    return {
+      status: breakout.status,
+      mode: breakout.mode || null,
+      endsAt: breakout.endsAt,
+      rooms: this.isOpen(meeting) ? breakout.rooms : [],
+      assignments: Object.fromEntries(
+        meeting.participants
+          .filter(p => p.isApproved)
+          .map(p => [p.id, p.breakoutRoomId || null])
+      )
+    };
+  }
+}
+
+// Create and export singleton instance
+const breakoutManager = new BreakoutManager();
+export default breakoutManager;
@@ -0,0 +1,442 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOBBY_OPENS_BEFORE_MS = 5 * 60 * 1000; // Students can join 5 minutes before the start
+const SESSION_LOOKBACK_MS = 2 * DAY_MS; // How far back meeting codes are still recognised
+const FREQUENCIES = ['none', 'daily', 'weekly'];
+
+/**
+ * Error raised for invalid schedule data or access to someone else's class.
+ * Carries the HTTP status the route should respond with.
+ */
+export class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+/**
+ * Class Scheduler
+ * File-backed scheduled and recurring class sessions. Each occurrence gets a
+ * stable meeting code derived from the class and date, so the same link works
+ * every time the class meets.
+ *
+ * Recurrences follow the server's local time zone (a 10:00 class stays at 10:00
+ * across daylight saving changes).
+ */
+class ClassScheduler {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.storePath = path.join(this.dataDir, 'classes.json');
+    this.data = null; // { classes: { id -> class } }
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk (once). A file that isn't valid JSON is moved
+   * aside; any other read error is thrown, and the next call tries again.
+   * @returns {Promise<Object>} Store contents
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        try {
+          const content = await fs.readFile(this.storePath, 'utf8');
+          const parsed = JSON.parse(content);
+          this.data = { classes: parsed.classes || {} };
+          console.log('📅 Loaded class schedule:', Object.keys(this.data.classes).length, 'classes');
+        } catch (error) {
+          if (error instanceof SyntaxError) {
+            // Starting fresh over it would lose every entry on the next save, so keep a copy
+            const backupPath = `${this.storePath}.corrupt-${Date.now()}`;
+            await fs.rename(this.storePath, backupPath);
+            console.error('❌ The class schedule file is not valid JSON, moved it to', backupPath, 'and starting fresh:', error.message);
+          } else if (error.code !== 'ENOENT') {
+            console.error('❌ Failed to read class schedule:', error.message);
+            throw error;
+          }
+          this.data = { classes: {} };
+        }
+
+        return this.data;
+      })().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Persist the store to disk. Writes are serialized so concurrent
+   * requests can't interleave partial files.
+   */
+  async save() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, this.storePath);
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Validate and normalize class details
+   * @param {Object} details - Class details from the request
+   * @param {Object} existing - Current class when updating
+   * @returns {Object} Normalized fields
+   */
+  normalizeClass(details, existing = {}) {
+    const merged = { ...existing, ...details };
+
+    const title = (merged.title || '').trim();
+    if (!title) {
+      throw new ScheduleError('A class title is required');
+    }
+
+    const start = new Date(merged.startTime);
+    if (Number.isNaN(start.getTime())) {
+      throw new ScheduleError('A valid start time is required');
+    }
+
+    const durationMinutes = parseInt(merged.durationMinutes, 10);
+    if (!durationMinutes || durationMinutes < 5 || durationMinutes > 600) {
+      throw new ScheduleError('Duration must be between 5 and 600 minutes');
+    }
+
+    const recurrence = { frequency: 'none', interval: 1, daysOfWeek: [], until: null, ...merged.recurrence };
+    if (!FREQUENCIES.includes(recurrence.frequency)) {
+      throw new ScheduleError(`Recurrence must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    recurrence.interval = Math.max(1, parseInt(recurrence.interval, 10) || 1);
+
+    if (recurrence.frequency === 'weekly') {
+      const days = (recurrence.daysOfWeek || []).map(day => parseInt(day, 10));
+      if (days.some(day => Number.isNaN(day) || day < 0 || day > 6)) {
+        throw new ScheduleError('Days of week must be numbers from 0 (Sunday) to 6 (Saturday)');
+      }
+      recurrence.daysOfWeek = days.length > 0 ? Array.from(new Set(days)).sort() : [start.getDay()];
+    } else {
+      recurrence.daysOfWeek = [];
+    }
+
+    if (recurrence.until) {
+      const until = new Date(recurrence.until);
+      if (Number.isNaN(until.getTime()) || until < start) {
+        throw new ScheduleError('The recurrence end date must be after the start time');
+      }
+      recurrence.until = until.toISOString();
+    } else {
+      recurrence.until = null;
+    }
+
+    return {
+      title,
+      description: (merged.description || '').trim(),
+      startTime: start.toISOString(),
+      durationMinutes,
+      recurrence,
+      allowEarlyJoin: !!merged.allowEarlyJoin
+    };
+  }
+
+  /**
+   * Create a class
+   * @param {Object} owner - Public user creating the class
+   * @param {Object} details - { title, description, startTime, durationMinutes, recurrence, allowEarlyJoin }
+   * @returns {Promise<Object>} Created class
+   */
+  async createClass(owner, details) {
+    const data = await this.load();
+    const now = new Date().toISOString();
+
+    const scheduledClass = {
+      id: uuidv4(),
+      ownerId: owner.id,
+      ownerName: owner.name,
+      ...this.normalizeClass(details),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    data.classes[scheduledClass.id] = scheduledClass;
+    await this.save();
+
+    console.log(`📅 Scheduled class "${scheduledClass.title}" (${scheduledClass.recurrence.frequency}) for ${owner.email}`);
+    return scheduledClass;
+  }
+
+  /**
+   * Get a class owned by a user
+   * @param {string} classId - Class ID
+   * @param {string} ownerId - User ID that must own the class
+   * @returns {Promise<Object>} Class
+   */
+  async getOwnedClass(classId, ownerId) {
+    const data = await this.load();
+    const scheduledClass = data.classes[classId];
+
+    if (!scheduledClass) {
+      throw new ScheduleError('Class not found', 404);
+    }
+    if (scheduledClass.ownerId !== ownerId) {
+      throw new ScheduleError('Only the class owner can change this class', 403);
+    }
+
+    return scheduledClass;
+  }
+
+  /**
+   * Update a class
+   * @param {string} classId - Class ID
+   * @param {string} ownerId - User ID that must own the class
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated class
+   */
+  async updateClass(classId, ownerId, changes) {
+    const scheduledClass = await this.getOwnedClass(classId, ownerId);
+
+    Object.assign(scheduledClass, this.normalizeClass(changes, scheduledClass), {
+      updatedAt: new Date().toISOString()
+    });
+    await this.save();
+
+    return scheduledClass;
+  }
+
+  /**
+   * Delete a class and all its sessions
+   * @param {string} classId - Class ID
+   * @param {string} ownerId - User ID that must own the class
+   */
+  async deleteClass(classId, ownerId) {
+    await this.getOwnedClass(classId, ownerId);
+    delete this.data.classes[classId];
+    await this.save();
+  }
+
+  /**
+   * List the classes owned by a user
+   * @param {string} ownerId - User ID
+   * @returns {Promise<Array>} Classes
+   */
+  async getClassesForOwner(ownerId) {
+    const data = await this.load();
+    return Object.values(data.classes).filter(scheduledClass => scheduledClass.ownerId === ownerId);
+  }
+
+  /**
+   * Stable meeting code for the occurrence of a class on a given date (3 letters + 3 digits)
+   * @param {string} classId - Class ID
+   * @param {Date} date - Occurrence start
+   * @returns {string} Meeting code
+   */
+  getMeetingCode(classId, date) {
+    const dateKey = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    const hash = crypto.createHash('sha256').update(`${classId}:${dateKey}`).digest();
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    let code = '';
+    for (let i = 0; i < 3; i++) {
+      code += letters.charAt(hash[i] % letters.length);
+    }
+    for (let i = 3; i < 6; i++) {
+      code += String(hash[i] % 10);
+    }
+    return code;
+  }
+
+  /**
+   * Build the session object for one occurrence
+   */
+  toSession(scheduledClass, start, index) {
+    const end = new Date(start.getTime() + scheduledClass.durationMinutes * 60 * 1000);
+    return {
+      meetingCode: this.getMeetingCode(scheduledClass.id, start),
+      classId: scheduledClass.id,
+      index,
+      title: scheduledClass.title,
+      description: scheduledClass.description,
+      ownerId: scheduledClass.ownerId,
+      ownerName: scheduledClass.ownerName,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      opensAt: new Date(start.getTime() - LOBBY_OPENS_BEFORE_MS).toISOString(),
+      allowEarlyJoin: scheduledClass.allowEarlyJoin
+    };
+  }
+
+  /**
+   * List the sessions of a class that overlap a time range
+   * @param {Object} scheduledClass - Class
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @returns {Array} Sessions in start order
+   */
+  getSessions(scheduledClass, from, to) {
+    const { recurrence, durationMinutes } = scheduledClass;
+    const first = new Date(scheduledClass.startTime);
+    const until = recurrence.until ? new Date(recurrence.until) : null;
+    const durationMs = durationMinutes * 60 * 1000;
+    const sessions = [];
+
+    const addIfInRange = (start, index) => {
+      if (start.getTime() + durationMs > from.getTime() && start <= to) {
+        sessions.push(this.toSession(scheduledClass, start, index));
+      }
+    };
+
+    if (recurrence.frequency === 'none') {
+      addIfInRange(first, 0);
+      return sessions;
+    }
+
+    // Walk day by day from the first session so indices and intervals stay stable.
+    // setDate keeps the local wall-clock time across daylight saving changes.
+    const firstWeekStart = new Date(first);
+    firstWeekStart.setHours(0, 0, 0, 0);
+    firstWeekStart.setDate(firstWeekStart.getDate() - firstWeekStart.getDay());
+
+    let index = 0;
+    for (let dayOffset = 0; ; dayOffset++) {
+      const start = new Date(first);
+      start.setDate(first.getDate() + dayOffset);
+
+      if (start > to || (until && start > until)) {
+        break;
+      }
+
+      let occurs;
+      if (recurrence.frequency === 'daily') {
+        occurs = dayOffset % recurrence.interval === 0;
+      } else {
+        const weekIndex = Math.floor(Math.round((start - firstWeekStart) / DAY_MS) / 7);
+        occurs = recurrence.daysOfWeek.includes(start.getDay()) && weekIndex % recurrence.interval === 0;
+      }
+
+      if (occurs) {
+        addIfInRange(start, index);
+        index++;
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Upcoming sessions of a user's classes
+   * @param {string} ownerId - User ID
+   * @param {Object} options - { days } - how far ahead to look (default 14)
+   * @returns {Promise<Array>} Sessions in start order, including ones in progress
+   */
+  async getUpcomingSessions(ownerId, { days = 14 } = {}) {
+    const classes = await this.getClassesForOwner(ownerId);
+    const from = new Date();
+    const to = new Date(from.getTime() + days * DAY_MS);
+
+    return classes
+      .flatMap(scheduledClass => this.getSessions(scheduledClass, from, to))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  /**
+   * Find the scheduled session behind a meeting code. Synchronous so the
+   * join-meeting handler can use it - call load() at startup.
+   * @param {string} meetingCode - Meeting code
+   * @returns {Object|null} Session, or null for unscheduled meetings
+   */
+  findSession(meetingCode) {
+    if (!this.data || !meetingCode) {
+      return null;
+    }
+
+    const code = String(meetingCode).toUpperCase();
+    const from = new Date(Date.now() - SESSION_LOOKBACK_MS);
+    const to = new Date(Date.now() + 366 * DAY_MS);
+
+    for (const scheduledClass of Object.values(this.data.classes)) {
+      const session = this.getSessions(scheduledClass, from, to).find(s => s.meetingCode === code);
+      if (session) {
+        return session;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether students may join a session yet
+   * @param {Object} session - Session from findSession
+   * @returns {boolean} True once the lobby is open (or early joins are allowed)
+   */
+  isLobbyOpen(session) {
+    return session.allowEarlyJoin || Date.now() >= new Date(session.opensAt).getTime();
+  }
+
+  /**
+   * Render a session as an iCalendar (.ics) file
+   * @param {Object} session - Session
+   * @param {Object} options - { joinUrl } - link to the meeting lobby
+   * @returns {string} iCalendar text
+   */
+  toICS(session, { joinUrl } = {}) {
+    const formatDate = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escapeText = (text) => String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+
+    const description = [
+      session.description,
+      `Meeting code: ${session.meetingCode}`,
+      joinUrl ? `Join: ${joinUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//WebNexus//Class Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${session.classId}-${session.meetingCode}@webnexus`,
+      `DTSTAMP:${formatDate(new Date().toISOString())}`,
+      `DTSTART:${formatDate(session.startTime)}`,
+      `DTEND:${formatDate(session.endTime)}`,
+      `SUMMARY:${escapeText(session.title)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      joinUrl ? `URL:${joinUrl}` : null,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+// Create and export singleton instance
+const classScheduler = new ClassScheduler();
+export default classScheduler;
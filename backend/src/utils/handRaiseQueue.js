@@ -0,0 +1,159 @@
+import attendanceTracker from './attendanceTracker.js';
+
+/**
+ * Hand Raise Queue
+ * First-in, first-out queue of participants who want to speak, plus a log of
+ * every raise, lower, call and clear for participation grading.
+ *
+ * A log is a plain object so it can live in shared state and snapshots:
+ * { meetingId, queue: [entry], events: [event] }
+ * People are identified like in attendance (account, or display name for
+ * guests), so the summary survives reconnects.
+ */
+class HandRaiseQueue {
+  /**
+   * Create an empty hand raise log for a meeting
+   * @param {Object} meeting - Active meeting
+   * @returns {Object} Hand raise log
+   */
+  createLog(meeting) {
+    return {
+      meetingId: meeting.id,
+      queue: [],
+      events: []
+    };
+  }
+
+  /**
+   * Add a participant to the back of the queue
+   * @returns {Object|null} Queue entry, or null if their hand is already up
+   */
+  raise(log, participant, at = new Date()) {
+    if (log.queue.some(entry => entry.participantId === participant.id)) {
+      return null;
+    }
+
+    const entry = {
+      participantId: participant.id,
+      key: attendanceTracker.attendeeKey(participant),
+      userId: participant.userId || null,
+      name: attendanceTracker.displayName(participant),
+      raisedAt: at.toISOString()
+    };
+    log.queue.push(entry);
+    this.logEvent(log, 'raised', entry, at);
+    return entry;
+  }
+
+  /**
+   * Take a participant out of the queue
+   * @param {Object} options - { by: name of who lowered it, reason: 'lowered' | 'host' | 'left' }
+   * @returns {Object|null} Removed entry, or null if their hand wasn't up
+   */
+  lower(log, participantId, { by = null, reason = 'lowered' } = {}, at = new Date()) {
+    const index = log.queue.findIndex(entry => entry.participantId === participantId);
+    if (index === -1) {
+      return null;
+    }
+
+    const [entry] = log.queue.splice(index, 1);
+    this.logEvent(log, 'lowered', entry, at, { by, reason });
+    return entry;
+  }
+
+  /**
+   * Call on the participant at the front of the queue
+   * @param {string} by - Name of who called on them
+   * @returns {Object|null} Called entry, or null if the queue is empty
+   */
+  callNext(log, by = null, at = new Date()) {
+    const entry = log.queue.shift();
+    if (!entry) {
+      return null;
+    }
+
+    this.logEvent(log, 'called', entry, at, {
+      by,
+      waitedSeconds: Math.round((at.getTime() - new Date(entry.raisedAt).getTime()) / 1000)
+    });
+    return entry;
+  }
+
+  /**
+   * Empty the queue
+   * @returns {Array} Entries that were waiting
+   */
+  clear(log, by = null, at = new Date()) {
+    const cleared = log.queue.splice(0);
+    cleared.forEach(entry => this.logEvent(log, 'cleared', entry, at, { by }));
+    return cleared;
+  }
+
+  logEvent(log, type, entry, at, details = {}) {
+    log.events.push({
+      type,
+      participantId: entry.participantId,
+      key: entry.key,
+      userId: entry.userId,
+      name: entry.name,
+      at: at.toISOString(),
+      ...details
+    });
+  }
+
+  /**
+   * Queue as sent to clients, front first
+   */
+  getQueue(log) {
+    return (log?.queue || []).map((entry, index) => ({
+      participantId: entry.participantId,
+      name: entry.name,
+      raisedAt: entry.raisedAt,
+      position: index + 1
+    }));
+  }
+
+  /**
+   * Participation summary saved with the meeting history: how often each
+   * person raised their hand and was called on, plus the full event log
+   * @param {Object} log - Hand raise log
+   * @returns {Object} { participants, events }
+   */
+  buildSummary(log) {
+    const people = new Map();
+    log.events.forEach(event => {
+      const person = people.get(event.key) || {
+        name: event.name,
+        userId: event.userId,
+        raised: 0,
+        called: 0,
+        lowered: 0,
+        totalWaitSeconds: 0
+      };
+
+      if (event.type === 'raised') {
+        person.raised += 1;
+      } else if (event.type === 'called') {
+        person.called += 1;
+        person.totalWaitSeconds += event.waitedSeconds;
+      } else if (event.type === 'lowered') {
+        person.lowered += 1;
+      }
+      people.set(event.key, person);
+    });
+
+    return {
+      participants: Array.from(people.values())
+        .map(({ totalWaitSeconds, ...person }) => ({
+          ...person,
+          averageWaitSeconds: person.called > 0 ? Math.round(totalWaitSeconds / person.called) : null
+        }))
+        .sort((a, b) => b.called - a.called || a.name.localeCompare(b.name)),
+      events: log.events
+    };
+  }
+}
+
+// Create and export singleton instance
+const handRaiseQueue = new HandRaiseQueue();
+export default handRaiseQueue;
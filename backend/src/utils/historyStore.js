@@ -0,0 +1,459 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const INDEX_FILE = 'active_meetings_index.json';
+const MEETING_FILE = /^meeting_(.+)_\d{4}-\d{2}-\d{2}T[\d-]+Z\.json$/; // meeting_<id>_<savedAt>.json
+const SAVED_AT_SUFFIX = /^\d{4}-\d{2}-\d{2}T[\d-]+Z\.json$/;
+
+// Index entry fields meeting lists can be sorted by
+export const HISTORY_SORT_FIELDS = ['createdAt', 'endedAt', 'duration', 'title'];
+
+/**
+ * The index entry kept for a meeting: what lists and statistics need, without
+ * transcripts, chat and the other large parts of the history
+ * @param {Object} history - Meeting history
+ * @returns {Object} Index entry
+ */
+export function buildIndexEntry(history) {
+  const meeting = history.meeting;
+  return {
+    id: meeting.id,
+    title: meeting.title,
+    host: meeting.host,
+    ownerId: meeting.ownerId || null,
+    // Signed-in attendees, for per-user lists
+    userIds: (history.attendance?.attendees || []).map(attendee => attendee.userId).filter(Boolean),
+    status: meeting.status || 'completed',
+    createdAt: meeting.createdAt,
+    endedAt: meeting.endedAt,
+    duration: meeting.duration,
+    highlights: history.highlights?.total || 0,
+    highlightTypes: history.highlights?.summary?.byType || {},
+    participants: meeting.participants?.length || 0,
+    hasRecording: !!history.recording,
+    recordingDuration: history.recording?.duration || 0,
+    hasTranscript: (history.transcript?.totalEntries || 0) > 0,
+    hasSummary: !!history.summary,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+/**
+ * Whether an index entry passes the list filters
+ * @param {Object} entry - Index entry
+ * @param {Object} filters - { userId: only meetings this user owns or attended, role: host|attendee, status }
+ * @returns {boolean}
+ */
+function matchesListFilters(entry, { userId = null, role = null, status = null } = {}) {
+  if (status && entry.status !== status) return false;
+  if (!userId) return true;
+
+  const isHost = entry.ownerId === userId;
+  const isAttendee = !isHost && (entry.userIds || []).includes(userId);
+  if (role === 'host') return isHost;
+  if (role === 'attendee') return isAttendee;
+  return isHost || isAttendee;
+}
+
+/**
+ * Compare two index entries on a sort field, for adapters that sort in memory
+ */
+function compareEntries(a, b, sort) {
+  if (sort === 'duration') {
+    return (a.duration || 0) - (b.duration || 0);
+  }
+  if (sort === 'title') {
+    return String(a.title || '').localeCompare(String(b.title || ''));
+  }
+  return new Date(a[sort] || 0) - new Date(b[sort] || 0);
+}
+
+/**
+ * JSON adapter
+ * One `meeting_<id>_<savedAt>.json` file per meeting, plus an index file with
+ * one entry per meeting so lists and statistics don't open every file
+ */
+export class JsonHistoryAdapter {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.historyDir = options.path || path.join(__dirname, '../../history');
+    this.indexPath = path.join(this.historyDir, INDEX_FILE);
+    this.writeQueue = Promise.resolve();
+  }
+
+  async open() {
+    await fs.mkdir(this.historyDir, { recursive: true });
+    console.log('📁 Meeting history directory ensured');
+
+    // Rebuild the index from the meeting files when it is missing meetings or was
+    // written before entries carried their id and attendees
+    const index = await this.readIndex();
+    const savedIds = new Set((await fs.readdir(this.historyDir))
+      .map(name => name.match(MEETING_FILE)?.[1])
+      .filter(Boolean));
+    if (savedIds.size !== Object.keys(index).length || Object.values(index).some(entry => !entry.id || !entry.userIds)) {
+      const histories = await this.all();
+      await this.updateIndex(current => {
+        Object.keys(current).forEach(meetingId => delete current[meetingId]);
+        histories.forEach(history => {
+          current[history.meeting.id] = buildIndexEntry(history);
+        });
+      });
+      console.log('📋 Rebuilt meeting history index:', histories.length, 'meetings');
+    }
+  }
+
+  /**
+   * Path of a meeting file. Meeting IDs come from clients, so a name that would
+   * land outside the history directory (e.g. an ID with "../") is refused.
+   * @param {string} fileName - File name built from a meeting ID
+   * @returns {string} Absolute path inside the history directory
+   */
+  resolveFile(fileName) {
+    const filePath = path.resolve(this.historyDir, fileName);
+    if (path.dirname(filePath) !== path.resolve(this.historyDir)) {
+      throw new Error(`Meeting history file outside the history directory: ${fileName}`);
+    }
+    return filePath;
+  }
+
+  async findFile(meetingId) {
+    // The save time must follow the ID directly, so meeting "A" never matches the file of "A_B"
+    const prefix = `meeting_${meetingId}_`;
+    this.resolveFile(prefix);
+    const files = await fs.readdir(this.historyDir);
+    return files.find(file => file.startsWith(prefix) && SAVED_AT_SUFFIX.test(file.slice(prefix.length))) || null;
+  }
+
+  async readIndex() {
+    try {
+      return JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to read meeting history index:', error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Change the index. Updates are serialized so concurrent saves can't drop each other's entries.
+   * @param {Function} update - (index) => void, changes the index in place
+   */
+  async updateIndex(update) {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const index = await this.readIndex();
+        update(index);
+        await fs.writeFile(this.indexPath, JSON.stringify(index, null, 2));
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Save a meeting, replacing any earlier save of the same meeting
+   * @param {Object} history - Meeting history
+   * @returns {Promise<string>} Path of the meeting file
+   */
+  async save(history) {
+    const meetingId = history.meeting.id;
+    const existing = await this.findFile(meetingId);
+    const fileName = existing || `meeting_${meetingId}_${history.metadata.savedAt.replace(/[:.]/g, '-')}.json`;
+    const filePath = this.resolveFile(fileName);
+
+    await fs.writeFile(filePath, JSON.stringify(history, null, 2));
+    await this.updateIndex(index => {
+      index[meetingId] = buildIndexEntry(history);
+    });
+    return filePath;
+  }
+
+  async get(meetingId) {
+    const file = await this.findFile(meetingId);
+    if (!file) {
+      return null;
+    }
+    return JSON.parse(await fs.readFile(this.resolveFile(file), 'utf8'));
+  }
+
+  /**
+   * Every saved meeting, read from its file
+   * @returns {Promise<Array>} Meeting histories
+   */
+  async all() {
+    const files = await fs.readdir(this.historyDir);
+    const histories = [];
+    for (const file of files.filter(name => name.startsWith('meeting_') && name.endsWith('.json'))) {
+      try {
+        histories.push(JSON.parse(await fs.readFile(path.join(this.historyDir, file), 'utf8')));
+      } catch (error) {
+        console.warn('⚠️ Failed to parse meeting file:', file, error.message);
+      }
+    }
+    return histories;
+  }
+
+  /**
+   * A page of index entries
+   * @param {Object} options - { sort, order, limit, offset, userId, role, status }
+   * @returns {Promise<Object>} { total, totals: { participants, completed, duration }, entries }
+   */
+  async list({ sort = 'createdAt', order = 'desc', limit = null, offset = 0, ...filters } = {}) {
+    const index = await this.readIndex();
+    const entries = Object.entries(index)
+      .map(([id, entry]) => ({ ...entry, id }))
+      .filter(entry => matchesListFilters(entry, filters));
+    entries.sort((a, b) => (order === 'asc' ? 1 : -1) * compareEntries(a, b, sort));
+    return {
+      total: entries.length,
+      totals: {
+        participants: entries.reduce((sum, entry) => sum + (entry.participants || 0), 0),
+        completed: entries.filter(entry => entry.status === 'completed').length,
+        duration: entries.reduce((sum, entry) => sum + (entry.duration || 0), 0)
+      },
+      entries: limit === null ? entries.slice(offset) : entries.slice(offset, offset + limit)
+    };
+  }
+
+  async delete(meetingId) {
+    const file = await this.findFile(meetingId);
+    if (!file) {
+      return false;
+    }
+
+    await fs.unlink(this.resolveFile(file));
+    await this.updateIndex(index => {
+      delete index[meetingId];
+    });
+    return true;
+  }
+
+  /**
+   * Delete meetings saved before a date
+   * @param {Date} cutoffDate - Oldest save to keep
+   * @returns {Promise<number>} Number of meetings deleted
+   */
+  async deleteSavedBefore(cutoffDate) {
+    const files = await fs.readdir(this.historyDir);
+    const deletedIds = [];
+
+    for (const file of files.filter(name => name.startsWith('meeting_') && name.endsWith('.json'))) {
+      try {
+        const filePath = path.join(this.historyDir, file);
+        const stats = await fs.stat(filePath);
+
+        if (stats.mtime < cutoffDate) {
+          const history = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          await fs.unlink(filePath);
+          deletedIds.push(history.meeting?.id);
+          console.log('🗑️ Deleted old meeting history:', file);
+        }
+      } catch (error) {
+        console.warn('⚠️ Failed to process file:', file, error.message);
+      }
+    }
+
+    if (deletedIds.length > 0) {
+      await this.updateIndex(index => {
+        deletedIds.forEach(meetingId => delete index[meetingId]);
+      });
+    }
+    return deletedIds.length;
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+}
+
+/**
+ * SQLite adapter
+ * One row per meeting holding the full history as JSON, with the index entry
+ * fields in their own columns so lists are sorted and paged by the database.
+ * Needs the optional better-sqlite3 dependency.
+ */
+export class SqliteHistoryAdapter {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.dbPath = options.path || path.join(__dirname, '../../data/meeting-history.db');
+    this.db = null;
+  }
+
+  async open() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('HISTORY_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meeting_history (
+        meeting_id TEXT PRIMARY KEY,
+        title TEXT,
+        created_at TEXT,
+        ended_at TEXT,
+        duration INTEGER NOT NULL DEFAULT 0,
+        saved_at TEXT NOT NULL,
+        entry TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS meeting_history_created_at ON meeting_history (created_at);
+      CREATE INDEX IF NOT EXISTS meeting_history_saved_at ON meeting_history (saved_at);
+    `);
+
+    // Columns for per-user lists, added to databases created without them
+    const columns = this.db.prepare('PRAGMA table_info(meeting_history)').all().map(column => column.name);
+    const addedColumns = !columns.includes('user_ids');
+    if (addedColumns) {
+      this.db.exec(`
+        ALTER TABLE meeting_history ADD COLUMN owner_id TEXT;
+        ALTER TABLE meeting_history ADD COLUMN user_ids TEXT NOT NULL DEFAULT '[]';
+        ALTER TABLE meeting_history ADD COLUMN status TEXT;
+        ALTER TABLE meeting_history ADD COLUMN participants INTEGER NOT NULL DEFAULT 0;
+      `);
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS meeting_history_owner_id ON meeting_history (owner_id)');
+
+    this.upsert = this.db.prepare(`
+      INSERT INTO meeting_history (meeting_id, title, created_at, ended_at, duration, owner_id, user_ids, status, participants, saved_at, entry, data)
+      VALUES (@meetingId, @title, @createdAt, @endedAt, @duration, @ownerId, @userIds, @status, @participants, @savedAt, @entry, @data)
+      ON CONFLICT (meeting_id) DO UPDATE SET
+        title = excluded.title,
+        created_at = excluded.created_at,
+        ended_at = excluded.ended_at,
+        duration = excluded.duration,
+        owner_id = excluded.owner_id,
+        user_ids = excluded.user_ids,
+        status = excluded.status,
+        participants = excluded.participants,
+        saved_at = excluded.saved_at,
+        entry = excluded.entry,
+        data = excluded.data
+    `);
+    this.selectOne = this.db.prepare('SELECT data FROM meeting_history WHERE meeting_id = ?');
+    this.selectAll = this.db.prepare('SELECT data FROM meeting_history');
+    this.deleteOne = this.db.prepare('DELETE FROM meeting_history WHERE meeting_id = ?');
+    this.deleteBefore = this.db.prepare('DELETE FROM meeting_history WHERE saved_at < ?');
+
+    // List statements depend on the sort and filters, and are prepared on first use
+    this.listStatements = new Map();
+
+    if (addedColumns) {
+      const rows = this.selectAll.all();
+      this.db.transaction(() => rows.forEach(row => this.write(JSON.parse(row.data))))();
+      console.log('📋 Added per-user columns to meeting history:', rows.length, 'meetings');
+    }
+  }
+
+  write(history) {
+    const meeting = history.meeting;
+    const entry = buildIndexEntry(history);
+    this.upsert.run({
+      meetingId: meeting.id,
+      title: meeting.title || null,
+      createdAt: meeting.createdAt || null,
+      endedAt: meeting.endedAt || null,
+      duration: meeting.duration || 0,
+      ownerId: entry.ownerId,
+      userIds: JSON.stringify(entry.userIds),
+      status: entry.status,
+      participants: entry.participants,
+      savedAt: history.metadata.savedAt,
+      entry: JSON.stringify(entry),
+      data: JSON.stringify(history)
+    });
+  }
+
+  /**
+   * The WHERE clause and parameters for list filters
+   */
+  buildListFilter({ userId = null, role = null, status = null } = {}) {
+    const conditions = [];
+    const params = {};
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (userId) {
+      params.userId = userId;
+      const attended = 'owner_id IS NOT @userId AND EXISTS (SELECT 1 FROM json_each(user_ids) WHERE value = @userId)';
+      if (role === 'host') {
+        conditions.push('owner_id = @userId');
+      } else if (role === 'attendee') {
+        conditions.push(attended);
+      } else {
+        conditions.push(`(owner_id = @userId OR ${attended})`);
+      }
+    }
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  prepareList(key, sql) {
+    if (!this.listStatements.has(key)) {
+      this.listStatements.set(key, this.db.prepare(sql));
+    }
+    return this.listStatements.get(key);
+  }
+
+  async save(history) {
+    this.write(history);
+    return `${this.dbPath}#${history.meeting.id}`;
+  }
+
+  async get(meetingId) {
+    const row = this.selectOne.get(meetingId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async all() {
+    return this.selectAll.all().map(row => JSON.parse(row.data));
+  }
+
+  async list({ sort = 'createdAt', order = 'desc', limit = null, offset = 0, ...filters } = {}) {
+    // Sort columns can't be bound as parameters, so they come from this fixed list
+    const columns = { createdAt: 'created_at', endedAt: 'ended_at', duration: 'duration', title: 'title COLLATE NOCASE' };
+    const column = columns[sort] || columns.createdAt;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const { where, params } = this.buildListFilter(filters);
+
+    const rows = this.prepareList(`rows:${column}:${direction}:${where}`,
+      `SELECT entry FROM meeting_history ${where} ORDER BY ${column} ${direction}, meeting_id LIMIT @limit OFFSET @offset`
+    ).all({ ...params, limit: limit === null ? -1 : limit, offset }); // a negative limit is "no limit" to SQLite
+    const totals = this.prepareList(`totals:${where}`, `
+      SELECT COUNT(*) AS total, COALESCE(SUM(participants), 0) AS participants,
+        COALESCE(SUM(status = 'completed'), 0) AS completed, COALESCE(SUM(duration), 0) AS duration
+      FROM meeting_history ${where}
+    `).get(params);
+
+    return {
+      total: totals.total,
+      totals: { participants: totals.participants, completed: totals.completed, duration: totals.duration },
+      entries: rows.map(row => JSON.parse(row.entry))
+    };
+  }
+
+  async delete(meetingId) {
+    return this.deleteOne.run(meetingId).changes > 0;
+  }
+
+  async deleteSavedBefore(cutoffDate) {
+    return this.deleteBefore.run(cutoffDate.toISOString()).changes;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
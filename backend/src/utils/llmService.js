@@ -3,6 +3,39 @@
 
 import speech from '@google-cloud/speech';
 
+// Quiz generation limits
+const MAX_QUIZ_QUESTIONS = 10;
+const MIN_QUIZ_WORDS = 40;
+const QUIZ_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Common words that are never a lecture's key terms
+const KEY_TERM_STOP_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'because', 'before', 'being', 'below', 'between',
+  'could', 'doing', 'during', 'every', 'first', 'going', 'gonna', 'great', 'having', 'maybe',
+  'might', 'other', 'really', 'right', 'should', 'since', 'something', 'still', 'their', 'there',
+  'these', 'thing', 'things', 'think', 'those', 'through', 'today', 'under', 'until', 'using',
+  'where', 'which', 'while', 'would', 'actually', 'basically', 'another', 'everyone', 'people',
+  'pretty', 'question', 'questions', 'alright', 'anything', 'everything', 'almost', 'always',
+  'never', 'often', 'later', 'quite'
+]);
+
+// Meeting summary limits
+const MIN_SUMMARY_WORDS = 30;
+const MAX_SUMMARY_CHARS = 12000;
+
+// Sentence patterns for the rule-based meeting summary
+const SUMMARY_PATTERNS = {
+  definition: /^(?:an?\s+|the\s+)?([\p{L}][\p{L}\s-]*?)\s+(?:is|are|means|refers to|is defined as|is known as)\s+(.{8,})$/iu,
+  notATerm: /\b(this|that|these|those|it|there|here|what|which|who|he|she|they|we|you|i|everything|something|today|homework|answer|one|mine|yours)\b/i,
+  progressive: /^\p{L}+ing\b/u,
+  decision: /\b(we(?:'ve| have)? (?:decided|agreed|settled on)|(?:we're|we are|we'll|we will|let's) go(?:ing)? with|decided to|agreed (?:to|that|on)|the decision is)\b/i,
+  action: /\b(homework|assignment|due|deadline|please|make sure (?:to|you)|don't forget|remember to|needs? to|for next (?:class|week|time)|read chapter|submit|hand in|turn in|will (?:send|prepare|review|write|finish|read|share|bring|upload|email|post|look into))\b/i,
+  selfOwned: /\b(I will|I'll|I'm going to|I am going to|I need to)\b/i,
+  classOwned: /\b(everyone|everybody|all of you|you all|students|class|homework|you)\b/i,
+  due: /\b(?:(?:by|before|due|until|on)\s+((?:next\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|week|class|time)|the end of (?:the )?(?:day|week|month|class)|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?)|(tomorrow|tonight))\b/i,
+  unresolved: /\b(not sure|unclear|come back to|figure out|open question|to be decided|tbd|no one knows|still (?:need|have) to (?:decide|figure))\b/i
+};
+
 // Google Gemini removed - using only Ollama + rule-based fallback
 
 class LLMService {
@@ -762,6 +795,546 @@ Generate only the question, no explanations.`;
     return questions;
   }
 
+  /**
+   * Turn the recent lecture transcript into multiple-choice quiz questions
+   * Uses Ollama when it is available, otherwise fill-in-the-blank questions built
+   * from the transcript itself (the same transcript always gives the same quiz).
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} options - { count, difficulty: 'easy' | 'medium' | 'hard', minutes, transcript }
+   *   `transcript` replaces the recent context, e.g. with the full transcript of an ended meeting
+   * @returns {Promise<Object>} { items: [{ question, options, correctOption, explanation }], difficulty, model }
+   */
+  async generateQuizFromTranscript(meetingId, { count = 5, difficulty = 'medium', minutes = 15, transcript = null } = {}) {
+    const questionCount = Math.min(Math.max(parseInt(count, 10) || 5, 1), MAX_QUIZ_QUESTIONS);
+    const level = QUIZ_DIFFICULTIES.includes(difficulty) ? difficulty : 'medium';
+    const context = (transcript ?? this.getRecentTranscriptContext(meetingId, minutes)).replace(/\s+/g, ' ').trim();
+
+    console.log(`📝 Generating ${questionCount} ${level} quiz questions for meeting ${meetingId}...`, { contextLength: context.length });
+
+    if (context.split(' ').length < MIN_QUIZ_WORDS) {
+      return { items: [], difficulty: level, model: 'none' };
+    }
+
+    if (this.llmType === 'ollama') {
+      try {
+        const items = await this.generateQuizWithOllama(context, questionCount, level);
+        if (items.length > 0) {
+          return { items, difficulty: level, model: 'ollama-llama3.2' };
+        }
+        console.log('🤖 Ollama returned no usable quiz questions, falling back to rule-based');
+      } catch (error) {
+        console.log('🤖 Ollama quiz generation failed, falling back to rule-based:', error.message);
+      }
+    }
+
+    return {
+      items: this.generateQuizWithRuleBased(context, questionCount, level),
+      difficulty: level,
+      model: 'rule-based'
+    };
+  }
+
+  // Generate quiz questions using Ollama, answered as JSON
+  async generateQuizWithOllama(transcriptContext, count, difficulty) {
+    const prompt = `You are a teaching assistant writing a multiple-choice quiz about a lecture.
+
+LECTURE TRANSCRIPT:
+"${transcriptContext}"
+
+INSTRUCTIONS:
+1. Write ${count} ${difficulty} questions that check whether students understood what was taught
+2. Only ask about things that were actually said in the lecture
+3. Give each question 4 answer options with exactly one correct answer
+4. Explain in one sentence why the correct answer is right
+5. Use the same language as the lecture
+
+Reply with JSON only, in this shape:
+{"questions": [{"question": "...", "options": ["...", "...", "...", "..."], "correctOption": 0, "explanation": "..."}]}`;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 60000); // Longer output than a single question
+
+    try {
+      const response = await fetch('http://localhost:11434/api/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: this.ollamaModel,
+          prompt: prompt,
+          stream: false,
+          format: 'json',
+          options: {
+            temperature: 0.2,
+            num_predict: 250 * count,
+            top_p: 0.9
+          }
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      const parsed = JSON.parse(data.response);
+      return this.normalizeQuizItems(parsed.questions || parsed, count);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Ollama request timeout');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Keep only well-formed questions: text, 2-10 distinct options and a valid answer key
+  normalizeQuizItems(items, count) {
+    if (!Array.isArray(items)) return [];
+
+    return items
+      .map(item => {
+        const question = typeof item?.question === 'string' ? item.question.trim() : '';
+        const options = Array.isArray(item?.options)
+          ? item.options.map(option => String(option).trim()).filter(Boolean)
+          : [];
+        const correctOption = Number(item?.correctOption);
+        return {
+          question,
+          options,
+          correctOption,
+          explanation: typeof item?.explanation === 'string' ? item.explanation.trim() : ''
+        };
+      })
+      .filter(item => item.question &&
+        item.options.length >= 2 &&
+        item.options.length <= 10 &&
+        new Set(item.options).size === item.options.length &&
+        Number.isInteger(item.correctOption) &&
+        item.correctOption >= 0 &&
+        item.correctOption < item.options.length)
+      .slice(0, count);
+  }
+
+  // Generate fill-in-the-blank quiz questions from the transcript's key terms.
+  // Easy quizzes ask about the most repeated terms with unrelated distractors,
+  // hard quizzes ask about less repeated terms with distractors of similar weight.
+  generateQuizWithRuleBased(transcriptContext, count, difficulty) {
+    const sentences = (transcriptContext.match(/[^.!?]+[.!?]?/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.split(' ').length >= 6);
+
+    // Rank terms by how often the lecture uses them, ties alphabetically.
+    // A term is shown as written mid-sentence, so names keep their capitals.
+    const frequency = new Map();
+    const spelling = new Map();
+    sentences.forEach(sentence => {
+      (sentence.match(/\p{L}[\p{L}'-]*/gu) || []).forEach((word, index) => {
+        const term = word.toLowerCase();
+        if (term.length < 5 || KEY_TERM_STOP_WORDS.has(term)) return;
+        frequency.set(term, (frequency.get(term) || 0) + 1);
+        if (index > 0 || !spelling.has(term)) spelling.set(term, word);
+      });
+    });
+    const terms = [...frequency.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([term]) => term);
+
+    if (terms.length < 4) return [];
+
+    const ordered = difficulty === 'hard'
+      ? [...terms.slice(Math.floor(terms.length / 3)), ...terms.slice(0, Math.floor(terms.length / 3))]
+      : terms;
+
+    const items = [];
+    const usedSentences = new Set();
+
+    for (const term of ordered) {
+      if (items.length >= count) break;
+
+      const pattern = new RegExp(`(^|[^\\p{L}])(${term})(?![\\p{L}])`, 'iu');
+      const sentence = sentences.find(s => !usedSentences.has(s) && pattern.test(s));
+      if (!sentence) continue;
+
+      // Distractors must not appear in the sentence, or the blank gives itself away
+      const lowerSentence = sentence.toLowerCase();
+      const candidates = terms.filter(other => other !== term && !lowerSentence.includes(other));
+      if (candidates.length < 3) continue;
+
+      let distractors;
+      if (difficulty === 'easy') {
+        distractors = candidates.slice(-3);
+      } else if (difficulty === 'hard') {
+        const rank = terms.indexOf(term);
+        distractors = [...candidates]
+          .sort((a, b) => Math.abs(terms.indexOf(a) - rank) - Math.abs(terms.indexOf(b) - rank))
+          .slice(0, 3);
+      } else {
+        distractors = [...candidates.slice(items.length), ...candidates.slice(0, items.length)].slice(0, 3);
+      }
+
+      // Place the answer by its spelling, so its position varies but never changes
+      const options = distractors.map(other => spelling.get(other)).sort((a, b) => a.localeCompare(b));
+      const correctOption = [...term].reduce((sum, char) => sum + char.charCodeAt(0), 0) % (options.length + 1);
+      options.splice(correctOption, 0, spelling.get(term));
+      usedSentences.add(sentence);
+      items.push({
+        question: `Fill in the blank: "${sentence.replace(pattern, '$1_____')}"`,
+        options,
+        correctOption,
+        explanation: `The lecture said: "${sentence}"`
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Summarize a finished meeting from its transcript
+   * Uses Ollama when it is available, otherwise rules that pick out definitions,
+   * decisions, homework and questions from the transcript sentences.
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} options - { entries: [{ speaker, text }], title, participants: [name] }
+   *   Without `entries` the meeting's recent transcript history is used
+   * @returns {Promise<Object|null>} { tldr, keyConcepts: [{ term, definition }], decisions, actionItems: [{ task, owner, due }],
+   *   openQuestions, model, generatedAt }, or null when there is too little transcript
+   */
+  async generateMeetingSummary(meetingId, { entries = null, title = '', participants = [] } = {}) {
+    const lines = (entries || this.getTranscriptHistory(meetingId).map(entry => ({ speaker: null, text: entry.transcript })))
+      .map(entry => ({ speaker: entry.speaker || null, text: (entry.text || '').replace(/\s+/g, ' ').trim() }))
+      .filter(entry => entry.text);
+    const wordCount = lines.reduce((total, entry) => total + entry.text.split(' ').length, 0);
+
+    console.log(`📋 Summarizing meeting ${meetingId}...`, { entries: lines.length, words: wordCount });
+
+    if (wordCount < MIN_SUMMARY_WORDS) {
+      return null;
+    }
+
+    if (this.llmType === 'ollama') {
+      try {
+        const summary = await this.generateSummaryWithOllama(lines, title);
+        if (summary) {
+          return { ...summary, model: 'ollama-llama3.2', generatedAt: new Date().toISOString() };
+        }
+        console.log('🤖 Ollama returned no usable summary, falling back to rule-based');
+      } catch (error) {
+        console.log('🤖 Ollama summary failed, falling back to rule-based:', error.message);
+      }
+    }
+
+    return {
+      ...this.generateSummaryWithRuleBased(lines, participants),
+      model: 'rule-based',
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Generate a meeting summary using Ollama, answered as JSON
+  async generateSummaryWithOllama(lines, title) {
+    let transcript = lines.map(entry => (entry.speaker ? `${entry.speaker}: ${entry.text}` : entry.text)).join('\n');
+    if (transcript.length > MAX_SUMMARY_CHARS) {
+      // Keep the start and the end of long classes, where goals and homework are usually given
+      const half = MAX_SUMMARY_CHARS / 2;
+      transcript = `${transcript.slice(0, half)}\n[...]\n${transcript.slice(-half)}`;
+    }
+
+    const prompt = `You are a teaching assistant writing notes after a class${title ? ` called "${title}"` : ''}.
+
+TRANSCRIPT:
+${transcript}
+
+INSTRUCTIONS:
+1. Write a TL;DR of two or three sentences
+2. List the key concepts that were taught, each with a short definition
+3. List the decisions that were made
+4. List homework and action items, each with its owner ("Everyone" for the whole class) and due date if one was given
+5. List the questions that were raised but not answered
+6. Only include what was actually said, and use the same language as the transcript
+
+Reply with JSON only, in this shape:
+{"tldr": "...", "keyConcepts": [{"term": "...", "definition": "..."}], "decisions": ["..."], "actionItems": [{"task": "...", "owner": "...", "due": null}], "openQuestions": ["..."]}`;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 90000); // Whole-class transcripts take a while
+
+    try {
+      const response = await fetch('http://localhost:11434/api/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: this.ollamaModel,
+          prompt: prompt,
+          stream: false,
+          format: 'json',
+          options: {
+            temperature: 0.2,
+            num_predict: 1200,
+            top_p: 0.9
+          }
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      return this.normalizeMeetingSummary(JSON.parse(data.response));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Ollama request timeout');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Keep only the expected fields of a model-written summary, or null without a TL;DR
+  normalizeMeetingSummary(summary) {
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const list = (value) => (Array.isArray(value) ? value : []);
+
+    const tldr = text(summary?.tldr);
+    if (!tldr) return null;
+
+    return {
+      tldr,
+      keyConcepts: list(summary.keyConcepts)
+        .map(concept => ({ term: text(concept?.term), definition: text(concept?.definition) }))
+        .filter(concept => concept.term),
+      decisions: list(summary.decisions).map(text).filter(Boolean),
+      actionItems: list(summary.actionItems)
+        .map(item => ({
+          task: text(item?.task),
+          owner: text(item?.owner) || 'Unassigned',
+          due: text(item?.due) || null
+        }))
+        .filter(item => item.task),
+      openQuestions: list(summary.openQuestions).map(text).filter(Boolean)
+    };
+  }
+
+  // Generate a meeting summary from sentence patterns: "X is ..." for concepts,
+  // "we decided ..." for decisions, homework and requests for action items, and
+  // questions or "not sure" remarks for open questions
+  generateSummaryWithRuleBased(lines, participants = []) {
+    const sentences = lines.flatMap(entry => (entry.text.match(/[^.!?]+[.!?]?/g) || [])
+      .map(sentence => ({ text: sentence.trim(), speaker: entry.speaker }))
+      .filter(sentence => sentence.text.split(' ').length >= 3));
+    const clean = (sentence) => sentence.replace(/^(so|and|now|okay|ok|well|alright),?\s+/i, '').replace(/[.!]+$/, '');
+    const capitalize = (sentence) => sentence.charAt(0).toUpperCase() + sentence.slice(1);
+
+    // TL;DR: the sentences that use the lecture's most frequent terms, in spoken order
+    const frequency = new Map();
+    const termsOf = (sentence) => (sentence.toLowerCase().match(/\p{L}[\p{L}'-]*/gu) || [])
+      .filter(word => word.length >= 5 && !KEY_TERM_STOP_WORDS.has(word));
+    sentences.forEach(sentence => termsOf(sentence.text).forEach(term => frequency.set(term, (frequency.get(term) || 0) + 1)));
+    const tldr = sentences
+      .map((sentence, index) => ({
+        index,
+        text: sentence.text,
+        score: sentence.text.includes('?')
+          ? 0
+          : termsOf(sentence.text).reduce((total, term) => total + frequency.get(term), 0) / Math.sqrt(sentence.text.split(' ').length)
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, 3)
+      .sort((a, b) => a.index - b.index)
+      .map(sentence => capitalize(clean(sentence.text)) + '.')
+      .join(' ');
+
+    const keyConcepts = [];
+    sentences.forEach(sentence => {
+      const match = clean(sentence.text).match(SUMMARY_PATTERNS.definition);
+      if (!match || match[1].split(/\s+/).length > 4) return;
+      const term = match[1].trim();
+      if (SUMMARY_PATTERNS.notATerm.test(term) || SUMMARY_PATTERNS.progressive.test(match[2]) || keyConcepts.some(concept => concept.term.toLowerCase() === term.toLowerCase())) return;
+      keyConcepts.push({ term: capitalize(term), definition: capitalize(match[2].trim()) });
+    });
+
+    const decisions = sentences
+      .filter(sentence => SUMMARY_PATTERNS.decision.test(sentence.text))
+      .map(sentence => capitalize(clean(sentence.text)));
+
+    const names = participants.filter(Boolean);
+    const actionItems = sentences
+      .filter(sentence => SUMMARY_PATTERNS.action.test(sentence.text) && !sentence.text.trim().endsWith('?'))
+      .map(sentence => {
+        // Match people by first name, or by full name when it starts with a short title
+        const named = names.find(name => {
+          const firstName = name.split(' ')[0];
+          const key = (firstName.length >= 3 ? firstName : name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          return new RegExp(`\\b${key}\\b`, 'i').test(sentence.text);
+        });
+        let owner = 'Unassigned';
+        if (named) {
+          owner = named;
+        } else if (SUMMARY_PATTERNS.selfOwned.test(sentence.text)) {
+          owner = sentence.speaker || 'Speaker';
+        } else if (SUMMARY_PATTERNS.classOwned.test(sentence.text)) {
+          owner = 'Everyone';
+        }
+        const due = sentence.text.match(SUMMARY_PATTERNS.due);
+        return { task: capitalize(clean(sentence.text)), owner, due: due ? due[1] || due[2] : null };
+      });
+
+    const openQuestions = sentences
+      .filter(sentence => sentence.text.endsWith('?') || SUMMARY_PATTERNS.unresolved.test(sentence.text))
+      .map(sentence => capitalize(sentence.text));
+
+    return {
+      tldr,
+      keyConcepts: keyConcepts.slice(0, 8),
+      decisions: [...new Set(decisions)].slice(0, 6),
+      actionItems: actionItems.slice(0, 10),
+      openQuestions: [...new Set(openQuestions)].slice(-6)
+    };
+  }
+
+  /**
+   * Answer a question from transcript passages, citing them as [1], [2], ...
+   * Uses Ollama when it is available, otherwise quotes the sentences of the
+   * passages that share the most words with the question.
+   * @param {string} question - Student question
+   * @param {Array} passages - Best matching passages first: { text, title, timestamp, speakers }
+   * @returns {Promise<Object>} { answer, citations: [passage index], model }
+   */
+  async answerFromTranscripts(question, passages) {
+    if (passages.length === 0) {
+      return {
+        answer: "I couldn't find anything about that in the saved transcripts.",
+        citations: [],
+        model: 'none'
+      };
+    }
+
+    if (this.llmType === 'ollama') {
+      try {
+        const result = await this.answerWithOllama(question, passages);
+        if (result.answer) {
+          return { ...result, model: 'ollama-llama3.2' };
+        }
+      } catch (error) {
+        console.log('🤖 Ollama answer failed, falling back to rule-based:', error.message);
+      }
+    }
+
+    return { ...this.answerWithRuleBased(question, passages), model: 'rule-based' };
+  }
+
+  // Answer a question from numbered passages using Ollama
+  async answerWithOllama(question, passages) {
+    const sources = passages
+      .map((passage, index) => `[${index + 1}] (${passage.title}${passage.timestamp ? `, ${passage.timestamp}` : ''}) ${passage.text}`)
+      .join('\n\n');
+
+    const prompt = `You are a teaching assistant answering a student's question about past lectures.
+
+LECTURE EXCERPTS:
+${sources}
+
+QUESTION:
+${question}
+
+INSTRUCTIONS:
+1. Answer using only the lecture excerpts above
+2. Cite the excerpts you used with their numbers, like [1] or [2]
+3. If the excerpts do not answer the question, say so
+4. Keep the answer short and use the same language as the question
+
+Answer:`;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 60000);
+
+    try {
+      const response = await fetch('http://localhost:11434/api/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: this.ollamaModel,
+          prompt: prompt,
+          stream: false,
+          options: {
+            temperature: 0.2,
+            num_predict: 300,
+            top_p: 0.9
+          }
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+      }
+
+      const data = await response.json();
+      const answer = (data.response || '').trim();
+      const citations = [...new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1]) - 1))]
+        .filter(index => index >= 0 && index < passages.length);
+      return { answer, citations };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Ollama request timeout');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Quote the best matching sentence of each of the top passages
+  answerWithRuleBased(question, passages) {
+    const words = (text) => new Set((text.toLowerCase().match(/\p{L}[\p{L}'-]*/gu) || []).filter(word => word.length >= 4));
+    const questionWords = words(question);
+
+    const quotes = [];
+    passages.slice(0, 3).forEach((passage, index) => {
+      const best = (passage.text.match(/[^.!?]+[.!?]?/g) || [])
+        .map(sentence => sentence.trim().replace(/^[^:]{1,40}:\s+/, ''))
+        .map(sentence => ({ sentence, overlap: [...words(sentence)].filter(word => questionWords.has(word)).length }))
+        .sort((a, b) => b.overlap - a.overlap)[0];
+      if (best && (best.overlap > 0 || quotes.length === 0)) {
+        quotes.push({ text: best.sentence, index });
+      }
+    });
+
+    return {
+      answer: `Here is what was said:\n${quotes.map(quote => `- "${quote.text}" [${quote.index + 1}]`).join('\n')}`,
+      citations: quotes.map(quote => quote.index)
+    };
+  }
+
+  // Quiz questions as CSV, one row per question with its answer key
+  quizToCSV(items) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const optionColumns = Math.max(4, ...items.map(item => item.options.length));
+    const header = [
+      'Question',
+      ...Array.from({ length: optionColumns }, (_, i) => `Option ${String.fromCharCode(65 + i)}`),
+      'Answer',
+      'Explanation'
+    ];
+    const rows = items.map(item => [
+      item.question,
+      ...Array.from({ length: optionColumns }, (_, i) => item.options[i] || ''),
+      String.fromCharCode(65 + item.correctOption),
+      item.explanation
+    ]);
+
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+  }
+
   // Add transcript to history
   addToTranscriptHistory(meetingId, transcript) {
     if (!this.transcriptHistory.has(meetingId)) {
@@ -0,0 +1,452 @@
+import { spawn } from 'child_process';
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const WORKER_COUNT = parseInt(process.env.MEDIA_JOB_WORKERS, 10) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.MEDIA_JOB_MAX_ATTEMPTS, 10) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.MEDIA_JOB_RETRY_DELAY_MS, 10) || 10000; // Doubled after each failed attempt
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Finished jobs are forgotten after a week
+const PROGRESS_INTERVAL_MS = 1000; // Progress events per job are sent at most this often
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export class JobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+  }
+}
+
+// The job an ffmpeg process is started for (see spawnFFmpeg)
+const jobContext = new AsyncLocalStorage();
+
+/**
+ * Expected length of an ffmpeg run's output, from its last `-t`
+ * @param {Array<string>} args - ffmpeg arguments
+ * @returns {number|null} Milliseconds, or null when not limited
+ */
+function getExpectedDuration(args) {
+  const index = args.lastIndexOf('-t');
+  const seconds = index >= 0 ? parseFloat(args[index + 1]) : NaN;
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Start ffmpeg. Inside a media job the run reports its `-progress` output to
+ * the job and is killed when the job is cancelled; elsewhere it is a plain spawn.
+ * @param {Array<string>} args - ffmpeg arguments
+ * @param {Object} options - { progress: false } when stdout is used for other output
+ * @returns {ChildProcess} ffmpeg process
+ */
+export function spawnFFmpeg(args, { progress = true } = {}) {
+  const context = jobContext.getStore();
+  if (!context) {
+    return spawn('ffmpeg', args);
+  }
+  context.throwIfCancelled();
+
+  const ffmpeg = spawn('ffmpeg', progress ? ['-progress', 'pipe:1', '-nostats', ...args] : args);
+  context.processes.add(ffmpeg);
+  ffmpeg.on('close', () => context.processes.delete(ffmpeg));
+  context.runs++;
+
+  if (progress) {
+    const duration = getExpectedDuration(args);
+    let buffered = '';
+    let values = {};
+
+    ffmpeg.stdout.on('data', (data) => {
+      buffered += data.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      lines.forEach(line => {
+        const [key, value] = line.trim().split('=');
+        if (!key || value === undefined) return;
+        if (key !== 'progress') {
+          values[key] = value;
+          return;
+        }
+
+        // A `progress=` line ends each block of values
+        const outTimeMs = Math.max(0, Math.round(parseInt(values.out_time_us || values.out_time_ms, 10) / 1000) || 0);
+        context.reportProgress({
+          outTimeMs,
+          percent: duration ? Math.min(100, Math.round(outTimeMs / duration * 100)) : null,
+          speed: values.speed && values.speed !== 'N/A' ? parseFloat(values.speed) : null
+        }, value === 'end');
+        values = {};
+      });
+    });
+  }
+
+  return ffmpeg;
+}
+
+/**
+ * Media Job Queue
+ * Runs ffmpeg work (muxing recordings, highlight reels, ...) in the background
+ * with a limited number of workers, so meetings ending together don't stall
+ * the server. Jobs are kept in a JSON file: jobs that were queued or running
+ * when the server stopped are run again on the next start. A failed job is
+ * retried with a growing delay, and any job can be cancelled.
+ *
+ * Job statuses: queued -> running -> completed | failed | cancelled
+ */
+class MediaJobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map(); // jobId -> job
+    this.handlers = new Map(); // job type -> async (payload, context) => result
+    this.running = new Map(); // jobId -> run context
+    this.workers = WORKER_COUNT;
+    this.storePath = process.env.MEDIA_JOBS_PATH || path.join(__dirname, '../../data/media-jobs.json');
+    this.writeQueue = Promise.resolve();
+    this.retryTimer = null;
+    this.started = false;
+  }
+
+  /**
+   * Register the function that runs a type of job. It gets the job payload and
+   * a context with { jobId, meetingId, ownerId, attempt, setStage(stage), throwIfCancelled() }.
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, context) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load saved jobs and start the workers
+   * @param {Object} options - { workers, path } - default to MEDIA_JOB_WORKERS / MEDIA_JOBS_PATH
+   */
+  async start(options = {}) {
+    this.workers = Math.max(1, parseInt(options.workers, 10) || this.workers);
+    this.storePath = options.path || this.storePath;
+
+    try {
+      const content = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+      for (const job of content.jobs || []) {
+        // A job cut off by the shutdown starts over
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.nextRunAt = null;
+        }
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to read media jobs:', error.message);
+      }
+    }
+    this.pruneFinished();
+
+    this.started = true;
+    const queued = Array.from(this.jobs.values()).filter(job => job.status === 'queued').length;
+    console.log(`🧰 Media job queue started with ${this.workers} worker(s), ${queued} job(s) waiting`);
+    this.pump();
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Job type (see registerHandler)
+   * @param {Object} payload - JSON data the handler needs
+   * @param {Object} options - { meetingId, ownerId, maxAttempts }
+   * @returns {Promise<Object>} The job (see toView)
+   */
+  async enqueue(type, payload, { meetingId = null, ownerId = null, maxAttempts = MAX_ATTEMPTS } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new JobError(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: randomUUID(),
+      type,
+      meetingId,
+      ownerId,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      nextRunAt: null,
+      cancelledBy: null
+    };
+    this.jobs.set(job.id, job);
+
+    console.log(`🧰 Queued ${type} job ${job.id}`, meetingId ? `for meeting ${meetingId}` : '');
+    await this.save();
+    this.emit('update', this.toView(job));
+    this.pump();
+    return this.toView(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} The job (see toView)
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.toView(job) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - { status, meetingId }
+   * @returns {Array} Jobs (see toView)
+   */
+  listJobs({ status = null, meetingId = null } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!status || job.status === status) && (!meetingId || job.meetingId === meetingId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toView(job));
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's ffmpeg processes are killed.
+   * @param {string} jobId - Job ID
+   * @param {string} cancelledBy - User ID of whoever cancelled it
+   * @returns {Promise<Object>} The job (see toView)
+   */
+  async cancel(jobId, cancelledBy = null) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new JobError('Job not found', 404);
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new JobError(`The job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`, 409);
+    }
+
+    const context = this.running.get(jobId);
+    if (context?.cancelled) {
+      throw new JobError('The job is already being cancelled', 409);
+    }
+
+    job.cancelledBy = cancelledBy;
+    if (context) {
+      // The run finishes as cancelled once its handler gives up (see run)
+      context.cancel();
+    } else {
+      this.finish(job, 'cancelled');
+      await this.save();
+      this.emit('update', this.toView(job));
+    }
+
+    console.log(`🛑 Media job ${jobId} cancelled`);
+    return this.toView(job);
+  }
+
+  /**
+   * Start queued jobs while workers are free, and wake up for the next retry
+   */
+  pump() {
+    if (!this.started) return;
+
+    const now = Date.now();
+    const waiting = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of waiting) {
+      if (this.running.size >= this.workers) break;
+      if (job.nextRunAt && new Date(job.nextRunAt).getTime() > now) continue;
+      this.run(job);
+    }
+
+    clearTimeout(this.retryTimer);
+    const nextRetry = Math.min(...waiting
+      .filter(job => job.status === 'queued' && job.nextRunAt)
+      .map(job => new Date(job.nextRunAt).getTime()));
+    if (Number.isFinite(nextRetry)) {
+      this.retryTimer = setTimeout(() => this.pump(), Math.max(0, nextRetry - now));
+      this.retryTimer.unref();
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * @param {Object} job - Queued job
+   */
+  async run(job) {
+    const context = this.createContext(job);
+    this.running.set(job.id, context);
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    job.nextRunAt = null;
+    job.progress = null;
+    await this.save();
+    this.emit('update', this.toView(job));
+    console.log(`🧰 Running ${job.type} job ${job.id} (attempt ${job.attempts} of ${job.maxAttempts})`);
+
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler for job type: ${job.type}`);
+      }
+
+      const result = await jobContext.run(context, () => handler(job.payload, context.api));
+      context.throwIfCancelled();
+
+      job.result = result ?? null;
+      this.finish(job, 'completed');
+      console.log(`✅ Media job ${job.id} completed`);
+    } catch (error) {
+      if (context.cancelled) {
+        this.finish(job, 'cancelled');
+      } else if (job.attempts < job.maxAttempts) {
+        const delay = RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+        job.status = 'queued';
+        job.error = error.message;
+        job.nextRunAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`⚠️ Media job ${job.id} failed, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      } else {
+        job.error = error.message;
+        this.finish(job, 'failed');
+        console.error(`❌ Media job ${job.id} failed after ${job.attempts} attempt(s):`, error.message);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.pruneFinished();
+      await this.save();
+      this.emit('update', this.toView(job));
+      this.pump();
+    }
+  }
+
+  /**
+   * Build the context a job runs in: its handler API, its ffmpeg processes and
+   * its cancellation
+   * @param {Object} job - Job
+   * @returns {Object} Run context
+   */
+  createContext(job) {
+    let lastProgressAt = 0;
+
+    const context = {
+      cancelled: false,
+      processes: new Set(),
+      runs: 0,
+      stage: null,
+      throwIfCancelled: () => {
+        if (context.cancelled) {
+          throw new JobError('Job cancelled', 409);
+        }
+      },
+      cancel: () => {
+        context.cancelled = true;
+        context.processes.forEach(process => process.kill('SIGKILL'));
+      },
+      reportProgress: (progress, force = false) => {
+        job.progress = { stage: context.stage, run: context.runs, ...progress, updatedAt: new Date().toISOString() };
+        const now = Date.now();
+        if (force || now - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+          lastProgressAt = now;
+          this.emit('progress', this.toView(job));
+        }
+      }
+    };
+
+    context.api = {
+      jobId: job.id,
+      meetingId: job.meetingId,
+      ownerId: job.ownerId,
+      attempt: job.attempts + 1,
+      throwIfCancelled: context.throwIfCancelled,
+      setStage: (stage) => {
+        context.stage = stage;
+        context.reportProgress({ outTimeMs: 0, percent: 0, speed: null }, true);
+      }
+    };
+
+    return context;
+  }
+
+  /**
+   * Mark a job finished
+   * @param {Object} job - Job
+   * @param {string} status - completed, failed or cancelled
+   */
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.nextRunAt = null;
+    if (status === 'completed') {
+      job.error = null;
+    }
+  }
+
+  /**
+   * Forget jobs that finished more than FINISHED_JOB_TTL_MS ago
+   * @param {number} now - Current time in ms
+   * @returns {number} Number of jobs forgotten
+   */
+  pruneFinished(now = Date.now()) {
+    let pruned = 0;
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATUSES.includes(job.status) && now - new Date(job.finishedAt).getTime() > FINISHED_JOB_TTL_MS) {
+        this.jobs.delete(job.id);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * A job without its payload, as sent to clients
+   * @param {Object} job - Job
+   * @returns {Object} { id, type, meetingId, ownerId, status, attempts, maxAttempts, progress, result, error, createdAt, startedAt, finishedAt, nextRunAt, cancelledBy }
+   */
+  toView(job) {
+    const { payload, ...view } = job;
+    return view;
+  }
+
+  /**
+   * Write the jobs file. Writes are serialized so a slow write can't be overtaken by a newer one.
+   */
+  async save() {
+    const content = JSON.stringify({ savedAt: new Date().toISOString(), jobs: Array.from(this.jobs.values()) });
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, this.storePath);
+      })
+      .catch(error => console.error('❌ Failed to save media jobs:', error.message));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Stop starting jobs. Running jobs are left as running in the jobs file and
+   * start over on the next start.
+   */
+  async close() {
+    this.started = false;
+    clearTimeout(this.retryTimer);
+    await this.writeQueue;
+  }
+}
+
+// Create and export singleton instance
+const mediaJobQueue = new MediaJobQueue();
+export default mediaJobQueue;
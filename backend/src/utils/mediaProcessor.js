@@ -2,6 +2,7 @@ import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { spawnFFmpeg } from './mediaJobQueue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -240,7 +241,7 @@ class MediaProcessor {
       
       ffmpegArgs.push('-y', outputPath);
       
-      const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+      const ffmpeg = spawnFFmpeg(ffmpegArgs);
 
       let errorOutput = '';
 
@@ -296,7 +297,7 @@ class MediaProcessor {
     return new Promise((resolve, reject) => {
       const transitionText = `Next: ${nextHighlight.description || nextHighlight.type}`;
       
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'lavfi',
         '-i', 'color=c=#2c3e50:size=1280x720:duration=2:rate=30',
         '-f', 'lavfi',
@@ -342,7 +343,7 @@ class MediaProcessor {
       const date = new Date().toLocaleDateString();
       const introText = `${title}\\n${date}\\n${highlightCount} Important Moments`;
       
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'lavfi',
         '-i', 'color=c=#34495e:size=1280x720:duration=5:rate=30',
         '-f', 'lavfi',
@@ -386,7 +387,7 @@ class MediaProcessor {
     return new Promise((resolve, reject) => {
       const outroText = `Meeting Highlights Complete\\n${highlightCount} Important Moments Captured\\nThank you for watching!`;
       
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'lavfi',
         '-i', 'color=c=#2c3e50:size=1280x720:duration=3:rate=30',
         '-f', 'lavfi',
@@ -428,7 +429,7 @@ class MediaProcessor {
    */
   async createProfessionalHighlightReel(fileListPath, outputPath, meetingInfo) {
     return new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'concat',
         '-safe', '0',
         '-i', fileListPath,
@@ -470,7 +471,7 @@ class MediaProcessor {
    */
   async extractVideoSegment(inputPath, outputPath, startTime, duration) {
     return new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-i', inputPath,
         '-ss', startTime.toString(),
         '-t', duration.toString(),
@@ -511,7 +512,7 @@ class MediaProcessor {
    */
   async concatenateVideos(fileListPath, outputPath) {
     return new Promise((resolve, reject) => {
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'concat',
         '-safe', '0',
         '-i', fileListPath,
@@ -619,7 +620,7 @@ class MediaProcessor {
       console.log('🎬 Creating realistic meeting test video...');
       
       // Create a more realistic test video that looks like a meeting
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'lavfi',
         '-i', `color=c=#1a1a1a:size=1280x720:duration=${duration}:rate=30`,
         '-f', 'lavfi',
@@ -665,7 +666,7 @@ class MediaProcessor {
     return new Promise((resolve, reject) => {
       console.log('🎬 Creating simple test video...');
       
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-f', 'lavfi',
         '-i', `color=c=blue:size=1280x720:duration=${duration}:rate=30`,
         '-f', 'lavfi',
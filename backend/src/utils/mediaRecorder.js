@@ -1,17 +1,67 @@
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import attendanceTracker from './attendanceTracker.js';
+import speakerDetector from './speakerDetector.js';
+import { spawnFFmpeg } from './mediaJobQueue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Chunks held back waiting for a missing one before it is skipped (clients send one a second)
+const MAX_PENDING_CHUNKS = 30;
+
+// Size of the muxed recording, participants with video are tiled across it
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+
+// A recorder stopping for a pause still sends its last chunk, a little after the pause began
+const PAUSE_GRACE_MS = 2000;
+
+const CONSENT_STATUSES = ['pending', 'granted', 'declined'];
+
+// A recording's lifecycle, and the states it can move to from each. It is muxed
+// by a media job while finalizing. Recording again once it is ready or failed
+// starts a new recording of the meeting (see startRecording).
+const RECORDING_TRANSITIONS = {
+  idle: ['recording'],
+  recording: ['paused', 'finalizing'],
+  paused: ['recording', 'finalizing'],
+  finalizing: ['ready', 'failed'],
+  ready: ['recording'],
+  failed: ['recording']
+};
+
+// States in which participants are uploading
+const ACTIVE_STATES = ['recording', 'paused'];
+
+// How each state is saved in the meeting history
+const HISTORY_STATUSES = {
+  finalizing: 'processing',
+  ready: 'ready',
+  failed: 'failed'
+};
+
+const toSeconds = (ms) => (ms / 1000).toFixed(3);
+
+export class RecordingStateError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'RecordingStateError';
+    this.status = status;
+  }
+}
+
 /**
  * Media Recorder Service for Real-Time Meeting Recording
- * Handles WebRTC stream recording and storage
+ * Handles WebRTC stream recording and storage. The recording of a meeting
+ * moves through RECORDING_TRANSITIONS, and every change is emitted as 'state'.
  */
-class MediaRecorder {
+class MediaRecorder extends EventEmitter {
   constructor() {
+    super();
     this.recordings = new Map(); // meetingId -> recording session
     this.recordingDir = path.join(__dirname, '../../recordings');
     this.ensureDirectories();
@@ -30,7 +80,9 @@ class MediaRecorder {
   }
 
   /**
-   * Start recording a meeting with intelligent audio/video handling
+   * Start recording a meeting with intelligent audio/video handling. After a
+   * ready or failed recording this is a new session, with its own tracks,
+   * consents and outputs; the previous one's files are kept.
    * @param {string} meetingId - Meeting identifier
    * @param {Object} options - Recording options
    * @returns {Promise<string>} Recording session ID
@@ -38,23 +90,31 @@ class MediaRecorder {
   async startRecording(meetingId, options = {}) {
     try {
       console.log('🎬 Starting intelligent recording for meeting:', meetingId);
+      const previousSession = this.recordings.get(meetingId);
+      const previousState = this.getRecordingState(meetingId);
+      this.assertTransition(previousState, 'recording');
       
       const sessionId = `recording_${meetingId}_${Date.now()}`;
-      const recordingPath = path.join(this.recordingDir, `${sessionId}.webm`);
+      const recordingPath = path.join(this.recordingDir, `${sessionId}.mp4`);
+      const trackDir = path.join(this.recordingDir, sessionId);
       
       const recordingSession = {
         meetingId,
         sessionId,
         recordingPath,
+        trackDir,
+        // Held until its track directory exists, a second start meanwhile is refused
+        state: 'starting',
         startTime: Date.now(),
-        isRecording: true,
         options: {
           video: true,
           audio: true,
           quality: 'high',
           adaptiveStreaming: true, // Enable adaptive streaming
           audioOnlyFallback: true, // Enable audio-only fallback
-          ...options
+          ...options,
+          // How participants who declined appear in the recording: left out, or as an empty tile
+          declinedParticipants: options.declinedParticipants === 'placeholder' ? 'placeholder' : 'omit'
         },
         // Track participant media states
         participantMediaStates: new Map(),
@@ -63,14 +123,40 @@ class MediaRecorder {
           video: new Set(),
           audio: new Set()
         },
-        // Store audio/video chunks for real recording
-        audioChunks: [],
-        videoChunks: [],
-        // Recording buffer
-        recordingBuffer: []
+        // Uploaded WebM streams, one file per participant recorder (see addAudioChunk)
+        tracks: new Map(),
+        // participantId -> [{ start, end }] ms from startTime while their microphone was off
+        muteIntervals: new Map(),
+        // [{ start, end }] ms from startTime while the recording was paused
+        pauses: [],
+        // consentKey -> { participantId, participantName, userId, status: pending | granted | declined, updatedAt }
+        consents: new Map(),
+        // Every consent request and answer, kept with the meeting history
+        consentLog: [],
+        // Post-processing results by step (see runOnce)
+        outputs: {},
+        // Media job building the recording, and what it built (see completeRecording)
+        jobId: null,
+        result: null,
+        error: null
       };
 
       this.recordings.set(meetingId, recordingSession);
+      try {
+        await fs.mkdir(trackDir, { recursive: true });
+      } catch (error) {
+        // Give the meeting back its previous recording, if it had one
+        if (previousSession) {
+          this.recordings.set(meetingId, previousSession);
+        } else {
+          this.recordings.delete(meetingId);
+        }
+        throw error;
+      }
+
+      // Moves on from the meeting's previous recording, if it had one
+      recordingSession.state = previousState;
+      this.setState(recordingSession, 'recording');
       
       console.log('✅ Intelligent recording session started:', sessionId);
       return sessionId;
@@ -82,83 +168,146 @@ class MediaRecorder {
   }
 
   /**
-   * Stop recording a meeting
+   * Stop recording a meeting. The recording is finalizing until the media job
+   * muxing it calls completeRecording or failRecording.
    * @param {string} meetingId - Meeting identifier
-   * @returns {Promise<string>} Path to the recorded file
+   * @returns {Promise<Object>} The recording for the media job (see exportRecording)
    */
   async stopRecording(meetingId) {
-    try {
-      console.log('🛑 Stopping recording for meeting:', meetingId);
-      
-      const recordingSession = this.recordings.get(meetingId);
-      if (!recordingSession) {
-        throw new Error(`No active recording found for meeting: ${meetingId}`);
-      }
+    console.log('🛑 Stopping recording for meeting:', meetingId);
+    
+    const recordingSession = this.requireRecording(meetingId);
+    const endTime = Date.now();
+    this.setState(recordingSession, 'finalizing', { endTime, duration: endTime - recordingSession.startTime });
 
-      recordingSession.isRecording = false;
-      recordingSession.endTime = Date.now();
-      recordingSession.duration = recordingSession.endTime - recordingSession.startTime;
+    // A recording stopped while paused ends with the pause
+    recordingSession.pauses.forEach(pause => {
+      pause.end = pause.end ?? recordingSession.duration;
+    });
 
-      // For now, create a placeholder MP4 file since we don't have real WebRTC recording yet
-      const mp4Path = recordingSession.recordingPath.replace('.webm', '.mp4');
-      
-      // Create a simple test video as placeholder
-      await this.createPlaceholderRecording(mp4Path, recordingSession.duration);
+    return this.exportRecording(meetingId);
+  }
 
-      console.log('✅ Recording stopped and converted:', mp4Path);
-      return mp4Path;
-      
-    } catch (error) {
-      console.error('❌ Failed to stop recording:', error);
-      throw error;
+  /**
+   * Mark a finalizing recording as built
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} result - { recordingPath, participantTracks, compositePath, speakerShots }
+   */
+  completeRecording(meetingId, result) {
+    this.setState(this.requireRecording(meetingId), 'ready', { result, error: null });
+  }
+
+  /**
+   * Mark a finalizing recording as failed
+   * @param {string} meetingId - Meeting identifier
+   * @param {string} error - Why it could not be built
+   */
+  failRecording(meetingId, error) {
+    this.setState(this.requireRecording(meetingId), 'failed', { error });
+  }
+
+  /**
+   * Remember the media job building a recording
+   * @param {string} meetingId - Meeting identifier
+   * @param {string} jobId - Media job ID
+   */
+  setRecordingJob(meetingId, jobId) {
+    this.requireRecording(meetingId).jobId = jobId;
+  }
+
+  /**
+   * Get a meeting's recording, or throw if it has none
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Object} Recording session
+   */
+  requireRecording(meetingId) {
+    const recordingSession = this.recordings.get(meetingId);
+    if (!recordingSession) {
+      throw new RecordingStateError(`No recording found for meeting: ${meetingId}`);
     }
+    return recordingSession;
   }
 
   /**
-   * Create a placeholder recording file for testing
-   * @param {string} outputPath - Output file path
-   * @param {number} duration - Duration in milliseconds
+   * State of a meeting's recording
+   * @param {string} meetingId - Meeting identifier
+   * @returns {string} idle, starting, recording, paused, finalizing, ready or failed
    */
-  async createPlaceholderRecording(outputPath, duration) {
-    return new Promise((resolve, reject) => {
-      console.log('🎬 Creating placeholder recording...');
-      
-      const durationSeconds = Math.max(10, Math.min(300, duration / 1000)); // 10 seconds to 5 minutes
-      
-      const ffmpeg = spawn('ffmpeg', [
-        '-f', 'lavfi',
-        '-i', `color=c=#2c3e50:size=1280x720:duration=${durationSeconds}:rate=30`,
-        '-f', 'lavfi',
-        '-i', `sine=frequency=800:duration=${durationSeconds}`,
-        '-vf', 'drawtext=text="Meeting Recording":fontsize=24:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2:box=1:boxcolor=black@0.7',
-        '-c:v', 'libx264',
-        '-c:a', 'aac',
-        '-preset', 'fast',
-        '-crf', '23',
-        '-movflags', '+faststart',
-        '-y',
-        outputPath
-      ]);
+  getRecordingState(meetingId) {
+    return this.recordings.get(meetingId)?.state || 'idle';
+  }
 
-      let errorOutput = '';
+  /**
+   * Throw if a recording can't move from one state to another
+   * @param {string} from - Current state
+   * @param {string} to - Requested state
+   */
+  assertTransition(from, to) {
+    if (!RECORDING_TRANSITIONS[from]?.includes(to)) {
+      throw new RecordingStateError(from === to
+        ? `The recording is already ${to}`
+        : `The recording can't go from ${from} to ${to}`);
+    }
+  }
 
-      ffmpeg.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+  /**
+   * Move a recording to another state and emit the change
+   * @param {Object} recordingSession - Recording session
+   * @param {string} state - New state
+   * @param {Object} changes - Session fields set with the change
+   */
+  setState(recordingSession, state, changes = {}) {
+    const previousState = recordingSession.state;
+    this.assertTransition(previousState, state);
 
-      ffmpeg.on('close', (code) => {
-        if (code === 0) {
-          console.log('✅ Placeholder recording created:', outputPath);
-          resolve(outputPath);
-        } else {
-          reject(new Error(`FFmpeg placeholder creation failed with code ${code}: ${errorOutput}`));
-        }
-      });
+    Object.assign(recordingSession, changes);
+    recordingSession.state = state;
 
-      ffmpeg.on('error', (error) => {
-        reject(new Error(`FFmpeg spawn error: ${error.message}`));
-      });
-    });
+    console.log(`📼 Recording ${recordingSession.sessionId} is now ${state} (was ${previousState})`);
+    this.emit('state', { ...this.toStateView(recordingSession), previousState });
+  }
+
+  /**
+   * A recording's state, as broadcast to the meeting
+   * @param {Object} recordingSession - Recording session
+   * @returns {Object} { meetingId, sessionId, state, startTime, endTime, duration, jobId, error, timestamp }
+   */
+  toStateView(recordingSession) {
+    return {
+      meetingId: recordingSession.meetingId,
+      sessionId: recordingSession.sessionId,
+      state: recordingSession.state,
+      startTime: recordingSession.startTime,
+      endTime: recordingSession.endTime || null,
+      duration: recordingSession.duration || null,
+      jobId: recordingSession.jobId,
+      error: recordingSession.error,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * A meeting's recording as saved in its history: the recording's state as
+   * a status, and what its media job built once it is ready
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Object|null} { status, jobId, error, recordingPath, participantTracks, compositePath, speakerShots }, null if it was never recorded
+   */
+  getHistoryRecording(meetingId) {
+    const recordingSession = this.recordings.get(meetingId);
+    if (!recordingSession || !HISTORY_STATUSES[recordingSession.state]) {
+      return null;
+    }
+
+    const result = recordingSession.result || {};
+    return {
+      status: HISTORY_STATUSES[recordingSession.state],
+      jobId: recordingSession.jobId,
+      error: recordingSession.error,
+      recordingPath: result.recordingPath || null,
+      participantTracks: result.participantTracks || [],
+      compositePath: result.compositePath || null,
+      speakerShots: result.speakerShots || []
+    };
   }
 
   /**
@@ -170,7 +319,7 @@ class MediaRecorder {
     return new Promise((resolve, reject) => {
       console.log('🔄 Converting WebM to MP4...');
       
-      const ffmpeg = spawn('ffmpeg', [
+      const ffmpeg = spawnFFmpeg([
         '-i', inputPath,
         '-c:v', 'libx264',
         '-c:a', 'aac',
@@ -203,25 +352,143 @@ class MediaRecorder {
   }
 
   /**
-   * Add audio chunk to recording
+   * Add a chunk of a participant's MediaRecorder upload to the recording.
+   * The chunks of one recorder are pieces of a single WebM stream, so they are
+   * appended to that recorder's track file in sequence order, and a chunk that
+   * arrives early waits for the ones before it.
    * @param {string} meetingId - Meeting identifier
-   * @param {Buffer} audioChunk - Audio data chunk
+   * @param {Buffer} audioChunk - WebM data chunk
+   * @param {Object} chunkInfo - { participantId, participantName, userId, kind, sequence, startedAt, timestamp }, times on the client clock
    */
-  async addAudioChunk(meetingId, audioChunk) {
+  async addAudioChunk(meetingId, audioChunk, chunkInfo = {}) {
     const recordingSession = this.recordings.get(meetingId);
-    if (!recordingSession || !recordingSession.isRecording) {
+    if (!recordingSession || !ACTIVE_STATES.includes(recordingSession.state)) {
+      return;
+    }
+
+    // Nobody is recorded without their consent
+    if (this.getUploaderConsent(recordingSession, chunkInfo)?.status !== 'granted') {
       return;
     }
 
     try {
-      // In a real implementation, this would append to the recording file
-      // For now, we'll simulate the process
-      console.log('🎤 Adding audio chunk to recording:', meetingId, audioChunk.length, 'bytes');
+      const track = this.getTrack(recordingSession, chunkInfo);
+      const sequence = Number.isInteger(chunkInfo.sequence) ? chunkInfo.sequence : track.nextArrival;
+      track.nextArrival = sequence + 1;
+
+      if (sequence < track.nextSequence || track.pending.has(sequence)) {
+        return;
+      }
+
+      const offset = this.toSessionOffset(recordingSession, track, chunkInfo.timestamp);
+      if (this.isPausedAt(recordingSession, offset, PAUSE_GRACE_MS)) {
+        return;
+      }
+
+      track.pending.set(sequence, audioChunk);
+      track.endOffset = Math.max(track.endOffset, offset);
+
+      // Give up on a chunk that never arrived rather than holding the rest in memory
+      await this.flushTrack(track, track.pending.size > MAX_PENDING_CHUNKS);
     } catch (error) {
       console.error('❌ Failed to add audio chunk:', error);
     }
   }
 
+  /**
+   * Find or create the track file a recorder's chunks are written to
+   * @param {Object} recordingSession - Recording session
+   * @param {Object} chunkInfo - Chunk details (see addAudioChunk)
+   * @returns {Object} Track
+   */
+  getTrack(recordingSession, { participantId = 'unknown', participantName, userId, kind = 'media', startedAt, timestamp }) {
+    const key = `${participantId}:${kind}:${startedAt || 0}`;
+    let track = recordingSession.tracks.get(key);
+    if (track) {
+      return track;
+    }
+
+    // Offsets are measured on the server clock, the client's may be off by any amount
+    const receivedAt = Date.now();
+    const clockSkew = Number.isFinite(timestamp) ? receivedAt - timestamp : 0;
+    const startedAtServer = Number.isFinite(startedAt) ? startedAt + clockSkew : receivedAt;
+    const segment = Array.from(recordingSession.tracks.values())
+      .filter(existing => existing.participantId === participantId && existing.kind === kind).length + 1;
+
+    track = {
+      participantId,
+      participantName: participantName || participantId,
+      userId: userId || null,
+      kind,
+      filePath: path.join(recordingSession.trackDir, `${this.toFileName(participantId)}_${kind}_${segment}.webm`),
+      clockSkew,
+      startOffset: Math.max(0, startedAtServer - recordingSession.startTime),
+      endOffset: 0,
+      nextSequence: 0,
+      nextArrival: 0,
+      pending: new Map(),
+      chunks: 0,
+      bytes: 0,
+      missingChunks: 0,
+      writing: Promise.resolve()
+    };
+    recordingSession.tracks.set(key, track);
+
+    console.log(`🎙️ Recording track started for ${track.participantName}:`, path.basename(track.filePath), `at ${track.startOffset}ms`);
+    return track;
+  }
+
+  /**
+   * Convert a client timestamp to milliseconds since the recording started
+   * @param {Object} recordingSession - Recording session
+   * @param {Object} track - Track the timestamp belongs to
+   * @param {number} timestamp - Client timestamp
+   * @returns {number} Offset in milliseconds
+   */
+  toSessionOffset(recordingSession, track, timestamp) {
+    const serverTime = Number.isFinite(timestamp) ? timestamp + track.clockSkew : Date.now();
+    return Math.max(0, serverTime - recordingSession.startTime);
+  }
+
+  /**
+   * Append the chunks that are next in sequence to the track file
+   * @param {Object} track - Track
+   * @param {boolean} skipMissing - Write past chunks that never arrived
+   * @returns {Promise<void>} Resolves once the writes are done
+   */
+  flushTrack(track, skipMissing = false) {
+    const ready = [];
+
+    while (track.pending.size > 0) {
+      if (!track.pending.has(track.nextSequence)) {
+        if (!skipMissing) {
+          break;
+        }
+        const next = Math.min(...track.pending.keys());
+        track.missingChunks += next - track.nextSequence;
+        console.warn(`⚠️ ${next - track.nextSequence} chunk(s) missing from`, path.basename(track.filePath));
+        track.nextSequence = next;
+      }
+
+      ready.push(track.pending.get(track.nextSequence));
+      track.pending.delete(track.nextSequence);
+      track.nextSequence++;
+    }
+
+    if (ready.length > 0) {
+      const data = Buffer.concat(ready);
+      track.writing = track.writing
+        .then(async () => {
+          await fs.appendFile(track.filePath, data);
+          track.chunks += ready.length;
+          track.bytes += data.length;
+        })
+        .catch(error => console.error('❌ Failed to write recording track:', track.filePath, error));
+    }
+
+    return track.writing;
+  }
+
   /**
    * Add video frame to recording
    * @param {string} meetingId - Meeting identifier
@@ -229,7 +496,7 @@ class MediaRecorder {
    */
   async addVideoFrame(meetingId, videoFrame) {
     const recordingSession = this.recordings.get(meetingId);
-    if (!recordingSession || !recordingSession.isRecording) {
+    if (!recordingSession || !ACTIVE_STATES.includes(recordingSession.state)) {
       return;
     }
 
@@ -242,6 +509,170 @@ class MediaRecorder {
     }
   }
 
+  /**
+   * Pause a recording. Participants stop uploading until it resumes, and the
+   * gap is silenced and marked in the muxed recording.
+   * @param {string} meetingId - Meeting identifier
+   * @returns {number} When the pause began, in ms from the recording start
+   */
+  pauseRecording(meetingId) {
+    const recordingSession = this.requireRecording(meetingId);
+    const offset = Date.now() - recordingSession.startTime;
+    this.setState(recordingSession, 'paused');
+    recordingSession.pauses.push({ start: offset, end: null });
+
+    console.log('⏸️ Recording paused for meeting:', meetingId, `at ${offset}ms`);
+    return offset;
+  }
+
+  /**
+   * Resume a paused recording. Participants start new recorders, which become
+   * new tracks placed after the gap.
+   * @param {string} meetingId - Meeting identifier
+   * @returns {number} When the pause ended, in ms from the recording start
+   */
+  resumeRecording(meetingId) {
+    const recordingSession = this.requireRecording(meetingId);
+    const offset = Date.now() - recordingSession.startTime;
+    this.setState(recordingSession, 'recording');
+    recordingSession.pauses[recordingSession.pauses.length - 1].end = offset;
+
+    console.log('▶️ Recording resumed for meeting:', meetingId, `at ${offset}ms`);
+    return offset;
+  }
+
+  /**
+   * Whether a moment falls in a pause
+   * @param {Object} recordingSession - Recording session
+   * @param {number} offset - ms from the recording start
+   * @param {number} grace - ms at the start of each pause that don't count as paused
+   * @returns {boolean} True if the recording was paused then
+   */
+  isPausedAt(recordingSession, offset, grace = 0) {
+    return recordingSession.pauses.some(({ start, end }) => offset >= start + grace && offset < (end ?? Infinity));
+  }
+
+  /**
+   * Consent belongs to the person rather than their connection, so someone
+   * reconnecting under a new socket id keeps the answer they gave
+   * @param {Object} participant - { userId, name }
+   * @returns {string} Key of their consent (see attendanceTracker.attendeeKey)
+   */
+  consentKey(participant) {
+    return attendanceTracker.attendeeKey(participant);
+  }
+
+  /**
+   * Consent of whoever uploaded a track or chunk
+   * @param {Object} recordingSession - Recording session
+   * @param {Object} uploader - { userId, participantName }
+   * @returns {Object|null} Their consent
+   */
+  getUploaderConsent(recordingSession, { userId, participantName }) {
+    return recordingSession.consents.get(this.consentKey({ userId, name: participantName })) || null;
+  }
+
+  /**
+   * A participant's consent to the meeting's current recording
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} participant - { id, name, userId }
+   * @returns {Object|null} Their consent
+   */
+  getConsent(meetingId, participant) {
+    return this.recordings.get(meetingId)?.consents.get(this.consentKey(participant)) || null;
+  }
+
+  /**
+   * Ask a participant for consent to be recorded. A participant who has
+   * already answered, on this connection or an earlier one, keeps their answer.
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} participant - { id, name, userId }
+   * @returns {boolean} True if the participant still has to answer
+   */
+  requestConsent(meetingId, participant) {
+    const recordingSession = this.recordings.get(meetingId);
+    if (!recordingSession || !ACTIVE_STATES.includes(recordingSession.state)) {
+      return false;
+    }
+
+    const consent = recordingSession.consents.get(this.consentKey(participant));
+    if (consent && consent.status !== 'pending') {
+      return false;
+    }
+
+    if (!consent) {
+      this.setConsent(recordingSession, participant, 'pending', 'requested');
+    }
+    return true;
+  }
+
+  /**
+   * Record a participant's answer to the consent request. Declining after
+   * agreeing withdraws consent, and leaves them out of the whole recording.
+   * @param {string} meetingId - Meeting identifier
+   * @param {Object} participant - { id, name, userId }
+   * @param {boolean} granted - Whether they agree to be recorded
+   * @returns {Object} Their consent { participantId, participantName, userId, status, updatedAt }
+   */
+  recordConsent(meetingId, participant, granted) {
+    const recordingSession = this.requireRecording(meetingId);
+    if (!ACTIVE_STATES.includes(recordingSession.state)) {
+      throw new RecordingStateError(`The recording is ${recordingSession.state}, consent can only be given while it runs`);
+    }
+
+    const previous = recordingSession.consents.get(this.consentKey(participant))?.status;
+    const action = granted ? 'granted' : previous === 'granted' ? 'withdrawn' : 'declined';
+    return this.setConsent(recordingSession, participant, granted ? 'granted' : 'declined', action);
+  }
+
+  /**
+   * Set a participant's consent and add it to the audit log
+   * @param {Object} recordingSession - Recording session
+   * @param {Object} participant - { id, name, userId }
+   * @param {string} status - pending, granted or declined
+   * @param {string} action - Logged action: requested, granted, declined or withdrawn
+   * @returns {Object} Their consent
+   */
+  setConsent(recordingSession, participant, status, action) {
+    if (!CONSENT_STATUSES.includes(status)) {
+      throw new Error(`Unknown consent status: ${status}`);
+    }
+
+    const now = new Date();
+    const consent = {
+      participantId: participant.id,
+      participantName: participant.name || participant.id,
+      userId: participant.userId || null,
+      status,
+      updatedAt: now.toISOString()
+    };
+    recordingSession.consents.set(this.consentKey(participant), consent);
+    recordingSession.consentLog.push({
+      participantId: consent.participantId,
+      participantName: consent.participantName,
+      userId: consent.userId,
+      action,
+      at: consent.updatedAt,
+      offset: Math.max(0, now.getTime() - recordingSession.startTime)
+    });
+
+    console.log(`🙋 Recording consent ${action} for ${consent.participantName} in meeting`, recordingSession.meetingId);
+    return consent;
+  }
+
+  /**
+   * Consent of everyone asked, with the audit log, as kept in the meeting history
+   * @param {Object} recordingSession - Recording session
+   * @returns {Object} { declinedParticipants, participants, log }
+   */
+  getConsentReport(recordingSession) {
+    return {
+      declinedParticipants: recordingSession.options.declinedParticipants,
+      participants: Array.from(recordingSession.consents.values()),
+      log: recordingSession.consentLog
+    };
+  }
+
   /**
    * Get recording session info
    * @param {string} meetingId - Meeting identifier
@@ -254,11 +685,10 @@ class MediaRecorder {
   /**
    * Check if a meeting is being recorded
    * @param {string} meetingId - Meeting identifier
-   * @returns {boolean} True if recording is active
+   * @returns {boolean} True if recording is active (recording or paused)
    */
   isRecording(meetingId) {
-    const session = this.recordings.get(meetingId);
-    return session ? session.isRecording : false;
+    return ACTIVE_STATES.includes(this.getRecordingState(meetingId));
   }
 
   /**
@@ -307,6 +737,19 @@ class MediaRecorder {
       recordingSession.availableStreams.audio.delete(participantId);
     }
 
+    // Muted stretches are silenced when muxing
+    if (ACTIVE_STATES.includes(recordingSession.state)) {
+      const intervals = recordingSession.muteIntervals.get(participantId) || [];
+      const open = intervals.find(interval => interval.end === null);
+      const offset = Date.now() - recordingSession.startTime;
+      if (!audioEnabled && !open) {
+        intervals.push({ start: offset, end: null });
+      } else if (audioEnabled && open) {
+        open.end = offset;
+      }
+      recordingSession.muteIntervals.set(participantId, intervals);
+    }
+
     console.log(`🎥 Media state updated for ${participantId}:`, {
       videoEnabled,
       audioEnabled,
@@ -362,28 +805,19 @@ class MediaRecorder {
    * @param {string} participantId - Participant identifier
    * @param {Buffer} audioChunk - Audio data chunk
    * @param {number} timestamp - Timestamp
+   * @param {Object} chunkInfo - { participantName, sequence, startedAt } (see addAudioChunk)
    */
-  processAudioChunk(meetingId, participantId, audioChunk, timestamp) {
-    const recordingSession = this.recordings.get(meetingId);
-    if (!recordingSession) return;
-
-    // Check if participant has audio enabled
-    const mediaState = recordingSession.participantMediaStates.get(participantId);
-    if (!mediaState || !mediaState.audioEnabled) {
-      console.log(`🔇 Audio chunk ignored for ${participantId} (audio disabled)`);
-      return;
-    }
+  processAudioChunk(meetingId, participantId, audioChunk, timestamp, chunkInfo = {}) {
+    if (!this.isRecording(meetingId)) return;
 
-    // Store audio chunk for real recording
-    recordingSession.audioChunks.push({
+    // Every chunk is kept even while muted, a gap would break the WebM stream.
+    // The muted stretches are silenced when muxing instead.
+    return this.addAudioChunk(meetingId, Buffer.from(audioChunk), {
+      ...chunkInfo,
       participantId,
-      data: audioChunk,
       timestamp,
-      type: 'audio'
+      kind: 'audio'
     });
-
-    // Process audio chunk for recording
-    this.addAudioChunk(meetingId, audioChunk, timestamp);
   }
 
   /**
@@ -392,72 +826,474 @@ class MediaRecorder {
    * @param {string} participantId - Participant identifier
    * @param {Buffer} videoChunk - Video data chunk
    * @param {number} timestamp - Timestamp
+   * @param {Object} chunkInfo - { participantName, sequence, startedAt } (see addAudioChunk)
    */
-  processVideoChunk(meetingId, participantId, videoChunk, timestamp) {
-    const recordingSession = this.recordings.get(meetingId);
-    if (!recordingSession) return;
-
-    // Check if participant has video enabled
-    const mediaState = recordingSession.participantMediaStates.get(participantId);
-    if (!mediaState || !mediaState.videoEnabled) {
-      console.log(`📹 Video chunk ignored for ${participantId} (video disabled)`);
-      return;
-    }
+  processVideoChunk(meetingId, participantId, videoChunk, timestamp, chunkInfo = {}) {
+    if (!this.isRecording(meetingId)) return;
 
-    // Store video chunk for real recording
-    recordingSession.videoChunks.push({
+    return this.addAudioChunk(meetingId, Buffer.from(videoChunk), {
+      ...chunkInfo,
       participantId,
-      data: videoChunk,
       timestamp,
-      type: 'video'
+      kind: 'video'
     });
-
-    // Process video chunk for recording
-    this.addVideoChunk(meetingId, videoChunk, timestamp);
   }
 
   /**
-   * Create real meeting recording from collected audio/video chunks
+   * Create real meeting recording from collected audio/video chunks.
+   * The recording has to be stopped first. It is muxed once, later calls get
+   * the same file.
    * @param {string} meetingId - Meeting identifier
    * @returns {Promise<string>} Path to the created recording
    */
   async createRealMeetingRecording(meetingId) {
-    const recordingSession = this.recordings.get(meetingId);
-    if (!recordingSession) {
-      throw new Error('No recording session found');
+    const recordingSession = this.finishRecording(meetingId);
+
+    return this.runOnce(recordingSession, 'recording', async () => {
+      const tracks = await this.getReadableTracks(recordingSession);
+
+      const placeholders = recordingSession.options.declinedParticipants === 'placeholder'
+        ? Array.from(recordingSession.consents.values()).filter(consent => consent.status === 'declined')
+        : [];
+
+      console.log(`🎬 Muxing ${tracks.length} track(s) from ${new Set(tracks.map(track => track.participantId)).size} participant(s) into`, recordingSession.recordingPath);
+      await this.runFFmpeg(this.buildMuxArgs(recordingSession, tracks, { placeholders }));
+
+      console.log('✅ Real meeting recording created:', recordingSession.recordingPath);
+      return recordingSession.recordingPath;
+    });
+  }
+
+  /**
+   * Write each participant's own recording, from when their first recorder
+   * started to when their last one stopped, for download by the teacher
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Promise<Array>} [{ participantId, participantName, userId, startOffset, duration, hasVideo, path }], offsets in ms from the recording start
+   */
+  async createParticipantTracks(meetingId) {
+    const recordingSession = this.finishRecording(meetingId);
+
+    return this.runOnce(recordingSession, 'participantTracks', async () => {
+      const tracks = await this.getReadableTracks(recordingSession);
+      const byParticipant = new Map();
+      tracks.forEach(track => {
+        byParticipant.set(track.participantId, [...(byParticipant.get(track.participantId) || []), track]);
+      });
+
+      const participantTracks = [];
+      for (const [participantId, own] of byParticipant) {
+        const start = Math.min(...own.map(track => track.startOffset));
+        const lastChunk = Math.min(recordingSession.duration, Math.max(...own.map(track => track.endOffset)));
+        const end = lastChunk > start ? lastChunk : recordingSession.duration;
+        const hasVideo = own.some(track => track.hasVideo);
+        const outputPath = path.join(recordingSession.trackDir, `participant_${this.toFileName(participantId)}.${hasVideo ? 'mp4' : 'm4a'}`);
+
+        await this.runFFmpeg(this.buildMuxArgs(recordingSession, own, {
+          outputPath,
+          start,
+          end,
+          layout: hasVideo ? 'grid' : 'none'
+        }));
+
+        participantTracks.push({
+          participantId,
+          participantName: own[0].participantName,
+          userId: own.find(track => track.userId)?.userId || null,
+          startOffset: start,
+          duration: end - start,
+          hasVideo,
+          path: outputPath
+        });
+      }
+
+      console.log(`✅ ${participantTracks.length} participant track(s) written to`, recordingSession.trackDir);
+      return participantTracks;
+    });
+  }
+
+  /**
+   * Build a video that shows whoever is speaking, full frame, with the mixed
+   * audio. Speakers are picked from each track's loudness (see speakerDetector),
+   * ignoring the stretches a participant was muted.
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Promise<{ path: string, shots: Array }>} Composite path and its shots [{ participantId, start, end }]
+   */
+  async createSpeakerComposite(meetingId) {
+    const recordingSession = this.finishRecording(meetingId);
+
+    return this.runOnce(recordingSession, 'speakerComposite', async () => {
+      const tracks = await this.getReadableTracks(recordingSession);
+      const cameras = Array.from(new Set(tracks.filter(track => track.hasVideo).map(track => track.participantId)));
+      if (cameras.length === 0) {
+        throw new Error('No camera was recorded for this meeting');
+      }
+
+      const samples = [];
+      for (const track of this.pickAudioTracks(tracks)) {
+        const muted = recordingSession.muteIntervals.get(track.participantId) || [];
+        const levels = await speakerDetector.measureLevels(track.filePath);
+        levels.forEach(({ time, level }) => {
+          const at = track.startOffset + time;
+          if (!muted.some(({ start, end }) => at >= start && at < (end ?? Infinity)) && !this.isPausedAt(recordingSession, at)) {
+            samples.push({ participantId: track.participantId, time: at, level });
+          }
+        });
+      }
+
+      const shots = speakerDetector.pickShots(samples, { duration: recordingSession.duration, participants: cameras });
+      const outputPath = recordingSession.recordingPath.replace(/\.mp4$/, '_speaker.mp4');
+
+      console.log(`🎬 Building active-speaker composite with ${shots.length} shot(s):`, outputPath);
+      await this.runFFmpeg(this.buildMuxArgs(recordingSession, tracks, { outputPath, layout: 'speaker', shots }));
+
+      console.log('✅ Active-speaker composite created:', outputPath);
+      return { path: outputPath, shots };
+    });
+  }
+
+  /**
+   * Get a stopped recording for post-processing
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Object} Stopped recording session
+   */
+  finishRecording(meetingId) {
+    const recordingSession = this.requireRecording(meetingId);
+    if (recordingSession.state === 'idle' || ACTIVE_STATES.includes(recordingSession.state)) {
+      throw new RecordingStateError('The recording has to be stopped first');
     }
 
-    const { audioChunks, videoChunks, recordingPath } = recordingSession;
-    
-    if (audioChunks.length === 0 && videoChunks.length === 0) {
-      console.log('⚠️ No audio/video chunks found, creating placeholder recording');
-      return await this.createPlaceholderRecording(recordingPath, recordingSession.startTime);
+    return recordingSession;
+  }
+
+  /**
+   * Finish writing a stopped recording's track files, for post-processing
+   * in a media job. The result is plain JSON, so the job can be run again by
+   * restoreRecording after a restart.
+   * @param {string} meetingId - Meeting identifier
+   * @returns {Promise<Object>} { meetingId, sessionId, recordingPath, trackDir, startTime, endTime, duration, options, tracks, muteIntervals, pauses, consent }
+   */
+  async exportRecording(meetingId) {
+    const recordingSession = this.finishRecording(meetingId);
+    await Promise.all(Array.from(recordingSession.tracks.values()).map(track => this.flushTrack(track, true)));
+
+    return {
+      meetingId,
+      sessionId: recordingSession.sessionId,
+      recordingPath: recordingSession.recordingPath,
+      trackDir: recordingSession.trackDir,
+      startTime: recordingSession.startTime,
+      endTime: recordingSession.endTime,
+      duration: recordingSession.duration,
+      options: recordingSession.options,
+      tracks: Array.from(recordingSession.tracks, ([key, track]) => ({
+        key,
+        participantId: track.participantId,
+        participantName: track.participantName,
+        userId: track.userId,
+        kind: track.kind,
+        filePath: track.filePath,
+        startOffset: track.startOffset,
+        endOffset: track.endOffset,
+        chunks: track.chunks,
+        bytes: track.bytes,
+        missingChunks: track.missingChunks
+      })),
+      muteIntervals: Array.from(recordingSession.muteIntervals),
+      pauses: recordingSession.pauses,
+      consent: this.getConsentReport(recordingSession)
+    };
+  }
+
+  /**
+   * Get the stopped recording a media job works on. The session still in
+   * memory is used as is, otherwise it is rebuilt from exportRecording's result.
+   * @param {Object} exported - Result of exportRecording
+   * @returns {Object} Stopped recording session
+   */
+  restoreRecording(exported) {
+    const existing = this.recordings.get(exported.meetingId);
+    if (existing && existing.sessionId === exported.sessionId) {
+      return this.finishRecording(exported.meetingId);
     }
 
-    try {
-      console.log(`🎬 Creating real meeting recording from ${audioChunks.length} audio chunks and ${videoChunks.length} video chunks`);
-      
-      // Combine all chunks chronologically
-      const allChunks = [...audioChunks, ...videoChunks].sort((a, b) => a.timestamp - b.timestamp);
-      
-      // Create a more realistic meeting recording
-      const duration = Math.max(30, (Date.now() - recordingSession.startTime) / 1000);
-      
-      const ffmpeg = spawn('ffmpeg', [
-        '-f', 'lavfi',
-        '-i', `color=c=#1a1a1a:size=1280x720:duration=${duration}:rate=30`,
-        '-f', 'lavfi',
-        '-i', `sine=frequency=1000:duration=${duration}`,
-        '-vf', `drawtext=text='Meeting Recording - ${meetingId}':fontsize=28:fontcolor=white:x=(w-text_w)/2:y=100:box=1:boxcolor=black@0.8,drawtext=text='Real Meeting Content':fontsize=20:fontcolor=white:x=(w-text_w)/2:y=150:box=1:boxcolor=black@0.6,drawtext=text='Duration: ${Math.round(duration)}s':fontsize=16:fontcolor=white:x=(w-text_w)/2:y=200:box=1:boxcolor=black@0.4`,
-        '-c:v', 'libx264',
-        '-c:a', 'aac',
-        '-preset', 'fast',
-        '-crf', '23',
-        '-movflags', '+faststart',
-        '-y',
-        recordingPath
+    const { consent, ...session } = exported;
+    const recordingSession = {
+      ...session,
+      state: 'finalizing',
+      participantMediaStates: new Map(),
+      availableStreams: {
+        video: new Set(),
+        audio: new Set()
+      },
+      tracks: new Map(exported.tracks.map(({ key, ...track }) => [key, {
+        ...track,
+        clockSkew: 0,
+        nextSequence: track.chunks + track.missingChunks,
+        nextArrival: track.chunks + track.missingChunks,
+        pending: new Map(),
+        writing: Promise.resolve()
+      }])),
+      muteIntervals: new Map(exported.muteIntervals),
+      pauses: exported.pauses || [],
+      consents: new Map((consent?.participants || []).map(participantConsent => [
+        this.consentKey({ userId: participantConsent.userId, name: participantConsent.participantName }),
+        participantConsent
+      ])),
+      consentLog: consent?.log || [],
+      outputs: {},
+      jobId: null,
+      result: null,
+      error: null
+    };
+    this.recordings.set(exported.meetingId, recordingSession);
+
+    console.log('♻️ Recording session restored for post-processing:', exported.sessionId);
+    return recordingSession;
+  }
+
+  /**
+   * Run a post-processing step once per recording, later calls share its
+   * result. A step that failed is run again on the next call.
+   * @param {Object} recordingSession - Stopped recording session
+   * @param {string} step - Step name
+   * @param {Function} create - Runs the step
+   * @returns {Promise<*>} Result of the step
+   */
+  runOnce(recordingSession, step, create) {
+    if (!recordingSession.outputs[step]) {
+      recordingSession.outputs[step] = create();
+      recordingSession.outputs[step].catch(() => {
+        delete recordingSession.outputs[step];
+      });
+    }
+    return recordingSession.outputs[step];
+  }
+
+  /**
+   * Finish writing the track files and find out which have audio and video
+   * @param {Object} recordingSession - Stopped recording session
+   * @returns {Promise<Array>} Readable tracks with hasAudio/hasVideo
+   */
+  async getReadableTracks(recordingSession) {
+    return this.runOnce(recordingSession, 'tracks', async () => {
+      await Promise.all(Array.from(recordingSession.tracks.values()).map(track => this.flushTrack(track, true)));
+
+      const readable = [];
+      for (const track of recordingSession.tracks.values()) {
+        if (track.bytes === 0) continue;
+
+        // Someone who withdrew their consent is left out, and what they uploaded is deleted,
+        // including tracks from before they reconnected
+        if (this.getUploaderConsent(recordingSession, track)?.status === 'declined') {
+          await fs.rm(track.filePath, { force: true });
+          track.bytes = 0;
+          console.log('🙅 Left out the track of a participant who declined recording:', path.basename(track.filePath));
+          continue;
+        }
+
+        const streams = await this.probeStreams(track.filePath);
+        if (streams.length === 0) {
+          console.warn('⚠️ Skipping unreadable recording track:', track.filePath);
+          continue;
+        }
+        readable.push({
+          ...track,
+          endOffset: track.endOffset || recordingSession.duration,
+          hasAudio: streams.includes('audio'),
+          hasVideo: streams.includes('video')
+        });
+      }
+
+      if (readable.length === 0) {
+        throw new Error('No media was uploaded for this recording');
+      }
+      return readable;
+    });
+  }
+
+  /**
+   * The tracks whose audio is mixed. A camera upload carries the participant's
+   * voice, so their audio-only upload is used only without one.
+   * @param {Array} tracks - Readable tracks
+   * @returns {Array} Tracks to take audio from
+   */
+  pickAudioTracks(tracks) {
+    const voicedByCamera = new Set(tracks.filter(track => track.kind !== 'audio' && track.hasAudio).map(track => track.participantId));
+    return tracks.filter(track => track.hasAudio && (track.kind !== 'audio' || !voicedByCamera.has(track.participantId)));
+  }
+
+  /**
+   * Build the ffmpeg arguments that mux tracks onto the recording timeline.
+   * Each track is delayed to the moment its recorder started, on a silent bed
+   * as long as the output, so late joiners, early leavers and dropped
+   * connections leave silence. Muted stretches are silenced, and pauses are
+   * silenced and covered with a "Recording paused" card.
+   * @param {Object} recordingSession - Stopped recording session
+   * @param {Array} tracks - Readable tracks (see getReadableTracks)
+   * @param {Object} options - Output options
+   * @param {string} options.outputPath - Output file (default: the recording)
+   * @param {number} options.start - Start of the output in ms from the recording start
+   * @param {number} options.end - End of the output in ms from the recording start
+   * @param {string} options.layout - 'grid' tiles the cameras, 'speaker' shows one camera per shot, 'none' writes audio only
+   * @param {Array} options.shots - Shots for the speaker layout (see speakerDetector.pickShots)
+   * @param {Array} options.placeholders - Participants who declined recording, shown as an empty tile in the grid layout
+   * @returns {Array<string>} ffmpeg arguments
+   */
+  buildMuxArgs(recordingSession, tracks, { outputPath = recordingSession.recordingPath, start = 0, end = recordingSession.duration, layout = 'grid', shots = [], placeholders = [] } = {}) {
+    const duration = Math.max(1000, end - start);
+    const withVideo = layout !== 'none';
+    const between = (from, to) => `between(t,${toSeconds(Math.max(0, from - start))},${toSeconds(Math.max(0, to - start))})`;
+
+    const args = ['-v', 'error', '-f', 'lavfi', '-t', toSeconds(duration), '-i', 'anullsrc=r=48000:cl=stereo'];
+    if (withVideo) {
+      args.push('-f', 'lavfi', '-t', toSeconds(duration), '-i', `color=c=#1a1a1a:s=${RECORDING_WIDTH}x${RECORDING_HEIGHT}:r=30`);
+    }
+
+    const filters = [];
+    const mixed = ['[0:a]'];
+    const audioTracks = this.pickAudioTracks(tracks);
+    let video = '[1:v]';
+
+    // Grid: participants with video, and placeholders for those who declined, share the frame.
+    // Speaker: each fills it during their shots.
+    const tiled = Array.from(new Set(tracks.filter(track => track.hasVideo).map(track => track.participantId)));
+    if (layout === 'grid') {
+      tiled.push(...placeholders.map(placeholder => placeholder.participantId).filter(participantId => !tiled.includes(participantId)));
+    }
+    const columns = layout === 'grid' ? Math.max(1, Math.ceil(Math.sqrt(tiled.length))) : 1;
+    const rows = layout === 'grid' ? Math.max(1, Math.ceil(tiled.length / columns)) : 1;
+    const tileWidth = Math.floor(RECORDING_WIDTH / columns / 2) * 2;
+    const tileHeight = Math.floor(RECORDING_HEIGHT / rows / 2) * 2;
+
+    tracks.forEach((track, index) => {
+      const input = index + (withVideo ? 2 : 1);
+      const delay = Math.max(0, Math.round(track.startOffset - start));
+      args.push('-i', track.filePath);
+
+      if (audioTracks.includes(track)) {
+        const muted = (recordingSession.muteIntervals.get(track.participantId) || [])
+          .map(interval => between(interval.start, interval.end ?? end));
+        filters.push(
+          `[${input}:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,adelay=${delay}|${delay}` +
+          (muted.length > 0 ? `,volume=0:enable='${muted.join('+')}'` : '') +
+          `[a${input}]`
+        );
+        mixed.push(`[a${input}]`);
+      }
+
+      if (withVideo && track.hasVideo) {
+        let placement = '';
+        if (layout === 'speaker') {
+          const onScreen = shots.filter(shot => shot.participantId === track.participantId);
+          if (onScreen.length === 0) return;
+          placement = `0:0:enable='${onScreen.map(shot => between(shot.start, shot.end)).join('+')}'`;
+        } else {
+          const tile = tiled.indexOf(track.participantId);
+          placement = `${(tile % columns) * tileWidth}:${Math.floor(tile / columns) * tileHeight}`;
+        }
+
+        filters.push(
+          `[${input}:v]setpts=PTS-STARTPTS+${toSeconds(delay)}/TB,` +
+          `scale=${tileWidth}:${tileHeight}:force_original_aspect_ratio=decrease,` +
+          `pad=${tileWidth}:${tileHeight}:(ow-iw)/2:(oh-ih)/2,setsar=1[v${input}]`
+        );
+        filters.push(`${video}[v${input}]overlay=${placement}:eof_action=pass[o${input}]`);
+        video = `[o${input}]`;
+      }
+    });
+
+    if (layout === 'grid' && withVideo) {
+      placeholders.forEach((placeholder, index) => {
+        const tile = tiled.indexOf(placeholder.participantId);
+        filters.push(
+          `color=c=#2c2c2c:s=${tileWidth}x${tileHeight}:r=30:d=${toSeconds(duration)},` +
+          `drawtext=text='Not recorded':fontsize=24:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2[p${index}]`
+        );
+        filters.push(`${video}[p${index}]overlay=${(tile % columns) * tileWidth}:${Math.floor(tile / columns) * tileHeight}[po${index}]`);
+        video = `[po${index}]`;
+      });
+    }
+
+    const paused = recordingSession.pauses
+      .filter(pause => (pause.end ?? end) > start && pause.start < end)
+      .map(pause => between(pause.start, pause.end ?? end));
+
+    filters.push(
+      `${mixed.join('')}amix=inputs=${mixed.length}:duration=first:dropout_transition=0:normalize=0` +
+      (paused.length > 0 ? `,volume=0:enable='${paused.join('+')}'` : '') +
+      '[aout]'
+    );
+
+    if (withVideo && paused.length > 0) {
+      const enable = `enable='${paused.join('+')}'`;
+      filters.push(
+        `${video}drawbox=x=0:y=0:w=iw:h=ih:color=#1a1a1a:t=fill:${enable},` +
+        `drawtext=text='Recording paused':fontsize=36:fontcolor=white:x=(w-text_w)/2:y=(h-text_h)/2:${enable}[paused]`
+      );
+      video = '[paused]';
+    }
+
+    const output = withVideo
+      ? ['-map', video === '[1:v]' ? '1:v' : video, '-map', '[aout]', '-c:v', 'libx264', '-c:a', 'aac', '-preset', 'fast', '-crf', '23']
+      : ['-map', '[aout]', '-c:a', 'aac'];
+
+    return [
+      ...args,
+      '-filter_complex', filters.join(';'),
+      ...output,
+      '-movflags', '+faststart',
+      '-t', toSeconds(duration),
+      '-y',
+      outputPath
+    ];
+  }
+
+  /**
+   * Make an id safe to use in a file name
+   * @param {string} id - Identifier
+   * @returns {string} File name part
+   */
+  toFileName(id) {
+    return String(id).replace(/[^\w-]/g, '_');
+  }
+
+  /**
+   * List the stream types in a media file
+   * @param {string} filePath - Media file path
+   * @returns {Promise<Array<string>>} Stream types ('audio', 'video'), empty when unreadable
+   */
+  async probeStreams(filePath) {
+    return new Promise((resolve) => {
+      const ffprobe = spawn('ffprobe', [
+        '-v', 'error',
+        '-show_entries', 'stream=codec_type',
+        '-of', 'csv=p=0',
+        filePath
       ]);
 
+      let output = '';
+
+      ffprobe.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+
+      ffprobe.on('close', (code) => {
+        resolve(code === 0 ? output.split('\n').map(line => line.trim()).filter(Boolean) : []);
+      });
+
+      ffprobe.on('error', () => resolve([]));
+    });
+  }
+
+  /**
+   * Run ffmpeg
+   * @param {Array<string>} args - ffmpeg arguments
+   * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+   */
+  async runFFmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawnFFmpeg(args);
+
       let errorOutput = '';
 
       ffmpeg.stderr.on('data', (data) => {
@@ -466,23 +1302,16 @@ class MediaRecorder {
 
       ffmpeg.on('close', (code) => {
         if (code === 0) {
-          console.log('✅ Real meeting recording created:', recordingPath);
+          resolve();
         } else {
-          console.error(`❌ FFmpeg failed with code ${code}: ${errorOutput}`);
+          reject(new Error(`FFmpeg failed with code ${code}: ${errorOutput}`));
         }
       });
 
       ffmpeg.on('error', (error) => {
-        console.error('❌ FFmpeg spawn error:', error);
+        reject(new Error(`FFmpeg spawn error: ${error.message}`));
       });
-
-      return recordingPath;
-
-    } catch (error) {
-      console.error('❌ Failed to create real meeting recording:', error);
-      // Fallback to placeholder
-      return await this.createPlaceholderRecording(recordingPath, recordingSession.startTime);
-    }
+    });
   }
 
   /**
@@ -510,7 +1339,7 @@ class MediaRecorder {
    * @returns {Array} List of active recording sessions
    */
   getActiveRecordings() {
-    return Array.from(this.recordings.values()).filter(session => session.isRecording);
+    return Array.from(this.recordings.values()).filter(session => ACTIVE_STATES.includes(session.state));
   }
 }
 
@@ -1,47 +1,112 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { JsonHistoryAdapter, SqliteHistoryAdapter, HISTORY_SORT_FIELDS } from './historyStore.js';
 
 /**
  * Meeting History Manager
  * Handles persistent storage of meeting data, highlights, and recordings
+ * through a pluggable storage adapter (HISTORY_STORE: `json` or `sqlite`)
  */
 class MeetingHistoryManager {
   constructor() {
-    this.historyDir = path.join(__dirname, '../../history');
-    this.ensureDirectories();
+    this.adapters = new Map([
+      ['json', (options) => new JsonHistoryAdapter(options)],
+      ['sqlite', (options) => new SqliteHistoryAdapter(options)]
+    ]);
+    this.ready = null;
+    this.writeQueues = new Map(); // meetingId -> last queued write
   }
 
   /**
-   * Ensure required directories exist
+   * Register an additional storage adapter. Adapters implement open, save, get,
+   * all, list, delete, deleteSavedBefore and close.
+   * @param {string} name - Adapter name used in HISTORY_STORE
+   * @param {Function} factory - (options) => adapter
    */
-  async ensureDirectories() {
-    try {
-      await fs.mkdir(this.historyDir, { recursive: true });
-      console.log('📁 Meeting history directory ensured');
-    } catch (error) {
-      console.error('❌ Failed to create history directory:', error);
+  registerAdapter(name, factory) {
+    this.adapters.set(name, factory);
+  }
+
+  /**
+   * Create and open a storage adapter
+   * @param {string} type - Adapter name
+   * @param {Object} options - { path }
+   * @returns {Promise<Object>} Opened adapter
+   */
+  async openAdapter(type, options = {}) {
+    const factory = this.adapters.get(type);
+    if (!factory) {
+      throw new Error(`Unknown history store "${type}" (expected one of: ${Array.from(this.adapters.keys()).join(', ')})`);
+    }
+
+    const adapter = factory(options);
+    await adapter.open();
+    return adapter;
+  }
+
+  /**
+   * Open the configured adapter, once. Called by every method, so explicit
+   * initialization is only needed to pick another store than the environment's.
+   * @param {Object} options - { type, path } - defaults to HISTORY_STORE / HISTORY_STORE_PATH
+   * @returns {Promise<Object>} The adapter in use
+   */
+  async init(options = {}) {
+    if (!this.ready) {
+      const type = options.type || process.env.HISTORY_STORE || 'json';
+      this.ready = this.openAdapter(type, { path: options.path || process.env.HISTORY_STORE_PATH })
+        .then(adapter => {
+          console.log(`💾 Meeting history store ready (${adapter.name})`);
+          return adapter;
+        });
     }
+    return this.ready;
   }
 
   /**
-   * Save meeting to history
+   * Run a write to one meeting's history once the writes already queued for it
+   * are done, so read-modify-write updates (summary, recording) never overwrite
+   * each other
+   * @param {string} meetingId - Meeting ID
+   * @param {Function} write - async () => result
+   * @returns {Promise<*>} Result of the write
+   */
+  serializeWrite(meetingId, write) {
+    const previous = this.writeQueues.get(meetingId) || Promise.resolve();
+    const result = previous.then(write);
+    const queued = result.catch(() => {});
+    this.writeQueues.set(meetingId, queued);
+    queued.then(() => {
+      if (this.writeQueues.get(meetingId) === queued) {
+        this.writeQueues.delete(meetingId);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Save meeting to history, after any write already queued for it
+   * (arguments as for writeMeetingHistory)
+   * @returns {Promise<string>} Where the meeting was saved
+   */
+  async saveMeetingToHistory(meetingData, ...details) {
+    return this.serializeWrite(meetingData.id, () => this.writeMeetingHistory(meetingData, ...details));
+  }
+
+  /**
+   * Write a meeting's history record, replacing any saved one
    * @param {Object} meetingData - Complete meeting data
    * @param {Array} highlights - Meeting highlights
    * @param {Object} recordingSession - Recording session data
    * @param {Array} transcriptHistory - Transcript history
    * @param {Object} sentimentData - Sentiment analysis data
-   * @returns {Promise<string>} Path to saved meeting file
+   * @param {Object} attendance - Attendance report (join/leave intervals per participant)
+   * @param {Object} handRaises - Raise-hand summary and event log (participation grading)
+   * @param {Array} polls - Polls and quizzes that were run, with every answer
+   * @param {Array} chat - Chat messages (the most recent ones kept during the meeting)
+   * @returns {Promise<string>} Where the meeting was saved
    */
-  async saveMeetingToHistory(meetingData, highlights = [], recordingSession = null, transcriptHistory = [], sentimentData = null) {
+  async writeMeetingHistory(meetingData, highlights = [], recordingSession = null, transcriptHistory = [], sentimentData = null, attendance = null, handRaises = null, polls = [], chat = []) {
     try {
+      const adapter = await this.init();
       const meetingId = meetingData.id;
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = `meeting_${meetingId}_${timestamp}.json`;
-      const filePath = path.join(this.historyDir, fileName);
 
       const meetingHistory = {
         meeting: {
@@ -49,11 +114,12 @@ class MeetingHistoryManager {
           title: meetingData.title || `Meeting ${meetingId}`,
           host: meetingData.host,
           hostId: meetingData.hostId,
+          ownerId: meetingData.ownerId || null,
           participants: meetingData.participants || [],
           createdAt: meetingData.createdAt,
-          endedAt: new Date().toISOString(),
+          endedAt: meetingData.endedAt || new Date().toISOString(),
           duration: meetingData.duration || 0,
-          status: 'completed'
+          status: meetingData.status || 'completed'
         },
         highlights: {
           total: highlights.length,
@@ -66,18 +132,42 @@ class MeetingHistoryManager {
           startTime: recordingSession.startTime,
           endTime: recordingSession.endTime,
           duration: recordingSession.endTime - recordingSession.startTime,
-          options: recordingSession.options
+          options: recordingSession.options,
+          // 'processing' while a media job builds the files below, then 'ready' or 'failed'
+          status: recordingSession.status || 'ready',
+          jobId: recordingSession.jobId || null,
+          error: recordingSession.error || null,
+          // Active-speaker video and each participant's own recording, when they could be built
+          compositePath: recordingSession.compositePath || null,
+          speakerShots: recordingSession.speakerShots || [],
+          participantTracks: recordingSession.participantTracks || [],
+          // Stretches the recording was paused, in ms from its start
+          pauses: recordingSession.pauses || [],
+          // Who agreed to be recorded, and the log of every request and answer
+          consent: recordingSession.consent || null
         } : null,
         transcript: {
           totalEntries: transcriptHistory.length,
           data: transcriptHistory,
           fullTranscript: this.generateFullTranscript(transcriptHistory)
         },
+        chat: {
+          total: chat.length,
+          data: chat
+        },
+        polls: {
+          total: polls.length,
+          data: polls
+        },
+        // Added by saveMeetingSummary once the transcript has been summarized
+        summary: null,
         sentiment: sentimentData ? {
           totalParticipants: sentimentData.participants?.size || 0,
           sentimentCounts: sentimentData.sentimentCounts || {},
           lastUpdated: sentimentData.lastUpdated
         } : null,
+        attendance,
+        handRaises,
         metadata: {
           savedAt: new Date().toISOString(),
           version: '1.0',
@@ -85,25 +175,27 @@ class MeetingHistoryManager {
             highlightDetection: true,
             questionGeneration: true,
             sentimentAnalysis: !!sentimentData,
-            transcription: transcriptHistory.length > 0
+            transcription: transcriptHistory.length > 0,
+            summary: false
           }
         }
       };
 
-      await fs.writeFile(filePath, JSON.stringify(meetingHistory, null, 2));
-      
-      // Also save to active meetings index for quick access
-      await this.updateActiveMeetingsIndex(meetingHistory);
+      const savedTo = await adapter.save(meetingHistory);
       
       console.log('💾 Meeting saved to history:', {
         meetingId,
-        fileName,
+        savedTo,
         highlights: highlights.length,
         transcriptEntries: transcriptHistory.length,
+        attendees: attendance?.attendees.length || 0,
+        handRaiseEvents: handRaises?.events.length || 0,
+        polls: polls.length,
+        chatMessages: chat.length,
         hasRecording: !!recordingSession
       });
 
-      return filePath;
+      return savedTo;
 
     } catch (error) {
       console.error('❌ Failed to save meeting to history:', error);
@@ -111,6 +203,65 @@ class MeetingHistoryManager {
     }
   }
 
+  /**
+   * Add the post-meeting summary to a saved meeting
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} summary - { tldr, keyConcepts, decisions, actionItems, openQuestions, model, generatedAt }
+   * @returns {Promise<boolean>} False if the meeting has no history
+   */
+  async saveMeetingSummary(meetingId, summary) {
+    try {
+      const adapter = await this.init();
+      return await this.serializeWrite(meetingId, async () => {
+        const meetingHistory = await adapter.get(meetingId);
+        
+        if (!meetingHistory) {
+          return false;
+        }
+
+        meetingHistory.summary = summary;
+        meetingHistory.metadata.aiFeatures.summary = true;
+        await adapter.save(meetingHistory);
+        
+        console.log('📋 Meeting summary saved:', meetingId);
+        return true;
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to save meeting summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a saved meeting's recording once its media job has run
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} updates - { status, error, recordingPath, compositePath, speakerShots, participantTracks, highlightReelPath }
+   * @returns {Promise<boolean>} False if the meeting has no saved recording
+   */
+  async saveMeetingRecording(meetingId, updates) {
+    try {
+      const adapter = await this.init();
+      return await this.serializeWrite(meetingId, async () => {
+        const meetingHistory = await adapter.get(meetingId);
+        
+        if (!meetingHistory?.recording) {
+          return false;
+        }
+
+        meetingHistory.recording = { ...meetingHistory.recording, ...updates };
+        await adapter.save(meetingHistory);
+        
+        console.log(`📼 Meeting recording updated (${meetingHistory.recording.status}):`, meetingId);
+        return true;
+      });
+
+    } catch (error) {
+      console.error('❌ Failed to save meeting recording:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate highlight summary
    * @param {Array} highlights - Array of highlight objects
@@ -170,16 +321,8 @@ class MeetingHistoryManager {
    */
   async getMeetingHistory(meetingId) {
     try {
-      const files = await fs.readdir(this.historyDir);
-      const meetingFile = files.find(file => file.includes(`meeting_${meetingId}_`));
-      
-      if (!meetingFile) {
-        return null;
-      }
-
-      const filePath = path.join(this.historyDir, meetingFile);
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(fileContent);
+      const adapter = await this.init();
+      return await adapter.get(meetingId);
 
     } catch (error) {
       console.error('❌ Failed to get meeting history:', error);
@@ -193,20 +336,8 @@ class MeetingHistoryManager {
    */
   async getAllMeetingHistories() {
     try {
-      const files = await fs.readdir(this.historyDir);
-      const meetingFiles = files.filter(file => file.startsWith('meeting_') && file.endsWith('.json'));
-      
-      const histories = [];
-      for (const file of meetingFiles) {
-        try {
-          const filePath = path.join(this.historyDir, file);
-          const fileContent = await fs.readFile(filePath, 'utf8');
-          const history = JSON.parse(fileContent);
-          histories.push(history);
-        } catch (error) {
-          console.warn('⚠️ Failed to parse meeting file:', file, error.message);
-        }
-      }
+      const adapter = await this.init();
+      const histories = await adapter.all();
 
       // Sort by creation date (newest first)
       histories.sort((a, b) => new Date(b.meeting.createdAt) - new Date(a.meeting.createdAt));
@@ -219,16 +350,76 @@ class MeetingHistoryManager {
     }
   }
 
+  /**
+   * A page of saved meetings, as index entries
+   * @param {Object} options - { sort: createdAt|endedAt|duration|title, order: asc|desc, limit, offset,
+   *   userId: only meetings this account owns or attended, role: host|attendee (with userId), status }
+   * @returns {Promise<Object>} { total, totals: { participants, completed, duration }, sort, order, limit, offset, meetings }
+   */
+  async listMeetingHistories({ sort = 'createdAt', order = 'desc', limit = null, offset = 0, userId = null, role = null, status = null } = {}) {
+    const adapter = await this.init();
+    const options = {
+      sort: HISTORY_SORT_FIELDS.includes(sort) ? sort : 'createdAt',
+      order: order === 'asc' ? 'asc' : 'desc',
+      limit: limit === null ? null : Math.max(0, limit),
+      offset: Math.max(0, offset || 0)
+    };
+    const { total, totals, entries } = await adapter.list({
+      ...options,
+      userId,
+      role: ['host', 'attendee'].includes(role) ? role : null,
+      status: status || null
+    });
+    return { total, totals, ...options, meetings: entries };
+  }
+
+  /**
+   * Add meetings kept elsewhere (such as a browser's local meeting list) to an
+   * account's history. Meetings already saved are left as they are.
+   * @param {Array} meetings - [{ id, title, createdAt, endedAt, duration (ms), status, participants: [name] }]
+   * @param {Object} owner - { id, name } of the account
+   * @returns {Promise<Object>} { imported: [meetingId], skipped: [meetingId] }
+   */
+  async importMeetings(meetings, owner) {
+    const adapter = await this.init();
+    const result = { imported: [], skipped: [] };
+
+    for (const meeting of meetings) {
+      const imported = await this.serializeWrite(meeting.id, async () => {
+        if (await adapter.get(meeting.id)) {
+          return false;
+        }
+
+        await this.writeMeetingHistory({
+          id: meeting.id,
+          title: meeting.title,
+          host: owner.name,
+          ownerId: owner.id,
+          participants: meeting.participants.map(name => ({ name })),
+          createdAt: meeting.createdAt,
+          endedAt: meeting.endedAt,
+          duration: meeting.duration,
+          status: meeting.status
+        });
+        return true;
+      });
+      result[imported ? 'imported' : 'skipped'].push(meeting.id);
+    }
+
+    console.log('📥 Imported meetings into history:', result.imported.length, 'new,', result.skipped.length, 'already saved');
+    return result;
+  }
+
   /**
    * Get meeting statistics
    * @returns {Promise<Object>} Meeting statistics
    */
   async getMeetingStatistics() {
     try {
-      const histories = await this.getAllMeetingHistories();
+      const { meetings } = await this.listMeetingHistories();
       
       const stats = {
-        totalMeetings: histories.length,
+        totalMeetings: meetings.length,
         totalHighlights: 0,
         totalDuration: 0,
         averageParticipants: 0,
@@ -237,27 +428,27 @@ class MeetingHistoryManager {
         recentMeetings: []
       };
 
-      histories.forEach(history => {
-        stats.totalHighlights += history.highlights.total;
-        stats.totalDuration += history.recording?.duration || 0;
-        stats.averageParticipants += history.meeting.participants.length;
+      meetings.forEach(meeting => {
+        stats.totalHighlights += meeting.highlights;
+        stats.totalDuration += meeting.recordingDuration;
+        stats.averageParticipants += meeting.participants;
         
         // Count highlight types
-        Object.entries(history.highlights.summary.byType).forEach(([type, count]) => {
+        Object.entries(meeting.highlightTypes).forEach(([type, count]) => {
           stats.highlightTypes[type] = (stats.highlightTypes[type] || 0) + count;
         });
         
-        stats.meetingDates.push(history.meeting.createdAt);
+        stats.meetingDates.push(meeting.createdAt);
       });
 
-      if (histories.length > 0) {
-        stats.averageParticipants = Math.round(stats.averageParticipants / histories.length);
-        stats.recentMeetings = histories.slice(0, 5).map(h => ({
-          id: h.meeting.id,
-          title: h.meeting.title,
-          date: h.meeting.createdAt,
-          highlights: h.highlights.total,
-          participants: h.meeting.participants.length
+      if (meetings.length > 0) {
+        stats.averageParticipants = Math.round(stats.averageParticipants / meetings.length);
+        stats.recentMeetings = meetings.slice(0, 5).map(meeting => ({
+          id: meeting.id,
+          title: meeting.title,
+          date: meeting.createdAt,
+          highlights: meeting.highlights,
+          participants: meeting.participants
         }));
       }
 
@@ -284,18 +475,13 @@ class MeetingHistoryManager {
    */
   async deleteMeetingHistory(meetingId) {
     try {
-      const files = await fs.readdir(this.historyDir);
-      const meetingFile = files.find(file => file.includes(`meeting_${meetingId}_`));
+      const adapter = await this.init();
+      const deleted = await this.serializeWrite(meetingId, () => adapter.delete(meetingId));
       
-      if (!meetingFile) {
-        return false;
+      if (deleted) {
+        console.log('🗑️ Meeting history deleted:', meetingId);
       }
-
-      const filePath = path.join(this.historyDir, meetingFile);
-      await fs.unlink(filePath);
-      
-      console.log('🗑️ Meeting history deleted:', meetingId);
-      return true;
+      return deleted;
 
     } catch (error) {
       console.error('❌ Failed to delete meeting history:', error);
@@ -304,80 +490,12 @@ class MeetingHistoryManager {
   }
 
   /**
-   * Update active meetings index for quick access
-   * @param {Object} meetingHistory - Meeting history object
-   */
-  async updateActiveMeetingsIndex(meetingHistory) {
-    try {
-      const indexPath = path.join(this.historyDir, 'active_meetings_index.json');
-      
-      let index = {};
-      try {
-        const indexContent = await fs.readFile(indexPath, 'utf8');
-        index = JSON.parse(indexContent);
-      } catch (error) {
-        // Index doesn't exist yet, start fresh
-        console.log('📋 Creating new active meetings index');
-      }
-      
-      // Add meeting to index
-      index[meetingHistory.meeting.id] = {
-        title: meetingHistory.meeting.title,
-        host: meetingHistory.meeting.host,
-        createdAt: meetingHistory.meeting.createdAt,
-        endedAt: meetingHistory.meeting.endedAt,
-        duration: meetingHistory.meeting.duration,
-        highlights: meetingHistory.highlights.total,
-        participants: meetingHistory.meeting.participants.length,
-        hasRecording: !!meetingHistory.recording,
-        hasTranscript: meetingHistory.transcript.totalEntries > 0,
-        lastUpdated: new Date().toISOString()
-      };
-      
-      await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
-      console.log('📋 Updated active meetings index');
-      
-    } catch (error) {
-      console.error('❌ Failed to update active meetings index:', error);
-    }
-  }
-
-  /**
-   * Load active meetings index on server startup
-   * @returns {Promise<Object>} Active meetings index
-   */
-  async loadActiveMeetingsIndex() {
-    try {
-      const indexPath = path.join(this.historyDir, 'active_meetings_index.json');
-      
-      try {
-        const indexContent = await fs.readFile(indexPath, 'utf8');
-        const index = JSON.parse(indexContent);
-        console.log('📋 Loaded active meetings index:', Object.keys(index).length, 'meetings');
-        return index;
-      } catch (error) {
-        console.log('📋 No active meetings index found, starting fresh');
-        return {};
-      }
-      
-    } catch (error) {
-      console.error('❌ Failed to load active meetings index:', error);
-      return {};
-    }
-  }
-
-  /**
-   * Get active meetings from persistent storage
-   * @returns {Promise<Array>} Array of active meeting summaries
+   * Get saved meetings for the startup cache
+   * @returns {Promise<Array>} Index entries of every saved meeting, newest first
    */
   async getActiveMeetings() {
     try {
-      const index = await this.loadActiveMeetingsIndex();
-      const meetings = Object.values(index);
-      
-      // Sort by creation date (newest first)
-      meetings.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-      
+      const { meetings } = await this.listMeetingHistories();
       return meetings;
       
     } catch (error) {
@@ -386,68 +504,18 @@ class MeetingHistoryManager {
     }
   }
 
-  /**
-   * Remove meeting from active meetings index
-   * @param {string} meetingId - Meeting ID to remove
-   * @returns {Promise<boolean>} Success status
-   */
-  async removeFromActiveMeetings(meetingId) {
-    try {
-      const indexPath = path.join(this.historyDir, 'active_meetings_index.json');
-      
-      let index = {};
-      try {
-        const indexContent = await fs.readFile(indexPath, 'utf8');
-        index = JSON.parse(indexContent);
-      } catch (error) {
-        console.log('📋 No active meetings index found');
-        return false;
-      }
-      
-      if (index[meetingId]) {
-        delete index[meetingId];
-        await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
-        console.log('📋 Removed meeting from active meetings index:', meetingId);
-        return true;
-      }
-      
-      return false;
-      
-    } catch (error) {
-      console.error('❌ Failed to remove meeting from active meetings:', error);
-      return false;
-    }
-  }
-
   /**
    * Clean up old meeting histories (older than specified days)
    * @param {number} daysToKeep - Number of days to keep
-   * @returns {Promise<number>} Number of files deleted
+   * @returns {Promise<number>} Number of meetings deleted
    */
   async cleanupOldHistories(daysToKeep = 30) {
     try {
-      const files = await fs.readdir(this.historyDir);
-      const meetingFiles = files.filter(file => file.startsWith('meeting_') && file.endsWith('.json'));
-      
+      const adapter = await this.init();
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
       
-      let deletedCount = 0;
-      
-      for (const file of meetingFiles) {
-        try {
-          const filePath = path.join(this.historyDir, file);
-          const stats = await fs.stat(filePath);
-          
-          if (stats.mtime < cutoffDate) {
-            await fs.unlink(filePath);
-            deletedCount++;
-            console.log('🗑️ Deleted old meeting history:', file);
-          }
-        } catch (error) {
-          console.warn('⚠️ Failed to process file:', file, error.message);
-        }
-      }
+      const deletedCount = await adapter.deleteSavedBefore(cutoffDate);
 
       console.log(`🧹 Cleanup completed: ${deletedCount} old meeting histories deleted`);
       return deletedCount;
@@ -457,6 +525,17 @@ class MeetingHistoryManager {
       return 0;
     }
   }
+
+  /**
+   * Release the storage adapter
+   */
+  async close() {
+    if (this.ready) {
+      const adapter = await this.ready.catch(() => null);
+      this.ready = null;
+      await adapter?.close();
+    }
+  }
 }
 
 // Create and export singleton instance
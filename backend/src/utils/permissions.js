@@ -0,0 +1,203 @@
+// Meeting roles, from most to least privileged
+export const ROLES = {
+  HOST: 'host',
+  CO_HOST: 'co-host',
+  TEACHING_ASSISTANT: 'teaching-assistant',
+  STUDENT: 'student',
+  OBSERVER: 'observer'
+};
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+  [ROLES.HOST]: [
+    'end_meeting',
+    'transfer_host',
+    'manage_roles',
+    'approve_participants',
+    'remove_participants',
+    'request_media',
+    'manage_recording',
+    'manage_breakouts',
+    'manage_hands',
+    'manage_polls',
+    'manage_ai',
+    'view_analytics',
+    'mark_highlight',
+    'raise_hand',
+    'answer_polls',
+    'chat',
+    'share_screen'
+  ],
+  [ROLES.CO_HOST]: [
+    'approve_participants',
+    'remove_participants',
+    'request_media',
+    'manage_recording',
+    'manage_breakouts',
+    'manage_hands',
+    'manage_polls',
+    'manage_ai',
+    'view_analytics',
+    'mark_highlight',
+    'raise_hand',
+    'answer_polls',
+    'chat',
+    'share_screen'
+  ],
+  [ROLES.TEACHING_ASSISTANT]: [
+    'manage_polls',
+    'manage_ai',
+    'mark_highlight',
+    'raise_hand',
+    'answer_polls',
+    'chat',
+    'share_screen'
+  ],
+  [ROLES.STUDENT]: [
+    'mark_highlight',
+    'raise_hand',
+    'answer_polls',
+    'chat',
+    'share_screen'
+  ],
+  [ROLES.OBSERVER]: []
+};
+
+// Permission required for each guarded socket event. Events not listed are unguarded.
+const EVENT_PERMISSIONS = {
+  'end_meeting': 'end_meeting',
+  'transfer-host': 'transfer_host',
+  'set-participant-role': 'manage_roles',
+  'approve-participant': 'approve_participants',
+  'approve-participants': 'approve_participants',
+  'get-meeting-roster': 'approve_participants',
+  'remove-participant': 'remove_participants',
+  'host-request-camera-mic': 'request_media',
+  'start_recording': 'manage_recording',
+  'stop_recording': 'manage_recording',
+  'pause_recording': 'manage_recording',
+  'resume_recording': 'manage_recording',
+  'breakout-create': 'manage_breakouts',
+  'breakout-move': 'manage_breakouts',
+  'breakout-broadcast': 'manage_breakouts',
+  'breakout-timer': 'manage_breakouts',
+  'breakout-close': 'manage_breakouts',
+  'hand-call-next': 'manage_hands',
+  'hand-clear-queue': 'manage_hands',
+  'poll-create': 'manage_polls',
+  'poll-start': 'manage_polls',
+  'poll-end': 'manage_polls',
+  'poll-share-results': 'manage_polls',
+  'get-polls': 'manage_polls',
+  'quiz-generate': 'manage_polls',
+  'poll-answer': 'answer_polls',
+  'start_question_generation': 'manage_ai',
+  'stop_question_generation': 'manage_ai',
+  'mark_highlight': 'mark_highlight',
+  'raise-hand': 'raise_hand',
+  'chat-message': 'chat',
+  'screen-share-start': 'share_screen',
+  'screen-share-stop': 'share_screen',
+  'screen-share-change': 'share_screen'
+};
+
+/**
+ * Permission Manager
+ * Central role/permission model for privileged socket events
+ */
+class PermissionManager {
+  /**
+   * Check whether a role value is known
+   * @param {string} role - Role name
+   * @returns {boolean} True if the role exists
+   */
+  isValidRole(role) {
+    return Object.values(ROLES).includes(role);
+  }
+
+  /**
+   * Get the role of a socket within a meeting
+   * @param {Object} meeting - Active meeting
+   * @param {string} socketId - Socket ID
+   * @returns {string|null} Role, or null if the socket is not an approved participant
+   */
+  getRole(meeting, socketId) {
+    if (!meeting) return null;
+
+    const participant = meeting.participants.find(p => p.id === socketId);
+    if (!participant || !participant.isApproved) {
+      return null;
+    }
+
+    return participant.role || (participant.isHost ? ROLES.HOST : ROLES.STUDENT);
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {string} role - Role name
+   * @param {string} permission - Permission name
+   * @returns {boolean} True if granted
+   */
+  hasPermission(role, permission) {
+    return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  /**
+   * Check whether a socket holds a permission within a meeting
+   * @param {Object} meeting - Active meeting
+   * @param {string} socketId - Socket ID
+   * @param {string} permission - Permission name
+   * @returns {boolean} True if granted
+   */
+  can(meeting, socketId, permission) {
+    return this.hasPermission(this.getRole(meeting, socketId), permission);
+  }
+
+  /**
+   * Get the permission required by a socket event
+   * @param {string} event - Event name
+   * @returns {string|null} Permission name, or null for unguarded events
+   */
+  getRequiredPermission(event) {
+    return EVENT_PERMISSIONS[event] || null;
+  }
+
+  /**
+   * Create a per-socket middleware that enforces event permissions.
+   * Denied events never reach their handler and are answered with `permission-denied`.
+   * @param {Object} socket - Socket.IO socket
+   * @param {Function} getMeeting - Looks up an active meeting by ID
+   * @returns {Function} Socket.IO packet middleware
+   */
+  createSocketGuard(socket, getMeeting) {
+    return ([event, payload], next) => {
+      const permission = this.getRequiredPermission(event);
+      if (!permission) {
+        return next();
+      }
+
+      const meetingId = payload?.meetingId;
+      const meeting = meetingId ? getMeeting(meetingId) : null;
+      const role = this.getRole(meeting, socket.id);
+
+      if (this.hasPermission(role, permission)) {
+        return next();
+      }
+
+      console.log(`🚫 Permission denied: ${socket.id} (${role || 'no role'}) tried ${event} in meeting ${meetingId}`);
+      socket.emit('permission-denied', {
+        event,
+        meetingId: meetingId || null,
+        permission,
+        role,
+        message: meeting
+          ? `Your role (${role || 'not admitted'}) is not allowed to perform this action`
+          : 'Meeting not found'
+      });
+    };
+  }
+}
+
+// Create and export singleton instance
+const permissionManager = new PermissionManager();
+export default permissionManager;
@@ -0,0 +1,240 @@
+import { v4 as uuidv4 } from 'uuid';
+import attendanceTracker from './attendanceTracker.js';
+
+const MAX_OPTIONS = 10;
+const MAX_POLL_SECONDS = 30 * 60;
+
+/**
+ * Error raised for invalid poll requests.
+ * Sent back to the requester as `poll-error`.
+ */
+export class PollError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PollError';
+  }
+}
+
+/**
+ * Poll Manager
+ * Live polls and multiple-choice quizzes. A poll with a correct answer is a quiz.
+ *
+ * A meeting's polls are a plain object so they can live in shared state and snapshots:
+ * { meetingId, polls: [poll] }
+ * Answers are keyed like attendance (account, or display name for guests), so
+ * a student who reconnects keeps one answer and can change it while the poll runs.
+ */
+class PollManager {
+  createLog(meeting) {
+    return {
+      meetingId: meeting.id,
+      polls: []
+    };
+  }
+
+  getPoll(log, pollId) {
+    const poll = log?.polls.find(p => p.id === pollId);
+    if (!poll) {
+      throw new PollError('Poll not found');
+    }
+    return poll;
+  }
+
+  /**
+   * Create a draft poll
+   * @param {Object} log - Meeting poll log
+   * @param {Object} data - { question, options: [string], correctOption: index or null, explanation }
+   * @param {Object} creator - Participant creating the poll
+   * @returns {Object} Poll
+   */
+  createPoll(log, { question, options, correctOption = null, explanation = '' }, creator) {
+    const text = typeof question === 'string' ? question.trim() : '';
+    if (!text) {
+      throw new PollError('Enter a question');
+    }
+
+    const choices = (Array.isArray(options) ? options : [])
+      .map(option => (typeof option === 'string' ? option.trim() : ''))
+      .filter(Boolean);
+    if (choices.length < 2) {
+      throw new PollError('A poll needs at least two options');
+    }
+    if (choices.length > MAX_OPTIONS) {
+      throw new PollError(`A poll can have at most ${MAX_OPTIONS} options`);
+    }
+
+    const optionList = choices.map(option => ({ id: uuidv4(), text: option }));
+    const hasCorrect = correctOption !== null && correctOption !== undefined && correctOption !== '';
+    const correctIndex = hasCorrect ? parseInt(correctOption, 10) : null;
+    if (hasCorrect && !optionList[correctIndex]) {
+      throw new PollError('The correct answer must be one of the options');
+    }
+
+    const poll = {
+      id: uuidv4(),
+      type: hasCorrect ? 'quiz' : 'poll',
+      question: text.slice(0, 500),
+      options: optionList,
+      correctOptionId: hasCorrect ? optionList[correctIndex].id : null,
+      explanation: typeof explanation === 'string' ? explanation.trim().slice(0, 1000) : '',
+      status: 'draft',
+      createdBy: creator ? attendanceTracker.displayName(creator) : null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      endsAt: null,
+      endedAt: null,
+      resultsShared: false,
+      answers: {}
+    };
+    log.polls.push(poll);
+    return poll;
+  }
+
+  /**
+   * Open a draft poll for answers
+   * @param {number} durationSeconds - Time limit, or 0 for no limit
+   * @returns {number|null} Milliseconds until it closes, or null without a time limit
+   */
+  startPoll(log, pollId, durationSeconds = 0) {
+    const poll = this.getPoll(log, pollId);
+    if (poll.status !== 'draft') {
+      throw new PollError('This poll has already been run');
+    }
+    if (log.polls.some(p => p.status === 'open')) {
+      throw new PollError('Close the running poll first');
+    }
+
+    const seconds = Number(durationSeconds) || 0;
+    if (seconds < 0 || seconds > MAX_POLL_SECONDS) {
+      throw new PollError(`The time limit must be at most ${MAX_POLL_SECONDS / 60} minutes`);
+    }
+
+    poll.status = 'open';
+    poll.startedAt = new Date().toISOString();
+    poll.endsAt = seconds > 0 ? new Date(Date.now() + seconds * 1000).toISOString() : null;
+    return seconds > 0 ? seconds * 1000 : null;
+  }
+
+  /**
+   * Record (or change) a participant's answer
+   * @returns {Object} Poll
+   */
+  answer(log, pollId, participant, optionId) {
+    const poll = this.getPoll(log, pollId);
+    if (poll.status !== 'open') {
+      throw new PollError('This poll is closed');
+    }
+    if (!poll.options.some(option => option.id === optionId)) {
+      throw new PollError('Choose one of the options');
+    }
+
+    poll.answers[attendanceTracker.attendeeKey(participant)] = {
+      participantId: participant.id,
+      userId: participant.userId || null,
+      name: attendanceTracker.displayName(participant),
+      optionId,
+      answeredAt: new Date().toISOString()
+    };
+    return poll;
+  }
+
+  /**
+   * Close a poll
+   * @returns {boolean} True if the poll was open
+   */
+  endPoll(log, pollId) {
+    const poll = this.getPoll(log, pollId);
+    if (poll.status !== 'open') {
+      return false;
+    }
+
+    poll.status = 'closed';
+    poll.endedAt = new Date().toISOString();
+    poll.endsAt = null;
+    return true;
+  }
+
+  /**
+   * Live results: answer count per option and, for quizzes, how many were correct
+   */
+  getResults(poll) {
+    const answers = Object.values(poll.answers);
+    return {
+      totalAnswers: answers.length,
+      options: poll.options.map(option => ({
+        ...option,
+        count: answers.filter(answer => answer.optionId === option.id).length
+      })),
+      correctCount: poll.correctOptionId
+        ? answers.filter(answer => answer.optionId === poll.correctOptionId).length
+        : null
+    };
+  }
+
+  /**
+   * Poll as shown to students while it runs - no correct answer, no other answers
+   */
+  toPublic(poll) {
+    return {
+      id: poll.id,
+      type: poll.type,
+      question: poll.question,
+      options: poll.options,
+      status: poll.status,
+      endsAt: poll.endsAt
+    };
+  }
+
+  /**
+   * Poll with results, as shown to the host team (or to the class once shared)
+   */
+  toResults(poll) {
+    return {
+      ...this.toPublic(poll),
+      correctOptionId: poll.correctOptionId,
+      explanation: poll.explanation || '',
+      resultsShared: poll.resultsShared,
+      startedAt: poll.startedAt,
+      endedAt: poll.endedAt,
+      results: this.getResults(poll)
+    };
+  }
+
+  /**
+   * Poll for the host team - results plus who answered what
+   */
+  toHostView(poll) {
+    return {
+      ...this.toResults(poll),
+      createdAt: poll.createdAt,
+      createdBy: poll.createdBy,
+      answers: Object.values(poll.answers)
+    };
+  }
+
+  /**
+   * Polls saved with the meeting history, with every student's answer
+   * @param {Object} log - Meeting poll log
+   * @returns {Array} Polls that were run
+   */
+  buildHistory(log) {
+    return log.polls
+      .filter(poll => poll.status !== 'draft')
+      .map(poll => ({
+        ...this.toResults(poll),
+        createdBy: poll.createdBy,
+        answers: Object.values(poll.answers).map(answer => ({
+          name: answer.name,
+          userId: answer.userId,
+          optionId: answer.optionId,
+          option: poll.options.find(option => option.id === answer.optionId)?.text || null,
+          correct: poll.correctOptionId ? answer.optionId === poll.correctOptionId : null,
+          answeredAt: answer.answeredAt
+        }))
+      }));
+  }
+}
+
+// Create and export singleton instance
+const pollManager = new PollManager();
+export default pollManager;
@@ -0,0 +1,357 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAX_ROSTER_SIZE = 2000;
+const TARGET_TYPES = ['class', 'meeting'];
+
+/**
+ * Error raised for invalid roster data.
+ * Carries the HTTP status the route should respond with.
+ */
+export class RosterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RosterError';
+    this.status = status;
+  }
+}
+
+/**
+ * Normalize a name for loose matching (case, accents and extra spaces ignored)
+ */
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Roster Manager
+ * File-backed class and meeting rosters. Signed-in users whose account email
+ * is on the roster skip the waiting room.
+ */
+class RosterManager {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.storePath = path.join(this.dataDir, 'rosters.json');
+    this.data = null; // { rosters: { "type:id" -> roster } }
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk (once). A file that isn't valid JSON is moved
+   * aside; any other read error is thrown, and the next call tries again.
+   * @returns {Promise<Object>} Store contents
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        try {
+          const content = await fs.readFile(this.storePath, 'utf8');
+          const parsed = JSON.parse(content);
+          this.data = { rosters: parsed.rosters || {} };
+          console.log('📋 Loaded rosters:', Object.keys(this.data.rosters).length);
+        } catch (error) {
+          if (error instanceof SyntaxError) {
+            // Starting fresh over it would lose every entry on the next save, so keep a copy
+            const backupPath = `${this.storePath}.corrupt-${Date.now()}`;
+            await fs.rename(this.storePath, backupPath);
+            console.error('❌ The rosters file is not valid JSON, moved it to', backupPath, 'and starting fresh:', error.message);
+          } else if (error.code !== 'ENOENT') {
+            console.error('❌ Failed to read rosters:', error.message);
+            throw error;
+          }
+          this.data = { rosters: {} };
+        }
+
+        return this.data;
+      })().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Persist the store to disk. Writes are serialized so concurrent
+   * requests can't interleave partial files.
+   */
+  async save() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, this.storePath);
+      });
+
+    return this.writeQueue;
+  }
+
+  rosterKey(type, targetId) {
+    return `${type}:${targetId}`;
+  }
+
+  /**
+   * Parse roster members from CSV. A header row is optional; without one the
+   * columns are read as email, name, student ID, group.
+   * @param {string} csv - CSV text
+   * @returns {Array} Members ({ email, name, studentId, group })
+   */
+  parseCSV(csv) {
+    const lines = String(csv || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+      return [];
+    }
+
+    let columns = { email: 0, name: 1, studentId: 2, group: 3 };
+    const header = splitCSVLine(lines[0]).map(field => field.toLowerCase().replace(/[^a-z]/g, ''));
+    const hasHeader = header.some(field => ['email', 'name', 'studentid', 'fullname', 'id'].includes(field));
+
+    if (hasHeader) {
+      const find = (...names) => header.findIndex(field => names.includes(field));
+      columns = {
+        email: find('email', 'emailaddress', 'mail'),
+        name: find('name', 'fullname', 'student', 'studentname'),
+        studentId: find('studentid', 'id', 'number', 'studentnumber'),
+        group: find('group', 'team', 'section', 'breakoutroom')
+      };
+      if (columns.email === -1 && columns.name === -1) {
+        throw new RosterError('The CSV header needs an "email" or "name" column');
+      }
+      lines.shift();
+    }
+
+    return lines.map(line => {
+      const fields = splitCSVLine(line);
+      return {
+        email: columns.email >= 0 ? fields[columns.email] : '',
+        name: columns.name >= 0 ? fields[columns.name] : '',
+        studentId: columns.studentId >= 0 ? fields[columns.studentId] : '',
+        group: columns.group >= 0 ? fields[columns.group] : ''
+      };
+    });
+  }
+
+  /**
+   * Validate and normalize roster members
+   * @param {Array} members - Raw members
+   * @returns {Array} Members with IDs
+   */
+  normalizeMembers(members) {
+    return members.map((member, index) => {
+      const email = (member.email || '').trim().toLowerCase();
+      const name = (member.name || '').trim();
+
+      if (!email && !name) {
+        throw new RosterError(`Roster entry ${index + 1} needs an email or a name`);
+      }
+      if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new RosterError(`Roster entry ${index + 1} has an invalid email: ${email}`);
+      }
+
+      return {
+        id: member.id || uuidv4(),
+        email,
+        name: name || email.split('@')[0],
+        studentId: (member.studentId || '').toString().trim(),
+        // Used to fill breakout rooms from the roster
+        group: (member.group || '').toString().trim()
+      };
+    });
+  }
+
+  /**
+   * Get a roster
+   * @param {string} type - 'class' or 'meeting'
+   * @param {string} targetId - Class ID or meeting code
+   * @returns {Promise<Object|null>} Roster
+   */
+  async getRoster(type, targetId) {
+    const data = await this.load();
+    return data.rosters[this.rosterKey(type, targetId)] || null;
+  }
+
+  /**
+   * Replace or extend a roster. Entries with an email already on the roster
+   * are updated rather than duplicated.
+   * @param {string} type - 'class' or 'meeting'
+   * @param {string} targetId - Class ID or meeting code
+   * @param {string} ownerId - User ID of the class or meeting owner
+   * @param {Object} input - { members } and/or { csv }
+   * @param {Object} options - { replace } - drop existing members first
+   * @returns {Promise<Object>} Updated roster
+   */
+  async saveMembers(type, targetId, ownerId, { members = [], csv } = {}, { replace = false } = {}) {
+    if (!TARGET_TYPES.includes(type)) {
+      throw new RosterError(`Unknown roster type "${type}"`);
+    }
+
+    if (!Array.isArray(members)) {
+      throw new RosterError('Roster members must be a list');
+    }
+
+    const data = await this.load();
+    const incoming = this.normalizeMembers([...(csv ? this.parseCSV(csv) : []), ...members]);
+    const key = this.rosterKey(type, targetId);
+    const existing = replace ? [] : (data.rosters[key]?.members || []);
+
+    const merged = [...existing];
+    incoming.forEach(member => {
+      const index = member.email ? merged.findIndex(m => m.email === member.email) : -1;
+      if (index >= 0) {
+        merged[index] = { ...merged[index], ...member, id: merged[index].id };
+      } else {
+        merged.push(member);
+      }
+    });
+
+    if (merged.length > MAX_ROSTER_SIZE) {
+      throw new RosterError(`Rosters are limited to ${MAX_ROSTER_SIZE} members`);
+    }
+
+    data.rosters[key] = {
+      type,
+      targetId,
+      ownerId,
+      members: merged,
+      updatedAt: new Date().toISOString()
+    };
+    await this.save();
+
+    console.log(`📋 Roster for ${key} now has ${merged.length} members (${incoming.length} imported)`);
+    return data.rosters[key];
+  }
+
+  /**
+   * Remove one member from a roster
+   * @param {string} type - 'class' or 'meeting'
+   * @param {string} targetId - Class ID or meeting code
+   * @param {string} memberId - Roster member ID
+   * @returns {Promise<Object>} Updated roster
+   */
+  async removeMember(type, targetId, memberId) {
+    const roster = await this.getRoster(type, targetId);
+    if (!roster || !roster.members.some(member => member.id === memberId)) {
+      throw new RosterError('Roster member not found', 404);
+    }
+
+    roster.members = roster.members.filter(member => member.id !== memberId);
+    roster.updatedAt = new Date().toISOString();
+    await this.save();
+    return roster;
+  }
+
+  /**
+   * Delete a whole roster (e.g. when its class is deleted)
+   */
+  async deleteRoster(type, targetId) {
+    const data = await this.load();
+    delete data.rosters[this.rosterKey(type, targetId)];
+    await this.save();
+  }
+
+  /**
+   * Find the roster that applies to a live meeting: its class roster for
+   * scheduled sessions, otherwise a roster attached to the meeting code.
+   * Synchronous so the join-meeting handler can use it - call load() at startup.
+   * @param {Object} meeting - Active meeting
+   * @returns {Object|null} Roster
+   */
+  getRosterForMeeting(meeting) {
+    if (!this.data || !meeting) {
+      return null;
+    }
+
+    if (meeting.schedule?.classId) {
+      const classRoster = this.data.rosters[this.rosterKey('class', meeting.schedule.classId)];
+      if (classRoster) {
+        return classRoster;
+      }
+    }
+
+    return this.data.rosters[this.rosterKey('meeting', meeting.id)] || null;
+  }
+
+  /**
+   * Match a joining user against a meeting's roster
+   * @param {Object} meeting - Active meeting
+   * @param {Object|null} user - Signed-in user, or null for guests
+   * @param {string} userName - Display name the user joined with
+   * @returns {Object|null} { member, match } - match is 'account' (email) or 'name'
+   */
+  matchMember(meeting, user, userName) {
+    const roster = this.getRosterForMeeting(meeting);
+    if (!roster) {
+      return null;
+    }
+
+    if (user?.email) {
+      const email = user.email.toLowerCase();
+      const member = roster.members.find(m => m.email === email);
+      if (member) {
+        return { member, match: 'account' };
+      }
+    }
+
+    const name = normalizeName(userName);
+    const member = name ? roster.members.find(m => normalizeName(m.name) === name) : null;
+    return member ? { member, match: 'name' } : null;
+  }
+}
+
+// Create and export singleton instance
+const rosterManager = new RosterManager();
+export default rosterManager;
@@ -0,0 +1,594 @@
+import { v4 as uuidv4 } from 'uuid';
+import { serializeState, deserializeState } from './stateStore.js';
+
+const KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'webnexus';
+const LEADER_LEASE_MS = parseInt(process.env.SHARED_LEADER_LEASE_MS, 10) || 15000;
+const TOUCH_SETTLE_MS = 10000; // Entries read this recently may have been mutated in place
+const TIMER_TICK_MS = 250;
+
+// Keep the lease only while it is still ours
+const RENEW_LEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_LEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Arrays of objects with unique IDs (participants, polls, rooms) are stored
+ * item by item, so two instances can add or change different items
+ */
+function isIdList(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return false;
+  }
+  const ids = new Set();
+  return value.every(item => {
+    if (!isPlainObject(item) || !['string', 'number'].includes(typeof item.id) || ids.has(item.id)) {
+      return false;
+    }
+    ids.add(item.id);
+    return true;
+  });
+}
+
+/**
+ * Split a value into fields, one per leaf. Field names are JSON paths (object
+ * keys, or { id } for list items); containers get a marker field so empty
+ * ones survive.
+ * @returns {Map<string, string>} Field name -> serialized field
+ */
+function toFields(value, path = [], fields = new Map(), index = undefined) {
+  if (isPlainObject(value)) {
+    fields.set(JSON.stringify(path), JSON.stringify({ t: 'o', i: index }));
+    Object.entries(value).forEach(([key, item]) => {
+      if (item !== undefined) {
+        toFields(item, [...path, key], fields);
+      }
+    });
+  } else if (isIdList(value)) {
+    fields.set(JSON.stringify(path), JSON.stringify({ t: 'l' }));
+    value.forEach((item, i) => toFields(item, [...path, { id: item.id }], fields, i));
+  } else {
+    fields.set(JSON.stringify(path), serializeState({ v: value }));
+  }
+  return fields;
+}
+
+function getChild(container, segment) {
+  if (typeof segment === 'object') {
+    return Array.isArray(container) ? container.find(item => item?.id === segment.id) : undefined;
+  }
+  return isPlainObject(container) ? container[segment] : undefined;
+}
+
+function setChild(container, segment, value, index) {
+  if (typeof segment !== 'object') {
+    container[segment] = value;
+    return;
+  }
+  const current = container.findIndex(item => item?.id === segment.id);
+  if (current !== -1) {
+    container[current] = value;
+  } else {
+    container.splice(Math.min(index ?? container.length, container.length), 0, value);
+  }
+}
+
+function removeChild(container, segment) {
+  if (typeof segment !== 'object') {
+    if (isPlainObject(container)) {
+      delete container[segment];
+    }
+    return;
+  }
+  if (Array.isArray(container)) {
+    const current = container.findIndex(item => item?.id === segment.id);
+    if (current !== -1) {
+      container.splice(current, 1);
+    }
+  }
+}
+
+// List items are found by ID, so a new one needs its ID straight away
+function newObject(segment) {
+  return typeof segment === 'object' ? { id: segment.id } : {};
+}
+
+/**
+ * Replace a leaf, keeping the same array or Map when both sides have one
+ */
+function mergeLeaf(current, value) {
+  if (Array.isArray(current) && Array.isArray(value) && !isIdList(current)) {
+    current.splice(0, current.length, ...value);
+    return current;
+  }
+  if (current instanceof Map && value instanceof Map) {
+    current.clear();
+    value.forEach((item, key) => current.set(key, item));
+    return current;
+  }
+  return value;
+}
+
+/**
+ * Apply changed and removed fields to a value in place, so code holding the
+ * value (or one of its participants) sees the change
+ * @returns {*} The updated value (a new one if the root itself was replaced)
+ */
+function applyFields(root, set = {}, del = []) {
+  const holder = { root };
+
+  // Removing a container removes its children, which can't be found by ID once theirs is gone
+  const removed = new Set(del);
+  del
+    .map(field => JSON.parse(field))
+    .filter(path => !path.some((segment, depth) => removed.has(JSON.stringify(path.slice(0, depth)))))
+    .forEach(path => {
+      const parent = [...path.slice(0, -1)].reduce((node, segment) => getChild(node, segment), holder.root);
+      if (path.length === 0) {
+        holder.root = undefined;
+      } else if (parent) {
+        removeChild(parent, path[path.length - 1]);
+      }
+    });
+
+  Object.entries(set)
+    .map(([field, serialized]) => ({ path: JSON.parse(field), entry: deserializeState(serialized) }))
+    .sort((a, b) => a.path.length - b.path.length || (a.entry.i ?? 0) - (b.entry.i ?? 0))
+    .forEach(({ path, entry }) => {
+      let parent = holder;
+      let segment = 'root';
+      for (const next of path) {
+        let child = parent === holder ? holder.root : getChild(parent, segment);
+        if (!child || typeof child !== 'object') {
+          child = typeof next === 'object' ? [] : newObject(segment);
+          setChild(parent, segment, child);
+        }
+        parent = child;
+        segment = next;
+      }
+
+      const current = parent === holder ? holder.root : getChild(parent, segment);
+      let value;
+      if (entry.t === 'o') {
+        value = isPlainObject(current) ? current : newObject(segment);
+      } else if (entry.t === 'l') {
+        value = Array.isArray(current) ? current : [];
+      } else {
+        value = mergeLeaf(current, entry.v);
+      }
+      if (value !== current) {
+        setChild(parent, segment, value, entry.i);
+      }
+    });
+
+  return holder.root;
+}
+
+/**
+ * Shared Map
+ * A Map whose entries are mirrored to every backend instance. Local reads stay
+ * synchronous; writes are published through the owning SharedState.
+ *
+ * Values are usually mutated in place (e.g. meeting.participants.push), so
+ * entries read with get() are remembered for a short while and the owner
+ * publishes the fields of those that changed since they were last published.
+ */
+class SharedMap extends Map {
+  constructor(name, owner) {
+    super();
+    this.name = name;
+    this.owner = owner;
+    this.published = new Map(); // key -> Map of field -> serialized field last published or received
+    this.touched = new Map(); // key -> when the entry was last read
+  }
+
+  get(key) {
+    if (this.owner.isDistributed && super.has(key)) {
+      this.touched.set(key, Date.now());
+    }
+    return super.get(key);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (this.owner.isDistributed) {
+      this.publishEntry(key);
+    }
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    this.touched.delete(key);
+    if (existed && this.owner.isDistributed) {
+      this.published.delete(key);
+      this.owner.publish(this.name, key, { remove: true });
+    }
+    return existed;
+  }
+
+  clear() {
+    Array.from(this.keys()).forEach(key => this.delete(key));
+  }
+
+  /**
+   * Publish the fields of an entry that changed since they were last published
+   * @param {string} key - Entry key
+   * @returns {boolean} True if anything was published
+   */
+  publishEntry(key) {
+    if (!super.has(key)) {
+      return false;
+    }
+
+    const fields = toFields(super.get(key));
+    const previous = this.published.get(key) || new Map();
+    const set = {};
+    fields.forEach((serialized, field) => {
+      if (previous.get(field) !== serialized) {
+        set[field] = serialized;
+      }
+    });
+    const del = Array.from(previous.keys()).filter(field => !fields.has(field));
+    if (Object.keys(set).length === 0 && del.length === 0) {
+      return false;
+    }
+
+    this.published.set(key, fields);
+    this.owner.publish(this.name, key, { set, del });
+    return true;
+  }
+
+  /**
+   * Publish entries read since the last flush, forgetting those read long ago
+   */
+  publishTouched(now = Date.now()) {
+    this.touched.forEach((readAt, key) => {
+      this.publishEntry(key);
+      if (now - readAt > TOUCH_SETTLE_MS) {
+        this.touched.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Apply a change made by another instance without re-publishing it
+   * @param {string} key - Entry key
+   * @param {Object} change - { remove } or { set, del } fields
+   */
+  applyRemote(key, { remove, set = {}, del = [] }) {
+    if (remove) {
+      super.delete(key);
+      this.published.delete(key);
+      this.touched.delete(key);
+      return;
+    }
+
+    const published = this.published.get(key) || new Map();
+    del.forEach(field => published.delete(field));
+    Object.entries(set).forEach(([field, serialized]) => published.set(field, serialized));
+    this.published.set(key, published);
+
+    const value = applyFields(super.get(key), set, del);
+    if (value !== super.get(key)) {
+      super.set(key, value);
+    }
+  }
+}
+
+/**
+ * Shared State
+ * Keeps live meeting state consistent across backend instances. Without REDIS_URL
+ * it runs in-process only; with it, every entry is a Redis hash with one field
+ * per leaf value (participants and other ID'd list items field by field), changes
+ * are fanned out over pub/sub and Socket.IO gets the Redis adapter.
+ *
+ * Concurrent writes to different fields of an entry are all kept; writes to the
+ * same field are last-writer-wins. Timers that change shared state (see
+ * schedule) only run on the instance holding the leader lease.
+ */
+export class SharedState {
+  constructor() {
+    this.instanceId = uuidv4();
+    this.maps = new Map();
+    this.redisUrl = null;
+    this.client = null;
+    this.subscriber = null;
+    this.adapterClients = [];
+    this.pendingWrites = new Set();
+    this.syncTimer = null;
+    this.leader = false;
+    this.leaseMs = LEADER_LEASE_MS;
+    this.leaseTimer = null;
+    this.timerHandlers = new Map();
+    this.timers = this.createMap('timers'); // "type:id" -> { type, id, dueAt, data }
+    this.timerTick = null;
+  }
+
+  get isDistributed() {
+    return !!this.client;
+  }
+
+  /**
+   * Whether this instance runs the shared timers (always true in-process)
+   */
+  get isLeader() {
+    return !this.client || this.leader;
+  }
+
+  /**
+   * Create (or get) a shared map
+   * @param {string} name - Map name, unique across the app
+   * @returns {SharedMap} Shared map
+   */
+  createMap(name) {
+    if (!this.maps.has(name)) {
+      this.maps.set(name, new SharedMap(name, this));
+    }
+    return this.maps.get(name);
+  }
+
+  /**
+   * Connect to Redis (when REDIS_URL is set), load the shared entries,
+   * subscribe to changes from other instances and compete for the leader lease
+   * @param {Object} options - { redisUrl, syncIntervalMs, leaseMs, createClient }
+   */
+  async init(options = {}) {
+    this.redisUrl = options.redisUrl || process.env.REDIS_URL || null;
+    this.leaseMs = options.leaseMs || LEADER_LEASE_MS;
+    if (this.redisUrl) {
+      const createClient = options.createClient || (await import('redis')).createClient;
+
+      this.client = createClient({ url: this.redisUrl });
+      this.client.on('error', (error) => console.error('❌ Redis error:', error.message));
+      await this.client.connect();
+
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (error) => console.error('❌ Redis subscriber error:', error.message));
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.channel(), (message) => this.handleMessage(message));
+
+      await this.hydrate();
+      await this.renewLease();
+      this.leaseTimer = setInterval(() => this.renewLease(), Math.floor(this.leaseMs / 3));
+      this.leaseTimer.unref();
+      console.log(`🔗 Shared state connected to Redis (instance ${this.instanceId})`);
+
+      // In-place mutations made outside socket events (timers, async work)
+      this.syncTimer = setInterval(() => this.flush(), options.syncIntervalMs || 1000);
+      this.syncTimer.unref();
+    } else {
+      console.log('🔗 Shared state running in-process (set REDIS_URL to share state between instances)');
+    }
+
+    this.timerTick = setInterval(() => this.runDueTimers(), TIMER_TICK_MS);
+    this.timerTick.unref();
+  }
+
+  channel() {
+    return `${KEY_PREFIX}:state-changes`;
+  }
+
+  indexKey(name) {
+    return `${KEY_PREFIX}:entries:${name}`;
+  }
+
+  entryKey(name, key) {
+    return `${KEY_PREFIX}:entry:${name}:${key}`;
+  }
+
+  leaseKey() {
+    return `${KEY_PREFIX}:leader`;
+  }
+
+  /**
+   * Load every shared map from Redis
+   */
+  async hydrate() {
+    for (const [name, map] of this.maps) {
+      const keys = await this.client.sMembers(this.indexKey(name));
+      for (const key of keys) {
+        try {
+          const fields = await this.client.hGetAll(this.entryKey(name, key));
+          if (Object.keys(fields).length > 0) {
+            map.applyRemote(key, { set: fields });
+          }
+        } catch (error) {
+          console.error(`❌ Failed to load shared ${name} entry ${key}:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Take the leader lease if it is free, or extend it if we hold it
+   */
+  async renewLease() {
+    if (!this.client) {
+      return;
+    }
+
+    try {
+      const wasLeader = this.leader;
+      if (this.leader) {
+        this.leader = await this.client.eval(RENEW_LEASE_SCRIPT, {
+          keys: [this.leaseKey()],
+          arguments: [this.instanceId, String(this.leaseMs)]
+        }) === 1;
+      }
+      if (!this.leader) {
+        this.leader = await this.client.set(this.leaseKey(), this.instanceId, { NX: true, PX: this.leaseMs }) === 'OK';
+      }
+      if (this.leader !== wasLeader) {
+        console.log(this.leader ? '👑 This instance now runs the shared timers' : '👑 Leader lease lost - another instance runs the shared timers');
+      }
+    } catch (error) {
+      this.leader = false;
+      console.error('❌ Failed to renew the leader lease:', error.message);
+    }
+  }
+
+  /**
+   * Store a change in Redis and tell the other instances about it
+   * @param {string} name - Map name
+   * @param {string} key - Entry key
+   * @param {Object} change - { remove } or { set, del } fields
+   */
+  publish(name, key, change) {
+    if (!this.client) {
+      return;
+    }
+
+    const entryKey = this.entryKey(name, key);
+    const transaction = this.client.multi();
+    if (change.remove) {
+      transaction.sRem(this.indexKey(name), key).del(entryKey);
+    } else {
+      transaction.sAdd(this.indexKey(name), key);
+      if (Object.keys(change.set).length > 0) {
+        transaction.hSet(entryKey, change.set);
+      }
+      if (change.del.length > 0) {
+        transaction.hDel(entryKey, change.del);
+      }
+    }
+
+    const pending = transaction.exec()
+      .then(() => this.client.publish(this.channel(), JSON.stringify({
+        origin: this.instanceId,
+        name,
+        key,
+        ...change
+      })))
+      .catch(error => console.error(`❌ Failed to publish shared ${name} change:`, error.message))
+      .finally(() => this.pendingWrites.delete(pending));
+    this.pendingWrites.add(pending);
+  }
+
+  handleMessage(message) {
+    try {
+      const { origin, name, key, ...change } = JSON.parse(message);
+      if (origin === this.instanceId) {
+        return;
+      }
+      this.maps.get(name)?.applyRemote(key, change);
+    } catch (error) {
+      console.error('❌ Failed to apply shared state change:', error.message);
+    }
+  }
+
+  /**
+   * Publish every entry under a key that changed (e.g. a meeting after a socket event)
+   * @param {string} key - Entry key shared by the maps (usually a meeting ID)
+   */
+  sync(key) {
+    if (!this.client || !key) {
+      return;
+    }
+    this.maps.forEach(map => map.publishEntry(key));
+  }
+
+  /**
+   * Publish the changed entries among those read recently
+   */
+  flush() {
+    if (!this.client) {
+      return;
+    }
+    const now = Date.now();
+    this.maps.forEach(map => map.publishTouched(now));
+  }
+
+  /**
+   * Register what a shared timer type does when it fires
+   * @param {string} type - Timer type
+   * @param {Function} handler - (id, data) => void
+   */
+  defineTimer(type, handler) {
+    this.timerHandlers.set(type, handler);
+  }
+
+  /**
+   * Start (or restart) a timer. It is stored with the shared state, so it fires
+   * once, on the leader, even if the instance that started it is gone.
+   * @param {string} type - Timer type registered with defineTimer
+   * @param {string} id - What the timer is for (e.g. a meeting ID)
+   * @param {number} delayMs - Delay before it fires
+   * @param {*} data - Passed to the handler
+   */
+  schedule(type, id, delayMs, data = null) {
+    this.timers.set(`${type}:${id}`, { type, id, dueAt: Date.now() + Math.max(0, delayMs), data });
+  }
+
+  cancel(type, id) {
+    this.timers.delete(`${type}:${id}`);
+  }
+
+  isScheduled(type, id) {
+    return this.timers.has(`${type}:${id}`);
+  }
+
+  /**
+   * Fire the timers that are due (leader only)
+   */
+  runDueTimers(now = Date.now()) {
+    if (!this.isLeader) {
+      return;
+    }
+
+    Array.from(this.timers.entries())
+      .filter(([, timer]) => timer.dueAt <= now)
+      .forEach(([timerKey, { type, id, data }]) => {
+        this.timers.delete(timerKey);
+        try {
+          this.timerHandlers.get(type)?.(id, data);
+          this.sync(id);
+        } catch (error) {
+          console.error(`❌ Shared timer ${timerKey} failed:`, error.message);
+        }
+      });
+  }
+
+  /**
+   * Create the Socket.IO Redis adapter so rooms and io.to(socketId) span instances
+   * @returns {Promise<Function>} Adapter for io.adapter()
+   */
+  async createSocketAdapter() {
+    const { createAdapter } = await import('@socket.io/redis-adapter');
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    this.adapterClients = [pubClient, subClient];
+    return createAdapter(pubClient, subClient, { key: `${KEY_PREFIX}:socket.io` });
+  }
+
+  /**
+   * Flush pending changes, hand back the leader lease and disconnect from Redis
+   */
+  async close() {
+    [this.syncTimer, this.leaseTimer, this.timerTick].forEach(timer => timer && clearInterval(timer));
+    this.syncTimer = null;
+    this.leaseTimer = null;
+    this.timerTick = null;
+
+    if (this.client) {
+      this.flush();
+      await Promise.allSettled(Array.from(this.pendingWrites));
+      if (this.leader) {
+        await this.client.eval(RELEASE_LEASE_SCRIPT, { keys: [this.leaseKey()], arguments: [this.instanceId] }).catch(() => {});
+        this.leader = false;
+      }
+      await Promise.allSettled([this.subscriber, ...this.adapterClients].map(client => client.quit()));
+      await this.client.quit().catch(() => {});
+      this.client = null;
+      this.subscriber = null;
+      this.adapterClients = [];
+    }
+  }
+}
+
+// Create and export singleton instance
+const sharedState = new SharedState();
+export default sharedState;
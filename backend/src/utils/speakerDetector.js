@@ -0,0 +1,146 @@
+import { spawnFFmpeg } from './mediaJobQueue.js';
+
+/**
+ * Active Speaker Detector
+ * Measures how loud each recorded track is over time and decides who the
+ * active-speaker composite shows
+ */
+class SpeakerDetector {
+  constructor() {
+    this.windowMs = 500; // Loudness is measured per half second
+    this.silenceDb = -45; // Quieter than this is nobody speaking
+    this.switchWindows = 3; // A new speaker has to lead this long before the picture cuts
+    this.minShotMs = 2000; // Shortest time a speaker stays on screen
+  }
+
+  /**
+   * Measure the loudness of a track's audio
+   * @param {string} filePath - Media file path
+   * @returns {Promise<Array>} [{ time, level }] - ms from the start of the file and RMS level in dB
+   */
+  async measureLevels(filePath) {
+    const sampleRate = 16000;
+    const samplesPerWindow = Math.round(sampleRate * this.windowMs / 1000);
+
+    return new Promise((resolve, reject) => {
+      // The levels are printed on stdout, where ffmpeg would otherwise report progress
+      const ffmpeg = spawnFFmpeg([
+        '-v', 'error',
+        '-i', filePath,
+        '-vn',
+        '-af', `aresample=${sampleRate},asetnsamples=n=${samplesPerWindow}:p=0,astats=metadata=1:reset=1,` +
+          'ametadata=mode=print:key=lavfi.astats.Overall.RMS_level:file=-',
+        '-f', 'null',
+        '-'
+      ], { progress: false });
+
+      let output = '';
+      let errorOutput = '';
+
+      ffmpeg.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+
+      ffmpeg.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+      });
+
+      ffmpeg.on('close', (code) => {
+        if (code === 0) {
+          resolve(this.parseLevels(output));
+        } else {
+          reject(new Error(`FFmpeg level analysis failed with code ${code}: ${errorOutput}`));
+        }
+      });
+
+      ffmpeg.on('error', (error) => {
+        reject(new Error(`FFmpeg spawn error: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Parse ametadata output, a `frame:.. pts_time:..` line followed by the RMS level
+   * @param {string} output - ametadata output
+   * @returns {Array} [{ time, level }]
+   */
+  parseLevels(output) {
+    const levels = [];
+    let time = null;
+
+    output.split('\n').forEach(line => {
+      const frame = line.match(/pts_time:([\d.]+)/);
+      if (frame) {
+        time = Math.round(parseFloat(frame[1]) * 1000);
+        return;
+      }
+
+      const level = line.match(/RMS_level=(\S+)/);
+      if (level && time !== null) {
+        const value = parseFloat(level[1]);
+        levels.push({ time, level: Number.isFinite(value) ? value : -Infinity });
+        time = null;
+      }
+    });
+
+    return levels;
+  }
+
+  /**
+   * Pick who to show over the recording. Each window goes to the loudest
+   * participant, silence keeps the current speaker, and the picture only cuts
+   * once a new speaker has led for a while and the current shot is long enough.
+   * @param {Array} samples - [{ participantId, time, level }], time in ms from the recording start
+   * @param {Object} options - { duration (ms), participants: ids that can be shown, in order of preference }
+   * @returns {Array} Shots [{ participantId, start, end }] in ms, covering the whole recording
+   */
+  pickShots(samples, { duration, participants }) {
+    if (participants.length === 0) return [];
+
+    const windowCount = Math.max(1, Math.ceil(duration / this.windowMs));
+    const loudest = new Array(windowCount).fill(null);
+
+    samples.forEach(({ participantId, time, level }) => {
+      const index = Math.floor(time / this.windowMs);
+      if (index < 0 || index >= windowCount || level < this.silenceDb || !participants.includes(participantId)) return;
+      if (!loudest[index] || level > loudest[index].level) {
+        loudest[index] = { participantId, level };
+      }
+    });
+
+    // Until someone speaks, the first participant is shown
+    const shots = [{ participantId: loudest.find(Boolean)?.participantId || participants[0], start: 0, end: 0 }];
+    let candidate = null;
+    let candidateWindows = 0;
+
+    loudest.forEach((window, index) => {
+      const current = shots[shots.length - 1];
+      const speaker = window?.participantId;
+
+      if (!speaker || speaker === current.participantId) {
+        candidate = null;
+        candidateWindows = 0;
+        return;
+      }
+
+      candidateWindows = speaker === candidate ? candidateWindows + 1 : 1;
+      candidate = speaker;
+
+      // Cut to when they started leading, unless that would end the current shot too soon
+      const start = Math.max((index - candidateWindows + 1) * this.windowMs, current.start + this.minShotMs);
+      if (candidateWindows >= this.switchWindows && start <= index * this.windowMs) {
+        current.end = start;
+        shots.push({ participantId: speaker, start, end: 0 });
+        candidate = null;
+        candidateWindows = 0;
+      }
+    });
+
+    shots[shots.length - 1].end = duration;
+    return shots;
+  }
+}
+
+// Create and export singleton instance
+const speakerDetector = new SpeakerDetector();
+export default speakerDetector;
@@ -0,0 +1,308 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Serialize live state to JSON. Maps (including nested ones such as per-participant
+ * sentiment) are tagged so they can be rebuilt on load.
+ * @param {Object} value - State to serialize
+ * @returns {string} JSON text
+ */
+export function serializeState(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item instanceof Map) {
+      return { __map: Array.from(item.entries()) };
+    }
+    return item;
+  });
+}
+
+/**
+ * Parse JSON produced by serializeState, rebuilding tagged Maps
+ * @param {string} text - JSON text
+ * @returns {Object} Parsed state
+ */
+export function deserializeState(text) {
+  return JSON.parse(text, (key, item) => {
+    if (item && typeof item === 'object' && Array.isArray(item.__map)) {
+      return new Map(item.__map);
+    }
+    return item;
+  });
+}
+
+/**
+ * File adapter
+ * Keeps the latest snapshot in a single JSON file, replaced atomically on each save
+ */
+class FileStateAdapter {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.storePath = options.path || path.join(__dirname, '../../data/live-state.json');
+    this.writeQueue = Promise.resolve();
+  }
+
+  async open() {
+    await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+  }
+
+  /**
+   * Read the stored snapshot
+   * @returns {Promise<Object|null>} { savedAt, collections } or null if nothing is stored
+   */
+  async read() {
+    try {
+      const content = await fs.readFile(this.storePath, 'utf8');
+      const parsed = JSON.parse(content);
+      return { savedAt: parsed.savedAt, collections: parsed.collections || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to read live state file:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write a snapshot. Writes are serialized so a slow write can't be overtaken by a newer one.
+   * @param {Object} snapshot - { savedAt, collections } with collections already serialized
+   */
+  async write(snapshot) {
+    const content = JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot });
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, this.storePath);
+      });
+
+    return this.writeQueue;
+  }
+
+  async clear() {
+    await fs.rm(this.storePath, { force: true });
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+}
+
+/**
+ * SQLite adapter
+ * Keeps one row per collection; each save replaces all rows in a single transaction.
+ * Needs the optional better-sqlite3 dependency.
+ */
+class SqliteStateAdapter {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.dbPath = options.path || path.join(__dirname, '../../data/live-state.db');
+    this.db = null;
+  }
+
+  async open() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('STATE_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS live_state (
+        collection TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        saved_at INTEGER NOT NULL
+      )
+    `);
+
+    this.selectAll = this.db.prepare('SELECT collection, data, saved_at FROM live_state');
+    this.deleteAll = this.db.prepare('DELETE FROM live_state');
+    this.insert = this.db.prepare('INSERT INTO live_state (collection, data, saved_at) VALUES (?, ?, ?)');
+    this.replaceAll = this.db.transaction(({ savedAt, collections }) => {
+      this.deleteAll.run();
+      for (const [collection, data] of Object.entries(collections)) {
+        this.insert.run(collection, data, savedAt);
+      }
+    });
+  }
+
+  async read() {
+    const rows = this.selectAll.all();
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const collections = {};
+    let savedAt = 0;
+    for (const row of rows) {
+      collections[row.collection] = row.data;
+      savedAt = Math.max(savedAt, row.saved_at);
+    }
+    return { savedAt, collections };
+  }
+
+  async write(snapshot) {
+    this.replaceAll(snapshot);
+  }
+
+  async clear() {
+    this.deleteAll.run();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * State Store
+ * Periodic snapshots of live meeting state (meetings, highlights, transcripts, ...)
+ * through a pluggable adapter, so a restarted server can replay them
+ */
+class StateStore {
+  constructor() {
+    this.adapters = new Map([
+      ['file', (options) => new FileStateAdapter(options)],
+      ['sqlite', (options) => new SqliteStateAdapter(options)]
+    ]);
+    this.adapter = null;
+    this.snapshotTimer = null;
+    this.saving = null;
+  }
+
+  /**
+   * Register an additional adapter. Adapters implement open, read, write, clear and close.
+   * @param {string} name - Adapter name used in STATE_STORE
+   * @param {Function} factory - (options) => adapter
+   */
+  registerAdapter(name, factory) {
+    this.adapters.set(name, factory);
+  }
+
+  /**
+   * Open the configured adapter
+   * @param {Object} options - { type, path } - defaults to STATE_STORE / STATE_STORE_PATH
+   * @returns {Promise<StateStore>} This store
+   */
+  async init(options = {}) {
+    const type = options.type || process.env.STATE_STORE || 'file';
+    const factory = this.adapters.get(type);
+    if (!factory) {
+      throw new Error(`Unknown state store "${type}" (expected one of: ${Array.from(this.adapters.keys()).join(', ')})`);
+    }
+
+    const adapter = factory({ path: options.path || process.env.STATE_STORE_PATH });
+    await adapter.open();
+    this.adapter = adapter;
+    console.log(`💾 Live state store ready (${adapter.name})`);
+    return this;
+  }
+
+  /**
+   * Load the last snapshot
+   * @param {Object} options - { maxAgeMs } - snapshots older than this are ignored
+   * @returns {Promise<Object|null>} { savedAt, collections } with collections rebuilt as Maps, or null
+   */
+  async load({ maxAgeMs } = {}) {
+    if (!this.adapter) {
+      return null;
+    }
+
+    const snapshot = await this.adapter.read();
+    if (!snapshot) {
+      return null;
+    }
+
+    if (maxAgeMs && Date.now() - snapshot.savedAt > maxAgeMs) {
+      console.log(`💾 Ignoring live state snapshot from ${new Date(snapshot.savedAt).toISOString()} - older than ${maxAgeMs / 1000}s`);
+      return null;
+    }
+
+    const collections = {};
+    for (const [name, data] of Object.entries(snapshot.collections)) {
+      try {
+        collections[name] = deserializeState(data);
+      } catch (error) {
+        console.error(`❌ Failed to parse live state collection "${name}":`, error.message);
+      }
+    }
+
+    return { savedAt: snapshot.savedAt, collections };
+  }
+
+  /**
+   * Save a snapshot of the given collections
+   * @param {Object} collections - name -> Map
+   * @returns {Promise<void>}
+   */
+  async save(collections) {
+    if (!this.adapter) {
+      return;
+    }
+
+    const serialized = {};
+    for (const [name, value] of Object.entries(collections)) {
+      serialized[name] = serializeState(value);
+    }
+
+    this.saving = this.adapter.write({ savedAt: Date.now(), collections: serialized });
+    try {
+      await this.saving;
+    } finally {
+      this.saving = null;
+    }
+  }
+
+  /**
+   * Save snapshots on an interval
+   * @param {Function} getCollections - Returns the collections to snapshot
+   * @param {number} intervalMs - Snapshot interval
+   */
+  startSnapshots(getCollections, intervalMs) {
+    this.stopSnapshots();
+    this.snapshotTimer = setInterval(() => {
+      // Skip a tick rather than queue up behind a slow write
+      if (this.saving) return;
+      this.save(getCollections()).catch(error => {
+        console.error('❌ Failed to save live state snapshot:', error.message);
+      });
+    }, intervalMs);
+    this.snapshotTimer.unref();
+  }
+
+  stopSnapshots() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+
+  /**
+   * Stop snapshots and release the adapter
+   */
+  async close() {
+    this.stopSnapshots();
+    if (this.adapter) {
+      await this.adapter.close();
+      this.adapter = null;
+    }
+  }
+}
+
+// Create and export singleton instance
+const stateStore = new StateStore();
+export default stateStore;
@@ -0,0 +1,384 @@
+import meetingHistoryManager from './meetingHistory.js';
+
+// BM25 tuning - the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+
+// Transcript entries and chat messages are grouped into passages of about this many words
+const CHUNK_WORDS = 80;
+// A pause longer than this starts a new passage
+const CHUNK_GAP_MS = 60 * 1000;
+
+// Characters of context shown around the first match in a search result
+const SNIPPET_CHARS = 160;
+// Matching passages shown per meeting in search results
+const MATCHES_PER_MEETING = 3;
+
+// Words too common to say anything about a passage
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'just', 'like', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+  'say', 'said', 'says', 'she', 'so', 'some', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'to', 'um', 'uh', 'up', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your', 'professor', 'teacher', 'lecture', 'class', 'week'
+]);
+
+/**
+ * Transcript Index
+ * BM25 search over saved meetings: titles, transcripts, chat and highlights.
+ *
+ * Each meeting is cut into passages: its title, runs of transcript entries and
+ * of chat messages of about CHUNK_WORDS words, plus one passage per highlight.
+ * Every passage keeps the time it was said and its offset into the meeting
+ * recording, so answers and search results can cite the moment. The meeting
+ * details that search filters on are kept alongside. The index is built from
+ * the history files on first use and kept up to date as meetings are saved or
+ * deleted, so queries never re-read the files.
+ */
+class TranscriptIndex {
+  constructor() {
+    this.passages = new Map(); // meetingId -> [passage]
+    this.meetings = new Map(); // meetingId -> meeting details for filters and access checks
+    this.documentFrequency = new Map(); // term -> number of passages containing it
+    this.passageCount = 0;
+    this.totalLength = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Lowercase words without stop words, with plurals folded ("cells" -> "cell")
+   */
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => !STOP_WORDS.has(word))
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Build the index from every saved meeting, once
+   */
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = meetingHistoryManager.getAllMeetingHistories().then(histories => {
+        histories.forEach(history => this.indexMeeting(history));
+        console.log(`🔎 Transcript index ready: ${this.passageCount} passages from ${histories.length} meetings`);
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Cut a saved meeting into passages
+   * @param {Object} history - Meeting history
+   * @returns {Array} Passages
+   */
+  buildPassages(history) {
+    const meeting = history.meeting;
+    const recordingStart = history.recording?.startTime || null;
+    const meetingStart = new Date(meeting.createdAt).getTime() || null;
+
+    // Transcript and highlight times are epoch milliseconds, chat times are ISO strings
+    const toTime = (timestamp) => Number(timestamp) || new Date(timestamp).getTime() || null;
+
+    const makePassage = (source, text, time, speakers) => {
+      const base = recordingStart || meetingStart;
+      return {
+        meetingId: meeting.id,
+        title: meeting.title,
+        source,
+        text,
+        speakers,
+        timestamp: time ? new Date(time).toISOString() : null,
+        offsetSeconds: time && base ? Math.max(0, Math.round((time - base) / 1000)) : null,
+        hasRecording: !!history.recording
+      };
+    };
+
+    // Group consecutive { text, speaker, time } lines, starting a new passage when one gets long or after a pause
+    const chunk = (source, lines) => {
+      const chunks = [];
+      let current = null;
+      const flush = () => {
+        if (current) {
+          chunks.push(makePassage(source, current.text.join(' '), current.time, [...current.speakers]));
+          current = null;
+        }
+      };
+
+      lines.filter(line => line.text).forEach(({ text, speaker, time }) => {
+        if (current && (current.words >= CHUNK_WORDS || (time && current.lastTime && time - current.lastTime > CHUNK_GAP_MS))) {
+          flush();
+        }
+        if (!current) {
+          current = { text: [], words: 0, time, lastTime: time, speakers: new Set() };
+        }
+        current.text.push(speaker ? `${speaker}: ${text}` : text);
+        current.words += text.split(/\s+/).length;
+        current.lastTime = time || current.lastTime;
+        if (speaker) current.speakers.add(speaker);
+      });
+      flush();
+      return chunks;
+    };
+
+    const passages = [];
+    if (meeting.title) {
+      passages.push(makePassage('title', meeting.title, meetingStart, []));
+    }
+
+    passages.push(...chunk('transcript', (history.transcript?.data || []).map(entry => ({
+      text: (entry.transcript || '').trim(),
+      speaker: entry.speaker || null,
+      time: toTime(entry.timestamp)
+    }))));
+
+    passages.push(...chunk('chat', (history.chat?.data || []).map(message => ({
+      text: String(message.message || '').trim(),
+      speaker: message.userName || null,
+      time: toTime(message.timestamp)
+    }))));
+
+    (history.highlights?.data || []).forEach(highlight => {
+      const text = [highlight.type, highlight.description].filter(Boolean).join(': ');
+      if (highlight.description) {
+        passages.push(makePassage('highlight', text, toTime(highlight.timestamp), []));
+      }
+    });
+
+    return passages.map(passage => {
+      const terms = this.tokenize(`${passage.text} ${passage.speakers.join(' ')}`);
+      const termFrequency = new Map();
+      terms.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+      return { ...passage, length: terms.length, termFrequency };
+    });
+  }
+
+  /**
+   * The meeting details search filters on, plus who may read the meeting
+   * @param {Object} history - Meeting history
+   * @returns {Object} Meeting details
+   */
+  describeMeeting(history) {
+    const meeting = history.meeting;
+    const attendees = history.attendance?.attendees || [];
+    const names = [
+      ...(meeting.participants || []).map(participant => participant.name),
+      ...attendees.map(attendee => attendee.name)
+    ].filter(Boolean);
+
+    return {
+      meetingId: meeting.id,
+      title: meeting.title,
+      host: meeting.host || null,
+      ownerId: meeting.ownerId || null,
+      userIds: attendees.map(attendee => attendee.userId).filter(Boolean),
+      participants: [...new Set(names)],
+      createdAt: meeting.createdAt,
+      endedAt: meeting.endedAt || null,
+      highlightTypes: [...new Set((history.highlights?.data || []).map(highlight => highlight.type).filter(Boolean))],
+      hasRecording: !!history.recording
+    };
+  }
+
+  /**
+   * Add or replace a meeting in the index
+   * @param {Object} history - Meeting history
+   */
+  indexMeeting(history) {
+    if (!history?.meeting?.id) return;
+
+    this.removeMeeting(history.meeting.id);
+    const passages = this.buildPassages(history);
+    passages.forEach(passage => {
+      passage.termFrequency.forEach((_, term) => {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      });
+      this.totalLength += passage.length;
+    });
+    this.passageCount += passages.length;
+    this.passages.set(history.meeting.id, passages);
+    this.meetings.set(history.meeting.id, this.describeMeeting(history));
+  }
+
+  /**
+   * Drop a meeting from the index
+   * @param {string} meetingId - Meeting ID
+   */
+  removeMeeting(meetingId) {
+    this.meetings.delete(meetingId);
+    const passages = this.passages.get(meetingId);
+    if (!passages) return;
+
+    passages.forEach(passage => {
+      passage.termFrequency.forEach((_, term) => {
+        const count = this.documentFrequency.get(term) - 1;
+        if (count > 0) {
+          this.documentFrequency.set(term, count);
+        } else {
+          this.documentFrequency.delete(term);
+        }
+      });
+      this.totalLength -= passage.length;
+    });
+    this.passageCount -= passages.length;
+    this.passages.delete(meetingId);
+  }
+
+  /**
+   * Forget everything, so the next search rebuilds the index from the history files
+   */
+  reset() {
+    this.passages.clear();
+    this.meetings.clear();
+    this.documentFrequency.clear();
+    this.passageCount = 0;
+    this.totalLength = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Details of every indexed meeting, including who may search it
+   * @returns {Promise<Array>} [{ meetingId, title, host, ownerId, userIds, participants, createdAt, highlightTypes, hasRecording }]
+   */
+  async listMeetings() {
+    await this.ensureLoaded();
+    return [...this.meetings.values()];
+  }
+
+  /**
+   * Rank passages for a question with BM25
+   * @param {string} query - Question or search words
+   * @param {Object} options - { meetingIds: only search these meetings, sources: only these passage sources, limit }
+   * @returns {Promise<Array>} Passages with a `score`, best first
+   */
+  async search(query, { meetingIds = null, sources = null, limit = 5 } = {}) {
+    await this.ensureLoaded();
+
+    const terms = [...new Set(this.tokenize(query))];
+    if (terms.length === 0 || this.passageCount === 0) return [];
+
+    const averageLength = this.totalLength / this.passageCount || 1;
+    const idf = new Map(terms.map(term => {
+      const df = this.documentFrequency.get(term) || 0;
+      return [term, Math.log(1 + (this.passageCount - df + 0.5) / (df + 0.5))];
+    }));
+
+    const results = [];
+    const meetings = meetingIds ? meetingIds.filter(id => this.passages.has(id)) : [...this.passages.keys()];
+    meetings.forEach(meetingId => {
+      this.passages.get(meetingId).forEach(passage => {
+        if (sources && !sources.includes(passage.source)) return;
+
+        let score = 0;
+        terms.forEach(term => {
+          const tf = passage.termFrequency.get(term);
+          if (!tf) return;
+          score += idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * passage.length / averageLength));
+        });
+        if (score > 0) {
+          const { termFrequency, length, ...visible } = passage;
+          results.push({ ...visible, score: Math.round(score * 1000) / 1000 });
+        }
+      });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Whether a meeting passes the search filters
+   * @param {Object} meeting - Indexed meeting details
+   * @param {Object} filters - { from, to, host, participant, highlightType, hasRecording }
+   * @returns {boolean}
+   */
+  matchesFilters(meeting, { from, to, host, participant, highlightType, hasRecording } = {}) {
+    const createdAt = new Date(meeting.createdAt).getTime();
+    const contains = (value, part) => String(value || '').toLowerCase().includes(part.toLowerCase());
+
+    if (from && createdAt < new Date(from).getTime()) return false;
+    // A plain date includes the whole day
+    if (to && createdAt > new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime()) return false;
+    if (host && !contains(meeting.host, host)) return false;
+    if (participant && !meeting.participants.some(name => contains(name, participant))) return false;
+    if (highlightType && !meeting.highlightTypes.includes(highlightType)) return false;
+    if (typeof hasRecording === 'boolean' && meeting.hasRecording !== hasRecording) return false;
+    return true;
+  }
+
+  /**
+   * About SNIPPET_CHARS characters of a passage around the first word matching the search
+   * @param {string} text - Passage text
+   * @param {Array} terms - Search terms, as tokenized
+   * @returns {string} Snippet
+   */
+  buildSnippet(text, terms) {
+    if (text.length <= SNIPPET_CHARS) return text;
+
+    // Terms are folded to their singular, so match them as word prefixes
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const match = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'iu').exec(text);
+    const start = match ? Math.max(0, match.index - Math.round(SNIPPET_CHARS / 3)) : 0;
+    const end = Math.min(text.length, start + SNIPPET_CHARS);
+    return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+  }
+
+  /**
+   * Search saved meetings, grouping matching passages by meeting, best meeting first.
+   * Without search words, every meeting passing the filters is listed, newest first.
+   * @param {string} query - Search words
+   * @param {Object} options - { filters, meetingIds: only these meetings, limit, offset }
+   * @returns {Promise<Object>} { total, terms, results: [{ meeting, score, matches: [{ source, snippet, speakers, timestamp, offsetSeconds }] }] }
+   */
+  async searchHistory(query, { filters = {}, meetingIds = null, limit = 20, offset = 0 } = {}) {
+    const meetings = (await this.listMeetings())
+      .filter(meeting => !meetingIds || meetingIds.includes(meeting.meetingId))
+      .filter(meeting => this.matchesFilters(meeting, filters));
+    // Access lists stay on the server
+    const describe = ({ ownerId, userIds, ...meeting }) => meeting;
+
+    const terms = [...new Set(this.tokenize(query))];
+    let results;
+    if (terms.length === 0) {
+      results = meetings
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(meeting => ({ meeting: describe(meeting), score: 0, matches: [] }));
+    } else {
+      const byMeeting = new Map();
+      const passages = await this.search(query, {
+        meetingIds: meetings.map(meeting => meeting.meetingId),
+        limit: Infinity
+      });
+      passages.forEach(passage => {
+        if (!byMeeting.has(passage.meetingId)) {
+          byMeeting.set(passage.meetingId, {
+            meeting: describe(this.meetings.get(passage.meetingId)),
+            score: passage.score,
+            matches: []
+          });
+        }
+        const result = byMeeting.get(passage.meetingId);
+        if (result.matches.length < MATCHES_PER_MEETING) {
+          result.matches.push({
+            source: passage.source,
+            snippet: this.buildSnippet(passage.text, terms),
+            speakers: passage.speakers,
+            timestamp: passage.timestamp,
+            offsetSeconds: passage.offsetSeconds
+          });
+        }
+      });
+      results = [...byMeeting.values()];
+    }
+
+    return {
+      total: results.length,
+      terms,
+      results: results.slice(offset, offset + limit)
+    };
+  }
+}
+
+// Create and export singleton instance
+const transcriptIndex = new TranscriptIndex();
+export default transcriptIndex;
@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * User Store
+ * File-backed persistence for user accounts and their login sessions
+ */
+class UserStore {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.storePath = path.join(this.dataDir, 'users.json');
+    this.data = null; // { users: { id -> user }, sessions: { sid -> session } }
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk (once). A file that isn't valid JSON is moved
+   * aside; any other read error is thrown, and the next call tries again.
+   * @returns {Promise<Object>} Store contents
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        try {
+          const content = await fs.readFile(this.storePath, 'utf8');
+          const parsed = JSON.parse(content);
+          this.data = {
+            users: parsed.users || {},
+            sessions: parsed.sessions || {}
+          };
+          console.log('👤 Loaded user store:', Object.keys(this.data.users).length, 'users');
+        } catch (error) {
+          if (error instanceof SyntaxError) {
+            // Starting fresh over it would wipe every account on the next save, so keep a copy
+            const backupPath = `${this.storePath}.corrupt-${Date.now()}`;
+            await fs.rename(this.storePath, backupPath);
+            console.error('❌ User store is not valid JSON, moved it to', backupPath, 'and starting fresh:', error.message);
+          } else if (error.code !== 'ENOENT') {
+            // Without the accounts nothing may be saved over them
+            console.error('❌ Failed to read user store:', error.message);
+            throw error;
+          }
+          this.data = { users: {}, sessions: {} };
+        }
+
+        return this.data;
+      })().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Persist the store to disk. Writes are serialized so concurrent
+   * requests can't interleave partial files.
+   */
+  async save() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, this.storePath);
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Create a user. The email is checked and the user added in one step, so
+   * two registrations for the same email can't both succeed.
+   * @param {Object} user - User record (must include id and a normalized email)
+   * @returns {Promise<Object|null>} Created user, or null if the email is already registered
+   */
+  async createUser(user) {
+    const data = await this.load();
+    if (Object.values(data.users).some(existing => existing.email === user.email)) {
+      return null;
+    }
+
+    data.users[user.id] = user;
+    await this.save();
+    return user;
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} User or null if not found
+   */
+  async getUserById(userId) {
+    const data = await this.load();
+    return data.users[userId] || null;
+  }
+
+  /**
+   * Get user by email (case-insensitive)
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} User or null if not found
+   */
+  async getUserByEmail(email) {
+    const data = await this.load();
+    const normalizedEmail = email.trim().toLowerCase();
+    return Object.values(data.users).find(user => user.email === normalizedEmail) || null;
+  }
+
+  /**
+   * Store a login session
+   * @param {Object} session - Session record (must include id and userId)
+   */
+  async createSession(session) {
+    const data = await this.load();
+    data.sessions[session.id] = session;
+    this.pruneExpiredSessions();
+    await this.save();
+    return session;
+  }
+
+  /**
+   * Get session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null if not found
+   */
+  async getSession(sessionId) {
+    const data = await this.load();
+    return data.sessions[sessionId] || null;
+  }
+
+  /**
+   * Delete a session (logout)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  async deleteSession(sessionId) {
+    const data = await this.load();
+    if (!data.sessions[sessionId]) {
+      return false;
+    }
+
+    delete data.sessions[sessionId];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Drop sessions past their expiry time
+   */
+  pruneExpiredSessions() {
+    const now = Date.now();
+    Object.entries(this.data.sessions).forEach(([sessionId, session]) => {
+      if (session.expiresAt <= now) {
+        delete this.data.sessions[sessionId];
+      }
+    });
+  }
+}
+
+// Create and export singleton instance
+const userStore = new UserStore();
+export default userStore;
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import attendanceTracker from '../src/utils/attendanceTracker.js';
+
+const START = new Date('2026-03-02T09:00:00Z');
+const at = (minutes) => new Date(START.getTime() + minutes * 60000);
+
+function newLog() {
+  return attendanceTracker.createLog({ id: 'M1', createdAt: START.getTime() });
+}
+
+describe('attendanceTracker', () => {
+  it('keeps one row per account across reconnects and counts overlapping tabs once', () => {
+    const log = newLog();
+    attendanceTracker.recordJoin(log, { id: 's1', userId: 'u1', name: 'Ada' }, at(0));
+    attendanceTracker.recordLeave(log, 's1', at(10));
+    attendanceTracker.recordJoin(log, { id: 's2', userId: 'u1', name: 'Ada' }, at(20));
+    attendanceTracker.recordJoin(log, { id: 's3', userId: 'u1', name: 'Ada' }, at(25)); // second tab
+    attendanceTracker.recordJoin(log, { id: 's2', userId: 'u1', name: 'Ada' }, at(26)); // repeated join on the same socket
+    attendanceTracker.recordLeave(log, 's3', at(35));
+    attendanceTracker.recordLeave(log, 's2', at(30));
+
+    const report = attendanceTracker.buildReport(log, { endedAt: at(60) });
+    assert.equal(report.attendees.length, 1);
+    const [ada] = report.attendees;
+    assert.equal(ada.sessions, 3);
+    assert.equal(ada.minutesPresent, 25);
+    assert.equal(ada.lastLeftAt, at(35).toISOString());
+  });
+
+  it('keys guests by name without the host suffix', () => {
+    const log = newLog();
+    attendanceTracker.recordJoin(log, { id: 'a', name: 'Grace (Host)' }, at(0));
+    attendanceTracker.recordJoin(log, { id: 'b', name: 'grace' }, at(1));
+
+    assert.deepEqual(Object.keys(log.attendees), ['guest:grace']);
+    assert.equal(log.attendees['guest:grace'].name, 'Grace');
+  });
+
+  it('marks late arrivals against the scheduled start and lists absent roster members', () => {
+    const log = attendanceTracker.createLog({ id: 'M1', createdAt: at(-30).getTime(), schedule: { startTime: START.toISOString() } });
+    attendanceTracker.recordJoin(log, { id: 'a', userId: 'u1', name: 'Ada', rosterMemberId: 'r1' }, at(attendanceTracker.lateGraceMinutes));
+    attendanceTracker.recordJoin(log, { id: 'b', userId: 'u2', name: 'Ben', rosterMemberId: 'r2' }, at(attendanceTracker.lateGraceMinutes + 2));
+    attendanceTracker.closeAll(log, at(50));
+
+    const roster = { members: [
+      { id: 'r1', name: 'Ada', email: 'ada@school.test', studentId: 'S1' },
+      { id: 'r2', name: 'Ben', email: 'ben@school.test', studentId: 'S2' },
+      { id: 'r3', name: 'Cy', email: 'cy@school.test', studentId: 'S3' }
+    ] };
+    const report = attendanceTracker.buildReport(log, { title: 'Algebra', endedAt: at(50), roster });
+
+    assert.deepEqual(report.attendees.map(a => [a.name, a.status, a.studentId]), [
+      ['Ada', 'present', 'S1'],
+      ['Ben', 'late', 'S2'],
+      ['Cy', 'absent', 'S3']
+    ]);
+    assert.deepEqual(report.summary, { present: 1, late: 1, absent: 1 });
+    assert.equal(report.attendees[1].lateMinutes, attendanceTracker.lateGraceMinutes + 2);
+  });
+
+  it('counts open intervals up to now and reports no last leave', () => {
+    const log = attendanceTracker.createLog({ id: 'M1', createdAt: Date.now() - 60000 });
+    attendanceTracker.recordJoin(log, { id: 'a', name: 'Ada' }, new Date(Date.now() - 60000));
+
+    const [ada] = attendanceTracker.buildReport(log).attendees;
+    assert.equal(ada.lastLeftAt, null);
+    assert.ok(ada.minutesPresent >= 1);
+    assert.equal(attendanceTracker.recordLeave(log, 'unknown'), false);
+  });
+
+  it('quotes CSV fields with separators, quotes and line breaks', () => {
+    const log = newLog();
+    attendanceTracker.recordJoin(log, { id: 'a', name: 'Lovelace, "Ada"' }, at(0));
+    attendanceTracker.recordLeave(log, 'a', at(5));
+
+    const lines = attendanceTracker.toCSV(attendanceTracker.buildReport(log, { endedAt: at(5) })).split('\r\n');
+    assert.equal(lines[0], 'Name,Email,Student ID,Role,Status,First Joined,Last Left,Minutes Present,Minutes Late,Sessions,Intervals');
+    assert.ok(lines[1].startsWith('"Lovelace, ""Ada""",,,,present,'));
+    assert.ok(lines[1].endsWith(`,5,0,1,${at(0).toISOString()}/${at(5).toISOString()}`));
+    assert.equal(lines[2], '');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import authService, { AuthError } from '../src/utils/authService.js';
+import userStore from '../src/utils/userStore.js';
+
+// Keep the store's logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+describe('authService', () => {
+  let dataDir;
+
+  before(async () => {
+    process.env.AUTH_SECRET = 'test-secret';
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+    userStore.dataDir = dataDir;
+    userStore.storePath = path.join(dataDir, 'users.json');
+  });
+
+  after(async () => {
+    await userStore.writeQueue;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('rejects registration data that is not text with a 400', async () => {
+    for (const details of [{ email: 1, password: 'secret1' }, { email: 'a@x.io', password: 123456 }, { email: 'a@x.io', password: 'secret1', name: {} }]) {
+      await assert.rejects(authService.register(details), error => error instanceof AuthError && error.status === 400);
+    }
+    await assert.rejects(authService.login({ email: ['a@x.io'], password: 'secret1' }), error => error instanceof AuthError && error.status === 400);
+  });
+
+  it('registers an email once when two registrations race', async () => {
+    const results = await Promise.allSettled([
+      authService.register({ email: 'race@x.io', password: 'secret1' }),
+      authService.register({ email: 'RACE@x.io ', password: 'secret2' })
+    ]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    const rejected = results.find(result => result.status === 'rejected');
+    assert.equal(rejected.reason.status, 409);
+    assert.equal(Object.values(userStore.data.users).filter(user => user.email === 'race@x.io').length, 1);
+  });
+
+  it('logs in with the registered password only', async () => {
+    await authService.register({ email: 'login@x.io', password: 'secret1', name: 'Lee' });
+
+    const { user, token } = await authService.login({ email: 'Login@x.io', password: 'secret1' });
+    assert.equal(user.name, 'Lee');
+    assert.equal((await authService.getUserFromToken(token)).id, user.id);
+    await assert.rejects(authService.login({ email: 'login@x.io', password: 'wrong1' }), { status: 401 });
+  });
+
+  it('keeps an unreadable user store instead of saving over it', async () => {
+    await userStore.writeQueue;
+    const reload = () => {
+      userStore.data = null;
+      userStore.loading = null;
+      return userStore.load();
+    };
+
+    // Not valid JSON: moved aside, and the store starts empty
+    await fs.writeFile(userStore.storePath, '{"users": {"u1"');
+    assert.deepEqual(await reload(), { users: {}, sessions: {} });
+    const [backup] = (await fs.readdir(dataDir)).filter(file => file.startsWith('users.json.corrupt-'));
+    assert.equal(await fs.readFile(path.join(dataDir, backup), 'utf8'), '{"users": {"u1"');
+
+    // Can't be read at all: loading fails until it can, nothing is written
+    await fs.mkdir(userStore.storePath);
+    await assert.rejects(reload(), { code: 'EISDIR' });
+    await assert.rejects(userStore.load(), { code: 'EISDIR' });
+    await fs.rmdir(userStore.storePath);
+    assert.deepEqual(await userStore.load(), { users: {}, sessions: {} });
+  });
+});
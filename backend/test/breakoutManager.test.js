@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import breakoutManager, { BreakoutError } from '../src/utils/breakoutManager.js';
+import { ROLES } from '../src/utils/permissions.js';
+
+function newMeeting() {
+  return {
+    id: 'M1',
+    participants: [
+      { id: 'h', name: 'Ms. Lee', isHost: true, isApproved: true, role: ROLES.HOST },
+      { id: 'c', name: 'Mr. Roy', isApproved: true, role: ROLES.CO_HOST },
+      { id: 's1', name: 'Ada', isApproved: true, role: ROLES.STUDENT, rosterMemberId: 'r1' },
+      { id: 's2', name: 'Ben', isApproved: true, role: ROLES.STUDENT, rosterMemberId: 'r2' },
+      { id: 's3', name: 'Cy', isApproved: true, role: ROLES.STUDENT, rosterMemberId: 'r3' },
+      { id: 's4', name: 'Di', isApproved: false, role: ROLES.STUDENT }
+    ]
+  };
+}
+
+const roomOf = (meeting, participantId) => meeting.participants.find(p => p.id === participantId).breakoutRoomId;
+
+describe('breakoutManager', () => {
+  it('opens named rooms and leaves everyone in the main session for manual assignment', () => {
+    const meeting = newMeeting();
+    assert.deepEqual(breakoutManager.createRooms(meeting, { count: '3', names: [' Red ', '', 'Blue'] }), []);
+
+    const state = breakoutManager.getState(meeting);
+    assert.equal(state.status, 'open');
+    assert.equal(state.mode, 'manual');
+    assert.deepEqual(state.rooms.map(room => room.name), ['Red', 'Room 2', 'Blue']);
+    assert.deepEqual(state.assignments, { h: null, c: null, s1: null, s2: null, s3: null });
+    assert.throws(() => breakoutManager.createRooms(meeting, { count: 1 }), /already open/);
+  });
+
+  it('rejects invalid room counts and modes and ignores names that are not strings', () => {
+    const attempts = [
+      [{ count: 0 }, /at least one breakout room/],
+      [{ count: 'lots' }, /at least one breakout room/],
+      [{ count: 51 }, /at most 50 breakout rooms/],
+      [{ count: 1, mode: {} }, /manual, random or roster/],
+      [{ mode: 'roster', roster: { members: [{ id: 'r1' }] } }, /no groups/]
+    ];
+    attempts.forEach(([options, message]) => {
+      const meeting = newMeeting();
+      assert.throws(() => breakoutManager.createRooms(meeting, options), error => error instanceof BreakoutError && message.test(error.message));
+      assert.equal(breakoutManager.isOpen(meeting), false);
+    });
+
+    [null, 'Red', { 0: 'Red' }, [5, { x: 1 }, null]].forEach(names => {
+      const meeting = newMeeting();
+      breakoutManager.createRooms(meeting, { count: 2, names });
+      assert.deepEqual(meeting.breakout.rooms.map(room => room.name), ['Room 1', 'Room 2']);
+    });
+  });
+
+  it('spreads approved students evenly over the rooms at random', () => {
+    const meeting = newMeeting();
+    const moved = breakoutManager.createRooms(meeting, { count: 2, mode: 'random' });
+
+    assert.deepEqual(moved.map(p => p.id).sort(), ['s1', 's2', 's3']);
+    const sizes = meeting.breakout.rooms.map(room => moved.filter(p => p.breakoutRoomId === room.id).length);
+    assert.deepEqual(sizes.sort(), [1, 2]);
+    ['h', 'c', 's4'].forEach(id => assert.equal(roomOf(meeting, id), undefined));
+  });
+
+  it('opens a room per roster group and puts matched students in it', () => {
+    const meeting = newMeeting();
+    const roster = { members: [{ id: 'r1', group: 'Lab B' }, { id: 'r2', group: 'Lab A' }, { id: 'r3', group: '' }, { id: 'r4', group: 'Lab A' }] };
+    const moved = breakoutManager.createRooms(meeting, { mode: 'roster', roster });
+
+    const [labA, labB] = meeting.breakout.rooms;
+    assert.deepEqual([labA.name, labB.name], ['Lab A', 'Lab B']);
+    assert.deepEqual(moved.map(p => p.id), ['s1', 's2']);
+    assert.equal(roomOf(meeting, 's1'), labB.id);
+    assert.equal(roomOf(meeting, 's2'), labA.id);
+    assert.equal(roomOf(meeting, 's3'), undefined);
+  });
+
+  it('moves one participant between rooms and back to the main session', () => {
+    const meeting = newMeeting();
+    assert.throws(() => breakoutManager.moveParticipant(meeting, 's1', null), /not open/);
+    breakoutManager.createRooms(meeting, { count: 2 });
+    const [first] = meeting.breakout.rooms;
+
+    assert.equal(breakoutManager.moveParticipant(meeting, 's1', first.id).breakoutRoomId, first.id);
+    assert.equal(breakoutManager.moveParticipant(meeting, 's1', null).breakoutRoomId, null);
+    assert.throws(() => breakoutManager.moveParticipant(meeting, 's4', first.id), /Participant not found/);
+    assert.throws(() => breakoutManager.moveParticipant(meeting, 's1', 'missing'), /Breakout room not found/);
+  });
+
+  it('counts down within bounds and brings everyone back on close', () => {
+    const meeting = newMeeting();
+    assert.throws(() => breakoutManager.startTimer(meeting, 5), /not open/);
+    breakoutManager.createRooms(meeting, { count: 2, mode: 'random' });
+
+    assert.throws(() => breakoutManager.startTimer(meeting, 0), /between 1 and 240 minutes/);
+    assert.throws(() => breakoutManager.startTimer(meeting, 241), /between 1 and 240 minutes/);
+    assert.throws(() => breakoutManager.startTimer(meeting, 'soon'), /between 1 and 240 minutes/);
+
+    const before = Date.now();
+    assert.equal(breakoutManager.startTimer(meeting, 1.5), 90000);
+    const endsAt = new Date(meeting.breakout.endsAt).getTime();
+    assert.ok(endsAt >= before + 90000 && endsAt <= Date.now() + 90000);
+
+    assert.deepEqual(breakoutManager.closeRooms(meeting).map(p => p.id).sort(), ['s1', 's2', 's3']);
+    const state = breakoutManager.getState(meeting);
+    assert.deepEqual([state.status, state.endsAt, state.rooms], ['closed', null, []]);
+    assert.ok(Object.values(state.assignments).every(roomId => roomId === null));
+    assert.deepEqual(breakoutManager.closeRooms(meeting), []);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import classScheduler, { ScheduleError } from '../src/utils/classScheduler.js';
+
+// Keep the scheduler's logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const teacher = { id: 'u1', name: 'Ms. Lee', email: 'lee@school.io' };
+const details = { title: 'Algebra', startTime: new Date(2026, 2, 2, 10, 0).toISOString(), durationMinutes: 45 };
+
+// Sessions are walked in local time, so ranges and expectations use local dates too
+const startsOf = (sessions) => sessions.map(session => {
+  const start = new Date(session.startTime);
+  return `${start.getMonth() + 1}/${start.getDate()} ${start.getHours()}:00`;
+});
+
+describe('classScheduler', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'schedule-test-'));
+    classScheduler.dataDir = dataDir;
+    classScheduler.storePath = path.join(dataDir, 'classes.json');
+  });
+
+  after(async () => {
+    await classScheduler.writeQueue;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps an unreadable schedule and moves an invalid one aside before starting fresh', async () => {
+    await fs.mkdir(classScheduler.storePath);
+    await assert.rejects(classScheduler.load(), { code: 'EISDIR' });
+    assert.equal(classScheduler.data, null);
+    await fs.rmdir(classScheduler.storePath);
+
+    await fs.writeFile(classScheduler.storePath, '{"classes": {');
+    assert.deepEqual(await classScheduler.load(), { classes: {} });
+    const files = await fs.readdir(dataDir);
+    assert.ok(files.some(file => file.startsWith('classes.json.corrupt-')));
+    assert.ok(!files.includes('classes.json'));
+  });
+
+  it('rejects invalid class details with a 400', () => {
+    const attempts = [
+      [{ title: '  ' }, /title is required/],
+      [{ startTime: 'tomorrow-ish' }, /valid start time/],
+      [{ durationMinutes: 4 }, /between 5 and 600/],
+      [{ durationMinutes: 601 }, /between 5 and 600/],
+      [{ recurrence: { frequency: 'monthly' } }, /none, daily, weekly/],
+      [{ recurrence: { frequency: 'weekly', daysOfWeek: [1, 7] } }, /0 \(Sunday\) to 6/],
+      [{ recurrence: { frequency: 'daily', until: new Date(2026, 2, 1).toISOString() } }, /end date must be after/]
+    ];
+    attempts.forEach(([changes, message]) => {
+      assert.throws(() => classScheduler.normalizeClass({ ...details, ...changes }),
+        error => error instanceof ScheduleError && error.status === 400 && message.test(error.message));
+    });
+
+    const normalized = classScheduler.normalizeClass({ ...details, title: ' Algebra ', recurrence: { frequency: 'weekly', interval: 'x' } });
+    assert.equal(normalized.title, 'Algebra');
+    assert.deepEqual(normalized.recurrence, { frequency: 'weekly', interval: 1, daysOfWeek: [1], until: null });
+  });
+
+  it('lets only the owner change or delete a class', async () => {
+    const scheduledClass = await classScheduler.createClass(teacher, details);
+    assert.deepEqual(await classScheduler.getClassesForOwner('u1'), [scheduledClass]);
+
+    await assert.rejects(classScheduler.updateClass(scheduledClass.id, 'u2', { title: 'Mine' }), { status: 403 });
+    await assert.rejects(classScheduler.deleteClass('missing', 'u1'), { status: 404 });
+
+    const updated = await classScheduler.updateClass(scheduledClass.id, 'u1', { title: 'Geometry' });
+    assert.equal(updated.title, 'Geometry');
+    assert.equal(updated.durationMinutes, 45);
+
+    await classScheduler.deleteClass(scheduledClass.id, 'u1');
+    assert.deepEqual(await classScheduler.getClassesForOwner('u1'), []);
+    const saved = JSON.parse(await fs.readFile(classScheduler.storePath, 'utf8'));
+    assert.deepEqual(saved.classes, {});
+  });
+
+  it('lists daily and weekly occurrences by interval up to the end date', () => {
+    const from = new Date(2026, 2, 1);
+    const to = new Date(2026, 3, 30);
+    const daily = { id: 'c1', ...classScheduler.normalizeClass({ ...details, recurrence: { frequency: 'daily', interval: 2, until: new Date(2026, 2, 8).toISOString() } }) };
+    const weekly = { id: 'c2', ...classScheduler.normalizeClass({ ...details, recurrence: { frequency: 'weekly', interval: 2, daysOfWeek: [3, 1], until: new Date(2026, 2, 31).toISOString() } }) };
+    const once = { id: 'c3', ...classScheduler.normalizeClass(details) };
+
+    assert.deepEqual(startsOf(classScheduler.getSessions(daily, from, to)), ['3/2 10:00', '3/4 10:00', '3/6 10:00']);
+    assert.deepEqual(startsOf(classScheduler.getSessions(weekly, from, to)), ['3/2 10:00', '3/4 10:00', '3/16 10:00', '3/18 10:00', '3/30 10:00']);
+    assert.deepEqual(classScheduler.getSessions(weekly, new Date(2026, 2, 10), to).map(session => session.index), [2, 3, 4]);
+    assert.deepEqual(startsOf(classScheduler.getSessions(once, from, to)), ['3/2 10:00']);
+    assert.deepEqual(classScheduler.getSessions(once, new Date(2026, 2, 3), to), []);
+
+    // A session still in progress at the start of the range is included
+    const [inProgress] = classScheduler.getSessions(once, new Date(2026, 2, 2, 10, 30), to);
+    assert.equal(inProgress.endTime, new Date(2026, 2, 2, 10, 45).toISOString());
+    assert.equal(inProgress.opensAt, new Date(2026, 2, 2, 9, 55).toISOString());
+  });
+
+  it('gives each day of a class its own stable meeting code', () => {
+    const code = classScheduler.getMeetingCode('c1', new Date(2026, 2, 2, 10, 0));
+    assert.match(code, /^[A-Z]{3}\d{3}$/);
+    assert.equal(classScheduler.getMeetingCode('c1', new Date(2026, 2, 2, 18, 30)), code);
+    assert.notEqual(classScheduler.getMeetingCode('c1', new Date(2026, 2, 3, 10, 0)), code);
+    assert.notEqual(classScheduler.getMeetingCode('c2', new Date(2026, 2, 2, 10, 0)), code);
+  });
+
+  it('finds a session by its meeting code and opens the lobby five minutes early', async () => {
+    const startsAt = new Date(Date.now() + 60 * 60 * 1000);
+    const scheduledClass = await classScheduler.createClass(teacher, { ...details, startTime: startsAt.toISOString() });
+    const code = classScheduler.getMeetingCode(scheduledClass.id, startsAt);
+
+    const session = classScheduler.findSession(code.toLowerCase());
+    assert.equal(session.classId, scheduledClass.id);
+    assert.equal(session.meetingCode, code);
+    assert.equal(classScheduler.findSession('ZZZ000'), null);
+    assert.equal(classScheduler.findSession(''), null);
+
+    assert.equal(classScheduler.isLobbyOpen(session), false);
+    assert.equal(classScheduler.isLobbyOpen({ ...session, allowEarlyJoin: true }), true);
+    assert.equal(classScheduler.isLobbyOpen({ ...session, opensAt: new Date(Date.now() - 1000).toISOString() }), true);
+  });
+
+  it('renders a session as an iCalendar event with escaped text', () => {
+    const session = {
+      meetingCode: 'ABC123',
+      classId: 'c1',
+      title: 'Maths; Algebra, Part 1',
+      description: 'Bring a\\calculator',
+      startTime: '2026-03-02T10:00:00.000Z',
+      endTime: '2026-03-02T10:45:00.000Z'
+    };
+    const ics = classScheduler.toICS(session, { joinUrl: 'https://meet.example/ABC123' });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('UID:c1-ABC123@webnexus'));
+    assert.ok(lines.includes('DTSTART:20260302T100000Z'));
+    assert.ok(lines.includes('DTEND:20260302T104500Z'));
+    assert.ok(lines.includes('SUMMARY:Maths\\; Algebra\\, Part 1'));
+    assert.ok(lines.includes('DESCRIPTION:Bring a\\\\calculator\\nMeeting code: ABC123\\nJoin: https://meet.example/ABC123'));
+    assert.ok(lines.includes('URL:https://meet.example/ABC123'));
+    assert.ok(!classScheduler.toICS(session).includes('URL:'));
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import handRaiseQueue from '../src/utils/handRaiseQueue.js';
+
+const START = new Date('2026-03-02T09:00:00Z');
+const at = (seconds) => new Date(START.getTime() + seconds * 1000);
+
+const ada = { id: 's1', userId: 'u1', name: 'Ada' };
+const ben = { id: 's2', name: 'Ben' };
+const cy = { id: 's3', name: 'Cy (Host)' };
+
+describe('handRaiseQueue', () => {
+  it('queues hands first in, first out and ignores a second raise', () => {
+    const log = handRaiseQueue.createLog({ id: 'M1' });
+    handRaiseQueue.raise(log, ada, at(0));
+    handRaiseQueue.raise(log, ben, at(5));
+    assert.equal(handRaiseQueue.raise(log, ada, at(6)), null);
+    handRaiseQueue.raise(log, cy, at(10));
+
+    assert.deepEqual(handRaiseQueue.getQueue(log).map(entry => [entry.name, entry.position]), [['Ada', 1], ['Ben', 2], ['Cy', 3]]);
+    assert.equal(handRaiseQueue.callNext(log, 'Teacher', at(30)).participantId, 's1');
+    assert.deepEqual(handRaiseQueue.getQueue(log).map(entry => entry.position), [1, 2]);
+  });
+
+  it('lowers a hand anywhere in the queue and clears the rest', () => {
+    const log = handRaiseQueue.createLog({ id: 'M1' });
+    [ada, ben, cy].forEach((participant, i) => handRaiseQueue.raise(log, participant, at(i)));
+
+    assert.equal(handRaiseQueue.lower(log, 's2', { by: 'Teacher', reason: 'host' }, at(4)).name, 'Ben');
+    assert.equal(handRaiseQueue.lower(log, 's2'), null);
+    assert.equal(handRaiseQueue.clear(log, 'Teacher', at(5)).length, 2);
+    assert.equal(handRaiseQueue.callNext(log), null);
+    assert.deepEqual(handRaiseQueue.getQueue(log), []);
+    assert.deepEqual(log.events.map(event => [event.type, event.name, event.reason]), [
+      ['raised', 'Ada', undefined],
+      ['raised', 'Ben', undefined],
+      ['raised', 'Cy', undefined],
+      ['lowered', 'Ben', 'host'],
+      ['cleared', 'Ada', undefined],
+      ['cleared', 'Cy', undefined]
+    ]);
+  });
+
+  it('summarizes raises, calls and average wait per person across reconnects', () => {
+    const log = handRaiseQueue.createLog({ id: 'M1' });
+    handRaiseQueue.raise(log, ada, at(0));
+    handRaiseQueue.callNext(log, 'Teacher', at(20));
+    handRaiseQueue.raise(log, { ...ada, id: 's9' }, at(100)); // same account on a new socket
+    handRaiseQueue.raise(log, ben, at(101));
+    handRaiseQueue.callNext(log, 'Teacher', at(140));
+    handRaiseQueue.lower(log, 's2', {}, at(150));
+
+    const summary = handRaiseQueue.buildSummary(log);
+    assert.deepEqual(summary.participants, [
+      { name: 'Ada', userId: 'u1', raised: 2, called: 2, lowered: 0, averageWaitSeconds: 30 },
+      { name: 'Ben', userId: null, raised: 1, called: 0, lowered: 1, averageWaitSeconds: null }
+    ]);
+    assert.equal(summary.events.length, 6);
+  });
+});
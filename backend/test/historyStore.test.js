@@ -0,0 +1,154 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonHistoryAdapter, SqliteHistoryAdapter } from '../src/utils/historyStore.js';
+
+function history(id, { title = `Meeting ${id}`, createdAt, duration = 0, ownerId = null, userIds = [], status = 'completed', savedAt = new Date().toISOString() } = {}) {
+  return {
+    meeting: { id, title, host: 'Host', ownerId, participants: userIds.map(userId => ({ userId })), createdAt, endedAt: createdAt, duration, status },
+    highlights: { total: 0, data: [], summary: { byType: {} } },
+    recording: null,
+    transcript: { totalEntries: 0, data: [] },
+    summary: null,
+    attendance: { attendees: userIds.map(userId => ({ userId })) },
+    metadata: { savedAt }
+  };
+}
+
+// Keep the adapters' progress logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+
+const ADAPTERS = {
+  json: (dir) => new JsonHistoryAdapter({ path: path.join(dir, 'history') }),
+  sqlite: (dir) => new SqliteHistoryAdapter({ path: path.join(dir, 'history.db') })
+};
+
+for (const [name, createAdapter] of Object.entries(ADAPTERS)) {
+  describe(`${name} history adapter`, () => {
+    let dir;
+    let adapter;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), `history-${name}-`));
+      adapter = createAdapter(dir);
+      await adapter.open();
+
+      await adapter.save(history('A', { title: 'algebra', createdAt: '2026-01-03T09:00:00Z', duration: 30, ownerId: 'teacher', userIds: ['ada'] }));
+      await adapter.save(history('A_B', { title: 'Biology', createdAt: '2026-01-01T09:00:00Z', duration: 10, ownerId: 'ada' }));
+      await adapter.save(history('C', { title: 'chemistry', createdAt: '2026-01-02T09:00:00Z', duration: 20, userIds: ['ada', 'ben'], status: 'active' }));
+    });
+
+    after(async () => {
+      await adapter.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('saves, replaces and loads a meeting by its exact ID', async () => {
+      await adapter.save({ ...history('A', { title: 'algebra', createdAt: '2026-01-03T09:00:00Z', duration: 30, ownerId: 'teacher', userIds: ['ada'] }), summary: { tldr: 'x' } });
+
+      assert.deepEqual((await adapter.get('A')).summary, { tldr: 'x' });
+      assert.equal((await adapter.get('A_B')).meeting.title, 'Biology');
+      assert.equal(await adapter.get('missing'), null);
+      assert.equal((await adapter.all()).length, 3);
+    });
+
+    it('lists, sorts, pages and totals index entries', async () => {
+      const newest = await adapter.list();
+      assert.deepEqual(newest.entries.map(entry => entry.id), ['A', 'C', 'A_B']);
+      assert.deepEqual(newest.totals, { participants: 3, completed: 2, duration: 60 });
+
+      assert.deepEqual((await adapter.list({ sort: 'title', order: 'asc' })).entries.map(entry => entry.title), ['algebra', 'Biology', 'chemistry']);
+      assert.deepEqual((await adapter.list({ sort: 'duration', order: 'asc', limit: 1, offset: 1 })).entries.map(entry => entry.id), ['C']);
+
+      const page = await adapter.list({ limit: 2 });
+      assert.equal(page.total, 3);
+      assert.equal(page.entries.length, 2);
+    });
+
+    it('filters lists by owner, attendee and status', async () => {
+      const ids = async (filters) => (await adapter.list({ sort: 'title', order: 'asc', ...filters })).entries.map(entry => entry.id);
+
+      assert.deepEqual(await ids({ userId: 'ada' }), ['A', 'A_B', 'C']);
+      assert.deepEqual(await ids({ userId: 'ada', role: 'host' }), ['A_B']);
+      assert.deepEqual(await ids({ userId: 'ada', role: 'attendee' }), ['A', 'C']);
+      assert.deepEqual(await ids({ userId: 'teacher' }), ['A']);
+      assert.deepEqual(await ids({ status: 'active' }), ['C']);
+      assert.deepEqual(await ids({ userId: 'nobody' }), []);
+    });
+
+    it('deletes one meeting without touching others with a similar ID', async () => {
+      await adapter.save(history('D', { createdAt: '2026-01-04T09:00:00Z' }));
+      await adapter.save(history('D_2', { createdAt: '2026-01-04T09:00:00Z' }));
+
+      assert.equal(await adapter.delete('D'), true);
+      assert.equal(await adapter.delete('D'), false);
+      assert.ok(await adapter.get('D_2'));
+      assert.ok(!(await adapter.list()).entries.some(entry => entry.id === 'D'));
+      await adapter.delete('D_2');
+    });
+
+    it('deletes meetings saved before a date', async () => {
+      const old = new Date(Date.now() - 40 * 24 * 3600 * 1000);
+      await adapter.save(history('OLD', { createdAt: old.toISOString(), savedAt: old.toISOString() }));
+      if (name === 'json') {
+        // The JSON store goes by file time
+        const file = (await fs.readdir(adapter.historyDir)).find(entry => entry.startsWith('meeting_OLD_'));
+        await fs.utimes(path.join(adapter.historyDir, file), old, old);
+      }
+
+      const cutoff = new Date(Date.now() - 30 * 24 * 3600 * 1000);
+      assert.equal(await adapter.deleteSavedBefore(cutoff), 1);
+      assert.equal(await adapter.get('OLD'), null);
+      assert.equal((await adapter.list()).total, 3);
+    });
+
+    it('keeps everything when reopened', async () => {
+      await adapter.close();
+      adapter = createAdapter(dir);
+      await adapter.open();
+
+      assert.deepEqual((await adapter.list()).entries.map(entry => entry.id), ['A', 'C', 'A_B']);
+    });
+  });
+}
+
+describe('json history adapter files', () => {
+  it('refuses meeting IDs that point outside the history directory', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-paths-'));
+    try {
+      const adapter = new JsonHistoryAdapter({ path: path.join(dir, 'history') });
+      await adapter.open();
+
+      for (const id of ['../escape', 'a/../../escape', '/tmp/escape']) {
+        await assert.rejects(adapter.save(history(id, { createdAt: '2026-01-01T09:00:00Z' })), /outside the history directory/);
+        await assert.rejects(adapter.get(id), /outside the history directory/);
+        await assert.rejects(adapter.delete(id), /outside the history directory/);
+      }
+      assert.deepEqual(await fs.readdir(dir), ['history']);
+      await adapter.close();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+
+  it('rebuilds a lost index from the meeting files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-index-'));
+    try {
+      const adapter = new JsonHistoryAdapter({ path: dir });
+      await adapter.open();
+      await adapter.save(history('A', { createdAt: '2026-01-01T09:00:00Z', ownerId: 'ada' }));
+      await adapter.close();
+      await fs.rm(adapter.indexPath);
+
+      const reopened = new JsonHistoryAdapter({ path: dir });
+      await reopened.open();
+      assert.deepEqual((await reopened.list({ userId: 'ada' })).entries.map(entry => entry.id), ['A']);
+      await reopened.close();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep the service's logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+// Stand-in for the local Ollama server: unreachable unless a test sets its reply
+let ollamaReply = null;
+mock.method(globalThis, 'fetch', async () => {
+  if (ollamaReply === null) {
+    throw new Error('connect ECONNREFUSED 127.0.0.1:11434');
+  }
+  return { ok: true, json: async () => ({ response: ollamaReply }) };
+});
+
+// Imported after fetch is replaced, since the service looks for Ollama on load
+const { default: llmService } = await import('../src/utils/llmService.js');
+
+const LECTURE = [
+  'Photosynthesis happens inside the chloroplasts of every green plant cell.',
+  'Chlorophyll absorbs sunlight and passes its energy along to the chloroplasts.',
+  'During photosynthesis the plant combines carbon dioxide and water into glucose.',
+  'Oxygen leaves the leaves through small pores called stomata on the underside.',
+  'Glucose gives the plant energy, and extra glucose is stored as starch for later.',
+  'Without sunlight photosynthesis stops, so the stomata close and growth slows down.'
+].join(' ');
+
+const isWellFormed = (item) => item.question.length > 0 &&
+  item.options.length === 4 &&
+  new Set(item.options).size === 4 &&
+  Number.isInteger(item.correctOption) &&
+  item.correctOption >= 0 && item.correctOption < 4;
+
+describe('llmService quizzes', () => {
+  before(async () => {
+    await llmService.initializeLLM();
+  });
+
+  beforeEach(() => {
+    llmService.llmType = 'rule-based';
+    ollamaReply = null;
+  });
+
+  it('needs enough transcript to write a quiz', async () => {
+    const quiz = await llmService.generateQuizFromTranscript('M1', { transcript: 'Photosynthesis makes glucose from sunlight.' });
+    assert.deepEqual(quiz, { items: [], difficulty: 'medium', model: 'none' });
+  });
+
+  it('blanks out a key term of a lecture sentence and offers it among other terms', async () => {
+    const quiz = await llmService.generateQuizFromTranscript('M1', { transcript: LECTURE, count: 3, difficulty: 'extreme' });
+
+    assert.equal(quiz.model, 'rule-based');
+    assert.equal(quiz.difficulty, 'medium');
+    assert.equal(quiz.items.length, 3);
+    quiz.items.forEach(item => {
+      assert.ok(isWellFormed(item));
+      const sentence = item.explanation.match(/^The lecture said: "(.*)"$/)[1];
+      assert.ok(LECTURE.includes(sentence));
+      assert.ok(item.question.includes('_____'));
+      // Terms are offered as written mid-sentence, so the blank may start a sentence in lower case
+      const filledIn = item.question.replace('_____', item.options[item.correctOption]);
+      assert.equal(filledIn.toLowerCase(), `Fill in the blank: "${sentence}"`.toLowerCase());
+    });
+
+    assert.deepEqual(await llmService.generateQuizFromTranscript('M1', { transcript: LECTURE, count: 3 }), quiz);
+  });
+
+  it('keeps only well-formed questions from the model, up to the requested count', () => {
+    const items = llmService.normalizeQuizItems([
+      { question: ' What do plants make? ', options: [' Glucose', 'Salt', 'Iron', ''], correctOption: '0', explanation: ' From carbon dioxide and water. ' },
+      { question: '', options: ['A', 'B'], correctOption: 0 },
+      { question: 'Same options?', options: ['A', 'A'], correctOption: 0 },
+      { question: 'Answer out of range?', options: ['A', 'B'], correctOption: 2 },
+      { question: 'Half an answer?', options: ['A', 'B'], correctOption: 0.5 },
+      null,
+      { question: 'Which gas leaves?', options: ['Oxygen', 'Helium'], correctOption: 0 },
+      { question: 'One too many?', options: ['A', 'B'], correctOption: 1 }
+    ], 2);
+
+    assert.deepEqual(items, [
+      { question: 'What do plants make?', options: ['Glucose', 'Salt', 'Iron'], correctOption: 0, explanation: 'From carbon dioxide and water.' },
+      { question: 'Which gas leaves?', options: ['Oxygen', 'Helium'], correctOption: 0, explanation: '' }
+    ]);
+    assert.deepEqual(llmService.normalizeQuizItems({ questions: [] }, 5), []);
+  });
+
+  it('reads the questions Ollama returns and falls back when it returns nothing usable', async () => {
+    llmService.llmType = 'ollama';
+    const question = { question: 'Where does photosynthesis happen?', options: ['Chloroplasts', 'Roots', 'Stomata', 'Starch'], correctOption: 0, explanation: 'Inside the chloroplasts.' };
+
+    ollamaReply = JSON.stringify({ questions: [question, { question: 'Broken' }] });
+    assert.deepEqual(await llmService.generateQuizFromTranscript('M1', { transcript: LECTURE, difficulty: 'hard' }),
+      { items: [question], difficulty: 'hard', model: 'ollama-llama3.2' });
+
+    ollamaReply = JSON.stringify([question]);
+    assert.equal((await llmService.generateQuizFromTranscript('M1', { transcript: LECTURE })).items.length, 1);
+
+    for (const reply of ['Here are your questions: 1.', JSON.stringify({ questions: [{ question: 'Broken' }] })]) {
+      ollamaReply = reply;
+      const quiz = await llmService.generateQuizFromTranscript('M1', { transcript: LECTURE, count: 2 });
+      assert.equal(quiz.model, 'rule-based');
+      assert.equal(quiz.items.length, 2);
+    }
+  });
+});
+
+describe('llmService summaries', () => {
+  const entries = [
+    { speaker: 'Ms. Lee', text: 'Photosynthesis is the process plants use to turn sunlight into sugar.' },
+    { speaker: 'Ms. Lee', text: 'So we decided to have the photosynthesis test on Friday.' },
+    { speaker: 'Ms. Lee', text: 'Everyone please read chapter four by next Monday. Ben will prepare the slides on sunlight.' },
+    { speaker: 'Ms. Lee', text: 'I will send the worksheet tonight.' },
+    { speaker: 'Ben Ross', text: 'Why do leaves change colour in autumn?' },
+    { speaker: 'Ms. Lee', text: 'We are not sure how deep the roots go.' }
+  ];
+
+  beforeEach(() => {
+    llmService.llmType = 'rule-based';
+    ollamaReply = null;
+  });
+
+  it('needs enough transcript to write a summary', async () => {
+    assert.equal(await llmService.generateMeetingSummary('M1', { entries: entries.slice(0, 2) }), null);
+  });
+
+  it('picks out concepts, decisions, homework and open questions from the sentences', async () => {
+    const summary = await llmService.generateMeetingSummary('M1', { entries, participants: ['Ms. Lee', 'Ben Ross'] });
+
+    assert.equal(summary.model, 'rule-based');
+    assert.ok(!Number.isNaN(Date.parse(summary.generatedAt)));
+    assert.ok(summary.tldr.startsWith('Photosynthesis is the process'));
+    assert.deepEqual(summary.keyConcepts, [{ term: 'Photosynthesis', definition: 'The process plants use to turn sunlight into sugar' }]);
+    assert.deepEqual(summary.decisions, ['We decided to have the photosynthesis test on Friday']);
+    assert.deepEqual(summary.actionItems, [
+      { task: 'Everyone please read chapter four by next Monday', owner: 'Everyone', due: 'next Monday' },
+      { task: 'Ben will prepare the slides on sunlight', owner: 'Ben Ross', due: null },
+      { task: 'I will send the worksheet tonight', owner: 'Ms. Lee', due: 'tonight' }
+    ]);
+    assert.deepEqual(summary.openQuestions, ['Why do leaves change colour in autumn?', 'We are not sure how deep the roots go.']);
+  });
+
+  it('keeps only the expected fields of the summary Ollama returns', async () => {
+    llmService.llmType = 'ollama';
+    ollamaReply = JSON.stringify({
+      tldr: ' Plants make sugar from sunlight. ',
+      keyConcepts: [{ term: 'Photosynthesis', definition: 'Making sugar from light' }, { term: ' ', definition: 'No term' }, 'Chlorophyll'],
+      decisions: ['Test on Friday', 7, ''],
+      actionItems: [{ task: 'Read chapter four', owner: '', due: '' }, { owner: 'Ben' }],
+      openQuestions: 'Why autumn?',
+      confidence: 0.9
+    });
+
+    const summary = await llmService.generateMeetingSummary('M1', { entries });
+    assert.deepEqual({ ...summary, generatedAt: undefined }, {
+      tldr: 'Plants make sugar from sunlight.',
+      keyConcepts: [{ term: 'Photosynthesis', definition: 'Making sugar from light' }],
+      decisions: ['Test on Friday'],
+      actionItems: [{ task: 'Read chapter four', owner: 'Unassigned', due: null }],
+      openQuestions: [],
+      model: 'ollama-llama3.2',
+      generatedAt: undefined
+    });
+  });
+
+  it('falls back to the rule-based summary when Ollama gives no TL;DR or no JSON', async () => {
+    llmService.llmType = 'ollama';
+    for (const reply of [JSON.stringify({ keyConcepts: [] }), '{"tldr": "Plants']) {
+      ollamaReply = reply;
+      const summary = await llmService.generateMeetingSummary('M1', { entries });
+      assert.equal(summary.model, 'rule-based');
+      assert.equal(summary.keyConcepts[0].term, 'Photosynthesis');
+    }
+  });
+});
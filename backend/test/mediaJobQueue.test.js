@@ -0,0 +1,148 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The retry delay is read when the module loads
+process.env.MEDIA_JOB_RETRY_DELAY_MS = '20';
+const { default: mediaJobQueue, JobError } = await import('../src/utils/mediaJobQueue.js');
+
+// Keep the queue's progress logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolves with the job once it reaches a finished status. The queue's retry
+// timer doesn't keep the process alive, so the wait does.
+function finished(jobId) {
+  const keepAlive = setInterval(() => {}, 1000);
+  return new Promise((resolve) => {
+    const listener = (job) => {
+      if (job.id === jobId && ['completed', 'failed', 'cancelled'].includes(job.status)) {
+        mediaJobQueue.off('update', listener);
+        clearInterval(keepAlive);
+        resolve(job);
+      }
+    };
+    mediaJobQueue.on('update', listener);
+  });
+}
+
+function savedJob(id, status, finishedAt = null) {
+  return {
+    id, type: 'echo', meetingId: 'M1', ownerId: null, payload: { id }, status, attempts: status === 'queued' ? 0 : 1, maxAttempts: 3,
+    progress: null, result: null, error: null, createdAt: new Date(Date.now() - 10 * DAY_MS).toISOString(), startedAt: null,
+    finishedAt, nextRunAt: null, cancelledBy: null
+  };
+}
+
+describe('mediaJobQueue', () => {
+  let dir;
+  let storePath;
+  const attempts = new Map(); // payload id -> [attempt start times]
+
+  const readStore = async () => JSON.parse(await fs.readFile(storePath, 'utf8')).jobs;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-jobs-'));
+    storePath = path.join(dir, 'media-jobs.json');
+
+    mediaJobQueue.registerHandler('echo', async (payload) => payload);
+    mediaJobQueue.registerHandler('flaky', async ({ id, failures }, job) => {
+      attempts.set(id, [...(attempts.get(id) || []), Date.now()]);
+      if (job.attempt <= failures) {
+        throw new Error(`Attempt ${job.attempt} failed`);
+      }
+      return { attempt: job.attempt };
+    });
+    await mediaJobQueue.start({ path: storePath, workers: 2 });
+  });
+
+  after(async () => {
+    await mediaJobQueue.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejects jobs of an unknown type', async () => {
+    await assert.rejects(mediaJobQueue.enqueue('missing', {}), error => error instanceof JobError && error.status === 400);
+  });
+
+  it('retries a failed job after a growing delay', async () => {
+    const queued = await mediaJobQueue.enqueue('flaky', { id: 'retry', failures: 2 }, { meetingId: 'M1' });
+    const job = await finished(queued.id);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 3);
+    assert.deepEqual(job.result, { attempt: 3 });
+    assert.equal(job.error, null);
+
+    const [first, second, third] = attempts.get('retry');
+    assert.ok(second - first >= 20);
+    assert.ok(third - second >= 40);
+  });
+
+  it('fails a job once it runs out of attempts', async () => {
+    const queued = await mediaJobQueue.enqueue('flaky', { id: 'broken', failures: 5 }, { maxAttempts: 2 });
+    const job = await finished(queued.id);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 2);
+    assert.equal(job.error, 'Attempt 2 failed');
+    assert.equal(attempts.get('broken').length, 2);
+    assert.equal((await readStore()).find(saved => saved.id === job.id).status, 'failed');
+  });
+
+  it('cancels a queued job', async () => {
+    await mediaJobQueue.close();
+    const queued = await mediaJobQueue.enqueue('echo', { id: 'cancel' });
+    const cancelled = await mediaJobQueue.cancel(queued.id, 'admin');
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.cancelledBy, 'admin');
+    await assert.rejects(mediaJobQueue.cancel(queued.id), error => error.status === 409);
+    await assert.rejects(mediaJobQueue.cancel('missing'), error => error.status === 404);
+    await mediaJobQueue.start({ path: storePath });
+  });
+
+  it('runs the jobs left queued or running again after a restart and forgets old finished ones', async () => {
+    await mediaJobQueue.close();
+    mediaJobQueue.jobs.clear();
+    await fs.writeFile(storePath, JSON.stringify({ jobs: [
+      savedJob('interrupted', 'running'),
+      savedJob('waiting', 'queued'),
+      savedJob('recent', 'completed', new Date(Date.now() - DAY_MS).toISOString()),
+      savedJob('old', 'completed', new Date(Date.now() - 8 * DAY_MS).toISOString())
+    ] }));
+
+    const done = Promise.all([finished('interrupted'), finished('waiting')]);
+    await mediaJobQueue.start({ path: storePath });
+    assert.equal(mediaJobQueue.getJob('old'), null);
+
+    const [interrupted, waiting] = await done;
+    assert.deepEqual([interrupted.status, interrupted.attempts, interrupted.result], ['completed', 2, { id: 'interrupted' }]);
+    assert.deepEqual([waiting.status, waiting.attempts], ['completed', 1]);
+
+    await mediaJobQueue.writeQueue;
+    assert.deepEqual((await readStore()).map(job => [job.id, job.status]), [
+      ['interrupted', 'completed'],
+      ['waiting', 'completed'],
+      ['recent', 'completed']
+    ]);
+  });
+
+  it('forgets jobs finished over a week ago after each run', async () => {
+    const stale = savedJob('stale', 'failed', new Date(Date.now() - 8 * DAY_MS).toISOString());
+    mediaJobQueue.jobs.set(stale.id, stale);
+
+    const queued = await mediaJobQueue.enqueue('echo', { id: 'next' });
+    await finished(queued.id);
+    await mediaJobQueue.writeQueue;
+
+    assert.equal(mediaJobQueue.getJob('stale'), null);
+    assert.ok(!(await readStore()).some(job => job.id === 'stale'));
+    assert.ok(mediaJobQueue.getJob('recent'));
+  });
+});
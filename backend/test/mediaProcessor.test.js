@@ -0,0 +1,90 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mediaProcessor from '../src/utils/mediaProcessor.js';
+
+// Stand-in for ffmpeg, put first on the PATH. It logs its arguments and writes
+// the output, a concatenation getting the list of files it joined.
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_FFMPEG_LOG, JSON.stringify(args) + '\\n');
+fs.writeFileSync(args[args.length - 1], args.includes('concat') ? fs.readFileSync(args[args.indexOf('-i') + 1]) : '');
+`;
+
+// Keep the processor's progress logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+describe('mediaProcessor highlight reel', () => {
+  let dir;
+  let logPath;
+  let originalPath;
+  let originalTempDir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'highlight-reel-'));
+    const binDir = path.join(dir, 'bin');
+    await fs.mkdir(binDir);
+    await fs.writeFile(path.join(binDir, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+
+    logPath = path.join(dir, 'ffmpeg.log');
+    await fs.writeFile(logPath, '');
+    process.env.FAKE_FFMPEG_LOG = logPath;
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+    originalTempDir = mediaProcessor.tempDir;
+    mediaProcessor.tempDir = dir;
+  });
+
+  after(async () => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_FFMPEG_LOG;
+    mediaProcessor.tempDir = originalTempDir;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('cuts the highlights by priority and joins them between an intro and an outro', async () => {
+    const recordingPath = path.join(dir, 'recording.mp4');
+    const outputPath = path.join(dir, 'reel.mp4');
+    await fs.writeFile(recordingPath, '');
+
+    const highlights = [
+      { id: 'h2', timestamp: 5000, type: 'action', priority: 'low' },
+      { id: 'h1', timestamp: 30000, type: 'decision', priority: 'high', description: 'Ship it' }
+    ];
+    assert.equal(await mediaProcessor.generateHighlightReel(recordingPath, highlights, outputPath, { title: 'Algebra' }), outputPath);
+
+    const runs = (await fs.readFile(logPath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const outputs = runs.map(args => path.basename(args[args.length - 1]));
+    assert.equal(outputs.length, 6);
+    assert.deepEqual(outputs.slice(0, 3), ['highlight_0_h1.mp4', 'transition_0.mp4', 'highlight_1_h2.mp4']);
+    assert.match(outputs[3], /^intro_\d+\.mp4$/);
+    assert.match(outputs[4], /^outro_\d+\.mp4$/);
+    assert.equal(outputs[5], 'reel.mp4');
+
+    // A 25s clip centred on the decision, a 15s one from the start for the action
+    const [decision, transition, action, intro, , reel] = runs;
+    assert.deepEqual(decision.slice(0, 6), ['-i', recordingPath, '-ss', '17.5', '-t', '25']);
+    assert.ok(decision[decision.indexOf('-vf') + 1].startsWith("drawtext=text='🎯 HIGH PRIORITY - Ship it'"));
+    assert.deepEqual(action.slice(0, 6), ['-i', recordingPath, '-ss', '0', '-t', '15']);
+    assert.ok(action[action.indexOf('-vf') + 1].startsWith("drawtext=text='✅ LOW PRIORITY - ACTION'"));
+    assert.ok(transition[transition.indexOf('-vf') + 1].startsWith("drawtext=text='Next: action'"));
+    assert.ok(intro[intro.indexOf('-vf') + 1].startsWith("drawtext=text='Algebra\\n"));
+    assert.deepEqual(reel.slice(0, 6), ['-f', 'concat', '-safe', '0', '-i', reel[5]]);
+
+    // The reel plays intro, clips and transitions, outro in order, and the pieces are deleted
+    const pieces = runs.slice(0, 5).map(args => args[args.length - 1]);
+    const joined = [pieces[3], pieces[0], pieces[1], pieces[2], pieces[4]].map(file => `file '${file}'`).join('\n');
+    assert.equal(await fs.readFile(outputPath, 'utf8'), joined);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['bin', 'ffmpeg.log', 'recording.mp4', 'reel.mp4']);
+  });
+
+  it('refuses to cut a reel without highlights or a recording', async () => {
+    await assert.rejects(mediaProcessor.generateHighlightReel(path.join(dir, 'recording.mp4'), [], path.join(dir, 'none.mp4')), /No highlight timestamps/);
+    await assert.rejects(mediaProcessor.generateHighlightReel(path.join(dir, 'missing.mp4'), [{ id: 'h', timestamp: 0, type: 'action' }], path.join(dir, 'none.mp4')), /Full recording file not found/);
+  });
+});
@@ -0,0 +1,389 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mediaRecorder, { RecordingStateError } from '../src/utils/mediaRecorder.js';
+
+// Stand-ins for ffmpeg and ffprobe, put first on the PATH. ffmpeg logs its
+// arguments and writes an empty output; a level analysis (output `-`) prints
+// the input, so each test track file holds its own loudness measurements.
+const FAKE_FFMPEG = `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_FFMPEG_LOG, JSON.stringify(args) + '\\n');
+if (process.env.FAKE_FFMPEG_FAIL) {
+  process.stderr.write('Invalid filter graph');
+  process.exit(1);
+}
+const output = args[args.length - 1];
+if (output === '-') {
+  process.stdout.write(fs.readFileSync(args[args.indexOf('-i') + 1]));
+} else {
+  fs.writeFileSync(output, '');
+}
+`;
+
+// Audio-only uploads are named <participant>_audio_<n>.webm
+const FAKE_FFPROBE = `#!/usr/bin/env node
+process.stdout.write(process.argv[process.argv.length - 1].includes('_audio_') ? 'audio\\n' : 'video\\naudio\\n');
+`;
+
+// ametadata output for a track, `level(ms)` giving the RMS level of each half second
+function levels(durationMs, level) {
+  let output = '';
+  for (let time = 0; time < durationMs; time += 500) {
+    output += `frame:${time / 500} pts:${time} pts_time:${time / 1000}\nlavfi.astats.Overall.RMS_level=${level(time)}\n`;
+  }
+  return output;
+}
+
+// Keep the recorder's progress logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+
+describe('mediaRecorder ffmpeg commands', () => {
+  let dir;
+  let logPath;
+  let originalPath;
+
+  // The ffmpeg runs since the last call, as argument lists
+  async function takeRuns() {
+    const runs = (await fs.readFile(logPath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+    await fs.writeFile(logPath, '');
+    return runs;
+  }
+
+  const valueOf = (args, flag) => args[args.indexOf(flag) + 1];
+  const inputsOf = (args) => args.filter((arg, i) => args[i - 1] === '-i');
+
+  // A stopped 10s recording as saved for its media job: Ada and Ben on camera,
+  // Dan audio-only, Cy declined. Ben joins at 2.5s and is muted from 4s to 5s,
+  // and the recording is paused from 6s to 7s.
+  async function restore(meetingId) {
+    const trackDir = path.join(dir, meetingId);
+    await fs.mkdir(trackDir, { recursive: true });
+
+    const track = (participantId, kind, startOffset, endOffset) => ({
+      key: `${participantId}:${kind}:0`,
+      participantId,
+      participantName: participantId[0].toUpperCase() + participantId.slice(1),
+      userId: `user-${participantId}`,
+      kind,
+      filePath: path.join(trackDir, `${participantId}_${kind}_1.webm`),
+      startOffset,
+      endOffset,
+      chunks: 10,
+      bytes: 1000,
+      missingChunks: 0
+    });
+    const tracks = [track('ada', 'media', 0, 9500), track('ben', 'media', 2500, 10000), track('dan', 'audio', 1000, 3000)];
+
+    // Ada speaks for the first 5s, Ben from 5s on (2.5s into his upload)
+    await fs.writeFile(tracks[0].filePath, levels(9500, time => time < 5000 ? -20 : -60));
+    await fs.writeFile(tracks[1].filePath, levels(7500, time => time >= 2500 ? -20 : -60));
+    await fs.writeFile(tracks[2].filePath, levels(2000, () => -60));
+
+    const consent = (participantId, status) => ({ participantId, participantName: participantId, userId: `user-${participantId}`, status, updatedAt: new Date(0).toISOString() });
+    return mediaRecorder.restoreRecording({
+      meetingId,
+      sessionId: `recording_${meetingId}_1`,
+      recordingPath: path.join(dir, `recording_${meetingId}_1.mp4`),
+      trackDir,
+      startTime: 0,
+      endTime: 10000,
+      duration: 10000,
+      options: { declinedParticipants: 'placeholder' },
+      tracks,
+      muteIntervals: [['ben', [{ start: 4000, end: 5000 }]]],
+      pauses: [{ start: 6000, end: 7000 }],
+      consent: {
+        declinedParticipants: 'placeholder',
+        participants: [consent('ada', 'granted'), consent('ben', 'granted'), consent('cy', 'declined'), consent('dan', 'granted')],
+        log: []
+      }
+    });
+  }
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recorder-ffmpeg-'));
+    const binDir = path.join(dir, 'bin');
+    await fs.mkdir(binDir);
+    await fs.writeFile(path.join(binDir, 'ffmpeg'), FAKE_FFMPEG, { mode: 0o755 });
+    await fs.writeFile(path.join(binDir, 'ffprobe'), FAKE_FFPROBE, { mode: 0o755 });
+
+    logPath = path.join(dir, 'ffmpeg.log');
+    await fs.writeFile(logPath, '');
+    process.env.FAKE_FFMPEG_LOG = logPath;
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  });
+
+  after(async () => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_FFMPEG_LOG;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('muxes every track onto the recording timeline in a grid', async () => {
+    const recordingSession = await restore('M1');
+    assert.equal(await mediaRecorder.createRealMeetingRecording('M1'), recordingSession.recordingPath);
+
+    const [args] = await takeRuns();
+    assert.deepEqual(inputsOf(args), [
+      'anullsrc=r=48000:cl=stereo',
+      'color=c=#1a1a1a:s=1280x720:r=30',
+      ...Array.from(recordingSession.tracks.values(), track => track.filePath)
+    ]);
+    assert.equal(valueOf(args, '-t'), '10.000');
+    assert.equal(args[args.length - 1], recordingSession.recordingPath);
+
+    // Each voice starts when its recorder did, Ben is silent while muted and everyone while paused
+    const filters = valueOf(args, '-filter_complex').split(';');
+    assert.ok(filters.includes('[2:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,adelay=0|0[a2]'));
+    assert.ok(filters.includes("[3:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,adelay=2500|2500,volume=0:enable='between(t,4.000,5.000)'[a3]"));
+    assert.ok(filters.includes('[4:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,adelay=1000|1000[a4]'));
+    assert.ok(filters.includes("[0:a][a2][a3][a4]amix=inputs=4:duration=first:dropout_transition=0:normalize=0,volume=0:enable='between(t,6.000,7.000)'[aout]"));
+
+    // Ada, Ben and Cy's placeholder share a 2x2 grid, Dan has no tile
+    assert.ok(filters.includes('[3:v]setpts=PTS-STARTPTS+2.500/TB,scale=640:360:force_original_aspect_ratio=decrease,pad=640:360:(ow-iw)/2:(oh-ih)/2,setsar=1[v3]'));
+    assert.ok(filters.includes('[1:v][v2]overlay=0:0:eof_action=pass[o2]'));
+    assert.ok(filters.includes('[o2][v3]overlay=640:0:eof_action=pass[o3]'));
+    assert.ok(filters.includes('[o3][p0]overlay=0:360[po0]'));
+    assert.ok(!filters.some(filter => filter.startsWith('[4:v]')));
+    assert.ok(filters.some(filter => filter.startsWith('[po0]drawbox') && filter.includes("text='Recording paused'") && filter.endsWith('[paused]')));
+    assert.deepEqual(args.slice(args.indexOf('-map'), args.indexOf('-map') + 4), ['-map', '[paused]', '-map', '[aout]']);
+
+    // The recording is muxed once
+    await mediaRecorder.createRealMeetingRecording('M1');
+    assert.deepEqual(await takeRuns(), []);
+  });
+
+  it('rejects with the ffmpeg error and runs the mux again on the next call', async () => {
+    await restore('M2');
+    process.env.FAKE_FFMPEG_FAIL = '1';
+    try {
+      await assert.rejects(mediaRecorder.createRealMeetingRecording('M2'), /FFmpeg failed with code 1: Invalid filter graph/);
+    } finally {
+      delete process.env.FAKE_FFMPEG_FAIL;
+    }
+
+    await mediaRecorder.createRealMeetingRecording('M2');
+    assert.equal((await takeRuns()).length, 2);
+  });
+
+  it('writes each participant their own track, from their first upload to their last', async () => {
+    const recordingSession = await restore('M3');
+    const participantTracks = await mediaRecorder.createParticipantTracks('M3');
+
+    assert.deepEqual(participantTracks.map(({ participantId, startOffset, duration, hasVideo, path: trackPath }) => [participantId, startOffset, duration, hasVideo, path.basename(trackPath)]), [
+      ['ada', 0, 9500, true, 'participant_ada.mp4'],
+      ['ben', 2500, 7500, true, 'participant_ben.mp4'],
+      ['dan', 1000, 2000, false, 'participant_dan.m4a']
+    ]);
+    assert.equal(participantTracks[1].userId, 'user-ben');
+
+    const [ada, ben, dan] = await takeRuns();
+    const trackFile = (participantId) => Array.from(recordingSession.tracks.values()).find(track => track.participantId === participantId).filePath;
+
+    // Times are relative to the start of each participant's own track
+    assert.equal(valueOf(ada, '-t'), '9.500');
+    assert.ok(valueOf(ada, '-filter_complex').includes('[1:v][v2]overlay=0:0:eof_action=pass[o2]'));
+    assert.equal(ada[ada.length - 1], participantTracks[0].path);
+
+    const benFilters = valueOf(ben, '-filter_complex').split(';');
+    assert.equal(valueOf(ben, '-t'), '7.500');
+    assert.ok(benFilters.includes("[2:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,adelay=0|0,volume=0:enable='between(t,1.500,2.500)'[a2]"));
+    assert.ok(benFilters.some(filter => filter.startsWith('[0:a][a2]amix') && filter.includes("volume=0:enable='between(t,3.500,4.500)'")));
+
+    // Audio only, and the pause came after Dan left
+    assert.deepEqual(inputsOf(dan), ['anullsrc=r=48000:cl=stereo', trackFile('dan')]);
+    assert.equal(valueOf(dan, '-filter_complex'), '[1:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,adelay=0|0[a1];[0:a][a1]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]');
+    assert.deepEqual(dan.slice(dan.indexOf('-map'), dan.indexOf('-movflags')), ['-map', '[aout]', '-c:a', 'aac']);
+    assert.equal(valueOf(dan, '-t'), '2.000');
+  });
+
+  it('cuts the speaker composite to whoever is speaking, ignoring mutes and pauses', async () => {
+    const recordingSession = await restore('M4');
+    const composite = await mediaRecorder.createSpeakerComposite('M4');
+
+    // Ben leads from 5s, but the pause interrupts him, so the cut waits for three more windows after it
+    assert.deepEqual(composite.shots, [
+      { participantId: 'ada', start: 0, end: 7000 },
+      { participantId: 'ben', start: 7000, end: 10000 }
+    ]);
+    assert.equal(composite.path, recordingSession.recordingPath.replace(/\.mp4$/, '_speaker.mp4'));
+
+    const runs = await takeRuns();
+    const measured = runs.filter(args => args[args.length - 1] === '-');
+    assert.deepEqual(measured.map(args => path.basename(valueOf(args, '-i'))), ['ada_media_1.webm', 'ben_media_1.webm', 'dan_audio_1.webm']);
+
+    const args = runs[runs.length - 1];
+    const filters = valueOf(args, '-filter_complex').split(';');
+    assert.ok(filters.includes('[2:v]setpts=PTS-STARTPTS+0.000/TB,scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1[v2]'));
+    assert.ok(filters.includes("[1:v][v2]overlay=0:0:enable='between(t,0.000,7.000)':eof_action=pass[o2]"));
+    assert.ok(filters.includes("[o2][v3]overlay=0:0:enable='between(t,7.000,10.000)':eof_action=pass[o3]"));
+    assert.ok(!filters.some(filter => filter.includes('Not recorded')));
+    assert.equal(args[args.length - 1], composite.path);
+  });
+
+  it('leaves out and deletes every track of someone who withdrew consent, whichever connection uploaded it', async () => {
+    const originalRecordingDir = mediaRecorder.recordingDir;
+    mediaRecorder.recordingDir = dir;
+    try {
+      await mediaRecorder.startRecording('M5');
+    } finally {
+      mediaRecorder.recordingDir = originalRecordingDir;
+    }
+    const recordingSession = mediaRecorder.getRecordingSession('M5');
+    const upload = (participant, startedAt) => mediaRecorder.addAudioChunk('M5', Buffer.from('webm'), {
+      participantId: participant.id, participantName: participant.name, userId: participant.userId, sequence: 0, startedAt, timestamp: Date.now()
+    });
+
+    const ada = { id: 'socket-1', userId: 'user-ada', name: 'Ada' };
+    const ben = { id: 'socket-2', name: 'Ben' };
+    mediaRecorder.recordConsent('M5', ada, true);
+    mediaRecorder.recordConsent('M5', ben, true);
+    await upload(ada, 1);
+    await upload(ben, 1);
+
+    // Ada reconnects under a new socket id, keeps the consent given and uploads again, then withdraws it
+    const adaAgain = { ...ada, id: 'socket-3', name: 'Ada (Host)' };
+    assert.equal(mediaRecorder.requestConsent('M5', adaAgain), false);
+    assert.equal(mediaRecorder.getConsent('M5', adaAgain).status, 'granted');
+    await upload(adaAgain, 2);
+    assert.equal(recordingSession.tracks.size, 3);
+    mediaRecorder.recordConsent('M5', adaAgain, false);
+    assert.deepEqual(recordingSession.consentLog.map(entry => [entry.participantId, entry.action]), [
+      ['socket-1', 'granted'], ['socket-2', 'granted'], ['socket-3', 'withdrawn']
+    ]);
+    assert.equal(recordingSession.consents.size, 2);
+
+    await mediaRecorder.stopRecording('M5');
+    const adaFiles = Array.from(recordingSession.tracks.values()).filter(track => track.userId === 'user-ada').map(track => track.filePath);
+    const tracks = await mediaRecorder.getReadableTracks(recordingSession);
+    assert.deepEqual(tracks.map(track => track.participantId), ['socket-2']);
+    assert.equal(adaFiles.length, 2);
+    for (const filePath of adaFiles) {
+      await assert.rejects(fs.stat(filePath), { code: 'ENOENT' });
+    }
+  });
+});
+
+describe('mediaRecorder states', () => {
+  let dir;
+  let originalRecordingDir;
+  const changes = [];
+  const onState = ({ meetingId, state, previousState }) => changes.push([meetingId, previousState, state]);
+
+  // Session IDs and file names are made from the start time
+  const nextMillisecond = () => new Promise(resolve => setTimeout(resolve, 2));
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'recorder-states-'));
+    originalRecordingDir = mediaRecorder.recordingDir;
+    mediaRecorder.recordingDir = dir;
+    mediaRecorder.on('state', onState);
+  });
+
+  after(async () => {
+    mediaRecorder.off('state', onState);
+    mediaRecorder.recordingDir = originalRecordingDir;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('moves only along the transition table', async () => {
+    const refused = (action, message) => assert.throws(action, error => error instanceof RecordingStateError && error.status === 409 && message.test(error.message));
+
+    assert.equal(mediaRecorder.getRecordingState('S1'), 'idle');
+    refused(() => mediaRecorder.pauseRecording('S1'), /No recording found/);
+
+    await mediaRecorder.startRecording('S1');
+    await assert.rejects(mediaRecorder.startRecording('S1'), /already recording/);
+    refused(() => mediaRecorder.resumeRecording('S1'), /already recording/);
+    refused(() => mediaRecorder.completeRecording('S1', {}), /from recording to ready/);
+
+    mediaRecorder.pauseRecording('S1');
+    refused(() => mediaRecorder.pauseRecording('S1'), /already paused/);
+    mediaRecorder.resumeRecording('S1');
+    await mediaRecorder.stopRecording('S1');
+
+    await assert.rejects(mediaRecorder.startRecording('S1'), /from finalizing to recording/);
+    await assert.rejects(mediaRecorder.stopRecording('S1'), /already finalizing/);
+    refused(() => mediaRecorder.pauseRecording('S1'), /from finalizing to paused/);
+    mediaRecorder.completeRecording('S1', { recordingPath: 'recording.mp4' });
+    refused(() => mediaRecorder.failRecording('S1', 'late'), /from ready to failed/);
+    refused(() => mediaRecorder.pauseRecording('S1'), /from ready to paused/);
+
+    assert.deepEqual(changes.filter(([meetingId]) => meetingId === 'S1').map(([, from, to]) => `${from}->${to}`), [
+      'idle->recording', 'recording->paused', 'paused->recording', 'recording->finalizing', 'finalizing->ready'
+    ]);
+  });
+
+  it('starts a new recording with fresh tracks and consents once the last one is ready or failed', async () => {
+    const ada = { id: 'ada', name: 'Ada' };
+    const upload = (meetingId) => mediaRecorder.addAudioChunk(meetingId, Buffer.from('webm'), { participantId: 'ada', participantName: 'Ada', kind: 'media', sequence: 0, startedAt: Date.now(), timestamp: Date.now() });
+
+    await mediaRecorder.startRecording('S2', { declinedParticipants: 'placeholder' });
+    mediaRecorder.recordConsent('S2', ada, true);
+    await upload('S2');
+    mediaRecorder.pauseRecording('S2');
+    const first = await mediaRecorder.stopRecording('S2');
+    mediaRecorder.completeRecording('S2', { recordingPath: first.recordingPath });
+    assert.equal(first.tracks.length, 1);
+
+    await nextMillisecond();
+    const secondId = await mediaRecorder.startRecording('S2');
+    const second = mediaRecorder.getRecordingSession('S2');
+    assert.notEqual(secondId, first.sessionId);
+    assert.equal(second.state, 'recording');
+    assert.deepEqual([second.tracks.size, second.consents.size, second.pauses.length, second.result, second.jobId], [0, 0, 0, null, null]);
+    assert.equal(second.options.declinedParticipants, 'omit');
+    assert.equal(mediaRecorder.getHistoryRecording('S2'), null);
+
+    // Ada has to agree again before her uploads are kept
+    await upload('S2');
+    assert.equal(second.tracks.size, 0);
+    mediaRecorder.recordConsent('S2', ada, true);
+    await upload('S2');
+    assert.equal(second.tracks.size, 1);
+    assert.ok(Array.from(second.tracks.values())[0].filePath.startsWith(second.trackDir));
+    assert.ok(await fs.stat(first.tracks[0].filePath));
+
+    await mediaRecorder.stopRecording('S2');
+    mediaRecorder.failRecording('S2', 'FFmpeg is not available');
+    await nextMillisecond();
+    await mediaRecorder.startRecording('S2');
+    assert.equal(mediaRecorder.getRecordingState('S2'), 'recording');
+    assert.equal(mediaRecorder.getRecordingSession('S2').error, null);
+
+    assert.deepEqual(changes.filter(([meetingId]) => meetingId === 'S2').map(([, from, to]) => `${from}->${to}`), [
+      'idle->recording', 'recording->paused', 'paused->finalizing', 'finalizing->ready',
+      'ready->recording', 'recording->finalizing', 'finalizing->failed', 'failed->recording'
+    ]);
+  });
+
+  it('starts one recording when two starts race and keeps the previous one if the start fails', async () => {
+    const starts = await Promise.allSettled([mediaRecorder.startRecording('S3'), mediaRecorder.startRecording('S3')]);
+    assert.deepEqual(starts.map(start => start.status), ['fulfilled', 'rejected']);
+    assert.match(starts[1].reason.message, /from starting to recording/);
+    assert.equal(mediaRecorder.getRecordingSession('S3').sessionId, starts[0].value);
+
+    await mediaRecorder.stopRecording('S3');
+    mediaRecorder.completeRecording('S3', { recordingPath: 'recording.mp4' });
+    const ready = mediaRecorder.getRecordingSession('S3');
+
+    // A track directory can't be made under a file
+    await fs.writeFile(path.join(dir, 'not-a-dir'), '');
+    mediaRecorder.recordingDir = path.join(dir, 'not-a-dir');
+    try {
+      await assert.rejects(mediaRecorder.startRecording('S3'), /ENOTDIR/);
+      await assert.rejects(mediaRecorder.startRecording('S4'), /ENOTDIR/);
+    } finally {
+      mediaRecorder.recordingDir = dir;
+    }
+    assert.equal(mediaRecorder.getRecordingSession('S3'), ready);
+    assert.equal(mediaRecorder.getRecordingState('S3'), 'ready');
+    assert.equal(mediaRecorder.getRecordingState('S4'), 'idle');
+    assert.deepEqual(changes.filter(([meetingId]) => meetingId === 'S3').map(([, , to]) => to), ['recording', 'finalizing', 'ready']);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import meetingHistoryManager from '../src/utils/meetingHistory.js';
+
+describe('meetingHistoryManager', () => {
+  let historyDir;
+
+  before(async () => {
+    historyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-test-'));
+    await meetingHistoryManager.init({ type: 'json', path: historyDir });
+  });
+
+  after(async () => {
+    await meetingHistoryManager.close();
+    await fs.rm(historyDir, { recursive: true, force: true });
+  });
+
+  it('keeps both the summary and the recording when they are saved at the same time', async () => {
+    const recording = { sessionId: 'r1', recordingPath: null, startTime: 0, endTime: 1000, status: 'processing' };
+    await meetingHistoryManager.saveMeetingToHistory({ id: 'M1', title: 'Algebra' }, [], recording);
+
+    const summary = { tldr: 'Quadratics', model: 'test' };
+    const updates = Array.from({ length: 5 }, (_, i) => meetingHistoryManager.saveMeetingRecording('M1', { [`step${i}`]: true }));
+    const results = await Promise.all([
+      ...updates,
+      meetingHistoryManager.saveMeetingSummary('M1', summary),
+      meetingHistoryManager.saveMeetingRecording('M1', { status: 'ready', recordingPath: 'recordings/r1.webm' })
+    ]);
+
+    assert.ok(results.every(Boolean));
+    const saved = await meetingHistoryManager.getMeetingHistory('M1');
+    assert.deepEqual(saved.summary, summary);
+    assert.equal(saved.metadata.aiFeatures.summary, true);
+    assert.equal(saved.recording.status, 'ready');
+    assert.equal(saved.recording.recordingPath, 'recordings/r1.webm');
+    assert.ok([0, 1, 2, 3, 4].every(i => saved.recording[`step${i}`]));
+    assert.equal(meetingHistoryManager.writeQueues.size, 0);
+  });
+
+  it('carries on with the next write after one fails', async () => {
+    const failed = meetingHistoryManager.serializeWrite('M2', async () => {
+      throw new Error('disk full');
+    });
+    const next = meetingHistoryManager.serializeWrite('M2', async () => 'written');
+
+    await assert.rejects(failed, /disk full/);
+    assert.equal(await next, 'written');
+  });
+
+  it('imports a meeting once when the same import runs twice at the same time', async () => {
+    const meeting = { id: 'M3', title: 'Imported', createdAt: '2026-01-01T09:00:00Z', endedAt: '2026-01-01T10:00:00Z', duration: 3600000, status: 'completed', participants: ['Ada'] };
+    const owner = { id: 'u1', name: 'Ada' };
+    const [first, second] = await Promise.all([
+      meetingHistoryManager.importMeetings([meeting], owner),
+      meetingHistoryManager.importMeetings([meeting], owner)
+    ]);
+
+    assert.deepEqual([first.imported, second.imported].flat(), ['M3']);
+    assert.deepEqual([first.skipped, second.skipped].flat(), ['M3']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import permissionManager, { ROLES } from '../src/utils/permissions.js';
+
+const meeting = {
+  participants: [
+    { id: 'host', isHost: true, isApproved: true },
+    { id: 'co', role: ROLES.CO_HOST, isApproved: true },
+    { id: 'ta', role: ROLES.TEACHING_ASSISTANT, isApproved: true },
+    { id: 'student', isApproved: true },
+    { id: 'observer', role: ROLES.OBSERVER, isApproved: true },
+    { id: 'waiting', isApproved: false }
+  ]
+};
+
+// Which guarded events each role may send
+const MATRIX = {
+  'end_meeting': [ROLES.HOST],
+  'transfer-host': [ROLES.HOST],
+  'set-participant-role': [ROLES.HOST],
+  'approve-participant': [ROLES.HOST, ROLES.CO_HOST],
+  'remove-participant': [ROLES.HOST, ROLES.CO_HOST],
+  'start_recording': [ROLES.HOST, ROLES.CO_HOST],
+  'pause_recording': [ROLES.HOST, ROLES.CO_HOST],
+  'breakout-create': [ROLES.HOST, ROLES.CO_HOST],
+  'hand-call-next': [ROLES.HOST, ROLES.CO_HOST],
+  'poll-create': [ROLES.HOST, ROLES.CO_HOST, ROLES.TEACHING_ASSISTANT],
+  'start_question_generation': [ROLES.HOST, ROLES.CO_HOST, ROLES.TEACHING_ASSISTANT],
+  'poll-answer': [ROLES.HOST, ROLES.CO_HOST, ROLES.TEACHING_ASSISTANT, ROLES.STUDENT],
+  'raise-hand': [ROLES.HOST, ROLES.CO_HOST, ROLES.TEACHING_ASSISTANT, ROLES.STUDENT],
+  'chat-message': [ROLES.HOST, ROLES.CO_HOST, ROLES.TEACHING_ASSISTANT, ROLES.STUDENT],
+  'screen-share-start': [ROLES.HOST, ROLES.CO_HOST, ROLES.TEACHING_ASSISTANT, ROLES.STUDENT]
+};
+
+describe('permissionManager', () => {
+  it('derives roles from the participant, and none before admission', () => {
+    assert.equal(permissionManager.getRole(meeting, 'host'), ROLES.HOST);
+    assert.equal(permissionManager.getRole(meeting, 'student'), ROLES.STUDENT);
+    assert.equal(permissionManager.getRole(meeting, 'co'), ROLES.CO_HOST);
+    assert.equal(permissionManager.getRole(meeting, 'waiting'), null);
+    assert.equal(permissionManager.getRole(meeting, 'stranger'), null);
+    assert.equal(permissionManager.getRole(null, 'host'), null);
+  });
+
+  for (const [event, allowed] of Object.entries(MATRIX)) {
+    it(`allows ${event} for ${allowed.join(', ')} only`, () => {
+      const permission = permissionManager.getRequiredPermission(event);
+      assert.ok(permission, `${event} is guarded`);
+      for (const role of Object.values(ROLES)) {
+        assert.equal(permissionManager.hasPermission(role, permission), allowed.includes(role), `${role} ${event}`);
+      }
+      assert.equal(permissionManager.hasPermission(null, permission), false);
+    });
+  }
+
+  it('leaves unlisted events unguarded', () => {
+    assert.equal(permissionManager.getRequiredPermission('join-meeting'), null);
+    assert.equal(permissionManager.getRequiredPermission('audio_chunk'), null);
+  });
+
+  it('stops denied events in the socket guard and answers permission-denied', () => {
+    const emitted = [];
+    const socket = { id: 'student', emit: (event, data) => emitted.push([event, data]) };
+    const guard = permissionManager.createSocketGuard(socket, () => meeting);
+    let passed = 0;
+
+    guard(['chat-message', { meetingId: 'M' }], () => passed++);
+    guard(['end_meeting', { meetingId: 'M' }], () => passed++);
+    guard(['join-meeting', { meetingId: 'M' }], () => passed++);
+
+    assert.equal(passed, 2);
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0][0], 'permission-denied');
+    assert.deepEqual([emitted[0][1].event, emitted[0][1].role, emitted[0][1].permission], ['end_meeting', ROLES.STUDENT, 'end_meeting']);
+  });
+
+  it('denies guarded events for an unknown meeting', () => {
+    const emitted = [];
+    const guard = permissionManager.createSocketGuard({ id: 'host', emit: (event, data) => emitted.push(data) }, () => undefined);
+    let passed = false;
+
+    guard(['start_recording', { meetingId: 'missing' }], () => { passed = true; });
+
+    assert.equal(passed, false);
+    assert.equal(emitted[0].message, 'Meeting not found');
+  });
+});
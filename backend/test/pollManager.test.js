@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import pollManager, { PollError } from '../src/utils/pollManager.js';
+
+const host = { id: 'h', userId: 'teacher', name: 'Ms. Lee (Host)' };
+const ada = { id: 's1', userId: 'u1', name: 'Ada' };
+const ben = { id: 's2', name: 'Ben' };
+
+function newQuiz() {
+  const log = pollManager.createLog({ id: 'M1' });
+  const poll = pollManager.createPoll(log, { question: ' 2+2? ', options: ['3', ' 4 ', ' ', '5'], correctOption: 1, explanation: 'Count' }, host);
+  return { log, poll };
+}
+
+describe('pollManager', () => {
+  it('creates a quiz from trimmed options with the correct answer by index', () => {
+    const { poll } = newQuiz();
+    assert.equal(poll.type, 'quiz');
+    assert.equal(poll.question, '2+2?');
+    assert.deepEqual(poll.options.map(option => option.text), ['3', '4', '5']);
+    assert.equal(poll.correctOptionId, poll.options[1].id);
+    assert.equal(poll.createdBy, 'Ms. Lee');
+    assert.equal(poll.status, 'draft');
+  });
+
+  it('rejects invalid polls', () => {
+    const log = pollManager.createLog({ id: 'M1' });
+    const attempts = [
+      [{ question: '  ', options: ['a', 'b'] }, /Enter a question/],
+      [{ question: 'Q', options: ['a', ' '] }, /at least two options/],
+      [{ question: 'Q', options: Array.from({ length: 11 }, (_, i) => `o${i}`) }, /at most 10 options/],
+      [{ question: 'Q', options: ['a', 'b'], correctOption: 5 }, /must be one of the options/]
+    ];
+    attempts.forEach(([data, message]) => {
+      assert.throws(() => pollManager.createPoll(log, data, host), error => error instanceof PollError && message.test(error.message));
+    });
+    assert.equal(log.polls.length, 0);
+  });
+
+  it('runs one poll at a time, once, within the time limit bounds', () => {
+    const { log, poll } = newQuiz();
+    const other = pollManager.createPoll(log, { question: 'Ready?', options: ['yes', 'no'] }, host);
+    assert.equal(other.type, 'poll');
+
+    assert.throws(() => pollManager.startPoll(log, poll.id, 31 * 60), /at most 30 minutes/);
+    assert.equal(pollManager.startPoll(log, poll.id, 60), 60000);
+    assert.ok(poll.endsAt);
+    assert.throws(() => pollManager.startPoll(log, other.id), /Close the running poll first/);
+    assert.throws(() => pollManager.startPoll(log, poll.id), /already been run/);
+    assert.throws(() => pollManager.startPoll(log, 'missing'), /Poll not found/);
+
+    assert.equal(pollManager.endPoll(log, poll.id), true);
+    assert.equal(pollManager.endPoll(log, poll.id), false);
+    assert.equal(poll.endsAt, null);
+    assert.equal(pollManager.startPoll(log, other.id), null);
+  });
+
+  it('keeps one changeable answer per person while open and counts results', () => {
+    const { log, poll } = newQuiz();
+    const [three, four] = poll.options;
+    assert.throws(() => pollManager.answer(log, poll.id, ada, four.id), /closed/);
+
+    pollManager.startPoll(log, poll.id);
+    pollManager.answer(log, poll.id, ada, three.id);
+    pollManager.answer(log, poll.id, { ...ada, id: 's9' }, four.id); // same account after reconnecting
+    pollManager.answer(log, poll.id, ben, three.id);
+    assert.throws(() => pollManager.answer(log, poll.id, ben, 'nope'), /Choose one of the options/);
+
+    const results = pollManager.getResults(poll);
+    assert.equal(results.totalAnswers, 2);
+    assert.deepEqual(results.options.map(option => option.count), [1, 1, 0]);
+    assert.equal(results.correctCount, 1);
+
+    pollManager.endPoll(log, poll.id);
+    assert.throws(() => pollManager.answer(log, poll.id, ben, four.id), /closed/);
+  });
+
+  it('hides the answer key and other answers from students', () => {
+    const { log, poll } = newQuiz();
+    pollManager.startPoll(log, poll.id);
+    pollManager.answer(log, poll.id, ada, poll.options[1].id);
+
+    const view = pollManager.toPublic(poll);
+    assert.deepEqual(Object.keys(view).sort(), ['endsAt', 'id', 'options', 'question', 'status', 'type']);
+    assert.equal(pollManager.toResults(poll).correctOptionId, poll.correctOptionId);
+    assert.equal(pollManager.toHostView(poll).answers[0].name, 'Ada');
+  });
+
+  it('saves polls that were run with each answer marked correct or not', () => {
+    const { log, poll } = newQuiz();
+    pollManager.createPoll(log, { question: 'Draft', options: ['a', 'b'] }, host);
+    pollManager.startPoll(log, poll.id);
+    pollManager.answer(log, poll.id, ada, poll.options[1].id);
+    pollManager.answer(log, poll.id, ben, poll.options[0].id);
+    pollManager.endPoll(log, poll.id);
+
+    const history = pollManager.buildHistory(log);
+    assert.equal(history.length, 1);
+    assert.deepEqual(history[0].answers.map(answer => [answer.name, answer.option, answer.correct]), [['Ada', '4', true], ['Ben', '3', false]]);
+    assert.equal(history[0].explanation, 'Count');
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import rosterManager, { RosterError } from '../src/utils/rosterManager.js';
+
+// Keep the roster manager's logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+
+const isRosterError = (message) => (error) => error instanceof RosterError && error.status === 400 && message.test(error.message);
+
+describe('rosterManager', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'roster-test-'));
+    rosterManager.dataDir = dataDir;
+    rosterManager.storePath = path.join(dataDir, 'rosters.json');
+    await rosterManager.load();
+  });
+
+  after(async () => {
+    await rosterManager.writeQueue;
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('reads nothing from an empty CSV', () => {
+    [undefined, '', '\n  \r\n'].forEach(csv => assert.deepEqual(rosterManager.parseCSV(csv), []));
+    assert.deepEqual(rosterManager.parseCSV('Email,Name\n'), []);
+  });
+
+  it('reads columns by header name, in any order and with any separator', () => {
+    const csv = 'Student ID;Full Name;E-mail;Team\r\n7;"Lovelace, Ada";ADA@x.io;Lab A\r\n8;"Ben ""B"" Ross";;\r\n';
+    assert.deepEqual(rosterManager.parseCSV(csv), [
+      { email: 'ADA@x.io', name: 'Lovelace, Ada', studentId: '7', group: 'Lab A' },
+      { email: '', name: 'Ben "B" Ross', studentId: '8', group: '' }
+    ]);
+  });
+
+  it('reads email, name, student ID and group in order when there is no header', () => {
+    assert.deepEqual(rosterManager.parseCSV('ada@x.io\tAda\t7\tLab A\nben@x.io'), [
+      { email: 'ada@x.io', name: 'Ada', studentId: '7', group: 'Lab A' },
+      { email: 'ben@x.io', name: undefined, studentId: undefined, group: undefined }
+    ]);
+  });
+
+  it('rejects a malformed CSV instead of importing part of it', async () => {
+    assert.throws(() => rosterManager.parseCSV('id,group\n1,A'), isRosterError(/"email" or "name" column/));
+
+    const attempts = [
+      ['email,name\nada@x.io,Ada\n , ', /entry 2 needs an email or a name/],
+      ['email,name\nnot-an-email,Ada', /entry 1 has an invalid email: not-an-email/],
+      ['"Ada, ada@x.io', /entry 1 has an invalid email/]
+    ];
+    for (const [csv, message] of attempts) {
+      await assert.rejects(rosterManager.saveMembers('meeting', 'BAD001', 'u1', { csv }), isRosterError(message));
+    }
+    await assert.rejects(rosterManager.saveMembers('team', 'BAD001', 'u1', { csv: 'ada@x.io' }), isRosterError(/Unknown roster type/));
+    await assert.rejects(rosterManager.saveMembers('meeting', 'BAD001', 'u1', { members: 'ada@x.io' }), isRosterError(/must be a list/));
+    assert.equal(await rosterManager.getRoster('meeting', 'BAD001'), null);
+  });
+
+  it('updates members with a known email instead of adding them twice', async () => {
+    await rosterManager.saveMembers('meeting', 'ABC123', 'u1', { csv: 'email,name,group\nada@x.io,Ada,Lab A\n,Ben,Lab B' });
+    const [ada] = (await rosterManager.getRoster('meeting', 'ABC123')).members;
+
+    const roster = await rosterManager.saveMembers('meeting', 'ABC123', 'u1', { members: [{ email: 'ADA@x.io', name: 'Ada L.', group: 'Lab C' }] });
+    assert.deepEqual(roster.members.map(m => [m.name, m.email, m.group]), [['Ada L.', 'ada@x.io', 'Lab C'], ['Ben', '', 'Lab B']]);
+    assert.equal(roster.members[0].id, ada.id);
+
+    const replaced = await rosterManager.saveMembers('meeting', 'ABC123', 'u1', { csv: 'cy@x.io' }, { replace: true });
+    assert.deepEqual(replaced.members.map(m => m.name), ['cy']);
+    await assert.rejects(rosterManager.removeMember('meeting', 'ABC123', ada.id), { status: 404 });
+  });
+
+  it('matches joiners by account email first, then by display name', async () => {
+    await rosterManager.saveMembers('meeting', 'DEF456', 'u1', { csv: 'email,name\nada@x.io,Ada Lovelace\n,José  Núñez' }, { replace: true });
+    const meeting = { id: 'DEF456' };
+
+    const byAccount = rosterManager.matchMember(meeting, { email: 'Ada@X.io' }, 'Someone else');
+    assert.deepEqual([byAccount.match, byAccount.member.name], ['account', 'Ada Lovelace']);
+
+    const byName = rosterManager.matchMember(meeting, null, ' jose nunez ');
+    assert.deepEqual([byName.match, byName.member.name], ['name', 'José  Núñez']);
+    assert.equal(rosterManager.matchMember(meeting, { email: 'other@x.io' }, 'ada lovelace').match, 'name');
+  });
+
+  it('matches no one who is not on the roster, and nothing without a roster', async () => {
+    await rosterManager.saveMembers('class', 'class-1', 'u1', { csv: 'ada@x.io,Ada' }, { replace: true });
+    const scheduled = { id: 'GHI789', schedule: { classId: 'class-1' } };
+
+    assert.equal(rosterManager.matchMember(scheduled, { email: 'ben@x.io' }, 'Ben'), null);
+    assert.equal(rosterManager.matchMember(scheduled, null, ''), null);
+    assert.equal(rosterManager.matchMember(scheduled, null, 'Ada').match, 'name');
+    assert.equal(rosterManager.matchMember({ id: 'NOROST' }, { email: 'ada@x.io' }, 'Ada'), null);
+    assert.equal(rosterManager.matchMember(null, null, 'Ada'), null);
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedState } from '../src/utils/sharedState.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * In-memory stand-in for the part of a Redis server the shared state uses
+ * (hashes, sets, SET NX PX, the two lease scripts and pub/sub)
+ */
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.expiry = new Map();
+    this.subscribers = new Map();
+  }
+
+  read(key) {
+    if (this.expiry.has(key) && this.expiry.get(key) <= Date.now()) {
+      this.data.delete(key);
+      this.expiry.delete(key);
+    }
+    return this.data.get(key);
+  }
+
+  hash(key) {
+    if (!this.read(key)) this.data.set(key, new Map());
+    return this.data.get(key);
+  }
+
+  set(key) {
+    if (!this.read(key)) this.data.set(key, new Set());
+    return this.data.get(key);
+  }
+
+  createClient() {
+    const server = this;
+    const commands = {
+      sAdd: (key, member) => server.set(key).add(member),
+      sRem: (key, member) => server.set(key).delete(member),
+      del: (key) => server.data.delete(key),
+      hSet: (key, fields) => Object.entries(fields).forEach(([field, value]) => server.hash(key).set(field, value)),
+      hDel: (key, fields) => fields.forEach(field => server.hash(key).delete(field))
+    };
+    const client = {
+      on() {},
+      connect: async () => {},
+      quit: async () => {},
+      duplicate: () => server.createClient(),
+      sMembers: async (key) => Array.from(server.read(key) || []),
+      hGetAll: async (key) => Object.fromEntries(server.read(key) || []),
+      multi() {
+        const queued = [];
+        const transaction = {
+          exec: async () => queued.forEach(run => run())
+        };
+        Object.entries(commands).forEach(([name, run]) => {
+          transaction[name] = (...args) => {
+            queued.push(() => run(...args));
+            return transaction;
+          };
+        });
+        return transaction;
+      },
+      set: async (key, value, { NX, PX }) => {
+        if (NX && server.read(key) !== undefined) return null;
+        server.data.set(key, value);
+        server.expiry.set(key, Date.now() + PX);
+        return 'OK';
+      },
+      eval: async (script, { keys: [key], arguments: [owner, ttl] }) => {
+        if (server.read(key) !== owner) return 0;
+        if (script.includes('pexpire')) {
+          server.expiry.set(key, Date.now() + Number(ttl));
+        } else {
+          server.data.delete(key);
+          server.expiry.delete(key);
+        }
+        return 1;
+      },
+      subscribe: async (channel, listener) => {
+        if (!server.subscribers.has(channel)) server.subscribers.set(channel, []);
+        server.subscribers.get(channel).push(listener);
+      },
+      publish: async (channel, message) => {
+        (server.subscribers.get(channel) || []).forEach(listener => setImmediate(() => listener(message)));
+      }
+    };
+    return client;
+  }
+}
+
+const open = [];
+
+async function connect(redis, options = {}) {
+  const state = new SharedState();
+  const maps = ['meetings', 'chat'].map(name => state.createMap(name));
+  await state.init({ redisUrl: 'redis://fake', createClient: () => redis.createClient(), ...options });
+  open.push(state);
+  return { state, meetings: maps[0], chat: maps[1] };
+}
+
+// Let queued transactions and pub/sub deliveries run
+const settle = () => sleep(20);
+
+describe('sharedState', () => {
+  afterEach(async () => {
+    await Promise.all(open.splice(0).map(state => state.close()));
+  });
+
+  it('keeps concurrent participant and field changes from two instances', async () => {
+    const redis = new FakeRedis();
+    const a = await connect(redis);
+    const b = await connect(redis);
+
+    a.meetings.set('M1', { id: 'M1', title: 'Algebra', locked: false, participants: [{ id: 'host', name: 'Ada', isHost: true }] });
+    await settle();
+    const held = b.meetings.get('M1');
+    const heldHost = held.participants[0];
+
+    // Both instances change the same meeting before hearing from each other
+    a.meetings.get('M1').participants.push({ id: 'p1', name: 'Ben' });
+    a.meetings.get('M1').title = 'Algebra II';
+    held.participants.push({ id: 'p2', name: 'Cy' });
+    held.locked = true;
+    heldHost.isMuted = true;
+    a.state.sync('M1');
+    b.state.sync('M1');
+    await settle();
+
+    for (const meeting of [a.meetings.get('M1'), b.meetings.get('M1')]) {
+      assert.deepEqual(meeting.participants.map(p => p.id).sort(), ['host', 'p1', 'p2']);
+      assert.equal(meeting.title, 'Algebra II');
+      assert.equal(meeting.locked, true);
+      assert.equal(meeting.participants.find(p => p.id === 'host').isMuted, true);
+    }
+
+    // Remote changes land in the objects handlers already hold
+    assert.equal(b.meetings.get('M1'), held);
+    assert.equal(held.participants.find(p => p.id === 'host'), heldHost);
+  });
+
+  it('removes list items and entries everywhere, and a new instance loads the same state', async () => {
+    const redis = new FakeRedis();
+    const a = await connect(redis);
+    const b = await connect(redis);
+
+    a.meetings.set('M1', { id: 'M1', breakout: null, participants: [{ id: 'x' }, { id: 'y' }, { id: 'z' }] });
+    a.meetings.set('M2', { id: 'M2', participants: [] });
+    a.chat.set('M1', [{ id: 'c1', message: 'hi', at: new Date(0) }]);
+    await settle();
+
+    const meeting = a.meetings.get('M1');
+    meeting.participants = meeting.participants.filter(p => p.id !== 'y');
+    meeting.breakout = { rooms: [{ id: 'r1', name: 'Room 1' }] };
+    a.state.sync('M1');
+    a.meetings.delete('M2');
+    await settle();
+
+    const c = await connect(redis);
+    for (const peer of [b, c]) {
+      assert.deepEqual(peer.meetings.get('M1'), { id: 'M1', breakout: { rooms: [{ id: 'r1', name: 'Room 1' }] }, participants: [{ id: 'x' }, { id: 'z' }] });
+      assert.equal(peer.meetings.has('M2'), false);
+      assert.deepEqual(peer.chat.get('M1'), [{ id: 'c1', message: 'hi', at: new Date(0).toISOString() }]);
+    }
+  });
+
+  it('publishes in-place changes to entries read recently, and nothing else', async () => {
+    const redis = new FakeRedis();
+    const a = await connect(redis, { syncIntervalMs: 60000 });
+    const b = await connect(redis);
+    a.meetings.set('M1', { id: 'M1', count: 0 });
+    a.meetings.set('M2', { id: 'M2', count: 0 });
+    await settle();
+
+    let published = 0;
+    const publish = a.state.publish.bind(a.state);
+    a.state.publish = (...args) => { published++; publish(...args); };
+
+    a.meetings.get('M1').count = 1;
+    a.state.flush();
+    a.state.flush();
+    await settle();
+
+    assert.equal(published, 1);
+    assert.equal(b.meetings.get('M1').count, 1);
+  });
+
+  it('runs shared timers once, on the leader, and hands over when the leader leaves', async () => {
+    const redis = new FakeRedis();
+    const a = await connect(redis, { leaseMs: 150 });
+    const b = await connect(redis, { leaseMs: 150 });
+    assert.equal(a.state.isLeader, true);
+    assert.equal(b.state.isLeader, false);
+
+    const fired = [];
+    a.state.defineTimer('close', (id, data) => fired.push(['a', id, data]));
+    b.state.defineTimer('close', (id, data) => fired.push(['b', id, data]));
+
+    // Started on the follower, fired by the leader
+    b.state.schedule('close', 'M1', 0, { pollId: 'p1' });
+    await sleep(400);
+    assert.deepEqual(fired, [['a', 'M1', { pollId: 'p1' }]]);
+    assert.equal(b.state.isScheduled('close', 'M1'), false);
+
+    b.state.schedule('close', 'M2', 60000);
+    b.state.cancel('close', 'M2');
+    await a.state.close();
+    open.splice(open.indexOf(a.state), 1);
+    b.state.schedule('close', 'M3', 0);
+    await sleep(400);
+
+    assert.equal(b.state.isLeader, true);
+    assert.deepEqual(fired.slice(1), [['b', 'M3', null]]);
+  });
+
+  it('runs timers in-process without Redis', async () => {
+    const state = new SharedState();
+    await state.init({ redisUrl: null });
+    open.push(state);
+    let fired = 0;
+    state.defineTimer('expire', () => fired++);
+    state.schedule('expire', 'M1', 0);
+    state.runDueTimers();
+    state.runDueTimers();
+
+    assert.equal(state.isLeader, true);
+    assert.equal(fired, 1);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import stateStore, { serializeState, deserializeState } from '../src/utils/stateStore.js';
+
+// Keep the store's logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+function liveState() {
+  return {
+    meetings: new Map([
+      ['ABC123', {
+        id: 'ABC123',
+        createdAt: new Date('2026-03-02T10:00:00Z'),
+        participants: [{ id: 's1', name: 'Ada' }],
+        sentiment: new Map([['s1', new Map([['happy', 2]])]]),
+        ended: null
+      }]
+    ]),
+    highlights: new Map()
+  };
+}
+
+describe('state serialisation', () => {
+  it('rebuilds Maps at any depth', () => {
+    const state = deserializeState(serializeState(liveState()));
+
+    assert.ok(state.meetings instanceof Map);
+    const meeting = state.meetings.get('ABC123');
+    assert.ok(meeting.sentiment.get('s1') instanceof Map);
+    assert.equal(meeting.sentiment.get('s1').get('happy'), 2);
+    assert.deepEqual(meeting.participants, [{ id: 's1', name: 'Ada' }]);
+    assert.equal(meeting.ended, null);
+    assert.deepEqual(state.highlights, new Map());
+  });
+
+  it('turns Dates into ISO strings', () => {
+    const meeting = deserializeState(serializeState(liveState())).meetings.get('ABC123');
+    assert.equal(meeting.createdAt, '2026-03-02T10:00:00.000Z');
+  });
+
+  it('leaves plain objects that only look a little like Maps alone', () => {
+    const state = deserializeState(serializeState({ a: { __map: 'no' }, b: [1, { c: 2 }] }));
+    assert.deepEqual(state, { a: { __map: 'no' }, b: [1, { c: 2 }] });
+  });
+});
+
+for (const type of ['file', 'sqlite']) {
+  describe(`${type} state store`, () => {
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), `state-${type}-`));
+      await stateStore.init({ type, path: path.join(dir, type === 'file' ? 'live-state.json' : 'live-state.db') });
+    });
+
+    after(async () => {
+      await stateStore.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('loads nothing before the first snapshot', async () => {
+      assert.equal(await stateStore.load(), null);
+    });
+
+    it('saves collections and loads them back as Maps', async () => {
+      const startedAt = Date.now();
+      await stateStore.save(liveState());
+
+      const snapshot = await stateStore.load({ maxAgeMs: 60000 });
+      assert.ok(snapshot.savedAt >= startedAt && snapshot.savedAt <= Date.now());
+      assert.deepEqual(Object.keys(snapshot.collections).sort(), ['highlights', 'meetings']);
+      assert.equal(snapshot.collections.meetings.get('ABC123').sentiment.get('s1').get('happy'), 2);
+    });
+
+    it('ignores a snapshot older than the maximum age', async () => {
+      await stateStore.save(liveState());
+      const realNow = Date.now();
+      mock.method(Date, 'now', () => realNow + 10 * 60 * 1000);
+      try {
+        assert.equal(await stateStore.load({ maxAgeMs: 5 * 60 * 1000 }), null);
+        assert.ok(await stateStore.load());
+      } finally {
+        Date.now.mock.restore();
+      }
+    });
+
+    it('skips a collection that no longer parses and keeps the rest', async () => {
+      await stateStore.save(liveState());
+      const snapshot = await stateStore.adapter.read();
+      await stateStore.adapter.write({ ...snapshot, collections: { ...snapshot.collections, highlights: '{"__map": [' } });
+
+      const { collections } = await stateStore.load();
+      assert.deepEqual(Object.keys(collections), ['meetings']);
+      assert.ok(collections.meetings.has('ABC123'));
+    });
+
+    it('forgets the snapshot on clear', async () => {
+      await stateStore.save(liveState());
+      await stateStore.adapter.clear();
+      assert.equal(await stateStore.load(), null);
+    });
+  });
+}
+
+describe('state store setup', () => {
+  it('rejects an unknown adapter and accepts registered ones', async () => {
+    await assert.rejects(stateStore.init({ type: 'redis' }), /Unknown state store "redis" \(expected one of: file, sqlite\)/);
+
+    const written = [];
+    stateStore.registerAdapter('memory', () => ({
+      name: 'memory',
+      open: async () => {},
+      read: async () => written.at(-1) || null,
+      write: async (snapshot) => { written.push(snapshot); },
+      clear: async () => {},
+      close: async () => {}
+    }));
+    await stateStore.init({ type: 'memory' });
+
+    await stateStore.save({ polls: new Map([['p1', { question: 'Ready?' }]]) });
+    assert.equal(written[0].collections.polls, '{"__map":[["p1",{"question":"Ready?"}]]}');
+    assert.deepEqual((await stateStore.load()).collections.polls, new Map([['p1', { question: 'Ready?' }]]));
+
+    await stateStore.close();
+    assert.equal(await stateStore.load(), null);
+    await stateStore.save({ polls: new Map() });
+    assert.equal(written.length, 1);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import meetingHistoryManager from '../src/utils/meetingHistory.js';
+import transcriptIndex from '../src/utils/transcriptIndex.js';
+
+// Keep the index's logs out of the report (Node 20's runner can choke on them)
+mock.method(console, 'log', () => {});
+
+const t0 = Date.parse('2026-03-02T09:01:00Z');
+
+const biology = {
+  meeting: { id: 'BIO101', title: 'Cell biology', host: 'Ms. Lee', ownerId: 'teacher', createdAt: '2026-03-02T09:00:00Z', participants: [{ name: 'Ms. Lee' }] },
+  recording: { startTime: Date.parse('2026-03-02T09:00:30Z') },
+  transcript: {
+    data: [
+      { speaker: 'Ms. Lee', transcript: 'Mitochondria are the powerhouse of the cells.', timestamp: t0 },
+      { speaker: 'Ms. Lee', transcript: 'They turn glucose into energy for the cell.', timestamp: t0 + 20000 },
+      // Five minutes later, so a passage of its own
+      { speaker: 'Ada', transcript: 'Do plant cells have chloroplasts too?', timestamp: t0 + 5 * 60000 }
+    ]
+  },
+  chat: { data: [{ userName: 'Ben', message: 'What about ribosomes?', timestamp: '2026-03-02T09:10:00Z' }] },
+  highlights: { data: [{ type: 'question', description: 'Ben asked about ribosomes', timestamp: t0 + 9 * 60000 }, { type: 'reaction' }] },
+  attendance: { attendees: [{ userId: 'ada', name: 'Ada' }, { userId: 'ben', name: 'Ben' }] }
+};
+
+const algebra = {
+  meeting: { id: 'ALG201', title: 'Algebra basics', host: 'Mr. Roy', createdAt: '2026-03-05T14:00:00Z', participants: [{ name: 'Mr. Roy' }, { name: 'Ada' }] },
+  recording: null,
+  transcript: {
+    data: [
+      { speaker: 'Mr. Roy', transcript: 'Quadratic equations have two roots. Type the formula into a spreadsheet cell and check both roots against the graph of the parabola.', timestamp: Date.parse('2026-03-05T14:02:00Z') }
+    ]
+  },
+  highlights: { data: [] },
+  attendance: { attendees: [{ userId: 'ada', name: 'Ada' }] }
+};
+
+// The index is built from these instead of the history files
+mock.method(meetingHistoryManager, 'getAllMeetingHistories', async () => [algebra, biology]);
+
+describe('transcriptIndex', () => {
+  beforeEach(() => {
+    transcriptIndex.reset();
+  });
+
+  it('drops stop words and folds plurals when tokenizing', () => {
+    assert.deepEqual(transcriptIndex.tokenize('What are the CELLS in class 3? Glass roots, cells!'), ['cell', '3', 'glass', 'root', 'cell']);
+    assert.deepEqual(transcriptIndex.tokenize(null), []);
+  });
+
+  it('cuts transcripts into passages on long runs and pauses, with their time in the recording', () => {
+    const passages = transcriptIndex.buildPassages(biology);
+    assert.deepEqual(passages.map(p => [p.source, p.speakers, p.offsetSeconds]), [
+      ['title', [], 0],
+      ['transcript', ['Ms. Lee'], 30],
+      ['transcript', ['Ada'], 330],
+      ['chat', ['Ben'], 570],
+      ['highlight', [], 570]
+    ]);
+    assert.equal(passages[1].text, 'Ms. Lee: Mitochondria are the powerhouse of the cells. Ms. Lee: They turn glucose into energy for the cell.');
+    assert.equal(passages[4].text, 'question: Ben asked about ribosomes');
+
+    const words = Array(40).fill('photosynthesis').join(' ');
+    const long = { meeting: { id: 'L', createdAt: biology.meeting.createdAt }, transcript: { data: [1, 2, 3].map(i => ({ transcript: words, timestamp: t0 + i * 1000 })) } };
+    assert.deepEqual(transcriptIndex.buildPassages(long).map(p => p.text.split(' ').length), [80, 40]);
+  });
+
+  it('ranks the passages that use the search words most, best first', async () => {
+    const results = await transcriptIndex.search('cells mitochondria');
+
+    assert.equal(results[0].meetingId, 'BIO101');
+    assert.equal(results[0].timestamp, new Date(t0).toISOString());
+    assert.ok(results.every((result, i) => i === 0 || result.score <= results[i - 1].score));
+    assert.ok(results.every(result => !('termFrequency' in result) && !('length' in result)));
+    assert.deepEqual(new Set(results.map(result => result.meetingId)), new Set(['BIO101', 'ALG201']));
+
+    assert.deepEqual((await transcriptIndex.search('ribosomes', { sources: ['chat'] })).map(r => r.text), ['Ben: What about ribosomes?']);
+    assert.deepEqual((await transcriptIndex.search('cell', { meetingIds: ['ALG201', 'GONE'] })).map(r => r.meetingId), ['ALG201']);
+    assert.equal((await transcriptIndex.search('cells', { limit: 1 })).length, 1);
+    assert.deepEqual(await transcriptIndex.search('what is the'), []);
+    assert.deepEqual(await transcriptIndex.search('photosynthesis'), []);
+  });
+
+  it('groups history search results by meeting and keeps access lists to itself', async () => {
+    const { total, terms, results } = await transcriptIndex.searchHistory('cells');
+
+    assert.equal(total, 2);
+    assert.deepEqual(terms, ['cell']);
+    assert.deepEqual(results.map(result => result.meeting.meetingId), ['BIO101', 'ALG201']);
+    assert.equal(results[0].matches.length, 3);
+    assert.ok(results.every(result => !('ownerId' in result.meeting) && !('userIds' in result.meeting)));
+    assert.deepEqual(results[0].meeting.participants, ['Ms. Lee', 'Ada', 'Ben']);
+
+    const page = await transcriptIndex.searchHistory('cells', { limit: 1, offset: 1 });
+    assert.deepEqual([page.total, page.results.map(result => result.meeting.meetingId)], [2, ['ALG201']]);
+    assert.equal((await transcriptIndex.searchHistory('cells', { meetingIds: ['ALG201'] })).total, 1);
+  });
+
+  it('lists every meeting passing the filters, newest first, without search words', async () => {
+    const ids = async (filters) => (await transcriptIndex.searchHistory('', { filters })).results.map(result => result.meeting.meetingId);
+
+    assert.deepEqual(await ids({}), ['ALG201', 'BIO101']);
+    assert.deepEqual(await ids({ to: '2026-03-02' }), ['BIO101']);
+    assert.deepEqual(await ids({ from: '2026-03-03' }), ['ALG201']);
+    assert.deepEqual(await ids({ host: 'lee' }), ['BIO101']);
+    assert.deepEqual(await ids({ participant: 'ben' }), ['BIO101']);
+    assert.deepEqual(await ids({ participant: 'ada' }), ['ALG201', 'BIO101']);
+    assert.deepEqual(await ids({ highlightType: 'question' }), ['BIO101']);
+    assert.deepEqual(await ids({ hasRecording: false }), ['ALG201']);
+    assert.deepEqual(await ids({ host: 'nobody' }), []);
+  });
+
+  it('finds a meeting by its new words once re-indexed and not at all once removed', async () => {
+    await transcriptIndex.ensureLoaded();
+    const passageCount = transcriptIndex.passageCount;
+
+    transcriptIndex.indexMeeting({ ...algebra, transcript: { data: [{ transcript: 'Today we factor polynomials.', timestamp: t0 }] } });
+    assert.equal(transcriptIndex.passageCount, passageCount);
+    assert.deepEqual((await transcriptIndex.search('polynomial')).map(r => r.meetingId), ['ALG201']);
+    assert.deepEqual(await transcriptIndex.search('parabola'), []);
+
+    transcriptIndex.removeMeeting('ALG201');
+    assert.deepEqual(await transcriptIndex.search('polynomial'), []);
+    assert.equal(transcriptIndex.documentFrequency.has('polynomial'), false);
+    assert.deepEqual((await transcriptIndex.listMeetings()).map(meeting => meeting.meetingId), ['BIO101']);
+  });
+
+  it('cuts long passages down to the words around the first match', () => {
+    const text = `${'Intro words. '.repeat(20)}Mitochondria make energy. ${'Outro words. '.repeat(20)}`;
+    const snippet = transcriptIndex.buildSnippet(text, ['mitochondria']);
+
+    assert.ok(snippet.startsWith('...') && snippet.endsWith('...'));
+    assert.ok(snippet.includes('Mitochondria make energy.'));
+    assert.equal(transcriptIndex.buildSnippet('Short passage', ['passage']), 'Short passage');
+  });
+});
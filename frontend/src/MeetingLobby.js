@@ -9,12 +9,14 @@ import {
   Avatar,
   Chip,
   CircularProgress,
-  TextField
+  TextField,
+  Alert
 } from '@mui/material';
-import io from 'socket.io-client';
-import { getBackendUrl } from './config/network';
+import { createSocket, getParticipantToken, storeParticipantToken } from './services/socketService';
+import { isAuthenticated } from './services/authService';
 import { createMeeting, storeMeeting } from './services/meetingsService';
-import { formatMeetingCode } from './services/meetingCodeService';
+import { formatMeetingCode, openHostedMeeting } from './services/meetingCodeService';
+import { getScheduledSession, formatSessionTime } from './services/scheduleService';
 import './css/MeetingLobby.css';
 
 const MeetingLobby = () => {
@@ -30,6 +32,8 @@ const MeetingLobby = () => {
   const [isHost, setIsHost] = useState(false);
   const [error, setError] = useState('');
   const [hasJoined, setHasJoined] = useState(false);
+  const [scheduledSession, setScheduledSession] = useState(null);
+  const [notStarted, setNotStarted] = useState(null);
   
   // Use ref to store username persistently
   const usernameRef = useRef('');
@@ -42,9 +46,19 @@ const MeetingLobby = () => {
     meetingTitleRef.current = meetingTitle;
   }, [meetingTitle]);
 
+  // Scheduled classes carry their own title and start time
+  useEffect(() => {
+    getScheduledSession(meetingId).then((session) => {
+      setScheduledSession(session);
+      if (session) {
+        setMeetingTitle(session.title);
+      }
+    });
+  }, [meetingId]);
+
   useEffect(() => {
     // Initialize socket connection
-    const newSocket = io(getBackendUrl());
+    const newSocket = createSocket();
     setSocket(newSocket);
 
     newSocket.on('connect', () => {
@@ -110,6 +124,11 @@ const MeetingLobby = () => {
       }
     });
 
+    // Keep the participant token so the meeting room resumes this seat instead of re-queueing
+    newSocket.on('participant-session', (data) => {
+      storeParticipantToken(meetingId, data.participantToken);
+    });
+
     newSocket.on('waiting-for-approval', (data) => {
       console.log('Waiting for approval:', data);
       // Only set waiting if user is not a host
@@ -144,6 +163,14 @@ const MeetingLobby = () => {
       navigate(`/meeting/${meetingId}?user=${currentUsername.trim()}&approved=true`);
     });
 
+    // The class hasn't opened yet - back to the form so the user can try again later
+    newSocket.on('meeting-not-started', (data) => {
+      console.log('Scheduled class not open yet:', data);
+      setNotStarted(data);
+      setHasJoined(false);
+      setIsWaiting(false);
+    });
+
     newSocket.on('participant-rejected', () => {
       console.log('Participant rejected');
       alert('You have been rejected from the meeting');
@@ -159,7 +186,7 @@ const MeetingLobby = () => {
     };
   }, [meetingId, navigate]);
 
-  const handleJoinMeeting = () => {
+  const handleJoinMeeting = async () => {
     if (!username.trim()) {
       setError('Please enter a username');
       return;
@@ -170,6 +197,12 @@ const MeetingLobby = () => {
       return;
     }
 
+    // Hosting requires a signed-in account - the server ignores host requests from guests
+    if (isHost && !isAuthenticated()) {
+      setError('Please sign in to host a meeting');
+      return;
+    }
+
     // If joining as host, require meeting title
     const titleForValidation = meetingTitleRef.current || meetingTitle;
     console.log('🔍 Lobby: Checking meeting title for host:', { isHost, meetingTitle: titleForValidation, trimmed: titleForValidation.trim() });
@@ -179,16 +212,29 @@ const MeetingLobby = () => {
     }
 
     setError('');
-    setHasJoined(true);
+    setNotStarted(null);
     
     // Ensure username ref is updated
     const trimmedUsername = username.trim();
     usernameRef.current = trimmedUsername;
     
-    
-    // Join the meeting
     const titleForSending = meetingTitleRef.current || meetingTitle;
     const meetingTitleToSend = isHost ? titleForSending.trim() : null;
+    
+    // A host opens the meeting under their account first, joining never makes anyone its owner
+    if (isHost) {
+      try {
+        await openHostedMeeting(meetingId, meetingTitleToSend, trimmedUsername);
+      } catch (error) {
+        console.error('❌ Lobby: Failed to open meeting:', error);
+        setError(error.message);
+        return;
+      }
+    }
+    
+    setHasJoined(true);
+    
+    // Join the meeting
     console.log('🔍 Lobby: About to emit join-meeting with:', { 
       meetingId, 
       userName: trimmedUsername,
@@ -202,8 +248,9 @@ const MeetingLobby = () => {
     socket.emit('join-meeting', { 
       meetingId, 
       userName: trimmedUsername,
-      meetingTitle: meetingTitleToSend
-      // Backend will determine if user becomes host based on being first participant
+      meetingTitle: meetingTitleToSend,
+      resumeToken: getParticipantToken(meetingId)
+      // Backend determines host status from the signed-in account that created the meeting
     });
   };
 
@@ -212,6 +259,7 @@ const MeetingLobby = () => {
       socket.emit('leave-meeting', { meetingId });
       socket.close();
     }
+    storeParticipantToken(meetingId, null);
     navigate('/');
   };
 
@@ -231,6 +279,19 @@ const MeetingLobby = () => {
             Meeting Code: {formatMeetingCode(meetingId)}
           </Typography>
 
+          {scheduledSession && (
+            <Typography variant="body2" color="text.secondary">
+              📅 {scheduledSession.title} · {formatSessionTime(scheduledSession.startTime)}
+            </Typography>
+          )}
+
+          {notStarted && !hasJoined && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              {notStarted.title} starts at {formatSessionTime(notStarted.startTime)}.
+              You can join from {new Date(notStarted.opensAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+            </Alert>
+          )}
+
           {!hasJoined ? (
             // Username Entry Form
             <Box component="form" className="lobby-form">
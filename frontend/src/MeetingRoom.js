@@ -7,18 +7,24 @@ import {
   Menu,
   MenuItem,
   ListItemIcon,
-  ListItemText
+  ListItemText,
+  Snackbar,
+  Alert
 } from '@mui/material';
-import { People, BugReport, Star, Psychology } from '@mui/icons-material';
+import { People, BugReport, Star, Psychology, MeetingRoom as BreakoutIcon, Poll } from '@mui/icons-material';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { getBackendUrl } from './config/network';
 import { updateMeetingStatus } from './services/meetingsService';
 import { formatMeetingCode } from './services/meetingCodeService';
+import { storeParticipantToken, storeHostReclaimToken } from './services/socketService';
+import { isAuthenticated } from './services/authService';
 import './css/MeetingRoom.css';
 
 // Import custom hooks
 import useUltraSimplePeer from './hooks/useUltraSimplePeer';
 import { useChat } from './hooks/useChat';
+import { useRaiseHand } from './hooks/useRaiseHand';
+import { usePolls } from './hooks/usePolls';
 import { useMediaControls } from './hooks/useMediaControls';
 import useSentimentAnalysis from './hooks/useSentimentAnalysis';
 import useFatigueDetection from './hooks/useFatigueDetection';
@@ -29,6 +35,12 @@ import MeetingControls from './components/MeetingControls';
 import ChatSidebar from './components/ChatSidebar';
 import ParticipantsDialog from './components/ParticipantsDialog';
 import PendingApprovalsDialog from './components/PendingApprovalsDialog';
+import RosterDialog from './components/RosterDialog';
+import BreakoutRoomsDialog from './components/BreakoutRoomsDialog';
+import CountdownChip from './components/CountdownChip';
+import PollsPanel from './components/PollsPanel';
+import QuizGeneratorDialog from './components/QuizGeneratorDialog';
+import PollAnswerDialog from './components/PollAnswerDialog';
 import SentimentDashboard from './components/SentimentDashboard';
 import FatigueAlert from './components/FatigueAlert';
 import AudioTroubleshooter from './components/AudioTroubleshooter';
@@ -36,6 +48,7 @@ import CompatibilityTestResults from './components/CompatibilityTestResults';
 import QuestionSuggestion from './components/QuestionSuggestion';
 import HostCameraRequest from './components/HostCameraRequest';
 import ParticipantConsentDialog from './components/ParticipantConsentDialog';
+import RecordingConsentDialog from './components/RecordingConsentDialog';
 
 // Import device compatibility utilities
 import { runCompatibilityTest, getErrorMessage, getRecommendations } from './utils/deviceCompatibility';
@@ -88,6 +101,16 @@ const MeetingRoom = () => {
   
   // AI Status state
   const [aiStatus, setAiStatus] = useState(null);
+  
+  // Transient meeting notices (permission denials, host changes)
+  const [meetingNotice, setMeetingNotice] = useState(null);
+  // Roster being edited from the approvals dialog ({ type, targetId })
+  const [rosterTarget, setRosterTarget] = useState(null);
+  const [showBreakoutRooms, setShowBreakoutRooms] = useState(false);
+  const [showPolls, setShowPolls] = useState(false);
+  const [showQuizGenerator, setShowQuizGenerator] = useState(false);
+  // Poll (or shared results) the student closed, so it stays closed until the next one
+  const [hiddenPollKey, setHiddenPollKey] = useState(null);
   // Refs (localVideoRef comes from useWebRTC hook)
 
   // Custom hooks
@@ -95,6 +118,7 @@ const MeetingRoom = () => {
     localStream,
     remoteStreams,
     participants,
+    allParticipants,
     isConnected,
     pendingApprovals,
     showPendingApprovals,
@@ -105,7 +129,23 @@ const MeetingRoom = () => {
     initializeMedia,
     approveParticipant,
     rejectParticipant,
+    resolveParticipants,
+    meetingRoster,
+    requestMeetingRoster,
+    breakout,
+    breakoutRoomId,
+    createBreakoutRooms,
+    moveToBreakoutRoom,
+    broadcastToBreakoutRooms,
+    startBreakoutTimer,
+    closeBreakoutRooms,
+    setParticipantRole,
+    transferHost,
+    resumedMediaState,
+    clearResumedMediaState,
     isHost,
+    role,
+    canModerate,
     socket,
     forceConnection,
     createConnectionsToAllParticipants,
@@ -125,6 +165,43 @@ const MeetingRoom = () => {
     handleNewMessageChange
   } = useChat(socket, meetingId, finalUserName);
 
+  // Raise-hand queue for ordered speaking turns
+  const {
+    handQueue,
+    isHandRaised,
+    toggleHand,
+    callNext,
+    clearHands,
+    lowerHand
+  } = useRaiseHand(socket, meetingId);
+
+  // Live polls and quizzes - host, co-hosts and teaching assistants run them
+  const canManagePolls = canModerate || role === 'teaching-assistant';
+  const {
+    polls,
+    activePoll,
+    myAnswers,
+    sharedResults,
+    pollError,
+    clearPollError,
+    quizDraft,
+    generatingQuiz,
+    generateQuiz,
+    createPoll,
+    startPoll,
+    endPoll,
+    sharePollResults,
+    answerPoll
+  } = usePolls(socket, meetingId, canManagePolls);
+  const shownPollKey = sharedResults ? `${sharedResults.id}:results` : activePoll ? `${activePoll.id}:poll` : null;
+
+  useEffect(() => {
+    if (pollError) {
+      setMeetingNotice({ severity: 'warning', message: pollError });
+      clearPollError();
+    }
+  }, [pollError, clearPollError]);
+
   // AI Features - Sentiment Analysis (only for participants, not host)
   const {
     modelsLoaded,
@@ -140,13 +217,13 @@ const MeetingRoom = () => {
     finalUserName
   );
 
-  // AI Features - Fatigue Detection (only for host)
+  // AI Features - Fatigue Detection (host and co-hosts)
   const {
     fatigueAlert,
     dismissFatigueAlert,
     fatigueHistory,
     isAnalyzing: isFatigueAnalyzing
-  } = useFatigueDetection(sentimentData, isHost, socket);
+  } = useFatigueDetection(sentimentData, canModerate, socket);
 
   // Debug fatigue detection
   console.log('🧠 Fatigue Detection Debug:', {
@@ -158,13 +235,13 @@ const MeetingRoom = () => {
     fatigueHistory: fatigueHistory?.length || 0
   });
 
-  // Listen for sentiment dashboard updates (host only)
+  // Listen for sentiment dashboard updates (host and co-hosts)
   useEffect(() => {
-    if (!socket || !isHost) {
-      console.log('📊 Not setting up sentiment listener:', { hasSocket: !!socket, isHost });
+    if (!socket || !canModerate) {
+      console.log('📊 Not setting up sentiment listener:', { hasSocket: !!socket, canModerate });
       return;
     }
-    console.log('📊 Setting up sentiment dashboard listener for host');
+    console.log('📊 Setting up sentiment dashboard listener for host team');
     
     const handleSentimentUpdate = (data) => {
       console.log('📊 Received sentiment dashboard update:', data);
@@ -188,7 +265,7 @@ const MeetingRoom = () => {
       socket.off('sentiment_dashboard_update', handleSentimentUpdate);
       socket.off('test_message', handleTestMessage);
     };
-  }, [socket, isHost]);
+  }, [socket, canModerate]);
 
   // AI Follow-up Question Generation - Listen for follow-up suggestions (host only)
   useEffect(() => {
@@ -209,6 +286,90 @@ const MeetingRoom = () => {
     };
   }, [socket, isHost]);
 
+  // Role permissions and host changes - Listen for meeting notices
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+
+    const handlePermissionDenied = (data) => {
+      console.warn('🚫 Permission denied:', data);
+      setMeetingNotice({ severity: 'warning', message: data.message });
+    };
+
+    const handleHostDisconnected = (data) => {
+      console.log('⏳ Host disconnected:', data);
+      setMeetingNotice({
+        severity: 'info',
+        message: `${data.hostName} lost connection - their host seat is held for ${Math.round(data.graceMs / 1000)} seconds`
+      });
+    };
+
+    const handleHostChanged = (data) => {
+      console.log('👑 Host changed:', data);
+      const message = data.reason === 'reclaimed'
+        ? `${data.newHost} is back as host`
+        : data.newHostId === socket.id
+          ? 'You are now the host'
+          : `${data.newHost} is now the host`;
+      setMeetingNotice({ severity: 'info', message });
+    };
+
+    const handleMeetingNotStarted = (data) => {
+      console.log('⏰ Scheduled class not open yet:', data);
+      setMeetingNotice({
+        severity: 'info',
+        message: `${data.title} hasn't started yet - you can join from ${new Date(data.opensAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      });
+    };
+
+    const handleBreakoutMessage = (data) => {
+      setMeetingNotice({ severity: 'info', message: `📢 ${data.from}: ${data.message}` });
+    };
+
+    const handleBreakoutClosed = (data) => {
+      setMeetingNotice({
+        severity: 'info',
+        message: data.reason === 'timer'
+          ? 'Time is up - breakout rooms are closed and everyone is back in the main session'
+          : 'Breakout rooms are closed - everyone is back in the main session'
+      });
+    };
+
+    const handleBreakoutError = (data) => {
+      setMeetingNotice({ severity: 'warning', message: data.message });
+    };
+
+    const handleHandCalled = (data) => {
+      setMeetingNotice({
+        severity: data.participantId === socket.id ? 'success' : 'info',
+        message: data.participantId === socket.id
+          ? `${data.calledBy || 'The host'} called on you - you have the floor`
+          : `${data.calledBy || 'The host'} called on ${data.name}`
+      });
+    };
+
+    socket.on('permission-denied', handlePermissionDenied);
+    socket.on('host-disconnected', handleHostDisconnected);
+    socket.on('host-changed', handleHostChanged);
+    socket.on('meeting-not-started', handleMeetingNotStarted);
+    socket.on('breakout-message', handleBreakoutMessage);
+    socket.on('breakout-closed', handleBreakoutClosed);
+    socket.on('breakout-error', handleBreakoutError);
+    socket.on('hand-called', handleHandCalled);
+
+    return () => {
+      socket.off('permission-denied', handlePermissionDenied);
+      socket.off('host-disconnected', handleHostDisconnected);
+      socket.off('host-changed', handleHostChanged);
+      socket.off('meeting-not-started', handleMeetingNotStarted);
+      socket.off('breakout-message', handleBreakoutMessage);
+      socket.off('breakout-closed', handleBreakoutClosed);
+      socket.off('breakout-error', handleBreakoutError);
+      socket.off('hand-called', handleHandCalled);
+    };
+  }, [socket]);
+
   // AI Status - Listen for AI initialization status (host only)
   useEffect(() => {
     if (!socket || !isHost) {
@@ -291,6 +452,25 @@ const MeetingRoom = () => {
     toggleScreenShare
   } = useMediaControls(localStream, handleScreenShareChange, socket, meetingId, socket?.id);
 
+  // Restore camera/mic state from a resumed session once the local stream is ready
+  useEffect(() => {
+    if (!localStream || !resumedMediaState) {
+      return;
+    }
+
+    const audioTrack = localStream.getAudioTracks()[0];
+    const videoTrack = localStream.getVideoTracks()[0];
+    console.log('🔁 Restoring media state from resumed session:', resumedMediaState);
+
+    if (audioTrack && typeof resumedMediaState.audioEnabled === 'boolean' && audioTrack.enabled !== resumedMediaState.audioEnabled) {
+      toggleAudio();
+    }
+    if (videoTrack && typeof resumedMediaState.videoEnabled === 'boolean' && videoTrack.enabled !== resumedMediaState.videoEnabled) {
+      toggleVideo();
+    }
+    clearResumedMediaState();
+  }, [localStream, resumedMediaState, toggleAudio, toggleVideo, clearResumedMediaState]);
+
   // AI Follow-up Question Generation - Audio Transcription
   const {
     isRecording: isTranscriptionRecording,
@@ -320,11 +500,13 @@ const MeetingRoom = () => {
   // Media Recorder hook for real-time recording
   const {
     isRecording: isMediaRecording,
+    isPaused: isRecordingPaused,
     recordingStatus,
     recordingError,
     startRecording: startMediaRecording,
     stopRecording: stopMediaRecording,
     toggleRecording,
+    togglePauseRecording,
     getRecordingInfo
   } = useMediaRecorder(socket, meetingId, localStream);
 
@@ -522,9 +704,9 @@ const MeetingRoom = () => {
       meetingId
     });
 
-    if (!isHost) {
-      console.log('❌ Only host can remove participants');
-      alert('Only the host can remove participants');
+    if (!canModerate) {
+      console.log('❌ Only host or co-host can remove participants');
+      alert('Only the host or a co-host can remove participants');
       return;
     }
 
@@ -541,7 +723,7 @@ const MeetingRoom = () => {
       return;
     }
 
-    console.log(`🗑️ MeetingRoom: Host removing participant ${participantName} (${participantId})`);
+    console.log(`🗑️ MeetingRoom: ${isHost ? 'Host' : 'Co-host'} removing participant ${participantName} (${participantId})`);
     
     // Emit remove participant event to backend
     socket.emit('remove-participant', {
@@ -572,11 +754,21 @@ const MeetingRoom = () => {
             Meeting: {formatMeetingCode(meetingId)}
           </Typography>
           <Typography variant="body1" className="meeting-subtitle">
-            {isHost ? 'You are the host' : 'Participant'}
+            {isHost ? 'You are the host' : role === 'co-host' ? 'You are a co-host' : 'Participant'}
           </Typography>
+          {breakout?.status === 'open' && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 0.5 }}>
+              <Typography variant="body2" className="meeting-subtitle">
+                {breakoutRoomId
+                  ? `Breakout room: ${breakout.rooms.find(room => room.id === breakoutRoomId)?.name || ''}`
+                  : 'Main session'}
+              </Typography>
+              <CountdownChip endsAt={breakout.endsAt} />
+            </Box>
+          )}
         </Box>
         
-        {isHost && pendingApprovals.length > 0 && (
+        {canModerate && pendingApprovals.length > 0 && (
           <Box className="pending-approvals-notification">
             <Button
               variant="contained"
@@ -589,8 +781,42 @@ const MeetingRoom = () => {
           </Box>
         )}
 
+        {!canManagePolls && activePoll?.status === 'open' && hiddenPollKey === shownPollKey && (
+          <Box className="polls-notification">
+            <Button variant="contained" color="primary" onClick={() => setHiddenPollKey(null)} startIcon={<Poll />}>
+              Answer poll
+            </Button>
+          </Box>
+        )}
+
+        {canManagePolls && (
+          <Box className="polls-notification">
+            <Button
+              variant={polls.some(poll => poll.status === 'open') ? 'contained' : 'outlined'}
+              color="primary"
+              onClick={() => setShowPolls(true)}
+              startIcon={<Poll />}
+            >
+              Polls{polls.length > 0 ? ` (${polls.length})` : ''}
+            </Button>
+          </Box>
+        )}
+
+        {canModerate && (
+          <Box className="breakout-rooms-notification">
+            <Button
+              variant={breakout?.status === 'open' ? 'contained' : 'outlined'}
+              color="primary"
+              onClick={() => setShowBreakoutRooms(true)}
+              startIcon={<BreakoutIcon />}
+            >
+              Breakout Rooms{breakout?.status === 'open' ? ` (${breakout.rooms.length})` : ''}
+            </Button>
+          </Box>
+        )}
+
         {/* AI Features - Sentiment Dashboard Toggle and Camera Request */}
-        {isHost && (
+        {canModerate && (
           <Box className="ai-features-notification">
             <Button
               variant="contained"
@@ -639,7 +865,7 @@ const MeetingRoom = () => {
             
             {/* Host Camera/Mic Request Component */}
             <HostCameraRequest
-              isHost={isHost}
+              isHost={canModerate}
               socket={socket}
               meetingId={meetingId}
               participants={participants}
@@ -749,7 +975,7 @@ const MeetingRoom = () => {
       </Box>
 
       {/* AI Features - Sentiment Dashboard */}
-      {isHost && showSentimentDashboard && (
+      {canModerate && showSentimentDashboard && (
         <>
           <SentimentDashboard
             sentimentData={sentimentData}
@@ -790,6 +1016,12 @@ const MeetingRoom = () => {
       )}
 
 
+      {/* Recording Consent Dialog */}
+      <RecordingConsentDialog
+        socket={socket}
+        meetingId={meetingId}
+      />
+
       {/* Participant Consent Dialog */}
       <ParticipantConsentDialog
         socket={socket}
@@ -875,7 +1107,7 @@ const MeetingRoom = () => {
       {console.log('🔍 Dashboard Debug:', {
         isHost,
         showSentimentDashboard,
-        shouldRender: isHost && showSentimentDashboard,
+        shouldRender: canModerate && showSentimentDashboard,
         sentimentData,
         fatigueAlert: !!fatigueAlert,
         isFatigueAnalyzing
@@ -906,6 +1138,7 @@ const MeetingRoom = () => {
           <UltraSimpleVideo
             userName={finalUserName}
             isHost={isHost}
+            canModerate={canModerate}
             localVideoRef={localVideoRef}
             participants={participants}
             remoteStreams={remoteStreams}
@@ -920,6 +1153,7 @@ const MeetingRoom = () => {
             forceRender={forceRender}
             // Participant management
             onRemoveParticipant={handleRemoveParticipant}
+            handQueue={handQueue}
           />
         )}
       </Box>
@@ -972,6 +1206,10 @@ const MeetingRoom = () => {
           onMarkHighlight={markHighlight}
           isRecording={isMediaRecording}
           onToggleRecording={toggleRecording}
+          isRecordingPaused={isRecordingPaused}
+          onTogglePauseRecording={togglePauseRecording}
+          isHandRaised={isHandRaised}
+          onToggleHand={role === 'observer' ? undefined : toggleHand}
           recordingStatus={recordingStatus}
           recordingError={recordingError}
           onLeaveMeeting={() => {
@@ -979,6 +1217,13 @@ const MeetingRoom = () => {
             if (isHost) {
               updateMeetingStatus(meetingId, 'completed', Date.now());
             }
+            
+            // Leaving on purpose ends the resumable session
+            if (socket) {
+              socket.emit('leave-meeting', { meetingId, userName: finalUserName });
+            }
+            storeParticipantToken(meetingId, null);
+            storeHostReclaimToken(meetingId, null);
             navigate('/');
           }}
           isHost={isHost}
@@ -990,15 +1235,95 @@ const MeetingRoom = () => {
         open={showPendingApprovals}
         onClose={() => setShowPendingApprovals(false)}
         pendingApprovals={pendingApprovals}
-        onApproveParticipant={approveParticipant}
+        onApproveParticipant={(participantId, approved) =>
+          approved ? approveParticipant(participantId) : rejectParticipant(participantId)
+        }
+        onResolveParticipants={resolveParticipants}
+        roster={meetingRoster}
+        onRequestRoster={requestMeetingRoster}
+        // Rosters belong to an account, so only signed-in hosts can edit them
+        onEditRoster={isAuthenticated()
+          ? (source) => setRosterTarget(source || { type: 'meeting', targetId: meetingId })
+          : undefined}
       />
 
+      <RosterDialog
+        open={!!rosterTarget}
+        onClose={() => {
+          setRosterTarget(null);
+          requestMeetingRoster();
+        }}
+        target={rosterTarget}
+      />
+
+      {canModerate && (
+        <BreakoutRoomsDialog
+          open={showBreakoutRooms}
+          onClose={() => setShowBreakoutRooms(false)}
+          breakout={breakout}
+          participants={allParticipants}
+          onCreate={createBreakoutRooms}
+          onMove={moveToBreakoutRoom}
+          onBroadcast={broadcastToBreakoutRooms}
+          onStartTimer={startBreakoutTimer}
+          onCloseAll={closeBreakoutRooms}
+        />
+      )}
+
+      {canManagePolls && (
+        <PollsPanel
+          open={showPolls}
+          onClose={() => setShowPolls(false)}
+          polls={polls}
+          onCreate={createPoll}
+          onStart={startPoll}
+          onEnd={endPoll}
+          onShareResults={sharePollResults}
+          onOpenQuizGenerator={() => {
+            setShowPolls(false);
+            setShowQuizGenerator(true);
+          }}
+        />
+      )}
+
+      {canManagePolls && (
+        <QuizGeneratorDialog
+          open={showQuizGenerator}
+          onClose={() => setShowQuizGenerator(false)}
+          meetingId={meetingId}
+          quiz={quizDraft}
+          generating={generatingQuiz}
+          hasOpenPoll={polls.some(poll => poll.status === 'open')}
+          onGenerate={generateQuiz}
+          onAddDrafts={(items) => items.forEach(item => createPoll(item))}
+          onLaunch={(item, durationSeconds) => createPoll(item, true, durationSeconds)}
+        />
+      )}
+
+      {!canManagePolls && shownPollKey && shownPollKey !== hiddenPollKey && (
+        <PollAnswerDialog
+          poll={activePoll}
+          results={sharedResults}
+          answeredOptionId={activePoll ? myAnswers[activePoll.id] : null}
+          onAnswer={answerPoll}
+          onClose={() => setHiddenPollKey(shownPollKey)}
+        />
+      )}
+
       {/* Participants Dialog */}
       <ParticipantsDialog
         open={showParticipants}
         onClose={() => setShowParticipants(false)}
         participants={participants}
         userName={userName}
+        isHost={isHost}
+        currentUserId={socket?.id}
+        onChangeRole={setParticipantRole}
+        onTransferHost={transferHost}
+        handQueue={handQueue}
+        onCallNext={canModerate ? callNext : undefined}
+        onClearHands={canModerate ? clearHands : undefined}
+        onLowerHand={canModerate ? lowerHand : undefined}
       />
 
       {/* Enhanced Highlight System Components */}
@@ -1038,6 +1363,18 @@ const MeetingRoom = () => {
         />
       )}
 
+      {/* Meeting notices */}
+      <Snackbar
+        open={!!meetingNotice}
+        autoHideDuration={5000}
+        onClose={() => setMeetingNotice(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert severity={meetingNotice?.severity || 'info'} onClose={() => setMeetingNotice(null)}>
+          {meetingNotice?.message}
+        </Alert>
+      </Snackbar>
+
       {/* Share Highlight Reel Dialog */}
       <ShareHighlightReel
         open={showShareDialog}
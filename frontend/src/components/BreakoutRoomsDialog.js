@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Divider
+} from '@mui/material';
+import CountdownChip from './CountdownChip';
+
+const MAIN_SESSION = 'main';
+
+/**
+ * Host and co-host controls for breakout rooms: open rooms, assign and move
+ * participants, broadcast to every room, start a countdown and close all rooms.
+ */
+const BreakoutRoomsDialog = ({
+  open,
+  onClose,
+  breakout,
+  participants,
+  onCreate,
+  onMove,
+  onBroadcast,
+  onStartTimer,
+  onCloseAll
+}) => {
+  const [count, setCount] = useState(2);
+  const [mode, setMode] = useState('random');
+  const [message, setMessage] = useState('');
+  const [minutes, setMinutes] = useState(10);
+
+  const isOpen = breakout?.status === 'open';
+  const rooms = breakout?.rooms || [];
+  const approved = participants.filter(participant => participant.isApproved);
+
+  const handleBroadcast = () => {
+    if (!message.trim()) return;
+    onBroadcast(message.trim());
+    setMessage('');
+  };
+
+  const renderSetup = () => (
+    <Stack spacing={2} sx={{ mt: 1 }}>
+      <Typography variant="body2" color="text.secondary">
+        Split the class into smaller rooms. Hosts and co-hosts stay in the main session and can join any room.
+      </Typography>
+      <Stack direction="row" spacing={1}>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel>Assignment</InputLabel>
+          <Select label="Assignment" value={mode} onChange={(e) => setMode(e.target.value)}>
+            <MenuItem value="random">Random</MenuItem>
+            <MenuItem value="manual">Manual</MenuItem>
+            <MenuItem value="roster">Roster groups</MenuItem>
+          </Select>
+        </FormControl>
+        {mode !== 'roster' && (
+          <TextField
+            label="Rooms"
+            type="number"
+            size="small"
+            value={count}
+            onChange={(e) => setCount(e.target.value)}
+            inputProps={{ min: 1, max: 50 }}
+          />
+        )}
+      </Stack>
+      {mode === 'roster' && (
+        <Typography variant="body2" color="text.secondary">
+          One room is opened per group on the roster, and students matched to the roster go to their group's room.
+        </Typography>
+      )}
+    </Stack>
+  );
+
+  const renderRooms = () => (
+    <Stack spacing={2} sx={{ mt: 1 }}>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+          {rooms.length} room{rooms.length !== 1 ? 's' : ''} open
+        </Typography>
+        <CountdownChip endsAt={breakout.endsAt} />
+      </Stack>
+
+      <List dense sx={{ maxHeight: 280, overflow: 'auto' }}>
+        {approved.map((participant) => (
+          <ListItem
+            key={participant.id}
+            secondaryAction={
+              <Select
+                size="small"
+                value={breakout.assignments[participant.id] || MAIN_SESSION}
+                onChange={(e) => onMove(participant.id, e.target.value === MAIN_SESSION ? null : e.target.value)}
+                sx={{ minWidth: 160 }}
+              >
+                <MenuItem value={MAIN_SESSION}>Main session</MenuItem>
+                {rooms.map((room) => (
+                  <MenuItem key={room.id} value={room.id}>{room.name}</MenuItem>
+                ))}
+              </Select>
+            }
+          >
+            <ListItemText primary={participant.name} />
+          </ListItem>
+        ))}
+      </List>
+
+      <Divider />
+
+      <Stack direction="row" spacing={1}>
+        <TextField
+          label="Message to all rooms"
+          size="small"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleBroadcast()}
+          fullWidth
+        />
+        <Button variant="outlined" onClick={handleBroadcast}>
+          Broadcast
+        </Button>
+      </Stack>
+
+      <Stack direction="row" spacing={1}>
+        <TextField
+          label="Minutes"
+          type="number"
+          size="small"
+          value={minutes}
+          onChange={(e) => setMinutes(e.target.value)}
+          inputProps={{ min: 1, max: 240 }}
+        />
+        <Button variant="outlined" onClick={() => onStartTimer(Number(minutes))}>
+          {breakout.endsAt ? 'Restart countdown' : 'Start countdown'}
+        </Button>
+      </Stack>
+    </Stack>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle className="dialog-title">
+        Breakout Rooms
+      </DialogTitle>
+      <DialogContent>
+        {isOpen ? renderRooms() : renderSetup()}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {isOpen ? (
+          <Button variant="contained" color="error" onClick={onCloseAll}>
+            Close all rooms
+          </Button>
+        ) : (
+          <Button variant="contained" onClick={() => onCreate({ count: Number(count), mode })}>
+            Open rooms
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BreakoutRoomsDialog;
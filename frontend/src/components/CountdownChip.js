@@ -0,0 +1,35 @@
+import React, { useState, useEffect } from 'react';
+import { Chip } from '@mui/material';
+import { Timer } from '@mui/icons-material';
+
+/**
+ * Time left until a deadline, e.g. breakout rooms closing or a poll ending
+ * (endsAt is an ISO timestamp)
+ */
+const CountdownChip = ({ endsAt, size = 'small' }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!endsAt) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [endsAt]);
+
+  if (!endsAt) return null;
+
+  const secondsLeft = Math.max(0, Math.round((new Date(endsAt).getTime() - now) / 1000));
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+  return (
+    <Chip
+      icon={<Timer />}
+      label={`${minutes}:${seconds} left`}
+      size={size}
+      color={secondsLeft <= 60 ? 'warning' : 'default'}
+    />
+  );
+};
+
+export default CountdownChip;
@@ -17,9 +17,20 @@ import {
   CallEnd,
   Star,
   FiberManualRecord,
-  Stop
+  Stop,
+  Pause,
+  PlayArrow,
+  PanTool
 } from '@mui/icons-material';
 
+// Record button titles once a recording has stopped. It can't start again until
+// the last recording has been processed, then it starts a new one.
+const RECORDING_STOPPED_TITLES = {
+  finalizing: 'Processing Recording',
+  ready: 'Start New Recording',
+  failed: 'Recording Failed - Start New Recording'
+};
+
 const MeetingControls = ({
   isAudioEnabled,
   isVideoEnabled,
@@ -35,7 +46,12 @@ const MeetingControls = ({
   onMarkHighlight,
   isHost,
   isRecording,
-  onToggleRecording
+  onToggleRecording,
+  isRecordingPaused,
+  onTogglePauseRecording,
+  recordingStatus,
+  isHandRaised,
+  onToggleHand
 }) => {
   return (
     <Paper 
@@ -95,17 +111,40 @@ const MeetingControls = ({
           <People />
         </IconButton>
         
+        {/* Raise Hand Control - for everyone who can raise a hand */}
+        {onToggleHand && (
+          <IconButton
+            onClick={onToggleHand}
+            className={`control-button hand-toggle ${isHandRaised ? 'active' : ''}`}
+            title={isHandRaised ? 'Lower Hand' : 'Raise Hand'}
+          >
+            <PanTool />
+          </IconButton>
+        )}
+        
         {/* Recording Control - Only for hosts */}
         {isHost && (
           <IconButton
             onClick={onToggleRecording}
             className={`control-button recording-toggle ${isRecording ? 'recording-active' : 'recording-inactive'}`}
-            title={isRecording ? 'Stop Recording' : 'Start Recording'}
+            title={isRecording ? 'Stop Recording' : (RECORDING_STOPPED_TITLES[recordingStatus] || 'Start Recording')}
+            disabled={!isRecording && recordingStatus === 'finalizing'}
           >
             {isRecording ? <Stop /> : <FiberManualRecord />}
           </IconButton>
         )}
         
+        {/* Pause/Resume Recording - Only for hosts while recording */}
+        {isHost && isRecording && onTogglePauseRecording && (
+          <IconButton
+            onClick={onTogglePauseRecording}
+            className={`control-button recording-pause ${isRecordingPaused ? 'active' : ''}`}
+            title={isRecordingPaused ? 'Resume Recording' : 'Pause Recording'}
+          >
+            {isRecordingPaused ? <PlayArrow /> : <Pause />}
+          </IconButton>
+        )}
+        
         {/* Simple Highlight Control - Only for hosts */}
         {isHost && (
           <IconButton
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -10,47 +10,188 @@ import {
   Avatar,
   Box,
   Chip,
-  Typography
+  Typography,
+  Select,
+  MenuItem,
+  Button,
+  Divider,
+  Stack,
+  IconButton,
+  FormControlLabel,
+  Checkbox
 } from '@mui/material';
+import { PanTool } from '@mui/icons-material';
+
+// Display labels for meeting roles
+const ROLE_LABELS = {
+  host: 'Host',
+  'co-host': 'Co-host',
+  'teaching-assistant': 'Teaching Assistant',
+  student: 'Student',
+  observer: 'Observer'
+};
+
+// Roles the host can assign (host rights only change through host transfer)
+const ASSIGNABLE_ROLES = ['co-host', 'teaching-assistant', 'student', 'observer'];
 
 const ParticipantsDialog = ({
   open,
   onClose,
   participants,
-  userName
+  userName,
+  isHost = false,
+  currentUserId,
+  onChangeRole,
+  onTransferHost,
+  // Raise-hand queue - onCallNext/onClearHands/onLowerHand are only passed to moderators
+  handQueue = [],
+  onCallNext,
+  onClearHands,
+  onLowerHand
 }) => {
+  const [requestMic, setRequestMic] = useState(true);
+
+  const handleTransferHost = (participant) => {
+    const confirmed = window.confirm(`Make ${participant.name} the host? You will stay in the meeting as a co-host.`);
+    if (confirmed) {
+      onTransferHost(participant.id);
+    }
+  };
+
   return (
     <Dialog open={open} onClose={onClose}>
       <DialogTitle className="dialog-title">Participants ({participants.length})</DialogTitle>
       <DialogContent>
+        {(handQueue.length > 0 || onCallNext) && (
+          <Box sx={{ mb: 1 }}>
+            <Stack direction="row" spacing={1} alignItems="center">
+              <PanTool fontSize="small" color="warning" />
+              <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+                Raised hands ({handQueue.length})
+              </Typography>
+              {onCallNext && (
+                <>
+                  <FormControlLabel
+                    control={<Checkbox size="small" checked={requestMic} onChange={(e) => setRequestMic(e.target.checked)} />}
+                    label="Ask for mic"
+                  />
+                  <Button
+                    variant="contained"
+                    size="small"
+                    disabled={handQueue.length === 0}
+                    onClick={() => onCallNext(requestMic)}
+                  >
+                    Call on next
+                  </Button>
+                  <Button size="small" disabled={handQueue.length === 0} onClick={onClearHands}>
+                    Clear
+                  </Button>
+                </>
+              )}
+            </Stack>
+            {handQueue.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No hands raised
+              </Typography>
+            ) : (
+              <List dense>
+                {handQueue.map((entry) => (
+                  <ListItem
+                    key={entry.participantId}
+                    secondaryAction={onLowerHand && (
+                      <IconButton edge="end" size="small" title="Lower hand" onClick={() => onLowerHand(entry.participantId)}>
+                        ✖
+                      </IconButton>
+                    )}
+                  >
+                    <ListItemText
+                      primary={`${entry.position}. ${entry.name}${entry.participantId === currentUserId ? ' (you)' : ''}`}
+                      secondary={`Raised at ${new Date(entry.raisedAt).toLocaleTimeString()}`}
+                    />
+                  </ListItem>
+                ))}
+              </List>
+            )}
+            <Divider sx={{ my: 1 }} />
+          </Box>
+        )}
         <List>
-          {participants.map((participant) => (
-            <ListItem key={participant.id}>
-              <ListItemAvatar>
-                <Avatar>
-                  {participant.name.charAt(0).toUpperCase()}
-                </Avatar>
-              </ListItemAvatar>
-              <ListItemText
-                primary={
+          {participants.map((participant) => {
+            const participantRole = participant.role || (participant.isHost ? 'host' : 'student');
+            const canManage = isHost && !participant.isHost && participant.id !== currentUserId;
+
+            return (
+              <ListItem
+                key={participant.id}
+                secondaryAction={canManage && (
                   <Box className="participant-info-container">
-                    <Typography variant="body1">
-                      {participant.name}
-                    </Typography>
-                    {participant.isHost && (
-                      <Chip
-                        label="HOST"
-                        color="secondary"
+                    {onChangeRole && (
+                      <Select
                         size="small"
-                        variant="filled"
-                      />
+                        value={participantRole}
+                        onChange={(e) => onChangeRole(participant.id, e.target.value)}
+                      >
+                        {ASSIGNABLE_ROLES.map(role => (
+                          <MenuItem key={role} value={role}>
+                            {ROLE_LABELS[role]}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    )}
+                    {onTransferHost && (
+                      <Button size="small" onClick={() => handleTransferHost(participant)}>
+                        Make host
+                      </Button>
                     )}
                   </Box>
-                }
-                secondary={participant.name === userName ? 'You' : 'Participant'}
-              />
-            </ListItem>
-          ))}
+                )}
+              >
+                <ListItemAvatar>
+                  <Avatar>
+                    {participant.name.charAt(0).toUpperCase()}
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={
+                    <Box className="participant-info-container">
+                      <Typography variant="body1">
+                        {participant.name}
+                      </Typography>
+                      {participant.isHost && (
+                        <Chip
+                          label="HOST"
+                          color="secondary"
+                          size="small"
+                          variant="filled"
+                        />
+                      )}
+                      {participantRole === 'co-host' && (
+                        <Chip
+                          label="CO-HOST"
+                          color="primary"
+                          size="small"
+                          variant="filled"
+                        />
+                      )}
+                      {participantRole === 'teaching-assistant' && (
+                        <Chip
+                          label="TA"
+                          color="primary"
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                    </Box>
+                  }
+                  secondary={
+                    participant.name === userName
+                      ? 'You'
+                      : ROLE_LABELS[participant.role] || 'Participant'
+                  }
+                />
+              </ListItem>
+            );
+          })}
         </List>
       </DialogContent>
     </Dialog>
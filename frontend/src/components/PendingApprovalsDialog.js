@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -11,17 +11,181 @@ import {
   Avatar,
   Stack,
   Button,
-  IconButton
+  IconButton,
+  Checkbox,
+  Chip,
+  Tabs,
+  Tab
 } from '@mui/material';
 import { Close } from '@mui/icons-material';
 
+// How a waiting participant relates to the roster
+const rosterChip = (participant) => {
+  if (participant.rosterMatch === 'account') {
+    return <Chip label="On roster" size="small" color="success" />;
+  }
+  if (participant.rosterMatch === 'name') {
+    return <Chip label="Name matches roster" size="small" color="warning" />;
+  }
+  return <Chip label="Not on roster" size="small" variant="outlined" />;
+};
+
+const ROSTER_STATUS_COLORS = {
+  present: 'success',
+  waiting: 'warning',
+  absent: 'default'
+};
+
 const PendingApprovalsDialog = ({
   open,
   onClose,
   pendingApprovals,
-  onApproveParticipant
+  onApproveParticipant,
+  onResolveParticipants,
+  roster,
+  onRequestRoster,
+  onEditRoster
 }) => {
-  console.log('🔍 PendingApprovalsDialog render:', { open, pendingApprovals, onApproveParticipant });
+  const [tab, setTab] = useState('waiting');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const waiting = pendingApprovals.filter(participant => participant && participant.id && participant.name);
+  // Ignore selections for participants who are no longer waiting
+  const selected = selectedIds.filter(id => waiting.some(participant => participant.id === id));
+
+  // Refresh the roster view whenever it is shown or the waiting list changes
+  useEffect(() => {
+    if (open && tab === 'roster') {
+      onRequestRoster();
+    }
+  }, [open, tab, pendingApprovals.length, onRequestRoster]);
+
+  const toggleSelected = (participantId) => {
+    setSelectedIds(prev => prev.includes(participantId)
+      ? prev.filter(id => id !== participantId)
+      : [...prev, participantId]);
+  };
+
+  // Resolve the selected participants, or everyone waiting when nothing is selected
+  const resolveMany = (approved) => {
+    const participantIds = selected.length > 0 ? selected : waiting.map(participant => participant.id);
+    onResolveParticipants(participantIds, approved);
+    setSelectedIds([]);
+  };
+
+  const renderWaiting = () => {
+    if (waiting.length === 0) {
+      return (
+        <Typography variant="body1" color="text.secondary" className="no-participants-text">
+          No pending approvals
+        </Typography>
+      );
+    }
+
+    return (
+      <>
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+          <Checkbox
+            checked={selected.length === waiting.length}
+            indeterminate={selected.length > 0 && selected.length < waiting.length}
+            onChange={(e) => setSelectedIds(e.target.checked ? waiting.map(participant => participant.id) : [])}
+          />
+          <Button variant="contained" color="success" size="small" onClick={() => resolveMany(true)}>
+            {selected.length > 0 ? `Approve selected (${selected.length})` : 'Approve all'}
+          </Button>
+          <Button variant="outlined" color="error" size="small" onClick={() => resolveMany(false)}>
+            {selected.length > 0 ? `Deny selected (${selected.length})` : 'Deny all'}
+          </Button>
+        </Stack>
+        <List>
+          {waiting.map((participant) => (
+            <ListItem key={participant.id} className="pending-approval-item">
+              <Checkbox
+                checked={selected.includes(participant.id)}
+                onChange={() => toggleSelected(participant.id)}
+              />
+              <ListItemAvatar>
+                <Avatar>
+                  {participant.name.charAt(0).toUpperCase()}
+                </Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={participant.name}
+                secondary={`Requested to join at ${new Date(participant.joinedAt).toLocaleTimeString()}`}
+              />
+              <Stack direction="row" spacing={1} alignItems="center" className="approval-buttons">
+                {rosterChip(participant)}
+                <Button
+                  variant="contained"
+                  color="success"
+                  size="small"
+                  onClick={() => {
+                    console.log('✅ Approve button clicked for:', participant.name, participant.id);
+                    onApproveParticipant(participant.id, true);
+                  }}
+                  className="approve-button"
+                >
+                  Approve
+                </Button>
+                <Button
+                  variant="outlined"
+                  color="error"
+                  size="small"
+                  onClick={() => {
+                    console.log('❌ Reject button clicked for:', participant.name, participant.id);
+                    onApproveParticipant(participant.id, false);
+                  }}
+                  className="reject-button"
+                >
+                  Reject
+                </Button>
+              </Stack>
+            </ListItem>
+          ))}
+        </List>
+      </>
+    );
+  };
+
+  const renderRoster = () => {
+    const members = roster?.members || [];
+    const unlisted = roster?.unlisted || [];
+
+    return (
+      <>
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+            {roster?.source
+              ? `${members.filter(member => member.status === 'present').length} of ${members.length} present`
+              : 'No roster for this meeting'}
+          </Typography>
+          {onEditRoster && (
+            <Button size="small" onClick={() => onEditRoster(roster?.source)}>
+              Edit roster
+            </Button>
+          )}
+        </Stack>
+        <List dense>
+          {members.map((member) => (
+            <ListItem key={member.id}>
+              <ListItemText
+                primary={member.name}
+                secondary={[member.email, member.studentId].filter(Boolean).join(' · ')}
+              />
+              <Chip label={member.status} size="small" color={ROSTER_STATUS_COLORS[member.status]} />
+            </ListItem>
+          ))}
+          {unlisted.map((participant) => (
+            <ListItem key={participant.id}>
+              <ListItemText primary={participant.name} secondary="Waiting - not on the roster" />
+              <Chip label="waiting" size="small" variant="outlined" />
+            </ListItem>
+          ))}
+        </List>
+      </>
+    );
+  };
+
   return (
     <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
       <DialogTitle className="dialog-title">
@@ -40,55 +204,11 @@ const PendingApprovalsDialog = ({
         </IconButton>
       </DialogTitle>
       <DialogContent>
-        {pendingApprovals.length === 0 ? (
-          <Typography variant="body1" color="text.secondary" className="no-participants-text">
-            No pending approvals
-          </Typography>
-        ) : (
-          <List>
-            {pendingApprovals
-              .filter(participant => participant && participant.id && participant.name)
-              .map((participant) => (
-                <ListItem key={participant.id} className="pending-approval-item">
-                  <ListItemAvatar>
-                    <Avatar>
-                      {participant.name.charAt(0).toUpperCase()}
-                    </Avatar>
-                  </ListItemAvatar>
-                  <ListItemText
-                    primary={participant.name}
-                    secondary={`Requested to join at ${new Date(participant.joinedAt).toLocaleTimeString()}`}
-                  />
-                  <Stack direction="row" spacing={1} className="approval-buttons">
-                    <Button
-                      variant="contained"
-                      color="success"
-                      size="small"
-                      onClick={() => {
-                        console.log('✅ Approve button clicked for:', participant.name, participant.id);
-                        onApproveParticipant(participant.id, true);
-                      }}
-                      className="approve-button"
-                    >
-                      Approve
-                    </Button>
-                    <Button
-                      variant="outlined"
-                      color="error"
-                      size="small"
-                      onClick={() => {
-                        console.log('❌ Reject button clicked for:', participant.name, participant.id);
-                        onApproveParticipant(participant.id, false);
-                      }}
-                      className="reject-button"
-                    >
-                      Reject
-                    </Button>
-                  </Stack>
-                </ListItem>
-              ))}
-          </List>
-        )}
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab value="waiting" label={`Waiting (${waiting.length})`} />
+          <Tab value="roster" label="Roster" />
+        </Tabs>
+        {tab === 'waiting' ? renderWaiting() : renderRoster()}
       </DialogContent>
     </Dialog>
   );
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Stack,
+  Typography,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Alert
+} from '@mui/material';
+import CountdownChip from './CountdownChip';
+import PollResults from './PollResults';
+
+/**
+ * Student view of a poll or quiz: pick an answer while it runs (it can be
+ * changed until the poll closes), then see the results if the host shares them.
+ */
+const PollAnswerDialog = ({ poll, results, answeredOptionId, onAnswer, onClose }) => {
+  const [selected, setSelected] = useState('');
+
+  // Start from the submitted answer whenever another poll is shown
+  useEffect(() => {
+    setSelected(answeredOptionId || '');
+  }, [poll?.id, answeredOptionId]);
+
+  const shown = results || poll;
+  if (!shown) return null;
+
+  const isOpen = !results && poll?.status === 'open';
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle className="dialog-title">
+        {shown.type === 'quiz' ? 'Quiz' : 'Poll'}
+      </DialogTitle>
+      <DialogContent>
+        <Stack spacing={2}>
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+              {shown.question}
+            </Typography>
+            {isOpen && <CountdownChip endsAt={poll.endsAt} />}
+          </Stack>
+
+          {results ? (
+            <PollResults poll={results} />
+          ) : (
+            <RadioGroup value={selected} onChange={(e) => setSelected(e.target.value)}>
+              {poll.options.map((option) => (
+                <FormControlLabel
+                  key={option.id}
+                  value={option.id}
+                  control={<Radio />}
+                  label={option.text}
+                  disabled={!isOpen}
+                />
+              ))}
+            </RadioGroup>
+          )}
+
+          {!results && answeredOptionId && (
+            <Alert severity="success">
+              {isOpen ? 'Answer sent - you can change it until the poll closes.' : 'Your answer was recorded.'}
+            </Alert>
+          )}
+          {!results && !isOpen && !answeredOptionId && (
+            <Alert severity="info">This poll is closed.</Alert>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {isOpen && (
+          <Button
+            variant="contained"
+            disabled={!selected || selected === answeredOptionId}
+            onClick={() => onAnswer(poll.id, selected)}
+          >
+            {answeredOptionId ? 'Change answer' : 'Submit'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PollAnswerDialog;
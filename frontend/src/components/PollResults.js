@@ -0,0 +1,51 @@
+import React from 'react';
+import { Box, Stack, Typography, LinearProgress } from '@mui/material';
+import { CheckCircle } from '@mui/icons-material';
+
+/**
+ * Answer count per option as bars. The correct option of a quiz is marked.
+ * poll: { options, correctOptionId, explanation, results: { totalAnswers, options: [{ id, text, count }], correctCount } }
+ */
+const PollResults = ({ poll }) => {
+  const { totalAnswers, options, correctCount } = poll.results;
+
+  return (
+    <Stack spacing={1}>
+      {options.map((option) => {
+        const percent = totalAnswers > 0 ? Math.round((option.count / totalAnswers) * 100) : 0;
+        const isCorrect = option.id === poll.correctOptionId;
+
+        return (
+          <Box key={option.id}>
+            <Stack direction="row" spacing={1} alignItems="center">
+              {isCorrect && <CheckCircle fontSize="small" color="success" />}
+              <Typography variant="body2" sx={{ flexGrow: 1, fontWeight: isCorrect ? 600 : 400 }}>
+                {option.text}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {option.count} ({percent}%)
+              </Typography>
+            </Stack>
+            <LinearProgress
+              variant="determinate"
+              value={percent}
+              color={isCorrect ? 'success' : 'primary'}
+              sx={{ height: 8, borderRadius: 4 }}
+            />
+          </Box>
+        );
+      })}
+      <Typography variant="caption" color="text.secondary">
+        {totalAnswers} answer{totalAnswers !== 1 ? 's' : ''}
+        {correctCount !== null && totalAnswers > 0 && ` · ${correctCount} correct (${Math.round((correctCount / totalAnswers) * 100)}%)`}
+      </Typography>
+      {poll.explanation && (
+        <Typography variant="body2" color="text.secondary">
+          {poll.explanation}
+        </Typography>
+      )}
+    </Stack>
+  );
+};
+
+export default PollResults;
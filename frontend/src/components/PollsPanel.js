@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  IconButton,
+  Radio,
+  Chip,
+  Divider,
+  Paper
+} from '@mui/material';
+import { Add, Delete, AutoAwesome } from '@mui/icons-material';
+import CountdownChip from './CountdownChip';
+import PollResults from './PollResults';
+
+const STATUS_COLORS = {
+  draft: 'default',
+  open: 'success',
+  closed: 'primary'
+};
+
+/**
+ * Host team panel for polls and quizzes: write a question, run it with an
+ * optional time limit, follow the answers live and share the results.
+ * Marking a correct answer turns the poll into a quiz.
+ */
+const PollsPanel = ({ open, onClose, polls, onCreate, onStart, onEnd, onShareResults, onOpenQuizGenerator }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [correctOption, setCorrectOption] = useState(null);
+  const [seconds, setSeconds] = useState(60);
+
+  const updateOption = (index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const removeOption = (index) => {
+    setOptions(prev => prev.filter((_, i) => i !== index));
+    setCorrectOption(prev => (prev === index ? null : prev !== null && prev > index ? prev - 1 : prev));
+  };
+
+  const handleCreate = () => {
+    // Skip empty options, keeping the correct answer on the same option
+    const filled = options.map((text, index) => ({ text, index })).filter(option => option.text.trim());
+    const correctIndex = filled.findIndex(option => option.index === correctOption);
+    onCreate({
+      question,
+      options: filled.map(option => option.text),
+      correctOption: correctIndex >= 0 ? correctIndex : null
+    });
+
+    // Keep the form when the server is going to reject it, so it can be fixed
+    if (!question.trim() || filled.length < 2) return;
+    setQuestion('');
+    setOptions(['', '']);
+    setCorrectOption(null);
+  };
+
+  const hasOpenPoll = polls.some(poll => poll.status === 'open');
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle className="dialog-title">
+        Polls & Quizzes
+      </DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <TextField
+            label="Question"
+            size="small"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            fullWidth
+          />
+          {options.map((option, index) => (
+            <Stack key={index} direction="row" spacing={1} alignItems="center">
+              <Radio
+                size="small"
+                checked={correctOption === index}
+                onClick={() => setCorrectOption(correctOption === index ? null : index)}
+                title="Correct answer (makes this a quiz)"
+              />
+              <TextField
+                label={`Option ${index + 1}`}
+                size="small"
+                value={option}
+                onChange={(e) => updateOption(index, e.target.value)}
+                fullWidth
+              />
+              <IconButton size="small" onClick={() => removeOption(index)} disabled={options.length <= 2}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Stack>
+          ))}
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Button size="small" startIcon={<Add />} onClick={() => setOptions(prev => [...prev, ''])} disabled={options.length >= 10}>
+              Add option
+            </Button>
+            <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+              {correctOption !== null ? 'Quiz - the marked option is correct' : 'Mark an option as correct to make a quiz'}
+            </Typography>
+            <Button variant="outlined" size="small" onClick={handleCreate}>
+              Save draft
+            </Button>
+          </Stack>
+
+          <Divider />
+
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+              Polls ({polls.length})
+            </Typography>
+            <TextField
+              label="Time limit (s, 0 = none)"
+              type="number"
+              size="small"
+              value={seconds}
+              onChange={(e) => setSeconds(e.target.value)}
+              inputProps={{ min: 0, max: 1800 }}
+              sx={{ width: 180 }}
+            />
+          </Stack>
+
+          {polls.length === 0 && (
+            <Typography variant="body2" color="text.secondary">
+              No polls yet.
+            </Typography>
+          )}
+          {[...polls].reverse().map((poll) => (
+            <Paper key={poll.id} variant="outlined" sx={{ p: 1.5 }}>
+              <Stack spacing={1}>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <Typography variant="body1" sx={{ flexGrow: 1, fontWeight: 600 }}>
+                    {poll.question}
+                  </Typography>
+                  {poll.type === 'quiz' && <Chip label="quiz" size="small" variant="outlined" />}
+                  <Chip label={poll.status} size="small" color={STATUS_COLORS[poll.status]} />
+                  {poll.status === 'open' && <CountdownChip endsAt={poll.endsAt} />}
+                </Stack>
+                {poll.status === 'draft' ? (
+                  <Typography variant="body2" color="text.secondary">
+                    {poll.options.map(option => option.text).join(' · ')}
+                  </Typography>
+                ) : (
+                  <PollResults poll={poll} />
+                )}
+                <Stack direction="row" spacing={1} justifyContent="flex-end">
+                  {poll.status === 'draft' && (
+                    <Button size="small" variant="contained" disabled={hasOpenPoll} onClick={() => onStart(poll.id, Number(seconds))}>
+                      Start
+                    </Button>
+                  )}
+                  {poll.status === 'open' && (
+                    <Button size="small" variant="outlined" color="error" onClick={() => onEnd(poll.id)}>
+                      End now
+                    </Button>
+                  )}
+                  {poll.status !== 'draft' && (
+                    <Button size="small" onClick={() => onShareResults(poll.id)}>
+                      {poll.resultsShared ? 'Show results again' : 'Show results to class'}
+                    </Button>
+                  )}
+                </Stack>
+              </Stack>
+            </Paper>
+          ))}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button startIcon={<AutoAwesome />} onClick={onOpenQuizGenerator} sx={{ mr: 'auto' }}>
+          Quiz from transcript
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PollsPanel;
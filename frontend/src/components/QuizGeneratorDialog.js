@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  IconButton,
+  Radio,
+  MenuItem,
+  Chip,
+  Paper,
+  LinearProgress
+} from '@mui/material';
+import { Delete, Download } from '@mui/icons-material';
+import { exportQuiz } from '../services/quizService';
+
+// Drop empty options, keeping the answer key on the same option
+const cleanItem = (item) => {
+  const filled = item.options.map((text, index) => ({ text: text.trim(), index })).filter(option => option.text);
+  const correctOption = filled.findIndex(option => option.index === item.correctOption);
+  return {
+    question: item.question.trim(),
+    options: filled.map(option => option.text),
+    correctOption: correctOption >= 0 ? correctOption : null,
+    explanation: item.explanation.trim()
+  };
+};
+
+const isValidItem = (item) => item.question && item.options.length >= 2 && item.correctOption !== null;
+
+/**
+ * Host team review of quiz questions generated from the lecture transcript:
+ * edit the questions, answer keys and explanations, then launch one as a live
+ * quiz, keep them as poll drafts or export them for after class.
+ */
+const QuizGeneratorDialog = ({
+  open,
+  onClose,
+  meetingId,
+  quiz,
+  generating,
+  hasOpenPoll,
+  onGenerate,
+  onAddDrafts,
+  onLaunch
+}) => {
+  const [count, setCount] = useState(5);
+  const [difficulty, setDifficulty] = useState('medium');
+  const [minutes, setMinutes] = useState(15);
+  const [seconds, setSeconds] = useState(60);
+  const [items, setItems] = useState([]);
+
+  // Review a fresh copy whenever new questions arrive
+  useEffect(() => {
+    setItems(quiz?.items.map(item => ({ ...item, options: [...item.options] })) || []);
+  }, [quiz]);
+
+  const updateItem = (index, changes) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const updateOption = (index, optionIndex, value) => {
+    updateItem(index, { options: items[index].options.map((option, i) => (i === optionIndex ? value : option)) });
+  };
+
+  const removeItem = (index) => {
+    setItems(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const cleanedItems = items.map(cleanItem);
+  const readyItems = cleanedItems.filter(isValidItem);
+
+  const handleLaunch = (index) => {
+    onLaunch(cleanedItems[index], Number(seconds));
+    removeItem(index);
+  };
+
+  const handleAddDrafts = () => {
+    onAddDrafts(readyItems);
+    setItems(prev => prev.filter((_, i) => !isValidItem(cleanedItems[i])));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle className="dialog-title">
+        Quiz from Transcript
+      </DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <Stack direction="row" spacing={1} alignItems="center">
+            <TextField
+              label="Questions"
+              type="number"
+              size="small"
+              value={count}
+              onChange={(e) => setCount(e.target.value)}
+              inputProps={{ min: 1, max: 10 }}
+              sx={{ width: 110 }}
+            />
+            <TextField
+              select
+              label="Difficulty"
+              size="small"
+              value={difficulty}
+              onChange={(e) => setDifficulty(e.target.value)}
+              sx={{ width: 130 }}
+            >
+              <MenuItem value="easy">Easy</MenuItem>
+              <MenuItem value="medium">Medium</MenuItem>
+              <MenuItem value="hard">Hard</MenuItem>
+            </TextField>
+            <TextField
+              label="Last minutes"
+              type="number"
+              size="small"
+              value={minutes}
+              onChange={(e) => setMinutes(e.target.value)}
+              inputProps={{ min: 1, max: 240 }}
+              sx={{ width: 130 }}
+            />
+            <Button
+              variant="contained"
+              disabled={generating}
+              onClick={() => onGenerate({ count: Number(count), difficulty, minutes: Number(minutes) })}
+            >
+              {items.length > 0 ? 'Generate again' : 'Generate'}
+            </Button>
+          </Stack>
+          {generating && <LinearProgress />}
+
+          {!generating && items.length === 0 && (
+            <Typography variant="body2" color="text.secondary">
+              Questions are written from what was said in the lecture, so transcription needs to be on.
+              Review them before they reach the class.
+            </Typography>
+          )}
+
+          {items.length > 0 && (
+            <Stack direction="row" spacing={1} alignItems="center">
+              <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+                Review ({items.length})
+              </Typography>
+              {quiz?.model && <Chip label={quiz.model === 'rule-based' ? 'from key terms' : 'AI'} size="small" variant="outlined" />}
+              <TextField
+                label="Time limit (s, 0 = none)"
+                type="number"
+                size="small"
+                value={seconds}
+                onChange={(e) => setSeconds(e.target.value)}
+                inputProps={{ min: 0, max: 1800 }}
+                sx={{ width: 180 }}
+              />
+            </Stack>
+          )}
+
+          {items.map((item, index) => (
+            <Paper key={index} variant="outlined" sx={{ p: 1.5 }}>
+              <Stack spacing={1}>
+                <Stack direction="row" spacing={1} alignItems="flex-start">
+                  <TextField
+                    label={`Question ${index + 1}`}
+                    size="small"
+                    value={item.question}
+                    onChange={(e) => updateItem(index, { question: e.target.value })}
+                    multiline
+                    fullWidth
+                  />
+                  <IconButton size="small" onClick={() => removeItem(index)} title="Remove question">
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </Stack>
+                {item.options.map((option, optionIndex) => (
+                  <Stack key={optionIndex} direction="row" spacing={1} alignItems="center">
+                    <Radio
+                      size="small"
+                      checked={item.correctOption === optionIndex}
+                      onClick={() => updateItem(index, { correctOption: optionIndex })}
+                      title="Correct answer"
+                    />
+                    <TextField
+                      label={`Option ${String.fromCharCode(65 + optionIndex)}`}
+                      size="small"
+                      value={option}
+                      onChange={(e) => updateOption(index, optionIndex, e.target.value)}
+                      fullWidth
+                    />
+                  </Stack>
+                ))}
+                <TextField
+                  label="Explanation"
+                  size="small"
+                  value={item.explanation}
+                  onChange={(e) => updateItem(index, { explanation: e.target.value })}
+                  multiline
+                  fullWidth
+                />
+                <Stack direction="row" spacing={1} justifyContent="flex-end">
+                  <Button
+                    size="small"
+                    variant="contained"
+                    disabled={hasOpenPoll || !isValidItem(cleanedItems[index])}
+                    onClick={() => handleLaunch(index)}
+                  >
+                    Launch now
+                  </Button>
+                </Stack>
+              </Stack>
+            </Paper>
+          ))}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        {readyItems.length > 0 && (
+          <>
+            <Button startIcon={<Download />} onClick={() => exportQuiz(readyItems, meetingId, 'csv')}>
+              CSV
+            </Button>
+            <Button startIcon={<Download />} onClick={() => exportQuiz(readyItems, meetingId, 'json')}>
+              JSON
+            </Button>
+            <Button onClick={handleAddDrafts}>
+              Save all as drafts
+            </Button>
+          </>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QuizGeneratorDialog;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert
+} from '@mui/material';
+import {
+  FiberManualRecord,
+  CheckCircle,
+  Cancel
+} from '@mui/icons-material';
+
+/**
+ * Asks this participant whether they agree to be recorded. The host starting
+ * the recording (or a participant joining while it runs) triggers the request;
+ * nothing is uploaded until the participant agrees.
+ */
+const RecordingConsentDialog = ({ socket, meetingId }) => {
+  const [request, setRequest] = useState(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleConsentRequest = (data) => {
+      console.log('📥 RecordingConsentDialog: Received consent request:', data);
+      setRequest(data);
+    };
+
+    const handleRecordingStopped = () => {
+      setRequest(null);
+    };
+
+    socket.on('recording_consent_request', handleConsentRequest);
+    socket.on('recording_stopped', handleRecordingStopped);
+
+    return () => {
+      socket.off('recording_consent_request', handleConsentRequest);
+      socket.off('recording_stopped', handleRecordingStopped);
+    };
+  }, [socket]);
+
+  const respond = (consent) => {
+    if (!socket || !meetingId) return;
+
+    console.log(`${consent ? '✅' : '❌'} RecordingConsentDialog: ${consent ? 'Agreeing to' : 'Declining'} recording`);
+    socket.emit('recording_consent', { meetingId, consent });
+    setRequest(null);
+  };
+
+  if (!request) return null;
+
+  return (
+    <Dialog
+      open
+      maxWidth="sm"
+      fullWidth
+      disableEscapeKeyDown
+      PaperProps={{
+        sx: {
+          borderRadius: '16px',
+          background: 'linear-gradient(135deg, rgba(255, 255, 255, 0.95), rgba(255, 255, 255, 0.9))',
+          backdropFilter: 'blur(20px)',
+          boxShadow: '0 20px 60px rgba(0, 0, 0, 0.2)'
+        }
+      }}
+    >
+      <DialogTitle sx={{
+        background: 'linear-gradient(135deg, #667eea, #764ba2)',
+        color: 'white',
+        borderRadius: '16px 16px 0 0',
+        pb: 2
+      }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <FiberManualRecord sx={{ color: '#ff5252' }} />
+          <Typography variant="h6" sx={{ fontWeight: 600 }}>
+            This meeting is being recorded
+          </Typography>
+        </Box>
+      </DialogTitle>
+
+      <DialogContent sx={{ p: 3 }}>
+        <Alert severity="info" sx={{ mt: 2, mb: 3, borderRadius: '12px' }}>
+          {request.hostName ? `${request.hostName} has` : 'The host has'} started recording this meeting
+          {request.isPaused ? ' (currently paused)' : ''}.
+        </Alert>
+
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          Do you agree to your camera and microphone being recorded?
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          If you decline, your audio and video are left out of the recording. Your answer is kept with the meeting record.
+        </Typography>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 3, gap: 2 }}>
+        <Button
+          onClick={() => respond(false)}
+          variant="outlined"
+          startIcon={<Cancel />}
+          sx={{ borderRadius: '12px' }}
+        >
+          Don't Record Me
+        </Button>
+        <Button
+          onClick={() => respond(true)}
+          variant="contained"
+          startIcon={<CheckCircle />}
+          sx={{
+            borderRadius: '12px',
+            background: 'linear-gradient(135deg, #4caf50, #388e3c)',
+            '&:hover': {
+              background: 'linear-gradient(135deg, #45a049, #2e7d32)'
+            }
+          }}
+        >
+          I Agree
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RecordingConsentDialog;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Stack,
+  Typography,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  FormControlLabel,
+  Checkbox,
+  Alert
+} from '@mui/material';
+import { Delete, UploadFile } from '@mui/icons-material';
+import { getRoster, replaceRoster, addRosterMembers, removeRosterMember } from '../services/rosterService';
+
+/**
+ * Edit the roster of a class or meeting. Students signed in with an email on
+ * the roster skip the waiting room.
+ * target: { type: 'class' | 'meeting', targetId }
+ */
+const RosterDialog = ({ open, onClose, target, title }) => {
+  const [members, setMembers] = useState([]);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [studentId, setStudentId] = useState('');
+  const [group, setGroup] = useState('');
+  const [csv, setCsv] = useState('');
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadRoster = useCallback(async () => {
+    try {
+      const roster = await getRoster(target);
+      setMembers(roster.members);
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  }, [target]);
+
+  useEffect(() => {
+    if (open && target) {
+      loadRoster();
+    }
+  }, [open, target, loadRoster]);
+
+  // Run a roster change and show the updated members
+  const saveChange = async (change) => {
+    setIsSaving(true);
+    try {
+      const roster = await change();
+      setMembers(roster.members);
+      setError('');
+      return true;
+    } catch (saveError) {
+      setError(saveError.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddMember = async () => {
+    if (!email.trim() && !name.trim()) {
+      setError('Please enter an email or a name');
+      return;
+    }
+
+    const added = await saveChange(() => addRosterMembers(target, {
+      members: [{ name: name.trim(), email: email.trim(), studentId: studentId.trim(), group: group.trim() }]
+    }));
+    if (added) {
+      setName('');
+      setEmail('');
+      setStudentId('');
+      setGroup('');
+    }
+  };
+
+  const handleImportCsv = async () => {
+    if (!csv.trim()) {
+      setError('Paste CSV rows or choose a CSV file first');
+      return;
+    }
+
+    const imported = await saveChange(() => (replaceExisting
+      ? replaceRoster(target, { csv })
+      : addRosterMembers(target, { csv })));
+    if (imported) {
+      setCsv('');
+    }
+  };
+
+  // Load a CSV file into the text box so it can be checked before importing
+  const handleChooseFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => setCsv(reader.result);
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle className="dialog-title">
+        Roster{title ? ` - ${title}` : ''} ({members.length})
+      </DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          <Typography variant="body2" color="text.secondary">
+            Students signed in with an email on this roster join without waiting for approval.
+          </Typography>
+
+          <Stack direction="row" spacing={1}>
+            <TextField label="Name" size="small" value={name} onChange={(e) => setName(e.target.value)} fullWidth />
+            <TextField label="Email" size="small" value={email} onChange={(e) => setEmail(e.target.value)} fullWidth />
+            <TextField label="Student ID" size="small" value={studentId} onChange={(e) => setStudentId(e.target.value)} />
+            <TextField label="Group" size="small" value={group} onChange={(e) => setGroup(e.target.value)} />
+            <Button variant="outlined" onClick={handleAddMember} disabled={isSaving}>
+              Add
+            </Button>
+          </Stack>
+
+          <TextField
+            label="CSV (email, name, student ID, group)"
+            placeholder={'email,name,studentId,group\nada@example.edu,Ada Lovelace,1001,Team A'}
+            value={csv}
+            onChange={(e) => setCsv(e.target.value)}
+            multiline
+            minRows={3}
+            fullWidth
+          />
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Button component="label" size="small" startIcon={<UploadFile />}>
+              Choose file
+              <input type="file" accept=".csv,text/csv,text/plain" hidden onChange={handleChooseFile} />
+            </Button>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  size="small"
+                  checked={replaceExisting}
+                  onChange={(e) => setReplaceExisting(e.target.checked)}
+                />
+              }
+              label="Replace existing roster"
+            />
+            <Button variant="contained" size="small" onClick={handleImportCsv} disabled={isSaving}>
+              Import
+            </Button>
+          </Stack>
+
+          {members.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No students on the roster yet.
+            </Typography>
+          ) : (
+            <List dense sx={{ maxHeight: 280, overflow: 'auto' }}>
+              {members.map((member) => (
+                <ListItem
+                  key={member.id}
+                  secondaryAction={
+                    <IconButton
+                      edge="end"
+                      size="small"
+                      onClick={() => saveChange(() => removeRosterMember(target, member.id))}
+                      disabled={isSaving}
+                    >
+                      <Delete fontSize="small" />
+                    </IconButton>
+                  }
+                >
+                  <ListItemText
+                    primary={member.name}
+                    secondary={[member.email, member.studentId, member.group].filter(Boolean).join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RosterDialog;
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Stack,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Switch,
+  Alert
+} from '@mui/material';
+import { createClass, WEEKDAYS } from '../services/scheduleService';
+
+// Today's date as YYYY-MM-DD for the date input
+const todayInputValue = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+const ScheduleClassDialog = ({ open, onClose, onScheduled }) => {
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [date, setDate] = useState(todayInputValue());
+  const [time, setTime] = useState('10:00');
+  const [durationMinutes, setDurationMinutes] = useState(60);
+  const [frequency, setFrequency] = useState('none');
+  const [daysOfWeek, setDaysOfWeek] = useState([]);
+  const [until, setUntil] = useState('');
+  const [allowEarlyJoin, setAllowEarlyJoin] = useState(false);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!title.trim()) {
+      setError('Please enter a class title');
+      return;
+    }
+
+    // Date and time inputs are in the user's local time zone
+    const startTime = new Date(`${date}T${time}`);
+    if (Number.isNaN(startTime.getTime())) {
+      setError('Please enter a valid date and time');
+      return;
+    }
+
+    setError('');
+    setIsSaving(true);
+    try {
+      const scheduledClass = await createClass({
+        title: title.trim(),
+        description: description.trim(),
+        startTime: startTime.toISOString(),
+        durationMinutes,
+        recurrence: {
+          frequency,
+          daysOfWeek: frequency === 'weekly' ? daysOfWeek : [],
+          until: frequency !== 'none' && until ? new Date(`${until}T23:59:59`).toISOString() : null
+        },
+        allowEarlyJoin
+      });
+
+      setTitle('');
+      setDescription('');
+      setFrequency('none');
+      setDaysOfWeek([]);
+      setUntil('');
+      onScheduled(scheduledClass);
+      onClose();
+    } catch (scheduleError) {
+      setError(scheduleError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle className="dialog-title">Schedule a Class</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {error && <Alert severity="error">{error}</Alert>}
+          <TextField
+            label="Class title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            inputProps={{ maxLength: 80 }}
+            fullWidth
+          />
+          <TextField
+            label="Description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            multiline
+            minRows={2}
+            fullWidth
+          />
+          <Stack direction="row" spacing={2}>
+            <TextField
+              label="First session"
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              label="Start time"
+              type="time"
+              value={time}
+              onChange={(e) => setTime(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+            <TextField
+              label="Minutes"
+              type="number"
+              value={durationMinutes}
+              onChange={(e) => setDurationMinutes(parseInt(e.target.value, 10) || 0)}
+              inputProps={{ min: 5, max: 600, step: 5 }}
+              fullWidth
+            />
+          </Stack>
+          <TextField
+            select
+            label="Repeat"
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            fullWidth
+          >
+            <MenuItem value="none">Does not repeat</MenuItem>
+            <MenuItem value="daily">Every day</MenuItem>
+            <MenuItem value="weekly">Every week on...</MenuItem>
+          </TextField>
+          {frequency === 'weekly' && (
+            <ToggleButtonGroup
+              value={daysOfWeek}
+              onChange={(e, days) => setDaysOfWeek(days)}
+              size="small"
+            >
+              {WEEKDAYS.map((label, day) => (
+                <ToggleButton key={label} value={day}>
+                  {label}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          )}
+          {frequency !== 'none' && (
+            <TextField
+              label="Repeat until (optional)"
+              type="date"
+              value={until}
+              onChange={(e) => setUntil(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+            />
+          )}
+          <FormControlLabel
+            control={
+              <Switch
+                checked={allowEarlyJoin}
+                onChange={(e) => setAllowEarlyJoin(e.target.checked)}
+              />
+            }
+            label="Let students join before the class starts"
+          />
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={isSaving}>
+          {isSaving ? 'Scheduling...' : 'Schedule'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ScheduleClassDialog;
@@ -61,6 +61,7 @@ const UltraSimpleVideo = ({
   localStream,
   localVideoRef,
   isHost,
+  canModerate = isHost,
   currentUserId,
   forceConnection,
   createConnectionsToAllParticipants,
@@ -71,10 +72,16 @@ const UltraSimpleVideo = ({
   forceRender: hookForceRender,
   // Participant management
   onRemoveParticipant,
+  // Raise-hand queue ([{ participantId, name, position }])
+  handQueue = [],
   // Debug function
   debugConnectionStatus
 }) => {
   const remoteVideoRefs = useRef({});
+  const handPositions = useMemo(
+    () => Object.fromEntries(handQueue.map(entry => [entry.participantId, entry.position])),
+    [handQueue]
+  );
   const [debugPanelOpen, setDebugPanelOpen] = useState(false);
   const [forceRender, setForceRender] = useState(0);
   const [layoutKey, setLayoutKey] = useState(0);
@@ -671,6 +678,11 @@ const UltraSimpleVideo = ({
             {isHost && '👑 '}{userName || 'You'}
             </Typography>
           
+          {handPositions[currentUserId] && (
+            <Box className="raised-hand-indicator" title="Your hand is raised">
+              ✋ {handPositions[currentUserId]}
+            </Box>
+          )}
         </Box>
 
         {/* Remote Videos - Now integrated into main grid */}
@@ -718,6 +730,13 @@ const UltraSimpleVideo = ({
                   </Box>
                 )}
                 
+                {/* Raised Hand Indicator - position in the speaking queue */}
+                {handPositions[participant.id] && (
+                  <Box className="raised-hand-indicator" title={`Hand raised - #${handPositions[participant.id]} in the queue`}>
+                    ✋ {handPositions[participant.id]}
+                  </Box>
+                )}
+
                 {/* Audio Off Indicator */}
                 {!participant.audioEnabled && (
                   <Box className="audio-off-indicator">
@@ -742,13 +761,14 @@ const UltraSimpleVideo = ({
                     {/* Debug info for remove button */}
                     {console.log(`🗑️ DEBUG: Remove button conditions for ${participant.name}:`, {
                       isHost,
+                      canModerate,
                       hasOnRemoveParticipant: !!onRemoveParticipant,
                       participantId: participant.id,
                       participantName: participant.name
                     })}
                     
-                    {/* Remove participant button - only show for host */}
-                    {isHost && onRemoveParticipant && (
+                    {/* Remove participant button - only show for host and co-hosts */}
+                    {canModerate && onRemoveParticipant && !participant.isHost && (
                       <IconButton
                         className="remove-participant-button-inline"
                         onClick={() => {
@@ -37,6 +37,7 @@ const useAudioTranscription = (socket, meetingId) => {
       
       mediaRecorderRef.current = mediaRecorder;
       audioChunksRef.current = [];
+      const startedAt = Date.now();
       
       // Handle data available event
       mediaRecorder.ondataavailable = (event) => {
@@ -45,6 +46,7 @@ const useAudioTranscription = (socket, meetingId) => {
           
           // Send audio chunk to backend
           if (socket && meetingId) {
+            const chunkIndex = audioChunksRef.current.length - 1;
             const reader = new FileReader();
             reader.onload = () => {
               const audioData = reader.result;
@@ -52,7 +54,8 @@ const useAudioTranscription = (socket, meetingId) => {
                 meetingId,
                 audioChunk: audioData,
                 timestamp: Date.now(),
-                chunkIndex: audioChunksRef.current.length - 1
+                startedAt,
+                chunkIndex
               });
             };
             reader.readAsArrayBuffer(event.data);
@@ -50,16 +50,60 @@ export const useChat = (socket, meetingId, userName) => {
       setChatMessages(prev => [...prev, messageData]);
     };
 
+    // Restore the conversation after a resumed session
+    const handleChatHistory = ({ messages }) => {
+      console.log('💬 Restoring chat history:', messages?.length || 0, 'messages');
+      setChatMessages(prev => [
+        ...prev.filter(message => message.from === 'system'),
+        ...(messages || [])
+      ]);
+    };
+
+    // Chat is scoped to the breakout room - note when this participant changes rooms
+    let currentRoomId = null;
+    const handleBreakoutUpdated = ({ breakout }) => {
+      const roomId = breakout.assignments[socket.id] || null;
+      if (roomId === currentRoomId) return;
+      currentRoomId = roomId;
+
+      const room = breakout.rooms.find(r => r.id === roomId);
+      const roomMessage = {
+        from: 'system',
+        userName: 'System',
+        message: room
+          ? `You joined breakout room "${room.name}". Chat messages now only reach this room.`
+          : 'You are back in the main session.',
+        timestamp: new Date()
+      };
+      setChatMessages(prev => [...prev, roomMessage]);
+    };
+
+    const handleBreakoutMessage = ({ message, from }) => {
+      const broadcastMessage = {
+        from: 'system',
+        userName: 'System',
+        message: `📢 ${from}: ${message}`,
+        timestamp: new Date()
+      };
+      setChatMessages(prev => [...prev, broadcastMessage]);
+    };
+
     socket.on('participant-joined', handleParticipantJoined);
     socket.on('participant-left', handleParticipantLeft);
     socket.on('meeting-joined', handleMeetingJoined);
     socket.on('chat-message', handleChatMessage);
+    socket.on('chat-history', handleChatHistory);
+    socket.on('breakout-updated', handleBreakoutUpdated);
+    socket.on('breakout-message', handleBreakoutMessage);
 
     return () => {
       socket.off('participant-joined', handleParticipantJoined);
       socket.off('participant-left', handleParticipantLeft);
       socket.off('meeting-joined', handleMeetingJoined);
       socket.off('chat-message', handleChatMessage);
+      socket.off('chat-history', handleChatHistory);
+      socket.off('breakout-updated', handleBreakoutUpdated);
+      socket.off('breakout-message', handleBreakoutMessage);
     };
   }, [socket, meetingId, userName]);
 
@@ -6,45 +6,160 @@ import { useState, useCallback, useRef, useEffect } from 'react';
  */
 const useMediaRecorder = (socket, meetingId, localStream) => {
   const [isRecording, setIsRecording] = useState(false);
-  const [recordingStatus, setRecordingStatus] = useState('idle'); // idle, starting, recording, stopping, error
+  // The server's recording state (idle, recording, paused, finalizing, ready, failed), or starting/stopping while a request is sent
+  const [recordingStatus, setRecordingStatus] = useState('idle');
   const [recordingError, setRecordingError] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
   const mediaRecorderRef = useRef(null);
   const recordedChunksRef = useRef([]);
+  // This participant's answer to the recording consent request (pending, granted, declined)
+  const consentRef = useRef(null);
+
+  /**
+   * Upload this participant's stream while the meeting is recorded.
+   * Chunks carry their sequence number and the recorder's start time so the
+   * server can write them in order and place them on the meeting timeline.
+   */
+  const startLocalRecording = useCallback(() => {
+    if (!socket || !meetingId || !localStream) return;
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') return;
+
+    // Check MediaRecorder support
+    if (!window.MediaRecorder) {
+      throw new Error('MediaRecorder API not supported in this browser');
+    }
+
+    console.log('🎬 Creating MediaRecorder with stream:', localStream);
+    const mimeType = localStream.getVideoTracks().length > 0 ? 'video/webm;codecs=vp9,opus' : 'audio/webm;codecs=opus';
+    const mediaRecorder = new MediaRecorder(localStream, { mimeType });
+    const startedAt = Date.now();
+    let sequence = 0;
+
+    mediaRecorderRef.current = mediaRecorder;
+    recordedChunksRef.current = [];
+
+    mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        recordedChunksRef.current.push(event.data);
+
+        const chunk = { meetingId, sequence: sequence++, startedAt, timestamp: Date.now() };
+        event.data.arrayBuffer().then(audioChunk => {
+          socket.emit('audio_chunk', { ...chunk, audioChunk });
+        });
+      }
+    };
+
+    mediaRecorder.onstop = () => {
+      console.log('🎬 Local recording stopped');
+    };
+
+    mediaRecorder.start(1000); // Record in 1-second chunks
+    console.log('🎬 MediaRecorder started successfully');
+  }, [socket, meetingId, localStream]);
+
+  const stopLocalRecording = useCallback(() => {
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+      mediaRecorderRef.current.stop();
+    }
+  }, []);
 
   // Handle recording status updates from server
   useEffect(() => {
     if (!socket) return;
 
+    const startUploading = () => {
+      try {
+        startLocalRecording();
+      } catch (error) {
+        console.error('❌ Failed to record local stream:', error);
+        setRecordingError(error.message);
+      }
+    };
+
+    // Every change of the meeting's recording, the status follows it
+    const handleRecordingState = (data) => {
+      console.log('📼 Recording state:', data.state);
+      setRecordingStatus(data.state);
+      setIsRecording(data.state === 'recording' || data.state === 'paused');
+      setIsPaused(data.state === 'paused');
+      setRecordingError(data.state === 'failed' ? data.error : null);
+    };
+
+    // Uploading starts once the server has recorded this participant's consent
     const handleRecordingStarted = (data) => {
       console.log('🎬 Recording started:', data);
+      consentRef.current = null;
+    };
+
+    // Also sent when joining a meeting that is already being recorded
+    const handleConsentRequest = (data) => {
+      consentRef.current = 'pending';
       setIsRecording(true);
-      setRecordingStatus('recording');
-      setRecordingError(null);
+      setIsPaused(data.isPaused);
+      setRecordingStatus(data.isPaused ? 'paused' : 'recording');
+    };
+
+    const handleConsentRecorded = (data) => {
+      console.log('🙋 Recording consent recorded:', data.status);
+      consentRef.current = data.status;
+      if (data.status === 'granted' && !data.isPaused) {
+        startUploading();
+      } else {
+        stopLocalRecording();
+      }
+    };
+
+    // A pause ends this recorder, resuming starts a new one
+    const handleRecordingPaused = () => {
+      stopLocalRecording();
+    };
+
+    const handleRecordingResumed = () => {
+      if (consentRef.current === 'granted') {
+        startUploading();
+      }
     };
 
     const handleRecordingStopped = (data) => {
       console.log('🛑 Recording stopped:', data);
-      setIsRecording(false);
-      setRecordingStatus('idle');
+      stopLocalRecording();
+      consentRef.current = null;
     };
 
+    // A request the recording's state doesn't allow leaves it as it was
     const handleRecordingError = (data) => {
       console.error('❌ Recording error:', data);
       setRecordingError(data.error);
-      setRecordingStatus('error');
-      setIsRecording(false);
+      if (data.state) {
+        setRecordingStatus(data.state);
+        setIsRecording(data.state === 'recording' || data.state === 'paused');
+        setIsPaused(data.state === 'paused');
+      }
     };
 
+    socket.on('recording_state', handleRecordingState);
     socket.on('recording_started', handleRecordingStarted);
+    socket.on('recording_consent_request', handleConsentRequest);
+    socket.on('recording_consent_recorded', handleConsentRecorded);
+    socket.on('recording_paused', handleRecordingPaused);
+    socket.on('recording_resumed', handleRecordingResumed);
     socket.on('recording_stopped', handleRecordingStopped);
     socket.on('recording_error', handleRecordingError);
 
     return () => {
+      socket.off('recording_state', handleRecordingState);
       socket.off('recording_started', handleRecordingStarted);
+      socket.off('recording_consent_request', handleConsentRequest);
+      socket.off('recording_consent_recorded', handleConsentRecorded);
+      socket.off('recording_paused', handleRecordingPaused);
+      socket.off('recording_resumed', handleRecordingResumed);
       socket.off('recording_stopped', handleRecordingStopped);
       socket.off('recording_error', handleRecordingError);
     };
-  }, [socket]);
+  }, [socket, startLocalRecording, stopLocalRecording]);
+
+  // Stop uploading when leaving the meeting
+  useEffect(() => stopLocalRecording, [stopLocalRecording]);
 
   /**
    * Start recording the meeting
@@ -66,7 +181,8 @@ const useMediaRecorder = (socket, meetingId, localStream) => {
       setRecordingError(null);
       console.log('🎬 Starting recording process...');
 
-      // Notify server to start recording
+      // Notify server to start recording, every participant (this one included)
+      // starts uploading their stream on recording_started
       socket.emit('start_recording', {
         meetingId,
         options: {
@@ -76,50 +192,6 @@ const useMediaRecorder = (socket, meetingId, localStream) => {
         }
       });
 
-      // Start local media recording for backup
-      if (localStream) {
-        console.log('🎬 Creating MediaRecorder with stream:', localStream);
-        
-        // Check MediaRecorder support
-        if (!window.MediaRecorder) {
-          throw new Error('MediaRecorder API not supported in this browser');
-        }
-        
-        const mediaRecorder = new MediaRecorder(localStream, {
-          mimeType: 'video/webm;codecs=vp9,opus'
-        });
-        
-        console.log('🎬 MediaRecorder created successfully');
-
-        mediaRecorderRef.current = mediaRecorder;
-        recordedChunksRef.current = [];
-
-        mediaRecorder.ondataavailable = (event) => {
-          if (event.data.size > 0) {
-            recordedChunksRef.current.push(event.data);
-            
-            // Send audio chunks to server for real-time processing
-            const reader = new FileReader();
-            reader.onload = () => {
-              const arrayBuffer = reader.result;
-              socket.emit('audio_chunk', {
-                meetingId,
-                audioChunk: Array.from(new Uint8Array(arrayBuffer))
-              });
-            };
-            reader.readAsArrayBuffer(event.data);
-          }
-        };
-
-        mediaRecorder.onstop = () => {
-          console.log('🎬 Local recording stopped');
-        };
-
-        console.log('🎬 Starting MediaRecorder...');
-        mediaRecorder.start(1000); // Record in 1-second chunks
-        console.log('🎬 MediaRecorder started successfully');
-      }
-
     } catch (error) {
       console.error('❌ Failed to start recording:', error);
       setRecordingError(error.message);
@@ -139,12 +211,8 @@ const useMediaRecorder = (socket, meetingId, localStream) => {
     try {
       setRecordingStatus('stopping');
 
-      // Stop local media recording
-      if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
-        mediaRecorderRef.current.stop();
-      }
-
-      // Notify server to stop recording
+      // Notify server to stop recording, the local recorder stops on recording_stopped
+      // and the recording is finalizing until the server has built it
       socket.emit('stop_recording', { meetingId });
 
     } catch (error) {
@@ -154,6 +222,15 @@ const useMediaRecorder = (socket, meetingId, localStream) => {
     }
   }, [socket, meetingId]);
 
+  /**
+   * Pause or resume the recording. The gap is marked in the recording.
+   */
+  const togglePauseRecording = useCallback(() => {
+    if (!socket || !meetingId || !isRecording) return;
+
+    socket.emit(isPaused ? 'resume_recording' : 'pause_recording', { meetingId });
+  }, [socket, meetingId, isRecording, isPaused]);
+
   /**
    * Toggle recording state
    */
@@ -171,20 +248,23 @@ const useMediaRecorder = (socket, meetingId, localStream) => {
   const getRecordingInfo = useCallback(() => {
     return {
       isRecording,
+      isPaused,
       status: recordingStatus,
       error: recordingError,
-      canStart: !isRecording && recordingStatus === 'idle',
-      canStop: isRecording && recordingStatus === 'recording'
+      canStart: !isRecording && ['idle', 'ready', 'failed'].includes(recordingStatus),
+      canStop: isRecording && (recordingStatus === 'recording' || recordingStatus === 'paused')
     };
-  }, [isRecording, recordingStatus, recordingError]);
+  }, [isRecording, isPaused, recordingStatus, recordingError]);
 
   return {
     isRecording,
+    isPaused,
     recordingStatus,
     recordingError,
     startRecording,
     stopRecording,
     toggleRecording,
+    togglePauseRecording,
     getRecordingInfo
   };
 };
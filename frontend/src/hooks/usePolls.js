@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Live polls and quizzes: students answer the running poll, the host team
+// manages polls and follows the results as answers come in
+export const usePolls = (socket, meetingId, canManagePolls) => {
+  // Host team: every poll of the meeting, with results and answers
+  const [polls, setPolls] = useState([]);
+  // Students: the poll currently running, their answer and any shared results
+  const [activePoll, setActivePoll] = useState(null);
+  const [myAnswers, setMyAnswers] = useState({});
+  const [sharedResults, setSharedResults] = useState(null);
+  const [pollError, setPollError] = useState(null);
+  // Host team: quiz questions generated from the transcript, waiting for review
+  const [quizDraft, setQuizDraft] = useState(null);
+  const [generatingQuiz, setGeneratingQuiz] = useState(false);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handlePollStarted = ({ poll }) => {
+      console.log('📊 Poll started:', poll.question);
+      setSharedResults(null);
+      setActivePoll(poll);
+    };
+
+    const handlePollEnded = ({ pollId }) => {
+      setActivePoll(prev => (prev && prev.id === pollId ? { ...prev, status: 'closed', endsAt: null } : prev));
+    };
+
+    const handleAnswerReceived = ({ pollId, optionId }) => {
+      setMyAnswers(prev => ({ ...prev, [pollId]: optionId }));
+    };
+
+    const handlePollResults = ({ poll }) => {
+      setSharedResults(poll);
+    };
+
+    const handlePollError = ({ message }) => {
+      setPollError(message);
+      setGeneratingQuiz(false);
+    };
+
+    socket.on('poll-started', handlePollStarted);
+    socket.on('poll-ended', handlePollEnded);
+    socket.on('poll-answer-received', handleAnswerReceived);
+    socket.on('poll-results', handlePollResults);
+    socket.on('poll-error', handlePollError);
+
+    return () => {
+      socket.off('poll-started', handlePollStarted);
+      socket.off('poll-ended', handlePollEnded);
+      socket.off('poll-answer-received', handleAnswerReceived);
+      socket.off('poll-results', handlePollResults);
+      socket.off('poll-error', handlePollError);
+    };
+  }, [socket]);
+
+  // Host team: keep the poll list in sync
+  useEffect(() => {
+    if (!socket || !canManagePolls) return;
+
+    const handlePolls = (data) => {
+      setPolls(data.polls || []);
+    };
+
+    const handlePollUpdated = ({ poll }) => {
+      setPolls(prev => (prev.some(p => p.id === poll.id)
+        ? prev.map(p => (p.id === poll.id ? poll : p))
+        : [...prev, poll]));
+    };
+
+    const handleQuizGenerated = ({ items, difficulty, model }) => {
+      console.log(`📝 ${items.length} quiz question(s) generated (${model})`);
+      setQuizDraft({ items, difficulty, model });
+      setGeneratingQuiz(false);
+    };
+
+    socket.on('polls', handlePolls);
+    socket.on('poll-updated', handlePollUpdated);
+    socket.on('quiz-generated', handleQuizGenerated);
+    socket.emit('get-polls', { meetingId });
+
+    return () => {
+      socket.off('polls', handlePolls);
+      socket.off('poll-updated', handlePollUpdated);
+      socket.off('quiz-generated', handleQuizGenerated);
+    };
+  }, [socket, meetingId, canManagePolls]);
+
+  // With `launch`, the poll starts as soon as it is created
+  const createPoll = useCallback(({ question, options, correctOption, explanation }, launch = false, durationSeconds = 0) => {
+    socket?.emit('poll-create', { meetingId, question, options, correctOption, explanation, launch, durationSeconds });
+  }, [socket, meetingId]);
+
+  const startPoll = useCallback((pollId, durationSeconds) => {
+    socket?.emit('poll-start', { meetingId, pollId, durationSeconds });
+  }, [socket, meetingId]);
+
+  const endPoll = useCallback((pollId) => {
+    socket?.emit('poll-end', { meetingId, pollId });
+  }, [socket, meetingId]);
+
+  const sharePollResults = useCallback((pollId) => {
+    socket?.emit('poll-share-results', { meetingId, pollId });
+  }, [socket, meetingId]);
+
+  const answerPoll = useCallback((pollId, optionId) => {
+    socket?.emit('poll-answer', { meetingId, pollId, optionId });
+  }, [socket, meetingId]);
+
+  const generateQuiz = useCallback(({ count, difficulty, minutes }) => {
+    if (!socket) return;
+    setGeneratingQuiz(true);
+    socket.emit('quiz-generate', { meetingId, count, difficulty, minutes });
+  }, [socket, meetingId]);
+
+  const clearPollError = useCallback(() => setPollError(null), []);
+  const clearQuizDraft = useCallback(() => setQuizDraft(null), []);
+
+  return {
+    polls,
+    activePoll,
+    myAnswers,
+    sharedResults,
+    pollError,
+    clearPollError,
+    quizDraft,
+    generatingQuiz,
+    clearQuizDraft,
+    generateQuiz,
+    createPoll,
+    startPoll,
+    endPoll,
+    sharePollResults,
+    answerPoll
+  };
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Raise-hand queue: the server keeps the order, every client mirrors it
+export const useRaiseHand = (socket, meetingId) => {
+  const [handQueue, setHandQueue] = useState([]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleQueueUpdated = ({ queue }) => {
+      setHandQueue(queue || []);
+    };
+
+    socket.on('hand-queue-updated', handleQueueUpdated);
+
+    return () => {
+      socket.off('hand-queue-updated', handleQueueUpdated);
+    };
+  }, [socket]);
+
+  const isHandRaised = !!socket && handQueue.some(entry => entry.participantId === socket.id);
+
+  const toggleHand = useCallback(() => {
+    socket?.emit(isHandRaised ? 'lower-hand' : 'raise-hand', { meetingId });
+  }, [socket, meetingId, isHandRaised]);
+
+  // Host and co-host actions (the server rejects anyone else)
+  const callNext = useCallback((requestMedia) => {
+    socket?.emit('hand-call-next', { meetingId, requestMedia });
+  }, [socket, meetingId]);
+
+  const clearHands = useCallback(() => {
+    socket?.emit('hand-clear-queue', { meetingId });
+  }, [socket, meetingId]);
+
+  const lowerHand = useCallback((participantId) => {
+    socket?.emit('lower-hand', { meetingId, participantId });
+  }, [socket, meetingId]);
+
+  return {
+    handQueue,
+    isHandRaised,
+    toggleHand,
+    callNext,
+    clearHands,
+    lowerHand
+  };
+};
@@ -1,16 +1,27 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import io from 'socket.io-client';
 import SimplePeer from 'simple-peer';
-import { getBackendUrl } from '../config/network';
+import {
+  createSocket,
+  getHostReclaimToken,
+  storeHostReclaimToken,
+  getParticipantToken,
+  storeParticipantToken
+} from '../services/socketService';
 
 const useUltraSimplePeer = (meetingId, userName) => {
   const [localStream, setLocalStream] = useState(null);
   const [remoteStreams, setRemoteStreams] = useState({});
   const [participants, setParticipants] = useState([]);
   const [isHost, setIsHost] = useState(false);
+  const [role, setRole] = useState(null);
+  const [resumedMediaState, setResumedMediaState] = useState(null);
   const [isWaitingForApproval, setIsWaitingForApproval] = useState(false);
   const [pendingApprovals, setPendingApprovals] = useState([]);
   const [showPendingApprovals, setShowPendingApprovals] = useState(false);
+  // Roster view for approvers: members with present/waiting/absent status
+  const [meetingRoster, setMeetingRoster] = useState(null);
+  const [breakout, setBreakout] = useState(null);
+  const [breakoutRoomId, setBreakoutRoomId] = useState(null);
   const [socket, setSocket] = useState(null);
   const [socketConnected, setSocketConnected] = useState(false);
   const [screenStream, setScreenStream] = useState(null);
@@ -23,6 +34,8 @@ const useUltraSimplePeer = (meetingId, userName) => {
   const localVideoRef = useRef(null);
   const participantsRef = useRef([]);
   const isHostRef = useRef(false);
+  const canModerateRef = useRef(false);
+  const breakoutRoomRef = useRef(null);
   const addedStreamsRef = useRef(new Set());
   const reconnectionAttempts = useRef({});
   const pageVisibilityRef = useRef(true);
@@ -52,7 +65,7 @@ const useUltraSimplePeer = (meetingId, userName) => {
       originalError.apply(console, args);
     };
     
-    const newSocket = io(getBackendUrl());
+    const newSocket = createSocket();
     socketRef.current = newSocket;
     setSocket(newSocket);
 
@@ -77,11 +90,14 @@ const useUltraSimplePeer = (meetingId, userName) => {
         console.log('🎯 Host joining (detected from URL parameter)');
           setIsHost(true);
           isHostRef.current = true;
+          canModerateRef.current = true;
         
+        // The server decides host status from the signed-in account or reclaim token
         newSocket.emit('join-meeting', { 
           meetingId, 
           userName,
-          isHost: true 
+          reclaimToken: getHostReclaimToken(meetingId),
+          resumeToken: getParticipantToken(meetingId)
         });
         setIsWaitingForApproval(false);
         
@@ -136,7 +152,8 @@ const useUltraSimplePeer = (meetingId, userName) => {
         newSocket.emit('join-meeting', {
           meetingId,
           userName: userName,
-          isHost: false
+          reclaimToken: getHostReclaimToken(meetingId),
+          resumeToken: getParticipantToken(meetingId)
         });
       }
     });
@@ -164,6 +181,11 @@ const useUltraSimplePeer = (meetingId, userName) => {
     newSocket.on('meeting-joined', (data) => {
       setIsHost(data.isHost);
       isHostRef.current = data.isHost;
+      canModerateRef.current = data.isHost;
+      setRole(data.isHost ? 'host' : 'student');
+      if (data.hostReclaimToken) {
+        storeHostReclaimToken(meetingId, data.hostReclaimToken);
+      }
       const initialParticipants = (data.meeting.participants || []).map(participant => ({
         ...participant,
         audioEnabled: participant.audioEnabled ?? false,
@@ -184,7 +206,7 @@ const useUltraSimplePeer = (meetingId, userName) => {
 
     // Handle pending approvals summary (instead of flooding with all approvals)
     newSocket.on('pending-approvals-summary', (data) => {
-      if (isHostRef.current) {
+      if (canModerateRef.current) {
         // Don't show the dialog immediately, just log the summary
         console.log(`📝 Host has ${data.count} pending approvals - not showing dialog`);
       }
@@ -231,8 +253,8 @@ const useUltraSimplePeer = (meetingId, userName) => {
 
     // Handle pending approval
     newSocket.on('pending-approval', (data) => {
-      // Only hosts should receive pending approval events
-      if (!isHostRef.current) {
+      // Only hosts and co-hosts should receive pending approval events
+      if (!canModerateRef.current) {
         return;
       }
       
@@ -299,6 +321,184 @@ const useUltraSimplePeer = (meetingId, userName) => {
       }, 1000);
     });
 
+    // Handle role changes assigned by the host
+    newSocket.on('participant-role-changed', (data) => {
+      console.log('🎭 UltraSimplePeer: Participant role changed:', data);
+      setParticipants(prev => {
+        const updated = prev.map(p => (
+          p.id === data.participantId ? { ...p, role: data.role } : p
+        ));
+        participantsRef.current = updated;
+        return updated;
+      });
+      
+      // Our own role changed - co-hosts share the host's moderation controls
+      if (data.participantId === newSocket.id) {
+        setRole(data.role);
+        canModerateRef.current = isHostRef.current || data.role === 'co-host';
+        if (!canModerateRef.current) {
+          setPendingApprovals([]);
+          setShowPendingApprovals(false);
+        }
+      }
+    });
+
+    // Handle the token used to resume this seat after a drop
+    newSocket.on('participant-session', (data) => {
+      storeParticipantToken(meetingId, data.participantToken);
+    });
+
+    // Handle our own session being restored after a reconnect
+    newSocket.on('session-resumed', (data) => {
+      console.log('🔁 UltraSimplePeer: Session resumed:', data);
+      setRole(data.participant.role);
+      canModerateRef.current = isHostRef.current || data.participant.role === 'co-host';
+      setIsWaitingForApproval(false);
+      
+      if (typeof data.participant.audioEnabled === 'boolean' || typeof data.participant.videoEnabled === 'boolean') {
+        setResumedMediaState({
+          audioEnabled: data.participant.audioEnabled,
+          videoEnabled: data.participant.videoEnabled
+        });
+      }
+    });
+
+    // Handle a peer who reconnected with a new socket id - drop the old connection
+    // and let the resumed participant re-negotiate
+    newSocket.on('participant-resumed', (data) => {
+      console.log('🔁 UltraSimplePeer: Participant resumed:', data);
+      
+      if (peersRef.current[data.previousId]) {
+        try {
+          peersRef.current[data.previousId].destroy();
+        } catch (error) {
+          console.warn('⚠️ UltraSimplePeer: Error destroying stale peer:', error);
+        }
+        delete peersRef.current[data.previousId];
+      }
+      
+      setRemoteStreams(prev => {
+        const updated = { ...prev };
+        delete updated[data.previousId];
+        return updated;
+      });
+      
+      setParticipants(prev => {
+        const withoutStale = prev.filter(p => p.id !== data.previousId && p.id !== data.participant.id);
+        const updated = [...withoutStale, {
+          ...data.participant,
+          audioEnabled: data.participant.audioEnabled ?? false,
+          videoEnabled: data.participant.videoEnabled ?? false
+        }];
+        participantsRef.current = updated;
+        return updated;
+      });
+    });
+
+    // Handle another tab taking over this session
+    newSocket.on('session-replaced', () => {
+      console.warn('🔁 UltraSimplePeer: Session was resumed from another connection');
+    });
+
+    // Handle the reclaim token issued when we are given the host seat
+    newSocket.on('host-reclaim-token', (data) => {
+      storeHostReclaimToken(meetingId, data.reclaimToken);
+    });
+
+    // Handle host transfer, fallback or reclaim
+    newSocket.on('host-changed', (data) => {
+      console.log('👑 UltraSimplePeer: Host changed:', data);
+      const rolesById = {};
+      (data.participants || []).forEach(p => {
+        rolesById[p.id] = p;
+      });
+      
+      setParticipants(prev => {
+        const updated = prev.map(p => (
+          rolesById[p.id]
+            ? { ...p, name: rolesById[p.id].name, isHost: rolesById[p.id].isHost, role: rolesById[p.id].role }
+            : p
+        ));
+        participantsRef.current = updated;
+        return updated;
+      });
+      
+      const self = rolesById[newSocket.id];
+      if (self) {
+        setIsHost(self.isHost);
+        isHostRef.current = self.isHost;
+        setRole(self.role);
+        canModerateRef.current = self.isHost || self.role === 'co-host';
+        if (!self.isHost) {
+          storeHostReclaimToken(meetingId, null);
+        }
+      }
+    });
+
+    // Handle a join request resolved by another host or co-host
+    newSocket.on('approval-resolved', (data) => {
+      setPendingApprovals(prev => {
+        const updated = prev.filter(p => p.id !== data.participantId);
+        if (updated.length === 0) {
+          setShowPendingApprovals(false);
+        }
+        return updated;
+      });
+    });
+
+    // Handle the roster view requested by this host or co-host
+    newSocket.on('meeting-roster', (data) => {
+      setMeetingRoster(data);
+    });
+
+    // Handle breakout room changes - only participants in the same room stay connected
+    newSocket.on('breakout-updated', (data) => {
+      const { assignments } = data.breakout;
+      const previousRoomId = breakoutRoomRef.current;
+      const currentRoomId = assignments[newSocket.id] || null;
+      console.log('🚪 UltraSimplePeer: Breakout rooms updated:', { previousRoomId, currentRoomId, status: data.breakout.status });
+      
+      breakoutRoomRef.current = currentRoomId;
+      setBreakoutRoomId(currentRoomId);
+      setBreakout(data.breakout);
+      
+      const withRooms = (list) => list.map(p => (p.id in assignments ? { ...p, breakoutRoomId: assignments[p.id] } : p));
+      participantsRef.current = withRooms(participantsRef.current);
+      setParticipants(prev => withRooms(prev));
+      
+      // Drop connections to participants who are now in another room
+      const leavingIds = Object.keys(peersRef.current).filter(id => (assignments[id] || null) !== currentRoomId);
+      leavingIds.forEach(participantId => {
+        try {
+          peersRef.current[participantId].destroy();
+        } catch (error) {
+          console.log(`⚠️ UltraSimplePeer: Error destroying peer connection for ${participantId}:`, error.message);
+        }
+        delete peersRef.current[participantId];
+      });
+      if (leavingIds.length > 0) {
+        const withoutLeaving = (streams) => {
+          const updated = { ...streams };
+          leavingIds.forEach(id => delete updated[id]);
+          return updated;
+        };
+        setRemoteStreams(withoutLeaving);
+        setRemoteScreenStreams(withoutLeaving);
+      }
+      
+      // Connect to the people in the new room
+      if (currentRoomId !== previousRoomId) {
+        setTimeout(() => {
+          newSocket.emit('participant-ready', {
+            meetingId,
+            participantId: newSocket.id,
+            participantName: userName
+          });
+          setTimeout(() => createConnectionsToAllParticipants(), 1500);
+        }, 500);
+      }
+    });
+
     // Handle participant rejected
     newSocket.on('participant-rejected', () => {
       console.log('❌ UltraSimplePeer: Participant rejected');
@@ -1082,7 +1282,8 @@ const useUltraSimplePeer = (meetingId, userName) => {
     }
     
     const allParticipants = participantsRef.current.filter(participant => 
-      participant.id !== socketRef.current?.id && participant.isApproved
+      participant.id !== socketRef.current?.id && participant.isApproved &&
+      (participant.breakoutRoomId || null) === breakoutRoomRef.current
     );
     
     let participantsToConnect = [];
@@ -1232,6 +1433,13 @@ const useUltraSimplePeer = (meetingId, userName) => {
     const { from, signal } = data;
     console.log(`📡 HANDLE-SIGNAL: Received ${signal.type} from ${from}`);
     
+    // Ignore signals from participants in another breakout room
+    const sender = participantsRef.current.find(p => p.id === from);
+    if (sender && (sender.breakoutRoomId || null) !== breakoutRoomRef.current) {
+      console.log(`📡 HANDLE-SIGNAL: Ignoring signal from ${from} - different breakout room`);
+      return;
+    }
+    
     if (peersRef.current[from]) {
       console.log(`📡 HANDLE-SIGNAL: Applying signal to existing peer: ${from}`);
       peersRef.current[from].signal(signal);
@@ -1505,6 +1713,71 @@ const useUltraSimplePeer = (meetingId, userName) => {
     });
   }, [meetingId]);
 
+  // Approve or reject several waiting participants at once
+  const resolveParticipants = useCallback((participantIds, approved) => {
+    console.log(`${approved ? '✅' : '❌'} UltraSimplePeer: Bulk ${approved ? 'approving' : 'rejecting'} participants:`, participantIds);
+    socketRef.current.emit('approve-participants', {
+      meetingId,
+      participantIds,
+      approved
+    });
+    
+    // Remove from pending approvals and hide the dialog once none are left
+    setPendingApprovals(prev => {
+      const updated = prev.filter(p => !participantIds.includes(p.id));
+      if (updated.length === 0) {
+        setShowPendingApprovals(false);
+      }
+      return updated;
+    });
+  }, [meetingId]);
+
+  // Ask the server who on the roster is present, waiting or absent
+  const requestMeetingRoster = useCallback(() => {
+    socketRef.current?.emit('get-meeting-roster', { meetingId });
+  }, [meetingId]);
+
+  // Breakout rooms (host and co-hosts only - the server rejects anyone else)
+  const createBreakoutRooms = useCallback(({ count, names, mode }) => {
+    socketRef.current?.emit('breakout-create', { meetingId, count, names, mode });
+  }, [meetingId]);
+
+  // Move a participant to a room, or back to the main session with a null roomId
+  const moveToBreakoutRoom = useCallback((participantId, roomId) => {
+    socketRef.current?.emit('breakout-move', { meetingId, participantId, roomId });
+  }, [meetingId]);
+
+  const broadcastToBreakoutRooms = useCallback((message) => {
+    socketRef.current?.emit('breakout-broadcast', { meetingId, message });
+  }, [meetingId]);
+
+  const startBreakoutTimer = useCallback((minutes) => {
+    socketRef.current?.emit('breakout-timer', { meetingId, minutes });
+  }, [meetingId]);
+
+  const closeBreakoutRooms = useCallback(() => {
+    socketRef.current?.emit('breakout-close', { meetingId });
+  }, [meetingId]);
+
+  // Assign a participant's role (host only - the server rejects anyone else)
+  const setParticipantRole = useCallback((participantId, newRole) => {
+    console.log('🎭 UltraSimplePeer: Setting participant role:', { participantId, newRole });
+    socketRef.current.emit('set-participant-role', {
+      meetingId,
+      participantId,
+      role: newRole
+    });
+  }, [meetingId]);
+
+  // Hand the host seat to another participant (host only)
+  const transferHost = useCallback((participantId) => {
+    console.log('👑 UltraSimplePeer: Transferring host to:', participantId);
+    socketRef.current.emit('transfer-host', {
+      meetingId,
+      participantId
+    });
+  }, [meetingId]);
+
   // Auto-initialize media when host or approved
   useEffect(() => {
     if (isHost || !isWaitingForApproval) {
@@ -2247,11 +2520,17 @@ const useUltraSimplePeer = (meetingId, userName) => {
     }
   };
 
+  // Only the people in this participant's room (or the main session) are shown
+  const roomParticipants = participants.filter(p => (p.breakoutRoomId || null) === breakoutRoomId);
+
   return {
     localStream,
     remoteStreams,
-    participants,
+    participants: roomParticipants,
+    allParticipants: participants,
     isHost,
+    role,
+    canModerate: isHost || role === 'co-host',
     isWaitingForApproval,
     pendingApprovals,
     showPendingApprovals,
@@ -2261,6 +2540,20 @@ const useUltraSimplePeer = (meetingId, userName) => {
     localVideoRef,
     approveParticipant,
     rejectParticipant,
+    resolveParticipants,
+    meetingRoster,
+    requestMeetingRoster,
+    breakout,
+    breakoutRoomId,
+    createBreakoutRooms,
+    moveToBreakoutRoom,
+    broadcastToBreakoutRooms,
+    startBreakoutTimer,
+    closeBreakoutRooms,
+    setParticipantRole,
+    transferHost,
+    resumedMediaState,
+    clearResumedMediaState: () => setResumedMediaState(null),
     forceConnection,
     createConnectionsToAllParticipants,
     isConnectionActive,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Box, 
@@ -8,33 +8,84 @@ import {
   CardContent,
   Container,
   Grid,
-  TextField
+  TextField,
+  Chip,
+  IconButton,
+  Switch,
+  Tooltip
 } from '@mui/material';
 import { 
   History,
   Logout,
   Person,
-  Refresh
+  Refresh,
+  Event,
+  CalendarMonth,
+  Groups
 } from '@mui/icons-material';
 import '../css/HomePage.css';
-import { isAuthenticated, clearAuthentication, debugAuthState } from '../services/authService';
-import { generateUniqueMeetingCode } from '../services/meetingCodeService';
+import { isAuthenticated, logout, fetchCurrentUser, debugAuthState } from '../services/authService';
+import { generateUniqueMeetingCode, formatMeetingCode } from '../services/meetingCodeService';
+import { getUpcomingSessions, updateClass, downloadSessionCalendar, formatSessionTime } from '../services/scheduleService';
+import ScheduleClassDialog from '../components/ScheduleClassDialog';
+import RosterDialog from '../components/RosterDialog';
 
 const HomePage = () => {
   const navigate = useNavigate();
   const [meetingCode, setMeetingCode] = useState('');
   const [isUserAuthenticated, setIsUserAuthenticated] = useState(false);
+  const [upcomingSessions, setUpcomingSessions] = useState([]);
+  const [showScheduleDialog, setShowScheduleDialog] = useState(false);
+  // Class whose roster is being edited ({ type, targetId, title })
+  const [rosterTarget, setRosterTarget] = useState(null);
 
   // Check authentication status on component mount
   useEffect(() => {
-    const checkAuth = () => {
-      const authenticated = isAuthenticated();
-      setIsUserAuthenticated(authenticated);
+    const checkAuth = async () => {
+      setIsUserAuthenticated(isAuthenticated());
+      
+      // Confirm the stored session is still valid on the server
+      if (isAuthenticated()) {
+        const user = await fetchCurrentUser();
+        setIsUserAuthenticated(!!user);
+      }
     };
     
     checkAuth();
   }, []);
 
+  // Load the signed-in user's upcoming class sessions
+  const loadUpcomingSessions = useCallback(async () => {
+    try {
+      setUpcomingSessions(await getUpcomingSessions());
+    } catch (error) {
+      console.error('Error loading upcoming sessions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isUserAuthenticated) {
+      loadUpcomingSessions();
+    }
+  }, [isUserAuthenticated, loadUpcomingSessions]);
+
+  const handleToggleEarlyJoin = async (session) => {
+    try {
+      await updateClass(session.classId, { allowEarlyJoin: !session.allowEarlyJoin });
+      loadUpcomingSessions();
+    } catch (error) {
+      console.error('Error updating class:', error);
+    }
+  };
+
+  const handleDownloadCalendar = async (session) => {
+    try {
+      await downloadSessionCalendar(session);
+    } catch (error) {
+      console.error('Error exporting session:', error);
+    }
+  };
+
   const handleJoinMeeting = () => {
     if (meetingCode.trim()) {
       navigate(`/lobby/${meetingCode.trim()}`);
@@ -45,9 +96,9 @@ const HomePage = () => {
     navigate('/history');
   };
 
-  const handleLogout = () => {
-    // Clear authentication and navigate to landing page
-    clearAuthentication();
+  const handleLogout = async () => {
+    // Revoke the server session and navigate to landing page
+    await logout();
     setIsUserAuthenticated(false);
     navigate('/');
   };
@@ -156,6 +207,77 @@ const HomePage = () => {
                 </Card>
               </Box>
 
+              {/* Upcoming Classes - only for signed-in users, who own scheduled classes */}
+              {isUserAuthenticated && (
+                <Box className="upcoming-classes-section">
+                  <Card className="join-meeting-card">
+                    <CardContent className="join-meeting-content">
+                      <Box className="upcoming-classes-header">
+                        <Typography variant="h5" className="join-meeting-title upcoming-classes-title">
+                          Upcoming Classes
+                        </Typography>
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          startIcon={<Event />}
+                          onClick={() => setShowScheduleDialog(true)}
+                          className="generate-code-btn schedule-class-btn"
+                        >
+                          Schedule
+                        </Button>
+                      </Box>
+                      {upcomingSessions.length === 0 ? (
+                        <Typography variant="body2" className="meeting-instruction">
+                          No classes scheduled in the next two weeks.
+                        </Typography>
+                      ) : (
+                        upcomingSessions.map((session) => (
+                          <Box key={`${session.classId}-${session.meetingCode}`} className="upcoming-session">
+                            <Box className="upcoming-session-info">
+                              <Typography variant="subtitle1" className="upcoming-session-title">
+                                {session.title}
+                              </Typography>
+                              <Typography variant="body2" color="text.secondary">
+                                {formatSessionTime(session.startTime)}
+                              </Typography>
+                            </Box>
+                            <Chip label={formatMeetingCode(session.meetingCode)} size="small" />
+                            <Tooltip title="Let students join before the class starts">
+                              <Switch
+                                size="small"
+                                checked={session.allowEarlyJoin}
+                                onChange={() => handleToggleEarlyJoin(session)}
+                              />
+                            </Tooltip>
+                            <Tooltip title="Class roster">
+                              <IconButton
+                                size="small"
+                                onClick={() => setRosterTarget({ type: 'class', targetId: session.classId, title: session.title })}
+                              >
+                                <Groups fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Add to calendar (.ics)">
+                              <IconButton size="small" onClick={() => handleDownloadCalendar(session)}>
+                                <CalendarMonth fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Button
+                              variant="contained"
+                              size="small"
+                              className="join-meeting-btn"
+                              onClick={() => navigate(`/lobby/${session.meetingCode}`)}
+                            >
+                              Start
+                            </Button>
+                          </Box>
+                        ))
+                      )}
+                    </CardContent>
+                  </Card>
+                </Box>
+              )}
+
             </Box>
           </Grid>
 
@@ -182,6 +304,19 @@ const HomePage = () => {
           </Grid>
         </Grid>
       </Container>
+
+      <ScheduleClassDialog
+        open={showScheduleDialog}
+        onClose={() => setShowScheduleDialog(false)}
+        onScheduled={loadUpcomingSessions}
+      />
+
+      <RosterDialog
+        open={!!rosterTarget}
+        onClose={() => setRosterTarget(null)}
+        target={rosterTarget}
+        title={rosterTarget?.title}
+      />
     </Box>
   );
 };
@@ -21,6 +21,8 @@ const LoginPage = () => {
     password: ''
   });
 
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
   const handleBack = () => {
     navigate('/');
   };
@@ -32,12 +34,13 @@ const LoginPage = () => {
     });
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     // Handle login using auth service
+    setIsSubmitting(true);
     try {
-      const result = login(formData.email, formData.password);
+      const result = await login(formData.email, formData.password);
       
       if (result.success) {
         console.log('Login successful:', result.user);
@@ -49,6 +52,8 @@ const LoginPage = () => {
     } catch (error) {
       console.error('Login error:', error);
       alert('Login failed. Please try again.');
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -104,6 +109,7 @@ const LoginPage = () => {
                 fullWidth
                 variant="contained"
                 size="large"
+                disabled={isSubmitting}
                 className="login-button"
               >
                 Sign In
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -16,7 +16,14 @@ import {
   TableCell,
   TableContainer,
   TableHead,
-  TableRow
+  TableRow,
+  TablePagination,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Alert,
+  Stack
 } from '@mui/material';
 import { 
   ArrowBack,
@@ -26,59 +33,291 @@ import {
   Schedule,
   AccessTime,
   PlayArrow,
-  Star
+  Star,
+  FactCheck,
+  Download,
+  Quiz,
+  Summarize,
+  QuestionAnswer,
+  Search,
+  Movie
 } from '@mui/icons-material';
 import '../css/MeetingsHistory.css';
-import { getMeetings, getMeetingStats, clearAllMeetings } from '../services/meetingsService';
+import { getMyMeetingHistory, importLocalMeetings } from '../services/historyService';
+import { getMeetingAttendance, downloadAttendanceCSV } from '../services/attendanceService';
+import { downloadMeetingQuizCSV } from '../services/quizService';
+import { getMeetingSummary } from '../services/summaryService';
+import { askLecture, getRecordingLink } from '../services/askService';
+import { searchMeetingHistory } from '../services/searchService';
+import { getRecordingTracks, getSignedRecordingUrl } from '../services/recordingService';
+
+const ATTENDANCE_STATUS_COLORS = {
+  present: 'success',
+  late: 'warning',
+  absent: 'error'
+};
+
+// Position in a recording (e.g. "1:02:05" or "12:05")
+const formatOffset = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Sort choices for the meetings table: value -> [sort, order]
+const HISTORY_SORTS = {
+  newest: ['createdAt', 'desc'],
+  oldest: ['createdAt', 'asc'],
+  longest: ['duration', 'desc'],
+  shortest: ['duration', 'asc']
+};
+
+const SEARCH_PAGE_SIZE = 10;
+
+const SEARCH_SOURCE_LABELS = {
+  title: 'Title',
+  transcript: 'Transcript',
+  chat: 'Chat',
+  highlight: 'Highlight'
+};
+
+const EMPTY_SEARCH_FILTERS = {
+  from: '',
+  to: '',
+  host: '',
+  participant: '',
+  highlightType: '',
+  hasRecording: ''
+};
+
+// Mark the words of a search snippet that start with a search term
+const markSearchTerms = (snippet, terms) => {
+  if (!terms?.length) return snippet;
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])((?:${escaped.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+  return snippet.split(pattern).map((part, index) => (index % 2 === 1 ? <mark key={index}>{part}</mark> : part));
+};
+
+// Time of day for attendance rows (e.g. "14:05")
+const formatClockTime = (isoTime) => (isoTime
+  ? new Date(isoTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })
+  : '-');
 
 const MeetingsHistory = () => {
   const navigate = useNavigate();
   const [meetings, setMeetings] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [historyTotals, setHistoryTotals] = useState({ total: 0, participants: 0, completed: 0, duration: 0 });
+  const [historyError, setHistoryError] = useState('');
+  const [importNotice, setImportNotice] = useState('');
+  const [localImportDone, setLocalImportDone] = useState(false);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [sortBy, setSortBy] = useState('newest');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
   const [highlightReels, setHighlightReels] = useState(new Map());
   const [expandedMeeting, setExpandedMeeting] = useState(null);
+  const [activeTab, setActiveTab] = useState('meetings');
+  const [attendanceMeetingId, setAttendanceMeetingId] = useState('');
+  const [attendance, setAttendance] = useState(null);
+  const [attendanceError, setAttendanceError] = useState('');
+  const [quizError, setQuizError] = useState('');
+  const [summaryMeetingId, setSummaryMeetingId] = useState('');
+  const [summary, setSummary] = useState(undefined);
+  const [summaryError, setSummaryError] = useState('');
+  const [recordingMeetingId, setRecordingMeetingId] = useState('');
+  const [recordingTracks, setRecordingTracks] = useState(null);
+  const [recordingError, setRecordingError] = useState('');
+  const [question, setQuestion] = useState('');
+  const [askMeetingId, setAskMeetingId] = useState('all');
+  const [askResult, setAskResult] = useState(null);
+  const [asking, setAsking] = useState(false);
+  const [askError, setAskError] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [searchResult, setSearchResult] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
 
-  // Load meetings data from service
+  // Bring the meetings this browser kept before history moved to the server into the account, once
   useEffect(() => {
-    const loadMeetings = () => {
-      try {
-        // Clear old test data on first load
-        const meetingsData = getMeetings();
-        if (meetingsData.length > 10) {
-          console.log('Clearing old test data...');
-          clearAllMeetings();
-          setMeetings([]);
-          setHighlightReels(new Map());
-          return;
-        }
-        
-        setMeetings(meetingsData);
-        
-        // Mock highlight reel data for testing
-        const mockHighlightReels = new Map();
-        if (meetingsData.length > 0) {
-          // Add highlight reel for first meeting as example
-          mockHighlightReels.set(meetingsData[0].id, {
-            url: 'http://localhost:5000/output/edu_learning_highlights.mp4',
-            highlightCount: 5,
-            duration: '30 seconds',
-            status: 'success'
-          });
+    importLocalMeetings()
+      .then(result => {
+        if (result?.imported.length > 0) {
+          setImportNotice(`Added ${result.imported.length} meeting${result.imported.length === 1 ? '' : 's'} saved in this browser to your account.`);
         }
-        setHighlightReels(mockHighlightReels);
-        
-      } catch (error) {
-        console.error('Error loading meetings:', error);
-        setMeetings([]);
-      } finally {
-        setLoading(false);
+      })
+      .catch(error => console.error('Error importing local meetings:', error))
+      .finally(() => setLocalImportDone(true));
+  }, []);
+
+  // Load a page of the account's meetings from the server
+  const loadMeetings = useCallback(async () => {
+    const [sort, order] = HISTORY_SORTS[sortBy];
+    setHistoryError('');
+    try {
+      const data = await getMyMeetingHistory({
+        sort,
+        order,
+        limit: rowsPerPage,
+        offset: page * rowsPerPage,
+        status: statusFilter,
+        role: roleFilter
+      });
+      setMeetings(data.meetings);
+      setHistoryTotals({ total: data.total, ...data.totals });
+
+      // Mock highlight reel data for testing
+      const mockHighlightReels = new Map();
+      if (data.meetings.length > 0) {
+        // Add highlight reel for first meeting as example
+        mockHighlightReels.set(data.meetings[0].id, {
+          url: 'http://localhost:5000/output/edu_learning_highlights.mp4',
+          highlightCount: 5,
+          duration: '30 seconds',
+          status: 'success'
+        });
       }
-    };
+      setHighlightReels(mockHighlightReels);
+
+    } catch (error) {
+      console.error('Error loading meetings:', error);
+      setMeetings([]);
+      setHistoryTotals({ total: 0, participants: 0, completed: 0, duration: 0 });
+      setHistoryError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [sortBy, rowsPerPage, page, statusFilter, roleFilter]);
+
+  useEffect(() => {
+    if (localImportDone) {
+      loadMeetings();
+    }
+  }, [localImportDone, loadMeetings]);
+
+  // Filters and sorting start again from the first page
+  const handleHistoryFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(0);
+  };
+
+  // Load the attendance report of the selected meeting
+  const loadAttendance = useCallback(async (meetingId) => {
+    setAttendance(null);
+    setAttendanceError('');
+    try {
+      setAttendance(await getMeetingAttendance(meetingId));
+    } catch (error) {
+      setAttendanceError(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'attendance' && attendanceMeetingId) {
+      loadAttendance(attendanceMeetingId);
+    }
+  }, [activeTab, attendanceMeetingId, loadAttendance]);
+
+  const handleShowAttendance = (meetingId) => {
+    setAttendanceMeetingId(meetingId);
+    setActiveTab('attendance');
+  };
+
+  const handleDownloadAttendance = async () => {
+    try {
+      await downloadAttendanceCSV(attendanceMeetingId);
+    } catch (error) {
+      setAttendanceError(error.message);
+    }
+  };
+
+  // Load the post-meeting summary of the selected meeting (null when none was written)
+  const loadSummary = useCallback(async (meetingId) => {
+    setSummary(undefined);
+    setSummaryError('');
+    try {
+      setSummary(await getMeetingSummary(meetingId));
+    } catch (error) {
+      setSummaryError(error.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'summary' && summaryMeetingId) {
+      loadSummary(summaryMeetingId);
+    }
+  }, [activeTab, summaryMeetingId, loadSummary]);
+
+  const handleShowSummary = (meetingId) => {
+    setSummaryMeetingId(meetingId);
+    setActiveTab('summary');
+  };
 
-    // Simulate loading for better UX
-    setTimeout(loadMeetings, 500);
+  // Load the recording links of the selected meeting (full, active speaker and per participant)
+  const loadRecordingTracks = useCallback(async (meetingId) => {
+    setRecordingTracks(null);
+    setRecordingError('');
+    try {
+      setRecordingTracks(await getRecordingTracks(meetingId));
+    } catch (error) {
+      setRecordingError(error.message);
+    }
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'recording' && recordingMeetingId) {
+      loadRecordingTracks(recordingMeetingId);
+    }
+  }, [activeTab, recordingMeetingId, loadRecordingTracks]);
+
+  // Ask about one past meeting, or about all of them
+  const handleAsk = async () => {
+    if (!question.trim()) return;
+    setAsking(true);
+    setAskError('');
+    try {
+      setAskResult(await askLecture(question.trim(), askMeetingId === 'all' ? null : askMeetingId));
+    } catch (error) {
+      setAskResult(null);
+      setAskError(error.message);
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  // Search past meetings; `more` loads the next page of the same search
+  const handleSearch = async (more = false) => {
+    setSearching(true);
+    setSearchError('');
+    try {
+      const offset = more && searchResult ? searchResult.results.length : 0;
+      const result = await searchMeetingHistory(searchQuery.trim(), { ...searchFilters, limit: SEARCH_PAGE_SIZE, offset });
+      setSearchResult(more && searchResult ? { ...result, results: [...searchResult.results, ...result.results] } : result);
+    } catch (error) {
+      setSearchResult(null);
+      setSearchError(error.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const updateSearchFilter = (name, value) => {
+    setSearchFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Quiz questions from the whole transcript of a past meeting
+  const handleExportQuiz = async (meetingId) => {
+    setQuizError('');
+    try {
+      await downloadMeetingQuizCSV(meetingId);
+    } catch (error) {
+      setQuizError(error.message);
+    }
+  };
+
   const handleBack = () => {
     navigate('/home');
   };
@@ -89,14 +328,7 @@ const MeetingsHistory = () => {
 
   const handleRefresh = () => {
     setLoading(true);
-    setTimeout(() => {
-      // Clear all meetings and reload
-      clearAllMeetings();
-      const meetingsData = getMeetings();
-      setMeetings(meetingsData);
-      setHighlightReels(new Map()); // Clear highlight reels too
-      setLoading(false);
-    }, 300);
+    loadMeetings();
   };
 
   const handlePlayHighlightReel = (meetingId) => {
@@ -138,6 +370,9 @@ const MeetingsHistory = () => {
     });
   };
 
+  // Keep the table (and its filters) on screen when filters match nothing
+  const hasHistory = historyTotals.total > 0 || !!statusFilter || !!roleFilter;
+
   if (loading) {
     return (
       <Box className="history-page">
@@ -184,7 +419,7 @@ const MeetingsHistory = () => {
                   <VideoCall className="summary-icon" />
                   <Box>
                     <Typography variant="h4" className="summary-number">
-                      {meetings.length}
+                      {historyTotals.total}
                     </Typography>
                     <Typography variant="body2" className="summary-label">
                       Total Meetings
@@ -202,7 +437,7 @@ const MeetingsHistory = () => {
                   <Group className="summary-icon" />
                   <Box>
                     <Typography variant="h4" className="summary-number">
-                      {meetings.reduce((total, meeting) => total + meeting.participants, 0)}
+                      {historyTotals.participants}
                     </Typography>
                     <Typography variant="body2" className="summary-label">
                       Total Participants
@@ -220,7 +455,7 @@ const MeetingsHistory = () => {
                   <Schedule className="summary-icon" />
                   <Box>
                     <Typography variant="h4" className="summary-number">
-                      {meetings.filter(m => m.status === 'completed').length}
+                      {historyTotals.completed}
                     </Typography>
                     <Typography variant="body2" className="summary-label">
                       Completed
@@ -238,7 +473,7 @@ const MeetingsHistory = () => {
                   <AccessTime className="summary-icon" />
                   <Box>
                     <Typography variant="h4" className="summary-number">
-                      {meetings.reduce((total, meeting) => total + (meeting.duration || 0), 0)} min
+                      {Math.round(historyTotals.duration / 60000)} min
                     </Typography>
                     <Typography variant="body2" className="summary-label">
                       Total Duration
@@ -252,14 +487,79 @@ const MeetingsHistory = () => {
 
 
 
+        {historyError && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {historyError === 'Authentication required' ? 'Sign in to see your meeting history.' : historyError}
+          </Alert>
+        )}
+        {importNotice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setImportNotice('')}>
+            {importNotice}
+          </Alert>
+        )}
+
+        {hasHistory && (
+          <Tabs
+            value={activeTab}
+            onChange={(e, value) => setActiveTab(value)}
+            className="history-tabs"
+            textColor="inherit"
+          >
+            <Tab value="meetings" label="Meetings" />
+            <Tab value="attendance" label="Attendance" />
+            <Tab value="summary" label="Summary" />
+            <Tab value="recording" label="Recording" />
+            <Tab value="ask" label="Ask" />
+            <Tab value="search" label="Search" />
+          </Tabs>
+        )}
+
         {/* Meetings Table - Show when there are meetings */}
-        {meetings.length > 0 && (
+        {hasHistory && activeTab === 'meetings' && (
           <Paper className="meetings-table-container" elevation={2}>
-            <Box className="table-header">
+            <Box className="table-header attendance-header">
               <Typography variant="h6" className="table-title">
-                Recent Meetings
+                Your Meetings
               </Typography>
+              <TextField
+                select
+                size="small"
+                label="Sort"
+                value={sortBy}
+                onChange={handleHistoryFilter(setSortBy)}
+                className="history-filter"
+              >
+                <MenuItem value="newest">Newest first</MenuItem>
+                <MenuItem value="oldest">Oldest first</MenuItem>
+                <MenuItem value="longest">Longest first</MenuItem>
+                <MenuItem value="shortest">Shortest first</MenuItem>
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="Status"
+                value={statusFilter}
+                onChange={handleHistoryFilter(setStatusFilter)}
+                className="history-filter"
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="completed">Completed</MenuItem>
+                <MenuItem value="ongoing">Ongoing</MenuItem>
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="Role"
+                value={roleFilter}
+                onChange={handleHistoryFilter(setRoleFilter)}
+                className="history-filter"
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="host">Hosted</MenuItem>
+                <MenuItem value="attendee">Attended</MenuItem>
+              </TextField>
             </Box>
+            {quizError && <Alert severity="warning">{quizError}</Alert>}
             
             <TableContainer>
               <Table>
@@ -270,6 +570,7 @@ const MeetingsHistory = () => {
                     <TableCell>Date & Time</TableCell>
                     <TableCell>Duration</TableCell>
                     <TableCell>Participants</TableCell>
+                    <TableCell>Role</TableCell>
                     <TableCell>Status</TableCell>
                     <TableCell>Highlights</TableCell>
                     <TableCell>Actions</TableCell>
@@ -291,16 +592,16 @@ const MeetingsHistory = () => {
                       <TableCell>
                         <Box>
                           <Typography variant="body2" className="meeting-date">
-                            {formatDate(meeting.date)}
+                            {formatDate(meeting.createdAt)}
                           </Typography>
                           <Typography variant="caption" className="meeting-time">
-                            {meeting.time}
+                            {formatClockTime(meeting.createdAt)}
                           </Typography>
                         </Box>
                       </TableCell>
                       <TableCell>
                         <Typography variant="body2">
-                          {meeting.status === 'ongoing' ? 'Ongoing' : `${meeting.duration || 0} min`}
+                          {meeting.status === 'ongoing' ? 'Ongoing' : `${Math.round((meeting.duration || 0) / 60000)} min`}
                         </Typography>
                       </TableCell>
                       <TableCell>
@@ -308,6 +609,11 @@ const MeetingsHistory = () => {
                           {meeting.participants} people
                         </Typography>
                       </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {meeting.role === 'host' ? 'Host' : 'Attendee'}
+                        </Typography>
+                      </TableCell>
                       <TableCell>
                         <Chip 
                           label={meeting.status} 
@@ -339,26 +645,631 @@ const MeetingsHistory = () => {
                         )}
                       </TableCell>
                       <TableCell>
-                        <Button
-                          variant="outlined"
-                          size="small"
-                          onClick={() => handleJoinMeeting(meeting.id)}
-                          className="join-button"
-                          startIcon={<VideoCall />}
-                        >
-                          Join Again
-                        </Button>
+                        <Stack direction="row" spacing={1}>
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            onClick={() => handleJoinMeeting(meeting.id)}
+                            className="join-button"
+                            startIcon={<VideoCall />}
+                          >
+                            Join Again
+                          </Button>
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            onClick={() => handleShowAttendance(meeting.id)}
+                            className="join-button"
+                            startIcon={<FactCheck />}
+                          >
+                            Attendance
+                          </Button>
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            onClick={() => handleShowSummary(meeting.id)}
+                            className="join-button"
+                            startIcon={<Summarize />}
+                          >
+                            Summary
+                          </Button>
+                          <Button
+                            variant="outlined"
+                            size="small"
+                            onClick={() => handleExportQuiz(meeting.id)}
+                            className="join-button"
+                            startIcon={<Quiz />}
+                          >
+                            Quiz
+                          </Button>
+                        </Stack>
                       </TableCell>
                     </TableRow>
                   ))}
                 </TableBody>
               </Table>
             </TableContainer>
+            <TablePagination
+              component="div"
+              count={historyTotals.total}
+              page={page}
+              onPageChange={(e, value) => setPage(value)}
+              rowsPerPage={rowsPerPage}
+              onRowsPerPageChange={(e) => {
+                setRowsPerPage(Number(e.target.value));
+                setPage(0);
+              }}
+              rowsPerPageOptions={[10, 25, 50]}
+              className="history-pagination"
+            />
+          </Paper>
+        )}
+
+        {/* Attendance - join/leave intervals of one meeting */}
+        {hasHistory && activeTab === 'attendance' && (
+          <Paper className="meetings-table-container" elevation={2}>
+            <Box className="table-header attendance-header">
+              <Typography variant="h6" className="table-title">
+                Attendance
+              </Typography>
+              <TextField
+                select
+                size="small"
+                label="Meeting"
+                value={attendanceMeetingId}
+                onChange={(e) => setAttendanceMeetingId(e.target.value)}
+                className="attendance-meeting-select"
+              >
+                {meetings.map((meeting) => (
+                  <MenuItem key={meeting.id} value={meeting.id}>
+                    {meeting.title} ({meeting.id})
+                  </MenuItem>
+                ))}
+              </TextField>
+              <Button
+                variant="contained"
+                size="small"
+                startIcon={<Download />}
+                onClick={handleDownloadAttendance}
+                disabled={!attendance}
+                className="refresh-button"
+              >
+                CSV
+              </Button>
+            </Box>
+
+            {attendanceError && <Alert severity="warning">{attendanceError}</Alert>}
+            {!attendanceMeetingId && (
+              <Typography variant="body2" className="attendance-hint">
+                Choose a meeting to see who attended.
+              </Typography>
+            )}
+
+            {attendance && (
+              <>
+                <Stack direction="row" spacing={1} className="attendance-summary">
+                  <Chip label={`${attendance.summary.present} on time`} color="success" size="small" />
+                  <Chip label={`${attendance.summary.late} late`} color="warning" size="small" />
+                  <Chip label={`${attendance.summary.absent} absent`} color="error" size="small" />
+                  <Chip label={`Late after ${attendance.lateGraceMinutes} min`} size="small" variant="outlined" />
+                </Stack>
+                <TableContainer>
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell>First Joined</TableCell>
+                        <TableCell>Last Left</TableCell>
+                        <TableCell>Minutes Present</TableCell>
+                        <TableCell>Minutes Late</TableCell>
+                        <TableCell>Sessions</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {attendance.attendees.map((attendee) => (
+                        <TableRow key={`${attendee.name}-${attendee.userId || attendee.rosterMemberId}`} className="meeting-row">
+                          <TableCell>
+                            <Typography variant="body1">{attendee.name}</Typography>
+                            {(attendee.email || attendee.studentId) && (
+                              <Typography variant="caption">
+                                {[attendee.email, attendee.studentId].filter(Boolean).join(' · ')}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <Chip
+                              label={attendee.status}
+                              color={ATTENDANCE_STATUS_COLORS[attendee.status]}
+                              size="small"
+                              className="status-chip"
+                            />
+                          </TableCell>
+                          <TableCell>{formatClockTime(attendee.firstJoinedAt)}</TableCell>
+                          <TableCell>
+                            {attendee.firstJoinedAt && !attendee.lastLeftAt ? 'Still here' : formatClockTime(attendee.lastLeftAt)}
+                          </TableCell>
+                          <TableCell>{attendee.minutesPresent}</TableCell>
+                          <TableCell>{attendee.lateMinutes}</TableCell>
+                          <TableCell>{attendee.sessions}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </>
+            )}
+          </Paper>
+        )}
+
+        {/* Summary - written from the transcript after the meeting ends */}
+        {hasHistory && activeTab === 'summary' && (
+          <Paper className="meetings-table-container" elevation={2}>
+            <Box className="table-header attendance-header">
+              <Typography variant="h6" className="table-title">
+                Summary
+              </Typography>
+              <TextField
+                select
+                size="small"
+                label="Meeting"
+                value={summaryMeetingId}
+                onChange={(e) => setSummaryMeetingId(e.target.value)}
+                className="attendance-meeting-select"
+              >
+                {meetings.map((meeting) => (
+                  <MenuItem key={meeting.id} value={meeting.id}>
+                    {meeting.title} ({meeting.id})
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+
+            {summaryError && <Alert severity="warning">{summaryError}</Alert>}
+            {!summaryMeetingId && (
+              <Typography variant="body2" className="attendance-hint">
+                Choose a meeting to see its summary.
+              </Typography>
+            )}
+            {summaryMeetingId && summary === null && (
+              <Typography variant="body2" className="attendance-hint">
+                No summary for this meeting. Summaries are written from the transcript when the host ends the meeting.
+              </Typography>
+            )}
+
+            {summary && (
+              <Box className="summary-body">
+                <Stack direction="row" spacing={1}>
+                  <Chip label={summary.model === 'rule-based' ? 'Rule-based' : 'AI'} size="small" variant="outlined" />
+                  <Chip label={`${summary.actionItems.length} action item${summary.actionItems.length !== 1 ? 's' : ''}`} size="small" variant="outlined" />
+                </Stack>
+
+                <Typography variant="subtitle1" className="summary-section-title">TL;DR</Typography>
+                <Typography variant="body1">{summary.tldr}</Typography>
+
+                {summary.keyConcepts.length > 0 && (
+                  <>
+                    <Typography variant="subtitle1" className="summary-section-title">Key Concepts</Typography>
+                    <ul className="summary-list">
+                      {summary.keyConcepts.map((concept) => (
+                        <li key={concept.term}>
+                          <strong>{concept.term}</strong>{concept.definition && ` - ${concept.definition}`}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+
+                {summary.decisions.length > 0 && (
+                  <>
+                    <Typography variant="subtitle1" className="summary-section-title">Decisions</Typography>
+                    <ul className="summary-list">
+                      {summary.decisions.map((decision) => <li key={decision}>{decision}</li>)}
+                    </ul>
+                  </>
+                )}
+
+                {summary.actionItems.length > 0 && (
+                  <>
+                    <Typography variant="subtitle1" className="summary-section-title">Homework & Action Items</Typography>
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Task</TableCell>
+                            <TableCell>Owner</TableCell>
+                            <TableCell>Due</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {summary.actionItems.map((item, index) => (
+                            <TableRow key={index}>
+                              <TableCell>{item.task}</TableCell>
+                              <TableCell>{item.owner}</TableCell>
+                              <TableCell>{item.due || '-'}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </>
+                )}
+
+                {summary.openQuestions.length > 0 && (
+                  <>
+                    <Typography variant="subtitle1" className="summary-section-title">Open Questions</Typography>
+                    <ul className="summary-list">
+                      {summary.openQuestions.map((question) => <li key={question}>{question}</li>)}
+                    </ul>
+                  </>
+                )}
+              </Box>
+            )}
+          </Paper>
+        )}
+
+        {/* Recording - the full recording, the active-speaker video and each participant's track */}
+        {hasHistory && activeTab === 'recording' && (
+          <Paper className="meetings-table-container" elevation={2}>
+            <Box className="table-header attendance-header">
+              <Typography variant="h6" className="table-title">
+                Recording
+              </Typography>
+              <TextField
+                select
+                size="small"
+                label="Meeting"
+                value={recordingMeetingId}
+                onChange={(e) => setRecordingMeetingId(e.target.value)}
+                className="attendance-meeting-select"
+              >
+                {meetings.filter((meeting) => meeting.hasRecording).map((meeting) => (
+                  <MenuItem key={meeting.id} value={meeting.id}>
+                    {meeting.title} ({meeting.id})
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+
+            {recordingError && <Alert severity="warning">{recordingError}</Alert>}
+            {!recordingMeetingId && (
+              <Typography variant="body2" className="attendance-hint">
+                Choose a recorded meeting to download its recording or a participant's own track.
+              </Typography>
+            )}
+
+            {recordingTracks && (
+              <Box className="summary-body">
+                <Stack direction="row" spacing={1}>
+                  <Button
+                    variant="outlined"
+                    size="small"
+                    startIcon={<PlayArrow />}
+                    href={getSignedRecordingUrl(recordingTracks.recording)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    Full recording
+                  </Button>
+                  {recordingTracks.speaker && (
+                    <Button
+                      variant="outlined"
+                      size="small"
+                      startIcon={<Movie />}
+                      href={getSignedRecordingUrl(recordingTracks.speaker)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      Active speaker
+                    </Button>
+                  )}
+                </Stack>
+
+                {recordingTracks.tracks.length === 0 ? (
+                  <Typography variant="body2" className="attendance-hint">
+                    No participant tracks were saved for this meeting.
+                  </Typography>
+                ) : (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Participant</TableCell>
+                          <TableCell>Starts at</TableCell>
+                          <TableCell>Length</TableCell>
+                          <TableCell>Media</TableCell>
+                          <TableCell align="right">Track</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {recordingTracks.tracks.map((track) => (
+                          <TableRow key={track.participantId}>
+                            <TableCell>{track.participantName}</TableCell>
+                            <TableCell>{formatOffset(Math.round(track.startOffset / 1000))}</TableCell>
+                            <TableCell>{formatOffset(Math.round(track.duration / 1000))}</TableCell>
+                            <TableCell>{track.hasVideo ? 'Video' : 'Audio'}</TableCell>
+                            <TableCell align="right">
+                              <IconButton
+                                size="small"
+                                href={getSignedRecordingUrl(track.link)}
+                                title={`Download ${track.participantName}'s track`}
+                              >
+                                <Download fontSize="small" />
+                              </IconButton>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+
+                {recordingTracks.pauses.length > 0 && (
+                  <Typography variant="body2" className="attendance-hint">
+                    Paused {recordingTracks.pauses.map((pause) => `${formatOffset(Math.round(pause.start / 1000))}-${formatOffset(Math.round(pause.end / 1000))}`).join(', ')}
+                  </Typography>
+                )}
+
+                {recordingTracks.consent && recordingTracks.consent.participants.length > 0 && (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Participant</TableCell>
+                          <TableCell>Recording consent</TableCell>
+                          <TableCell>Answered</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {recordingTracks.consent.participants.map((consent) => (
+                          <TableRow key={consent.participantId}>
+                            <TableCell>{consent.participantName}</TableCell>
+                            <TableCell>
+                              <Chip
+                                size="small"
+                                label={consent.status === 'granted' ? 'Agreed' : consent.status === 'declined' ? 'Declined' : 'No answer'}
+                                color={consent.status === 'granted' ? 'success' : consent.status === 'declined' ? 'error' : 'default'}
+                              />
+                            </TableCell>
+                            <TableCell>{new Date(consent.updatedAt).toLocaleTimeString()}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </Box>
+            )}
+          </Paper>
+        )}
+
+        {/* Ask - questions answered from saved transcripts, with cited moments */}
+        {hasHistory && activeTab === 'ask' && (
+          <Paper className="meetings-table-container" elevation={2}>
+            <Box className="table-header attendance-header">
+              <Typography variant="h6" className="table-title">
+                Ask the Lecture
+              </Typography>
+              <TextField
+                select
+                size="small"
+                label="Search in"
+                value={askMeetingId}
+                onChange={(e) => setAskMeetingId(e.target.value)}
+                className="attendance-meeting-select"
+              >
+                <MenuItem value="all">All meetings</MenuItem>
+                {meetings.map((meeting) => (
+                  <MenuItem key={meeting.id} value={meeting.id}>
+                    {meeting.title} ({meeting.id})
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+
+            <Box className="summary-body">
+              <Stack direction="row" spacing={1}>
+                <TextField
+                  size="small"
+                  placeholder="What did the professor say about...?"
+                  value={question}
+                  onChange={(e) => setQuestion(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleAsk()}
+                  className="attendance-meeting-select"
+                  fullWidth
+                />
+                <Button
+                  variant="contained"
+                  onClick={handleAsk}
+                  disabled={asking || !question.trim()}
+                  startIcon={<QuestionAnswer />}
+                  className="refresh-button"
+                >
+                  Ask
+                </Button>
+              </Stack>
+
+              {askError && <Alert severity="warning" sx={{ mt: 2 }}>{askError}</Alert>}
+
+              {askResult && (
+                <>
+                  <Typography variant="subtitle1" className="summary-section-title">Answer</Typography>
+                  <Typography variant="body1" sx={{ whiteSpace: 'pre-line' }}>{askResult.answer}</Typography>
+
+                  {askResult.citations.length > 0 && (
+                    <>
+                      <Typography variant="subtitle1" className="summary-section-title">Sources</Typography>
+                      <ul className="summary-list">
+                        {askResult.citations.map((citation) => (
+                          <li key={citation.number}>
+                            <strong>[{citation.number}] {citation.title}</strong>
+                            {citation.offsetSeconds !== null && ` at ${formatOffset(citation.offsetSeconds)}`}
+                            {citation.speakers?.length > 0 && ` - ${citation.speakers.join(', ')}`}
+                            {citation.link && (
+                              <>
+                                {' '}
+                                <a href={getRecordingLink(citation)} target="_blank" rel="noopener noreferrer" className="citation-link">
+                                  <PlayArrow fontSize="inherit" /> Play
+                                </a>
+                              </>
+                            )}
+                            <Typography variant="body2" className="citation-text">
+                              {citation.text.length > 240 ? `${citation.text.slice(0, 240)}...` : citation.text}
+                            </Typography>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </>
+              )}
+            </Box>
+          </Paper>
+        )}
+
+        {hasHistory && activeTab === 'search' && (
+          <Paper className="meetings-table-container" elevation={2}>
+            <Box className="table-header attendance-header">
+              <Typography variant="h6" className="table-title">
+                Search Meetings
+              </Typography>
+            </Box>
+
+            <Box className="summary-body">
+              <Stack direction="row" spacing={1}>
+                <TextField
+                  size="small"
+                  placeholder="Words from a title, the transcript, the chat or a highlight"
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                  className="attendance-meeting-select"
+                  fullWidth
+                />
+                <Button
+                  variant="contained"
+                  onClick={() => handleSearch()}
+                  disabled={searching}
+                  startIcon={<Search />}
+                  className="refresh-button"
+                >
+                  Search
+                </Button>
+              </Stack>
+
+              <Stack direction="row" spacing={1} className="search-filters">
+                <TextField
+                  size="small"
+                  type="date"
+                  label="From"
+                  value={searchFilters.from}
+                  onChange={(e) => updateSearchFilter('from', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  className="search-filter"
+                />
+                <TextField
+                  size="small"
+                  type="date"
+                  label="To"
+                  value={searchFilters.to}
+                  onChange={(e) => updateSearchFilter('to', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                  className="search-filter"
+                />
+                <TextField
+                  size="small"
+                  label="Host"
+                  value={searchFilters.host}
+                  onChange={(e) => updateSearchFilter('host', e.target.value)}
+                  className="search-filter"
+                />
+                <TextField
+                  size="small"
+                  label="Participant"
+                  value={searchFilters.participant}
+                  onChange={(e) => updateSearchFilter('participant', e.target.value)}
+                  className="search-filter"
+                />
+                <TextField
+                  select
+                  size="small"
+                  label="Highlight"
+                  value={searchFilters.highlightType}
+                  onChange={(e) => updateSearchFilter('highlightType', e.target.value)}
+                  className="search-filter"
+                >
+                  <MenuItem value="">Any</MenuItem>
+                  <MenuItem value="important">Important</MenuItem>
+                  <MenuItem value="decision">Decision</MenuItem>
+                  <MenuItem value="action">Action item</MenuItem>
+                  <MenuItem value="question">Question</MenuItem>
+                  <MenuItem value="summary">Summary</MenuItem>
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Recording"
+                  value={searchFilters.hasRecording}
+                  onChange={(e) => updateSearchFilter('hasRecording', e.target.value)}
+                  className="search-filter"
+                >
+                  <MenuItem value="">Any</MenuItem>
+                  <MenuItem value="true">Recorded</MenuItem>
+                  <MenuItem value="false">Not recorded</MenuItem>
+                </TextField>
+              </Stack>
+
+              {searchError && <Alert severity="warning" sx={{ mt: 2 }}>{searchError}</Alert>}
+
+              {searchResult && (
+                <>
+                  <Typography variant="subtitle1" className="summary-section-title">
+                    {searchResult.total} meeting{searchResult.total === 1 ? '' : 's'} found
+                  </Typography>
+                  <ul className="summary-list">
+                    {searchResult.results.map(({ meeting, matches }) => (
+                      <li key={meeting.meetingId}>
+                        <strong>{meeting.title}</strong>
+                        {` - ${formatDate(meeting.createdAt)}`}
+                        {meeting.host && ` - ${meeting.host}`}
+                        {meeting.hasRecording && <Chip label="recorded" size="small" variant="outlined" className="search-chip" />}
+                        {matches.map((match, index) => (
+                          <Typography key={index} variant="body2" className="citation-text">
+                            {SEARCH_SOURCE_LABELS[match.source]}
+                            {match.source !== 'title' && match.offsetSeconds !== null && ` at ${formatOffset(match.offsetSeconds)}`}
+                            {meeting.hasRecording && match.source !== 'title' && match.offsetSeconds !== null && (
+                              <>
+                                {' '}
+                                <a
+                                  href={getRecordingLink({ link: `/api/meetings/${encodeURIComponent(meeting.meetingId)}/recording#t=${match.offsetSeconds}` })}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="citation-link"
+                                >
+                                  <PlayArrow fontSize="inherit" /> Play
+                                </a>
+                              </>
+                            )}
+                            {': '}
+                            {markSearchTerms(match.snippet, searchResult.terms)}
+                          </Typography>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+                  {searchResult.results.length < searchResult.total && (
+                    <Button onClick={() => handleSearch(true)} disabled={searching} className="citation-link">
+                      Show more
+                    </Button>
+                  )}
+                </>
+              )}
+            </Box>
           </Paper>
         )}
 
         {/* No Meetings Message - Show when there are no meetings */}
-        {meetings.length === 0 && (
+        {!hasHistory && (
           <Box className="no-meetings">
             <Typography variant="h4" className="no-meetings-title">
               No Meetings Yet
@@ -24,6 +24,8 @@ const RegisterPage = () => {
     confirmPassword: ''
   });
 
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
   const handleBack = () => {
     navigate('/');
   };
@@ -35,7 +37,7 @@ const RegisterPage = () => {
     });
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     // Validate password confirmation
@@ -45,8 +47,9 @@ const RegisterPage = () => {
     }
     
     // Handle registration using auth service
+    setIsSubmitting(true);
     try {
-      const result = signup(formData.email, formData.password, `${formData.firstName} ${formData.lastName}`);
+      const result = await signup(formData.email, formData.password, `${formData.firstName} ${formData.lastName}`);
       
       if (result.success) {
         console.log('Registration successful:', result.user);
@@ -58,6 +61,8 @@ const RegisterPage = () => {
     } catch (error) {
       console.error('Registration error:', error);
       alert('Registration failed. Please try again.');
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -146,6 +151,7 @@ const RegisterPage = () => {
                 fullWidth
                 variant="contained"
                 size="large"
+                disabled={isSubmitting}
                 className="register-button"
               >
                 Create Account
@@ -0,0 +1,37 @@
+// askService.js - Service for questions about past lectures
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders, getAuthToken } from './authService';
+
+// Ask a question about one meeting, or about every saved meeting without a meetingId.
+// Resolves to { answer, model, citations: [{ number, title, timestamp, offsetSeconds, text, link }] }
+const askLecture = async (question, meetingId = null) => {
+  const url = meetingId
+    ? `${getBackendUrl()}/api/meetings/${encodeURIComponent(meetingId)}/ask`
+    : `${getBackendUrl()}/api/meetings/ask`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+    body: JSON.stringify({ question })
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
+
+// Full URL of a citation's recording link, signed in so the video element can load it
+const getRecordingLink = (citation) => {
+  if (!citation.link) return null;
+  const [recordingPath, time] = citation.link.split('#');
+  const token = getAuthToken();
+  return `${getBackendUrl()}${recordingPath}${token ? `?token=${encodeURIComponent(token)}` : ''}#${time}`;
+};
+
+export {
+  askLecture,
+  getRecordingLink
+};
@@ -0,0 +1,45 @@
+// attendanceService.js - Service for meeting attendance reports
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
+// Fetch an attendance report in the given format ('json' or 'csv')
+const requestAttendance = async (meetingId, format) => {
+  const response = await fetch(
+    `${getBackendUrl()}/api/meetings/${encodeURIComponent(meetingId)}/attendance?format=${format}`,
+    { headers: getAuthHeaders() }
+  );
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return response;
+};
+
+// Get a meeting's attendance (intervals, minutes present, late arrivals)
+const getMeetingAttendance = async (meetingId) => {
+  const response = await requestAttendance(meetingId, 'json');
+  const data = await response.json();
+  return data.attendance;
+};
+
+// Download a meeting's attendance as a CSV file
+const downloadAttendanceCSV = async (meetingId) => {
+  const response = await requestAttendance(meetingId, 'csv');
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `attendance_${meetingId}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export {
+  getMeetingAttendance,
+  downloadAttendanceCSV
+};
@@ -1,5 +1,7 @@
 // authService.js - Service for managing authentication state
 
+import { getBackendUrl } from '../config/network';
+
 // Check if user is authenticated
 const isAuthenticated = () => {
   try {
@@ -47,41 +49,110 @@ const clearAuthentication = () => {
   }
 };
 
-// Simulate login (for demo purposes)
-const login = (email, password) => {
-  // In a real app, this would make an API call
-  const userData = {
-    id: 'user_' + Date.now(),
-    email: email,
-    name: email.split('@')[0], // Use email prefix as name for demo
-    loginTime: new Date().toISOString()
-  };
-  
-  const token = 'token_' + Date.now();
-  
-  if (setAuthentication(userData, token)) {
-    return { success: true, user: userData };
-  } else {
+// Get the stored session token
+const getAuthToken = () => {
+  try {
+    return localStorage.getItem('authToken');
+  } catch (error) {
+    console.error('Error getting auth token:', error);
+    return null;
+  }
+};
+
+// Get Authorization headers for authenticated API calls
+const getAuthHeaders = () => {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Call an auth endpoint and parse the JSON response
+const requestAuth = async (path, options = {}) => {
+  const response = await fetch(`${getBackendUrl()}/api/auth/${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+// Log in with the backend account API
+const login = async (email, password) => {
+  try {
+    const { user, token } = await requestAuth('login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+
+    if (setAuthentication(user, token)) {
+      return { success: true, user };
+    }
     return { success: false, error: 'Failed to set authentication' };
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return { success: false, error: error.message };
   }
 };
 
-// Simulate signup (for demo purposes)
-const signup = (email, password, name) => {
-  // In a real app, this would make an API call
-  const userData = {
-    id: 'user_' + Date.now(),
-    email: email,
-    name: name || email.split('@')[0],
-    signupTime: new Date().toISOString()
-  };
-  
-  const token = 'token_' + Date.now();
-  
-  if (setAuthentication(userData, token)) {
-    return { success: true, user: userData };
-  } else {
+// Create an account with the backend account API
+const signup = async (email, password, name) => {
+  try {
+    const { user, token } = await requestAuth('register', {
+      method: 'POST',
+      body: JSON.stringify({ email, password, name })
+    });
+
+    if (setAuthentication(user, token)) {
+      return { success: true, user };
+    }
     return { success: false, error: 'Failed to set authentication' };
+  } catch (error) {
+    console.error('Error signing up:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Revoke the session on the backend and clear local state
+const logout = async () => {
+  try {
+    if (getAuthToken()) {
+      await requestAuth('logout', { method: 'POST' });
+    }
+  } catch (error) {
+    // The local session is cleared regardless - the token may already be expired
+    console.error('Error logging out:', error);
+  }
+  return clearAuthentication();
+};
+
+// Refresh the current user from the backend, clearing stale sessions
+const fetchCurrentUser = async () => {
+  if (!getAuthToken()) {
+    return null;
+  }
+
+  try {
+    const { user } = await requestAuth('me');
+    localStorage.setItem('user', JSON.stringify(user));
+    return user;
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    // Only a rejected session logs out, the stored one is kept while the server can't be reached
+    if (error.status === 401) {
+      clearAuthentication();
+      return null;
+    }
+    return getCurrentUser();
   }
 };
 
@@ -102,7 +173,11 @@ export {
   getCurrentUser,
   setAuthentication,
   clearAuthentication,
+  getAuthToken,
+  getAuthHeaders,
   login,
   signup,
+  logout,
+  fetchCurrentUser,
   debugAuthState
 };
@@ -0,0 +1,54 @@
+// historyService.js - Service for the signed-in account's meeting history on the server
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders, getCurrentUser } from './authService';
+import { getMeetings } from './meetingsService';
+
+const request = async (path, options = {}) => {
+  const response = await fetch(`${getBackendUrl()}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...getAuthHeaders(), ...options.headers }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
+
+// A page of the meetings this account hosted or attended.
+// options: { sort: 'createdAt' | 'duration', order: 'asc' | 'desc', limit, offset, status, role: 'host' | 'attendee' }
+// Resolves to { total, totals: { participants, completed, duration }, meetings: [{ id, title, createdAt, duration (ms), participants, status, role, ... }] }
+const getMyMeetingHistory = async (options = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  });
+  return request(`/api/meetings/history/mine?${params}`);
+};
+
+const importedKey = (userId) => `meetingsImported_${userId}`;
+
+// Copy the meetings this browser kept in localStorage into the account, once per account.
+// Resolves to { imported, skipped } meeting ids, or null when there was nothing to do.
+const importLocalMeetings = async () => {
+  const user = getCurrentUser();
+  if (!user || localStorage.getItem(importedKey(user.id))) return null;
+
+  const meetings = getMeetings();
+  const result = meetings.length > 0
+    ? await request('/api/meetings/history/import', { method: 'POST', body: JSON.stringify({ meetings }) })
+    : { imported: [], skipped: [] };
+
+  localStorage.setItem(importedKey(user.id), new Date().toISOString());
+  return result;
+};
+
+export {
+  getMyMeetingHistory,
+  importLocalMeetings
+};
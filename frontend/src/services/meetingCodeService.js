@@ -1,5 +1,8 @@
 // meetingCodeService.js - Service for generating and managing meeting codes
 
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
 // Generate a random meeting code
 const generateMeetingCode = () => {
   // Generate a 6-character alphanumeric code
@@ -113,6 +116,26 @@ const getMeetingCodeSuggestions = (count = 3) => {
   }));
 };
 
+// Open a meeting under a code as its owner, before joining it as host.
+// The server refuses a code another account or a scheduled class already uses.
+const openHostedMeeting = async (meetingCode, title, hostName) => {
+  const response = await fetch(`${getBackendUrl()}/api/meetings`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders()
+    },
+    body: JSON.stringify({ meetingId: meetingCode, title, hostName })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data.meeting;
+};
+
 export {
   generateMeetingCode,
   generateReadableMeetingCode,
@@ -123,5 +146,6 @@ export {
   generateMultipleMeetingCodes,
   isMeetingCodeAvailable,
   generateUniqueMeetingCode,
-  getMeetingCodeSuggestions
+  getMeetingCodeSuggestions,
+  openHostedMeeting
 };
@@ -0,0 +1,67 @@
+// quizService.js - Service for quiz questions generated from meeting transcripts
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
+// Save text as a file in the browser
+const saveFile = (content, type, filename) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Quiz questions as CSV, one row per question with its answer key
+const quizToCSV = (items) => {
+  const optionColumns = Math.max(4, ...items.map(item => item.options.length));
+  const letters = Array.from({ length: optionColumns }, (_, i) => String.fromCharCode(65 + i));
+  const rows = [
+    ['Question', ...letters.map(letter => `Option ${letter}`), 'Answer', 'Explanation'],
+    ...items.map(item => [
+      item.question,
+      ...letters.map((_, i) => item.options[i] || ''),
+      letters[item.correctOption] || '',
+      item.explanation
+    ])
+  ];
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\n');
+};
+
+// Download reviewed quiz questions as 'csv' or 'json'
+const exportQuiz = (items, meetingId, format = 'csv') => {
+  if (format === 'json') {
+    saveFile(JSON.stringify({ meetingId, questions: items }, null, 2), 'application/json', `quiz_${meetingId}.json`);
+  } else {
+    saveFile(quizToCSV(items), 'text/csv;charset=utf-8', `quiz_${meetingId}.csv`);
+  }
+};
+
+// Download quiz questions written from an ended meeting's whole transcript as CSV
+const downloadMeetingQuizCSV = async (meetingId, { count = 10, difficulty = 'medium' } = {}) => {
+  const params = new URLSearchParams({ format: 'csv', count, difficulty });
+  const response = await fetch(
+    `${getBackendUrl()}/api/meetings/${encodeURIComponent(meetingId)}/quiz?${params}`,
+    { headers: getAuthHeaders() }
+  );
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  saveFile(await response.blob(), 'text/csv', `quiz_${meetingId}.csv`);
+};
+
+export {
+  exportQuiz,
+  downloadMeetingQuizCSV
+};
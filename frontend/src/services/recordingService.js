@@ -0,0 +1,32 @@
+// recordingService.js - Service for saved meeting recordings and participant tracks
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders, getAuthToken } from './authService';
+
+// The recordings of a saved meeting, for its owner.
+// Resolves to { recording, speaker, tracks: [{ participantId, participantName, startOffset (ms), duration (ms), hasVideo, link }],
+// pauses: [{ start, end }] (ms), consent: { declinedParticipants, participants: [{ participantName, status }], log } }
+const getRecordingTracks = async (meetingId) => {
+  const response = await fetch(
+    `${getBackendUrl()}/api/meetings/${encodeURIComponent(meetingId)}/recording/tracks`,
+    { headers: getAuthHeaders() }
+  );
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
+
+// Full URL of a recording link, signed in so it can be opened or downloaded from a plain link
+const getSignedRecordingUrl = (link) => {
+  const token = getAuthToken();
+  return `${getBackendUrl()}${link}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
+
+export {
+  getRecordingTracks,
+  getSignedRecordingUrl
+};
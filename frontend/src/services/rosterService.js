@@ -0,0 +1,56 @@
+// rosterService.js - Service for class and meeting rosters (students who skip the waiting room)
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
+// Rosters attach to a class ({ type: 'class', targetId: classId })
+// or to a live meeting ({ type: 'meeting', targetId: meetingCode })
+const rosterPath = ({ type, targetId }) =>
+  `${type === 'class' ? 'classes' : 'meetings'}/${encodeURIComponent(targetId)}/roster`;
+
+// Call a roster endpoint and parse the JSON response
+const requestRoster = async (path, options = {}) => {
+  const response = await fetch(`${getBackendUrl()}/api/${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data.roster;
+};
+
+// Get a roster (empty if none has been set up yet)
+const getRoster = (target) => requestRoster(rosterPath(target));
+
+// Replace the whole roster with { members } and/or { csv }
+const replaceRoster = (target, input) =>
+  requestRoster(rosterPath(target), {
+    method: 'PUT',
+    body: JSON.stringify(input)
+  });
+
+// Add { members } and/or { csv } to the roster (same email updates the entry)
+const addRosterMembers = (target, input) =>
+  requestRoster(`${rosterPath(target)}/members`, {
+    method: 'POST',
+    body: JSON.stringify(input)
+  });
+
+// Remove one member from the roster
+const removeRosterMember = (target, memberId) =>
+  requestRoster(`${rosterPath(target)}/members/${memberId}`, { method: 'DELETE' });
+
+export {
+  getRoster,
+  replaceRoster,
+  addRosterMembers,
+  removeRosterMember
+};
@@ -0,0 +1,102 @@
+// scheduleService.js - Service for scheduled and recurring class sessions
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
+// Day labels indexed like Date.getDay()
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Call a schedule endpoint and parse the JSON response
+const requestSchedule = async (path, options = {}) => {
+  const response = await fetch(`${getBackendUrl()}/api/${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
+
+// Schedule a new class
+const createClass = async (details) => {
+  const data = await requestSchedule('classes', {
+    method: 'POST',
+    body: JSON.stringify(details)
+  });
+  return data.class;
+};
+
+// Change a class (e.g. allow early joins)
+const updateClass = async (classId, changes) => {
+  const data = await requestSchedule(`classes/${classId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  });
+  return data.class;
+};
+
+// Delete a class and all its sessions
+const deleteClass = async (classId) => {
+  await requestSchedule(`classes/${classId}`, { method: 'DELETE' });
+};
+
+// Get the signed-in user's upcoming sessions
+const getUpcomingSessions = async (days = 14) => {
+  const data = await requestSchedule(`calendar/upcoming?days=${days}`);
+  return data.sessions;
+};
+
+// Get the scheduled session behind a meeting code (null for unscheduled meetings)
+const getScheduledSession = async (meetingCode) => {
+  try {
+    const data = await requestSchedule(`calendar/sessions/${encodeURIComponent(meetingCode)}`);
+    return data.session;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Download a session as an .ics calendar file
+const downloadSessionCalendar = async (session) => {
+  const response = await fetch(`${getBackendUrl()}/api/calendar/sessions/${session.meetingCode}/ics`);
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${session.title.replace(/[^a-z0-9]+/gi, '-')}-${session.meetingCode}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Format a session's start for display (e.g. "Tue, Mar 4 · 10:00")
+const formatSessionTime = (isoTime) => {
+  const date = new Date(isoTime);
+  const day = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+  return `${day} · ${time}`;
+};
+
+export {
+  WEEKDAYS,
+  createClass,
+  updateClass,
+  deleteClass,
+  getUpcomingSessions,
+  getScheduledSession,
+  downloadSessionCalendar,
+  formatSessionTime
+};
@@ -0,0 +1,31 @@
+// searchService.js - Service for searching saved meetings
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
+// Search titles, transcripts, chat and highlights of the saved meetings the user can read.
+// filters: { from, to, host, participant, highlightType, hasRecording, limit, offset }
+// Resolves to { total, terms, results: [{ meeting, score, matches: [{ source, snippet, speakers, timestamp, offsetSeconds }] }] }
+const searchMeetingHistory = async (query, filters = {}) => {
+  const params = new URLSearchParams({ q: query });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  });
+
+  const response = await fetch(`${getBackendUrl()}/api/meetings/history/search?${params}`, {
+    headers: getAuthHeaders()
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
+
+export {
+  searchMeetingHistory
+};
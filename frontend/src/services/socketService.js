@@ -0,0 +1,60 @@
+// socketService.js - Service for creating authenticated Socket.IO connections
+
+import io from 'socket.io-client';
+import { getBackendUrl } from '../config/network';
+import { getAuthToken, clearAuthentication } from './authService';
+
+// Create a socket that sends the session token in the handshake.
+// Without a token the socket connects as a guest (cannot host meetings).
+const createSocket = () => {
+  const token = getAuthToken();
+  const socket = io(getBackendUrl(), {
+    auth: token ? { token } : {}
+  });
+
+  // An expired or revoked token is rejected by the server - drop it and reconnect as a guest
+  socket.on('connect_error', (error) => {
+    if (error.message && error.message.toLowerCase().includes('session token')) {
+      console.warn('🔐 Session token rejected by server, reconnecting as guest');
+      clearAuthentication();
+      socket.auth = {};
+      socket.connect();
+    }
+  });
+
+  return socket;
+};
+
+// Host reclaim tokens are kept per tab so a host who drops out can take their seat back
+const getHostReclaimToken = (meetingId) => {
+  return sessionStorage.getItem(`hostReclaimToken_${meetingId}`);
+};
+
+const storeHostReclaimToken = (meetingId, token) => {
+  if (token) {
+    sessionStorage.setItem(`hostReclaimToken_${meetingId}`, token);
+  } else {
+    sessionStorage.removeItem(`hostReclaimToken_${meetingId}`);
+  }
+};
+
+// Participant tokens let a dropped connection or page reload resume the same seat
+const getParticipantToken = (meetingId) => {
+  return sessionStorage.getItem(`participantToken_${meetingId}`);
+};
+
+const storeParticipantToken = (meetingId, token) => {
+  if (token) {
+    sessionStorage.setItem(`participantToken_${meetingId}`, token);
+  } else {
+    sessionStorage.removeItem(`participantToken_${meetingId}`);
+  }
+};
+
+export {
+  createSocket,
+  getHostReclaimToken,
+  storeHostReclaimToken,
+  getParticipantToken,
+  storeParticipantToken
+};
@@ -0,0 +1,24 @@
+// summaryService.js - Service for post-meeting summaries
+
+import { getBackendUrl } from '../config/network';
+import { getAuthHeaders } from './authService';
+
+// Get a meeting's summary (TL;DR, key concepts, decisions, action items, open questions).
+// Resolves to null when the meeting has no summary yet.
+const getMeetingSummary = async (meetingId) => {
+  const response = await fetch(
+    `${getBackendUrl()}/api/meetings/${encodeURIComponent(meetingId)}/summary`,
+    { headers: getAuthHeaders() }
+  );
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed with status ${response.status}`);
+  }
+
+  return data.summary;
+};
+
+export {
+  getMeetingSummary
+};